@@ -0,0 +1,101 @@
+const sharp = require('sharp');
+const { parseColorRamp, resolveColorRamp, encodeColorRelief } = require('../src/color-relief');
+const { computeSamplePositions } = require('../src/tile-sampler');
+const { EARTH_RADIUS } = require('../src/tiling');
+const { GeographicTilingScheme } = require('../src/tiling-scheme');
+
+const SIZE = 4;
+const DEG_TO_RAD = Math.PI / 180;
+const POSITIONS = computeSamplePositions({ minX: 0, minY: 0, maxX: 0.01, maxY: 0.01 }, SIZE, new GeographicTilingScheme(), 'pixels', 1);
+
+/**
+ * Buffered height grid from a height function of longitude.
+ */
+function createGrid(heightAt) {
+  return Float32Array.from({ length: POSITIONS.length / 2 }, (_, i) => heightAt(POSITIONS[i * 2]));
+}
+
+const RAMP = resolveColorRamp(parseColorRamp('0 0 0 0\n100 200 100 50 255\nnv 255 0 255 128'), 0, 100);
+
+async function decode(buffer) {
+  return sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+}
+
+describe('parseColorRamp', () => {
+  it('should read stops in any GDAL separator', () => {
+    const ramp = parseColorRamp([
+      '# Hypsometric tints',
+      '-10, 0, 0, 255',
+      '50%\t0 128 0 200',
+      '3000:255:255:255  # summits',
+      'NV 0 0 0 0',
+      '',
+    ].join('\r\n'));
+    expect(ramp).toEqual({
+      stops: [
+        { value: -10, color: [0, 0, 255, 255] },
+        { percent: 50, color: [0, 128, 0, 200] },
+        { value: 3000, color: [255, 255, 255, 255] },
+      ],
+      noData: [0, 0, 0, 0],
+    });
+  });
+
+  it('should reject invalid lines', () => {
+    expect(() => parseColorRamp('0 0 0 0\n100 0 0', 'ramp.txt')).toThrow(
+      'Invalid color in ramp.txt line 2: 100 0 0 (expected elevation R G B [A], 0-255)'
+    );
+    expect(() => parseColorRamp('0 0 0 256')).toThrow('Invalid color in color ramp line 1');
+    expect(() => parseColorRamp('high 0 0 0')).toThrow(
+      'Invalid elevation in color ramp line 1: high (expected meters, a percentage or nv)'
+    );
+    expect(() => parseColorRamp('% 0 0 0')).toThrow('Invalid elevation');
+    expect(() => parseColorRamp('nv 0 0 0\n# no stops', 'ramp.txt')).toThrow('No color stops in ramp.txt');
+  });
+});
+
+describe('resolveColorRamp', () => {
+  it('should place percentage stops in the elevation range', () => {
+    const ramp = parseColorRamp('100% 3 3 3\n0 1 1 1\n50% 2 2 2');
+    expect(resolveColorRamp(ramp, -100, 300).stops.map(stop => stop.value)).toEqual([0, 100, 300]);
+  });
+});
+
+describe('encodeColorRelief', () => {
+  it('should interpolate colors between stops and clamp past the ends', async () => {
+    // Columns at -50, 25, 75 and 150 m
+    const heights = [-100, -50, 25, 75, 150, 200];
+    const grid = createGrid(lon => heights[Math.round(lon / 0.01 * SIZE + 0.5)]);
+    const { data, info } = await decode(await encodeColorRelief(grid, SIZE, POSITIONS, { ramp: RAMP }, 'png'));
+
+    expect([info.width, info.height, info.channels]).toEqual([SIZE, SIZE, 4]);
+    expect(Array.from(data.subarray(0, 16))).toEqual([
+      0, 0, 0, 255,
+      50, 25, 13, 255,
+      150, 75, 38, 255,
+      200, 100, 50, 255,
+    ]);
+  });
+
+  it('should color samples without data with the nv color', async () => {
+    const noDataMask = new Uint8Array(SIZE * SIZE);
+    noDataMask[1] = 1;
+    const grid = createGrid(() => 50);
+    const { data } = await decode(await encodeColorRelief(grid, SIZE, POSITIONS, { ramp: RAMP, noDataMask }, 'png'));
+    expect(Array.from(data.subarray(0, 8))).toEqual([100, 50, 25, 255, 255, 0, 255, 128]);
+
+    // Without an nv color they are colored by their filled height
+    const ramp = { ...RAMP, noData: null };
+    const filled = await decode(await encodeColorRelief(grid, SIZE, POSITIONS, { ramp, noDataMask }, 'png'));
+    expect(Array.from(filled.data.subarray(4, 8))).toEqual([100, 50, 25, 255]);
+  });
+
+  it('should darken colors by the hillshade', async () => {
+    // Rising eastward at 45 degrees, above the ramp so every pixel is the last stop's color
+    const grid = createGrid(lon => 1000 + EARTH_RADIUS * lon * DEG_TO_RAD);
+    const options = { ramp: RAMP, hillshade: true };
+    const { data } = await decode(await encodeColorRelief(grid, SIZE, POSITIONS, options, 'png'));
+    // West-facing slopes are lit at 0.677; alpha is kept
+    expect(Array.from(data.subarray(0, 4))).toEqual([135, 68, 34, 255]);
+  });
+});
@@ -0,0 +1,103 @@
+const { decodeTileEdges, compareEdges, checkTileEdges } = require('../src/edge-check');
+const { encodeTerrarium, encodeQuantizedMesh } = require('../src/terrain-encoder');
+
+const SIZE = 5;
+
+/**
+ * Height grid of a tile from a height function of global sample coordinates,
+ * with tiles of one level sharing their edge samples.
+ */
+function createGrid(x, y, heightAt) {
+  const grid = new Float32Array(SIZE * SIZE);
+  for (let row = 0; row < SIZE; row++) {
+    for (let col = 0; col < SIZE; col++) {
+      grid[row * SIZE + col] = heightAt(x * (SIZE - 1) + col, y * (SIZE - 1) + row);
+    }
+  }
+  return grid;
+}
+
+/**
+ * In-memory tile store of 2x2 terrarium tiles at level 1 (XYZ rows).
+ */
+async function createStore(heightAt, layerJson = {}) {
+  const tiles = new Map();
+  for (let y = 0; y < 2; y++) {
+    for (let x = 0; x < 2; x++) {
+      tiles.set(`${x}/${y}`, await encodeTerrarium(createGrid(x, y, heightAt), SIZE, SIZE));
+    }
+  }
+  return {
+    layerJson: {
+      format: 'png',
+      encoding: 'terrarium',
+      scheme: 'xyz',
+      sharedBorders: true,
+      minzoom: 1,
+      maxzoom: 1,
+      available: [[], [{ startX: 0, startY: 0, endX: 1, endY: 1 }]],
+      ...layerJson,
+    },
+    getTile: async (z, x, y) => tiles.get(`${x}/${y}`) || null,
+  };
+}
+
+describe('decodeTileEdges', () => {
+  it('should read grid edges running west to east and north to south', async () => {
+    const grid = Float32Array.from({ length: SIZE * SIZE }, (_, i) => i);
+    const edges = await decodeTileEdges(await encodeTerrarium(grid, SIZE, SIZE), { format: 'png', encoding: 'terrarium' });
+
+    expect(Array.from(edges.north.heights)).toEqual([0, 1, 2, 3, 4]);
+    expect(Array.from(edges.east.heights)).toEqual([4, 9, 14, 19, 24]);
+    expect(Array.from(edges.south.positions)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+  });
+
+  it('should read quantized-mesh edges in the same orientation', async () => {
+    const grid = Float32Array.from({ length: SIZE * SIZE }, (_, i) => i * 10);
+    const bounds = { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+    const edges = await decodeTileEdges(encodeQuantizedMesh(grid, SIZE, SIZE, bounds), { format: 'quantized-mesh-1.0' });
+
+    expect(Array.from(edges.west.positions)).toEqual([0, 0.25, 0.5, 0.75, 1].map(p => expect.closeTo(p, 4)));
+    Array.from(edges.west.heights).forEach((h, i) => expect(h).toBeCloseTo(i * SIZE * 10, 1));
+    expect(edges.west.precision).toBeCloseTo(240 / 32767, 6);
+  });
+});
+
+describe('compareEdges', () => {
+  it('should interpolate edges with different vertices', () => {
+    const coarse = { positions: Float64Array.of(0, 1), heights: Float64Array.of(0, 10), precision: 0 };
+    const fine = { positions: Float64Array.of(0, 0.5, 1), heights: Float64Array.of(0, 6, 10), precision: 0 };
+    expect(compareEdges(coarse, fine)).toBeCloseTo(1, 10);
+    expect(compareEdges(fine, fine)).toBe(0);
+  });
+});
+
+describe('checkTileEdges', () => {
+  it('should accept tiles sharing their edges', async () => {
+    const store = await createStore((col, row) => col * 3 + row * 7);
+    const result = await checkTileEdges(store);
+    expect(result).toEqual({ edges: 4, maxDifference: 0, mismatches: [] });
+  });
+
+  it('should report edges that differ', async () => {
+    const store = await createStore((col, row) => col * 3 + row * 7);
+    const tile = await encodeTerrarium(createGrid(1, 1, () => 0), SIZE, SIZE);
+    const getTile = store.getTile;
+    store.getTile = async (z, x, y) => (x === 1 && y === 1 ? tile : getTile(z, x, y));
+
+    const { mismatches } = await checkTileEdges(store, { tolerance: 0.5 });
+    // XYZ row 1 is the southern row: 1/1/1 is east of 1/0/1 and south of 1/1/0
+    expect(mismatches.map(({ tile: t, neighbor, side }) => `${t.x}/${t.y} ${side} ${neighbor.x}/${neighbor.y}`))
+      .toEqual(['0/1 east 1/1', '1/1 north 1/0']);
+  });
+
+  it('should reject image tiles sampling pixel centers', async () => {
+    const store = await createStore(() => 0, { sharedBorders: undefined });
+    await expect(checkTileEdges(store)).rejects.toThrow('shared borders');
+  });
+
+  it('should reject terrain imagery tiles', async () => {
+    const store = await createStore(() => 0, { imagery: 'hillshade' });
+    await expect(checkTileEdges(store)).rejects.toThrow('Terrain imagery tiles (hillshade) have no heights to compare');
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { RunManifest, findInvalidatedTiles } = require('../src/manifest');
+const { GeographicTilingScheme } = require('../src/tiling-scheme');
+
+function createJob(overrides = {}) {
+  return {
+    tiles: { format: 'heightmap', tileSize: 65, availabilityLevels: 1 },
+    maxLevel: 5,
+    sources: [
+      { path: '/data/base.tif', priority: 0, size: 100, mtimeMs: 1, geographicBbox: [0, 0, 90, 45] },
+      { path: '/data/patch.tif', priority: 1, size: 10, mtimeMs: 1, geographicBbox: [10, 10, 11, 11] },
+    ],
+    ...overrides,
+  };
+}
+
+describe('findInvalidatedTiles', () => {
+  it('should keep every tile of an unchanged job', () => {
+    const result = findInvalidatedTiles(createJob(), createJob());
+    expect(result).toEqual({ all: false, levels: [], bboxes: [], reasons: [] });
+  });
+
+  it('should invalidate every tile when tile parameters change', () => {
+    const result = findInvalidatedTiles(createJob(), createJob({ tiles: { format: 'heightmap', tileSize: 33, availabilityLevels: 1 } }));
+    expect(result.all).toBe(true);
+    expect(result.reasons).toEqual(['changed tileSize']);
+  });
+
+  it('should invalidate the extent of a modified source', () => {
+    const current = createJob();
+    current.sources[1] = { ...current.sources[1], mtimeMs: 2 };
+    const result = findInvalidatedTiles(createJob(), current);
+    expect(result.all).toBe(false);
+    expect(result.bboxes).toEqual([[10, 10, 11, 11], [10, 10, 11, 11]]);
+    // Root tiles outside every extent are filled from the DEMs' edges
+    expect(result.levels).toEqual([0]);
+    expect(result.reasons).toEqual(['changed source /data/patch.tif']);
+  });
+
+  it('should invalidate the extents of added and removed sources', () => {
+    const previous = createJob();
+    const current = createJob({ sources: [previous.sources[0]] });
+    expect(findInvalidatedTiles(previous, current).bboxes).toEqual([[10, 10, 11, 11]]);
+    expect(findInvalidatedTiles(current, previous).bboxes).toEqual([[10, 10, 11, 11]]);
+  });
+
+  it('should invalidate the shallower max level only when tiles record child availability', () => {
+    expect(findInvalidatedTiles(createJob(), createJob({ maxLevel: 8 })).levels).toEqual([5]);
+    expect(findInvalidatedTiles(createJob({ maxLevel: 8 }), createJob()).levels).toEqual([5]);
+
+    const png = { format: 'png', tileSize: 256 };
+    expect(findInvalidatedTiles(createJob({ tiles: png }), createJob({ tiles: png, maxLevel: 8 })).levels)
+      .toEqual([]);
+  });
+
+  it('should invalidate the tiles describing the availability of the shallower max level', () => {
+    const tiles = { format: 'quantized-mesh', tileSize: 65, availabilityLevels: 10 };
+    const job = maxLevel => createJob({ tiles, maxLevel });
+    expect(findInvalidatedTiles(job(15), job(25)).levels).toEqual([10]);
+    expect(findInvalidatedTiles(job(12), job(8)).levels).toEqual([0]);
+    expect(findInvalidatedTiles(job(10), job(12)).levels).toEqual([10]);
+  });
+
+  it('should invalidate every tile of a bottom-up pyramid when the max level changes', () => {
+    const tiles = { format: 'png', tileSize: 256, pyramid: { reducer: 'max' } };
+    const result = findInvalidatedTiles(createJob({ tiles }), createJob({ tiles, maxLevel: 8 }));
+    expect(result.all).toBe(true);
+    expect(result.reasons).toEqual(['max level changed from 5 to 8 (bottom-up pyramid)']);
+  });
+});
+
+describe('RunManifest', () => {
+  const scheme = new GeographicTilingScheme();
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('should resume the completed tiles of the same job', async () => {
+    const manifest = await RunManifest.open(dir, createJob(), { scheme });
+    expect(manifest.resumed).toBe(false);
+    await manifest.markComplete([{ x: 0, y: 0, z: 0 }, { x: 2, y: 1, z: 1 }]);
+
+    const resumed = await RunManifest.open(dir, createJob(), { scheme });
+    expect(resumed.resumed).toBe(true);
+    expect(resumed.size).toBe(2);
+    expect(resumed.has({ x: 2, y: 1, z: 1 })).toBe(true);
+    expect(resumed.has({ x: 1, y: 0, z: 0 })).toBe(false);
+  });
+
+  it('should remember which completed tiles were empty', async () => {
+    const manifest = await RunManifest.open(dir, createJob(), { scheme });
+    await manifest.markComplete([{ x: 0, y: 0, z: 0 }], [{ x: 1, y: 0, z: 0 }]);
+    expect(manifest.isWritten({ x: 0, y: 0, z: 0 })).toBe(true);
+    expect(manifest.isWritten({ x: 1, y: 0, z: 0 })).toBe(false);
+
+    const resumed = await RunManifest.open(dir, createJob(), { scheme });
+    expect(resumed.has({ x: 1, y: 0, z: 0 })).toBe(true);
+    expect(resumed.isWritten({ x: 0, y: 0, z: 0 })).toBe(true);
+    expect(resumed.isWritten({ x: 1, y: 0, z: 0 })).toBe(false);
+  });
+
+  it('should drop only the tiles a job change affects', async () => {
+    const manifest = await RunManifest.open(dir, createJob(), { scheme });
+    // Level 3 tiles are 22.5 degrees wide: the first covers the patch, the second does not
+    await manifest.markComplete([{ x: 8, y: 4, z: 3 }, { x: 12, y: 4, z: 3 }]);
+
+    const current = createJob();
+    current.sources[1] = { ...current.sources[1], size: 11 };
+    const resumed = await RunManifest.open(dir, current, { scheme });
+    expect(resumed.has({ x: 8, y: 4, z: 3 })).toBe(false);
+    expect(resumed.has({ x: 12, y: 4, z: 3 })).toBe(true);
+  });
+
+  it('should discard completed tiles when forced', async () => {
+    const manifest = await RunManifest.open(dir, createJob(), { scheme });
+    await manifest.markComplete([{ x: 0, y: 0, z: 0 }]);
+
+    const forced = await RunManifest.open(dir, createJob(), { scheme, force: true });
+    expect(forced.size).toBe(0);
+    const reopened = await RunManifest.open(dir, createJob(), { scheme });
+    expect(reopened.size).toBe(0);
+  });
+
+  it('should keep tile elevation grids', async () => {
+    const manifest = await RunManifest.open(dir, createJob(), { scheme });
+    const tile = { x: 3, y: 1, z: 2 };
+    await manifest.writeTileGrid(tile, new Float32Array([1.5, NaN, -3, 4]));
+
+    expect(Array.from(await manifest.readTileGrid(tile, 4))).toEqual([1.5, NaN, -3, 4]);
+    expect(await manifest.readTileGrid(tile, 9)).toBeNull();
+    expect(await manifest.readTileGrid({ x: 0, y: 0, z: 0 }, 4)).toBeNull();
+
+    await manifest.writeTileGrid(tile, null);
+    expect(await manifest.readTileGrid(tile, 4)).toBeNull();
+  });
+});
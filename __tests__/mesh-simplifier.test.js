@@ -0,0 +1,99 @@
+const {
+  createAdaptiveMesh,
+  isValidGridSize,
+  getGridSizeFor,
+} = require('../src/mesh-simplifier');
+const { QUANTIZED_MAX } = require('../src/quantized-mesh');
+
+/**
+ * Interpolate the mesh surface at a grid sample by finding its containing triangle.
+ */
+function interpolateMesh(mesh, gridSize, col, row) {
+  const pu = col / (gridSize - 1) * QUANTIZED_MAX;
+  const pv = (gridSize - 1 - row) / (gridSize - 1) * QUANTIZED_MAX;
+
+  for (let i = 0; i < mesh.indices.length; i += 3) {
+    const [a, b, c] = [mesh.indices[i], mesh.indices[i + 1], mesh.indices[i + 2]];
+    const det = (mesh.v[b] - mesh.v[c]) * (mesh.u[a] - mesh.u[c]) + (mesh.u[c] - mesh.u[b]) * (mesh.v[a] - mesh.v[c]);
+    const wa = ((mesh.v[b] - mesh.v[c]) * (pu - mesh.u[c]) + (mesh.u[c] - mesh.u[b]) * (pv - mesh.v[c])) / det;
+    const wb = ((mesh.v[c] - mesh.v[a]) * (pu - mesh.u[c]) + (mesh.u[a] - mesh.u[c]) * (pv - mesh.v[c])) / det;
+    const wc = 1 - wa - wb;
+    if (wa >= -1e-9 && wb >= -1e-9 && wc >= -1e-9) {
+      return wa * mesh.heights[a] + wb * mesh.heights[b] + wc * mesh.heights[c];
+    }
+  }
+
+  throw new Error(`No triangle contains sample ${col},${row}`);
+}
+
+function createRidge(gridSize) {
+  const data = new Float32Array(gridSize * gridSize);
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      // Sharp ridge along the diagonal plus gentle noise-like variation
+      data[row * gridSize + col] = 1000 - Math.abs(col - row) * 20 + Math.sin(col * 0.7) * 3;
+    }
+  }
+  return data;
+}
+
+describe('Mesh simplifier', () => {
+  describe('grid sizes', () => {
+    it('should accept 2^k + 1 sizes', () => {
+      expect(isValidGridSize(257)).toBe(true);
+      expect(isValidGridSize(65)).toBe(true);
+      expect(isValidGridSize(256)).toBe(false);
+    });
+
+    it('should round up to the next valid size', () => {
+      expect(getGridSizeFor(256)).toBe(257);
+      expect(getGridSizeFor(65)).toBe(65);
+      expect(getGridSizeFor(100)).toBe(129);
+    });
+  });
+
+  describe('createAdaptiveMesh', () => {
+    it('should collapse a flat tile to two triangles', () => {
+      const mesh = createAdaptiveMesh(new Float32Array(33 * 33).fill(42), 33, 0.5);
+      expect(mesh.indices.length).toBe(6);
+      expect(mesh.u.length).toBe(4);
+      Array.from(mesh.heights).forEach(h => expect(h).toBe(42));
+    });
+
+    it('should keep every sample within the error budget', () => {
+      const gridSize = 17;
+      const terrain = createRidge(gridSize);
+      const maxError = 2;
+      const mesh = createAdaptiveMesh(terrain, gridSize, maxError);
+
+      for (let row = 0; row < gridSize; row++) {
+        for (let col = 0; col < gridSize; col++) {
+          const height = interpolateMesh(mesh, gridSize, col, row);
+          expect(Math.abs(height - terrain[row * gridSize + col])).toBeLessThanOrEqual(maxError + 1e-3);
+        }
+      }
+    });
+
+    it('should use fewer triangles for larger error budgets', () => {
+      const terrain = createRidge(33);
+      const fine = createAdaptiveMesh(terrain, 33, 0.1);
+      const coarse = createAdaptiveMesh(terrain, 33, 50);
+      expect(coarse.indices.length).toBeLessThan(fine.indices.length);
+    });
+
+    it('should wind triangles counter-clockwise', () => {
+      const mesh = createAdaptiveMesh(createRidge(17), 17, 1);
+      for (let i = 0; i < mesh.indices.length; i += 3) {
+        const [a, b, c] = [mesh.indices[i], mesh.indices[i + 1], mesh.indices[i + 2]];
+        const area = (mesh.u[b] - mesh.u[a]) * (mesh.v[c] - mesh.v[a]) - (mesh.v[b] - mesh.v[a]) * (mesh.u[c] - mesh.u[a]);
+        expect(area).toBeGreaterThan(0);
+      }
+    });
+
+    it('should resample grids that are not 2^k + 1', () => {
+      const mesh = createAdaptiveMesh(new Float32Array(16 * 16).fill(5), 16, 1);
+      expect(mesh.indices.length).toBe(6);
+      expect(Math.max(...mesh.u)).toBe(QUANTIZED_MAX);
+    });
+  });
+});
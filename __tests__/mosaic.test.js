@@ -0,0 +1,216 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/dem-reader', () => ({ openDEM: jest.fn() }));
+
+const { openDEM } = require('../src/dem-reader');
+const { RasterSource } = require('../src/raster-source');
+const { resolveMosaicSources, openMosaic, sampleMosaicTile } = require('../src/mosaic');
+const { GeographicTilingScheme } = require('../src/tiling-scheme');
+
+const SIZE = 10;
+
+/**
+ * Minimal stand-in for a geotiff.js image with a value per pixel.
+ * @param {Function} valueAt - (x, y) => pixel value
+ */
+function createImage(valueAt) {
+  return {
+    isTiled: false,
+    getWidth: () => SIZE,
+    getHeight: () => SIZE,
+    getTileWidth: () => SIZE,
+    getTileHeight: () => SIZE,
+    getSampleByteSize: () => 4,
+    readRasters: async ({ window: [x0, y0, x1, y1] }) => {
+      const data = new Float32Array((x1 - x0) * (y1 - y0));
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          data[(y - y0) * (x1 - x0) + (x - x0)] = valueAt(x, y);
+        }
+      }
+      return [data];
+    },
+  };
+}
+
+/**
+ * Mock of an opened geographic DEM with SIZE x SIZE pixels over the given bounds.
+ */
+function createDEM(bbox, valueAt, noDataValue) {
+  const source = new RasterSource(createImage(valueAt));
+  return {
+    source,
+    sources: [source],
+    metadata: {
+      path: 'mock.tif',
+      width: SIZE,
+      height: SIZE,
+      bbox,
+      geographicBbox: bbox,
+      overviews: [],
+      noDataValue,
+      crs: { type: 'longlat', name: 'EPSG:4326' },
+      minElevation: 0,
+      maxElevation: 100,
+    },
+    close: jest.fn(),
+  };
+}
+
+async function openMockMosaic(dems, sources) {
+  openDEM.mockReset();
+  dems.forEach(dem => openDEM.mockResolvedValueOnce(dem));
+  return openMosaic(sources || dems.map((dem, i) => ({ path: `dem${i}.tif`, priority: i, feather: 0 })));
+}
+
+// One-degree tile sampled at its pixel centers, one sample per source pixel (about 11 km)
+const TILE_BOUNDS = { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+const scheme = new GeographicTilingScheme();
+const sample = mosaic => sampleMosaicTile(mosaic, TILE_BOUNDS, SIZE, scheme, 'pixels', 11e3);
+
+describe('resolveMosaicSources', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mosaic-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should give later inputs a higher priority', async () => {
+    const sources = await resolveMosaicSources(['base.tif', 'lidar.tif'], { feather: 4 });
+    expect(sources).toEqual([
+      { path: 'base.tif', priority: 0, feather: 4, sourceCrs: undefined },
+      { path: 'lidar.tif', priority: 1, feather: 4, sourceCrs: undefined },
+    ]);
+  });
+
+  it('should read a mosaic file relative to its directory', async () => {
+    const mosaicPath = path.join(tmpDir, 'mosaic.json');
+    await fs.writeJson(mosaicPath, {
+      feather: 8,
+      sources: ['base.tif', { path: 'lidar/patch.tif', priority: 10, feather: 2, sourceCrs: 'EPSG:32633' }],
+    });
+
+    const sources = await resolveMosaicSources([mosaicPath], { feather: 1 });
+    expect(sources).toEqual([
+      { path: path.join(tmpDir, 'base.tif'), priority: 0, feather: 8, sourceCrs: undefined },
+      { path: path.join(tmpDir, 'lidar/patch.tif'), priority: 10, feather: 2, sourceCrs: 'EPSG:32633' },
+    ]);
+  });
+
+  it('should reject invalid mosaic files', async () => {
+    const mosaicPath = path.join(tmpDir, 'invalid.json');
+    await fs.writeJson(mosaicPath, { sources: [{ priority: 1 }] });
+    await expect(resolveMosaicSources(mosaicPath)).rejects.toThrow('source 0 has no path');
+    await expect(resolveMosaicSources([mosaicPath, 'dem.tif'])).rejects.toThrow('cannot be combined');
+  });
+});
+
+describe('openMosaic', () => {
+  it('should combine source bounds and order layers by priority', async () => {
+    const base = createDEM([0, 0, 1, 1], () => 1);
+    const patch = createDEM([0.5, 0.5, 2, 2], () => 2);
+    const mosaic = await openMockMosaic([base, patch], [
+      { path: 'base.tif', priority: 5, feather: 0 },
+      { path: 'patch.tif', priority: 1, feather: 0 },
+    ]);
+
+    expect(mosaic.layers.map(layer => layer.source.path)).toEqual(['base.tif', 'patch.tif']);
+    expect(mosaic.metadata.geographicBbox).toEqual([0, 0, 2, 2]);
+    expect(openDEM.mock.calls[0][1].cache).toBe(openDEM.mock.calls[1][1].cache);
+
+    mosaic.close();
+    expect(base.close).toHaveBeenCalled();
+    expect(patch.close).toHaveBeenCalled();
+  });
+
+  it('should reject sources without a supported CRS', async () => {
+    const dem = createDEM([0, 0, 1, 1], () => 1);
+    dem.metadata.crs = null;
+    dem.metadata.crsError = 'no GeoKeys';
+    await expect(openMockMosaic([dem])).rejects.toThrow('Unsupported coordinate reference system in dem0.tif');
+    expect(dem.close).toHaveBeenCalled();
+  });
+});
+
+describe('sampleMosaicTile', () => {
+  it('should prefer the higher-priority source', async () => {
+    const mosaic = await openMockMosaic([
+      createDEM([0, 0, 1, 1], () => 100),
+      createDEM([0, 0, 0.5, 1], () => 200),
+    ]);
+    const values = await sample(mosaic);
+    // Western half is covered by the patch
+    expect(values[0]).toBe(200);
+    expect(values[SIZE / 2 - 1]).toBe(200);
+    expect(values[SIZE / 2]).toBe(100);
+    expect(values[SIZE - 1]).toBe(100);
+  });
+
+  it('should fall through no-data pixels to lower priorities', async () => {
+    const mosaic = await openMockMosaic([
+      createDEM([0, 0, 1, 1], () => 100),
+      createDEM([0, 0, 1, 1], x => (x < 5 ? 200 : -9999), -9999),
+    ]);
+    const values = await sample(mosaic);
+    expect(values[0]).toBe(200);
+    expect(values[SIZE - 1]).toBe(100);
+  });
+
+  it('should feather patch edges into the sources beneath', async () => {
+    const mosaic = await openMockMosaic([
+      createDEM([0, 0, 1, 1], () => 100),
+      createDEM([0, 0, 1, 1], () => 200),
+    ], [
+      { path: 'base.tif', priority: 0, feather: 0 },
+      { path: 'patch.tif', priority: 1, feather: 4 },
+    ]);
+    const values = await sample(mosaic);
+    const row = Array.from(values.slice(4 * SIZE, 5 * SIZE));
+    // Pixel centers are 0.5 px from the edge: weight 0.5 / 4
+    expect(row[0]).toBeCloseTo(100 + 100 * 0.125, 3);
+    expect(row[2]).toBeCloseTo(100 + 100 * 0.625, 3);
+    expect(row[4]).toBe(200);
+    expect(row[SIZE - 1]).toBeCloseTo(row[0], 3);
+  });
+
+  it('should feather patches into the sources beneath along their no-data collars', async () => {
+    const mosaic = await openMockMosaic([
+      createDEM([0, 0, 1, 1], () => 100),
+      // Western half of the patch is a no-data collar
+      createDEM([0, 0, 1, 1], x => (x < 5 ? -9999 : 200), -9999),
+    ], [
+      { path: 'base.tif', priority: 0, feather: 0 },
+      { path: 'patch.tif', priority: 1, feather: 4 },
+    ]);
+    const values = await sample(mosaic);
+    const row = Array.from(values.slice(4 * SIZE, 5 * SIZE));
+    expect(row[4]).toBe(100);
+    // Ramps from the data edge as from the raster edge on the east side
+    expect(row[5]).toBeCloseTo(100 + 100 * 0.125, 3);
+    expect(row[6]).toBeCloseTo(100 + 100 * 0.375, 3);
+    expect(row[SIZE - 1]).toBeCloseTo(row[5], 3);
+    expect(row[7]).toBeCloseTo(row[SIZE - 3], 3);
+  });
+
+  it('should return no-data where no source has data', async () => {
+    const mosaic = await openMockMosaic([createDEM([0, 0, 1, 1], () => -9999, -9999)]);
+    const values = await sample(mosaic);
+    expect(values.every(v => Number.isNaN(v))).toBe(true);
+  });
+
+  it('should clamp samples outside every source unless told not to', async () => {
+    const mosaic = await openMockMosaic([createDEM([0, 0, 0.5, 1], () => 100)]);
+    expect((await sample(mosaic))[SIZE - 1]).toBe(100);
+
+    const options = { clampUncovered: false };
+    const values = await sampleMosaicTile(mosaic, TILE_BOUNDS, SIZE, scheme, 'pixels', 11e3, undefined, 0, options);
+    expect(values[SIZE / 2 - 1]).toBe(100);
+    expect(values[SIZE / 2]).toBeNaN();
+  });
+});
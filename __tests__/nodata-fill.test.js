@@ -0,0 +1,67 @@
+const { parseNoDataFill, countValidSamples, fillNoData } = require('../src/nodata-fill');
+
+describe('parseNoDataFill', () => {
+  it('should parse strategies and constant heights', () => {
+    expect(parseNoDataFill('idw')).toEqual({ type: 'idw' });
+    expect(parseNoDataFill('nearest')).toEqual({ type: 'nearest' });
+    expect(parseNoDataFill('0')).toEqual({ type: 'constant', value: 0 });
+    expect(parseNoDataFill('-12.5')).toEqual({ type: 'constant', value: -12.5 });
+    expect(parseNoDataFill(3)).toEqual({ type: 'constant', value: 3 });
+  });
+
+  it('should reject unknown strategies', () => {
+    expect(() => parseNoDataFill('bicubic')).toThrow('Unsupported no-data fill: bicubic');
+    expect(() => parseNoDataFill('')).toThrow('Unsupported no-data fill');
+  });
+});
+
+describe('fillNoData', () => {
+  it('should count valid samples', () => {
+    expect(countValidSamples(new Float32Array([1, NaN, 3]))).toBe(2);
+  });
+
+  it('should leave complete grids untouched', () => {
+    const data = new Float32Array([1, 2, 3, 4]);
+    expect(Array.from(fillNoData(data, 2, 2, { type: 'idw' }))).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should fill with a constant height', () => {
+    const data = new Float32Array([5, NaN, NaN, 5]);
+    expect(Array.from(fillNoData(data, 2, 2, { type: 'constant', value: 0 }))).toEqual([5, 0, 0, 5]);
+  });
+
+  it('should fill with the nearest valid sample', () => {
+    const data = new Float32Array([
+      10, NaN, NaN, NaN, 40,
+      NaN, NaN, NaN, NaN, NaN,
+    ]);
+    fillNoData(data, 5, 2, { type: 'nearest' });
+    expect(Array.from(data)).toEqual([
+      10, 10, 10, 40, 40,
+      10, 10, 10, 40, 40,
+    ]);
+  });
+
+  it('should interpolate holes by inverse distance', () => {
+    const data = new Float32Array([0, NaN, NaN, 30]);
+    fillNoData(data, 4, 1, { type: 'idw' });
+    // Weights 1/1 and 1/4 for the sample next to 0, and the mirror image next to 30
+    expect(data[1]).toBeCloseTo(6, 5);
+    expect(data[2]).toBeCloseTo(24, 5);
+  });
+
+  it('should blend surrounding heights into interior holes', () => {
+    const data = new Float32Array(25).fill(100);
+    data[12] = NaN;
+    data[7] = NaN;
+    fillNoData(data, 5, 5, { type: 'idw' });
+    expect(data[12]).toBeCloseTo(100, 5);
+    expect(data[7]).toBeCloseTo(100, 5);
+  });
+
+  it('should fill grids without any data with 0 unless a constant is given', () => {
+    expect(Array.from(fillNoData(new Float32Array([NaN, NaN]), 2, 1, { type: 'idw' }))).toEqual([0, 0]);
+    expect(Array.from(fillNoData(new Float32Array([NaN, NaN]), 2, 1, { type: 'nearest' }))).toEqual([0, 0]);
+    expect(Array.from(fillNoData(new Float32Array([NaN]), 1, 1, { type: 'constant', value: -5 }))).toEqual([-5]);
+  });
+});
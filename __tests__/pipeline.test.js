@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/dem-reader', () => ({ openDEM: jest.fn() }));
+
+const { openDEM } = require('../src/dem-reader');
+const { ArrayRasterSource } = require('../src/raster-source');
+const { checkTilesetEdges } = require('../src/edge-check');
+const { buildLayerJson, generateTerrainTiles } = require('../src/pipeline');
+const { generateTilingScheme } = require('../src/tiling');
+const { GeographicTilingScheme, WebMercatorTilingScheme } = require('../src/tiling-scheme');
+
+const METADATA = { sources: [{ path: '/data/dem.tif' }], geographicBbox: [0, 0, 90, 85] };
+const PNG = { extension: '.png', layerFormat: 'png' };
+const QUANTIZED_MESH = { extension: '.terrain', layerFormat: 'quantized-mesh-1.0', cesiumTerrain: true };
+
+describe('buildLayerJson', () => {
+  it('should list the written tiles in TMS rows', () => {
+    const tilingScheme = generateTilingScheme(METADATA.geographicBbox, 0, 2, new WebMercatorTilingScheme());
+    const writtenTiles = {
+      0: tilingScheme.levels[0],
+      1: tilingScheme.levels[1],
+      // XYZ row 0 is the northern row; one tile of level 2 had nothing to write
+      2: [{ x: 2, y: 0, z: 2 }, { x: 2, y: 1, z: 2 }, { x: 3, y: 0, z: 2 }],
+    };
+
+    const layerJson = buildLayerJson(METADATA, tilingScheme, PNG, [], { writtenTiles, attribution: '© Survey' });
+    expect(layerJson.available).toEqual([
+      [{ startX: 0, startY: 0, endX: 0, endY: 0 }],
+      [{ startX: 1, startY: 1, endX: 1, endY: 1 }],
+      [{ startX: 2, startY: 2, endX: 2, endY: 2 }, { startX: 2, startY: 3, endX: 3, endY: 3 }],
+    ]);
+    expect(layerJson).toMatchObject({ scheme: 'xyz', attribution: '© Survey', tiles: ['{z}/{x}/{y}.png'] });
+    expect(layerJson.metadataAvailability).toBeUndefined();
+    expect(layerJson.sharedBorders).toBeUndefined();
+  });
+
+  it('should mark image tiles with shared borders', () => {
+    const tilingScheme = generateTilingScheme(METADATA.geographicBbox, 0, 1, new WebMercatorTilingScheme());
+    expect(buildLayerJson(METADATA, tilingScheme, PNG, [], { sharedBorders: true }).sharedBorders).toBe(true);
+  });
+
+  it('should name the product of terrain imagery tiles', () => {
+    const tilingScheme = generateTilingScheme(METADATA.geographicBbox, 0, 1, new WebMercatorTilingScheme());
+    const layerJson = buildLayerJson(METADATA, tilingScheme, { ...PNG, imagery: 'hillshade' }, []);
+    expect(layerJson).toMatchObject({ format: 'png', imagery: 'hillshade', tiles: ['{z}/{x}/{y}.png'] });
+    expect(layerJson.encoding).toBeUndefined();
+  });
+
+  it('should follow Cesium conventions for terrain formats', () => {
+    const tilingScheme = generateTilingScheme(METADATA.geographicBbox, 0, 1, new WebMercatorTilingScheme());
+    const layerJson = buildLayerJson(METADATA, tilingScheme, QUANTIZED_MESH, []);
+    expect(layerJson).toMatchObject({
+      scheme: 'slippyMap',
+      attribution: '',
+      tiles: ['{z}/{x}/{y}.terrain?v={version}'],
+    });
+  });
+
+  it('should leave deep availability to the quantized-mesh metadata extension', () => {
+    const tilingScheme = generateTilingScheme([10, 10, 11, 11], 0, 12, new GeographicTilingScheme());
+    const layerJson = buildLayerJson(METADATA, tilingScheme, QUANTIZED_MESH, ['metadata']);
+    expect(layerJson.scheme).toBe('tms');
+    expect(layerJson.metadataAvailability).toBe(10);
+    expect(layerJson.available).toHaveLength(11);
+  });
+});
+
+describe('generateTerrainTiles', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-test-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tmpDir);
+  });
+
+  /**
+   * Mock of an opened 10 x 10 degree DEM that covers its level 4 and 5 parent tiles only partly.
+   */
+  function createDEM(metadata = {}) {
+    const size = 100;
+    const bbox = [3.3, 40.7, 13.3, 50.7];
+    const data = Float32Array.from({ length: size * size }, (_, i) => {
+      const x = i % size;
+      const y = Math.floor(i / size);
+      return 500 + 300 * Math.sin(x / 4) * Math.cos(y / 5) + 2 * x;
+    });
+    const source = new ArrayRasterSource(data, size, size);
+    return {
+      source,
+      sources: [source],
+      metadata: {
+        path: 'dem.tif',
+        width: size,
+        height: size,
+        bbox,
+        geographicBbox: bbox,
+        overviews: [],
+        noDataValue: null,
+        crs: { type: 'longlat', name: 'EPSG:4326' },
+        minElevation: 200,
+        maxElevation: 1000,
+        ...metadata,
+      },
+      close: jest.fn(),
+    };
+  }
+
+  async function createInput() {
+    const inputPath = path.join(tmpDir, 'dem.tif');
+    await fs.writeFile(inputPath, '');
+    return inputPath;
+  }
+
+  it('should build bottom-up parents of missing children with matching edges', async () => {
+    openDEM.mockImplementation(async () => createDEM());
+    const inputPath = await createInput();
+    const outputDir = path.join(tmpDir, 'tiles');
+
+    await generateTerrainTiles({
+      inputPath,
+      outputDir,
+      format: 'heightmap',
+      maxLevel: 5,
+      workers: 1,
+      bottomUp: true,
+      reducer: 'max',
+    });
+
+    const result = await checkTilesetEdges(outputDir);
+    expect(result.edges).toBeGreaterThan(10);
+    expect(result.mismatches).toEqual([]);
+  });
+
+  it('should write both geographic root tiles of Cesium terrain when the DEM covers one hemisphere', async () => {
+    openDEM.mockImplementation(async () => createDEM());
+    const inputPath = await createInput();
+
+    for (const format of ['heightmap', 'quantized-mesh']) {
+      for (const bottomUp of [false, true]) {
+        const outputDir = path.join(tmpDir, `${format}-${bottomUp}`);
+        await generateTerrainTiles({ inputPath, outputDir, format, maxLevel: 2, workers: 1, bottomUp });
+
+        const layerJson = await fs.readJson(path.join(outputDir, 'layer.json'));
+        expect(layerJson.available[0]).toEqual([{ startX: 0, startY: 0, endX: 1, endY: 0 }]);
+        expect(layerJson.available[1]).toEqual([{ startX: 2, startY: 1, endX: 2, endY: 1 }]);
+        expect(await fs.pathExists(path.join(outputDir, '0/0/0.terrain'))).toBe(true);
+        expect(await fs.pathExists(path.join(outputDir, '0/1/0.terrain'))).toBe(true);
+        // The western root takes the DEM's clamped edge heights along the shared meridian
+        expect((await checkTilesetEdges(outputDir)).mismatches).toEqual([]);
+      }
+    }
+  });
+
+  it('should warn when range-scaled tiles use an estimated elevation range', async () => {
+    const inputPath = await createInput();
+    const warned = () => console.log.mock.calls.some(args => String(args[0]).includes('elevation range estimated'));
+
+    openDEM.mockImplementation(async () => createDEM({ elevationRangeSource: 'sampled' }));
+    await generateTerrainTiles({ inputPath, outputDir: path.join(tmpDir, 'png'), tileSize: 16, maxLevel: 0, workers: 1 });
+    expect(warned()).toBe(true);
+
+    console.log.mockClear();
+    const terrarium = { inputPath, outputDir: path.join(tmpDir, 'terrarium'), format: 'terrarium', tileSize: 16, maxLevel: 0, workers: 1 };
+    await generateTerrainTiles(terrarium);
+    expect(warned()).toBe(false);
+  });
+});
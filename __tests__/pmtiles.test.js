@@ -0,0 +1,136 @@
+const {
+  zxyToTileId,
+  layoutTileData,
+  serializeDirectory,
+  deserializeDirectory,
+  buildDirectories,
+  encodeHeader,
+  decodeHeader,
+  findEntry,
+  HEADER_SIZE,
+} = require('../src/pmtiles');
+
+describe('zxyToTileId', () => {
+  it('should number tiles along the Hilbert curve of each level', () => {
+    expect(zxyToTileId(0, 0, 0)).toBe(0);
+    expect([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => zxyToTileId(1, x, y))).toEqual([1, 2, 3, 4]);
+    expect(zxyToTileId(2, 0, 0)).toBe(5);
+    expect(zxyToTileId(12, 3423, 1763)).toBe(19078479);
+  });
+
+  it('should reject tiles outside their level', () => {
+    expect(() => zxyToTileId(1, 2, 0)).toThrow('outside its zoom level');
+    expect(() => zxyToTileId(27, 0, 0)).toThrow('limited to 26');
+  });
+});
+
+describe('layoutTileData', () => {
+  const tiles = [
+    { tileId: 3, length: 10, hash: 'a' },
+    { tileId: 1, length: 10, hash: 'a' },
+    { tileId: 2, length: 10, hash: 'a' },
+    { tileId: 5, length: 4, hash: 'b' },
+  ];
+
+  it('should order tiles by tile ID and merge identical runs', () => {
+    const { entries, contents, addressedTiles } = layoutTileData(tiles, { dedup: true });
+    expect(entries).toEqual([
+      { tileId: 1, offset: 0, length: 10, runLength: 3 },
+      { tileId: 5, offset: 10, length: 4, runLength: 1 },
+    ]);
+    expect(contents.map(tile => tile.tileId)).toEqual([1, 5]);
+    expect(addressedTiles).toBe(4);
+  });
+
+  it('should store every tile without deduplication', () => {
+    const { entries, contents } = layoutTileData(tiles);
+    expect(entries.map(entry => [entry.tileId, entry.offset])).toEqual([[1, 0], [2, 10], [3, 20], [5, 30]]);
+    expect(contents).toHaveLength(4);
+  });
+});
+
+describe('directories', () => {
+  it('should round-trip entries', () => {
+    const entries = [
+      { tileId: 0, offset: 0, length: 100, runLength: 1 },
+      { tileId: 1, offset: 100, length: 50, runLength: 2 },
+      { tileId: 4, offset: 0, length: 100, runLength: 1 },
+      { tileId: 2 ** 40, offset: 2 ** 33, length: 300, runLength: 1 },
+    ];
+    expect(deserializeDirectory(serializeDirectory(entries))).toEqual(entries);
+  });
+
+  it('should move entries into leaf directories when the root grows too large', () => {
+    // Pseudo-random gaps and lengths, which compress poorly
+    const entries = [];
+    let seed = 1;
+    const random = () => { seed = (seed * 48271) % 2147483647; return seed; };
+    let tileId = 0;
+    let offset = 0;
+    for (let i = 0; i < 20000; i++) {
+      const length = 100 + random() % 100000;
+      tileId += 1 + random() % 1000;
+      entries.push({ tileId, offset, length, runLength: 1 });
+      offset += length;
+    }
+
+    const { root, leaves } = buildDirectories(entries);
+    expect(root.length).toBeLessThanOrEqual(16384 - HEADER_SIZE);
+    expect(leaves.length).toBeGreaterThan(0);
+
+    const rootEntries = deserializeDirectory(root);
+    expect(rootEntries.every(entry => entry.runLength === 0)).toBe(true);
+    const pointer = findEntry(rootEntries, entries[12345].tileId);
+    const leaf = deserializeDirectory(leaves.subarray(pointer.offset, pointer.offset + pointer.length));
+    expect(findEntry(leaf, entries[12345].tileId)).toEqual(entries[12345]);
+  });
+});
+
+describe('findEntry', () => {
+  const entries = [
+    { tileId: 10, offset: 0, length: 1, runLength: 3 },
+    { tileId: 20, offset: 1, length: 1, runLength: 1 },
+  ];
+
+  it('should find tiles within runs', () => {
+    expect(findEntry(entries, 12)).toBe(entries[0]);
+    expect(findEntry(entries, 20)).toBe(entries[1]);
+    expect(findEntry(entries, 13)).toBeNull();
+    expect(findEntry(entries, 5)).toBeNull();
+  });
+});
+
+describe('header', () => {
+  it('should round-trip header fields', () => {
+    const header = {
+      rootDirectoryOffset: HEADER_SIZE,
+      rootDirectoryLength: 42,
+      metadataOffset: 169,
+      metadataLength: 300,
+      leafDirectoryOffset: 469,
+      leafDirectoryLength: 0,
+      tileDataOffset: 469,
+      tileDataLength: 2 ** 36,
+      addressedTiles: 1000,
+      tileEntries: 900,
+      tileContents: 800,
+      clustered: true,
+      internalCompression: 2,
+      tileCompression: 1,
+      tileType: 2,
+      minZoom: 0,
+      maxZoom: 14,
+      bounds: [-12.5, -45.25, 30.125, 60.5],
+      center: [8.8125, 7.625, 0],
+    };
+    const buffer = encodeHeader(header);
+    expect(buffer).toHaveLength(HEADER_SIZE);
+    expect(buffer.toString('ascii', 0, 7)).toBe('PMTiles');
+    expect(buffer[7]).toBe(3);
+    expect(decodeHeader(buffer)).toEqual(header);
+  });
+
+  it('should reject other files', () => {
+    expect(() => decodeHeader(Buffer.alloc(HEADER_SIZE))).toThrow('Not a PMTiles v3 archive');
+  });
+});
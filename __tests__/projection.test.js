@@ -0,0 +1,163 @@
+const {
+  createProjection,
+  crsFromEPSG,
+  crsFromProjString,
+  crsFromWKT,
+  crsFromGeoKeys,
+  parseCRS,
+  transformBounds,
+} = require('../src/projection');
+
+const UTM_33N_WKT = 'PROJCS["WGS 84 / UTM zone 33N",GEOGCS["WGS 84",DATUM["WGS_1984",'
+  + 'SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],'
+  + 'PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",15],'
+  + 'PARAMETER["scale_factor",0.9996],PARAMETER["false_easting",500000],PARAMETER["false_northing",0],'
+  + 'UNIT["metre",1]]';
+
+// NAD83 / California zone 6 (ftUS), without an authority code
+const STATE_PLANE_WKT = 'PROJCS["NAD83 / California zone 6 (ftUS)",GEOGCS["NAD83",DATUM["North_American_Datum_1983",'
+  + 'SPHEROID["GRS 1980",6378137,298.257222101]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],'
+  + 'PROJECTION["Lambert_Conformal_Conic_2SP"],PARAMETER["standard_parallel_1",33.88333333333333],'
+  + 'PARAMETER["standard_parallel_2",32.78333333333333],PARAMETER["latitude_of_origin",32.16666666666666],'
+  + 'PARAMETER["central_meridian",-116.25],PARAMETER["false_easting",6561666.667],'
+  + 'PARAMETER["false_northing",1640416.667],UNIT["US survey foot",0.3048006096012192]]';
+
+describe('Projection', () => {
+  describe('transverse Mercator', () => {
+    const utm = createProjection(crsFromEPSG(32633));
+
+    it('should project the central meridian with the UTM scale factor', () => {
+      const [x, y] = utm.forward(15, 45);
+      expect(x).toBeCloseTo(500000, 6);
+      expect(y).toBeCloseTo(4982950.40, 1);
+    });
+
+    it('should project off the central meridian', () => {
+      const [x, y] = utm.forward(16, 45);
+      expect(x).toBeCloseTo(578815.30, 1);
+      expect(y).toBeCloseTo(4983436.77, 1);
+    });
+
+    it('should round-trip within a zone', () => {
+      for (const [lon, lat] of [[12.5, 10], [17.9, -33], [15, 70]]) {
+        const [x, y] = utm.forward(lon, lat);
+        const [lon2, lat2] = utm.inverse(x, y);
+        expect(lon2).toBeCloseTo(lon, 9);
+        expect(lat2).toBeCloseTo(lat, 9);
+      }
+    });
+
+    it('should apply the southern hemisphere false northing', () => {
+      const south = createProjection(crsFromEPSG(32733));
+      expect(south.forward(15, 0)[1]).toBeCloseTo(10000000, 6);
+    });
+  });
+
+  describe('Lambert conformal conic', () => {
+    it('should place the false origin of Lambert-93', () => {
+      const lambert93 = createProjection(crsFromEPSG(2154));
+      const [x, y] = lambert93.forward(3, 46.5);
+      expect(x).toBeCloseTo(700000, 6);
+      expect(y).toBeCloseTo(6600000, 6);
+
+      const [px, py] = lambert93.forward(2.3522, 48.8566);
+      expect(px).toBeCloseTo(652469, 0);
+      expect(py).toBeCloseTo(6862035, 0);
+    });
+
+    it('should round-trip in native feet', () => {
+      const projection = createProjection(crsFromWKT(STATE_PLANE_WKT));
+      const [x, y] = projection.forward(-117.16, 32.72);
+      // San Diego is roughly 6.28M ftUS east, 1.84M ftUS north in this zone
+      expect(x).toBeGreaterThan(6.2e6);
+      expect(x).toBeLessThan(6.4e6);
+      expect(y).toBeGreaterThan(1.7e6);
+      expect(y).toBeLessThan(2.0e6);
+
+      const [lon, lat] = projection.inverse(x, y);
+      expect(lon).toBeCloseTo(-117.16, 9);
+      expect(lat).toBeCloseTo(32.72, 9);
+    });
+  });
+
+  describe('Web Mercator', () => {
+    it('should match the spherical formula', () => {
+      const projection = createProjection(crsFromEPSG(3857));
+      const [x] = projection.forward(180, 0);
+      expect(x).toBeCloseTo(20037508.342789244, 6);
+      const [lon, lat] = projection.inverse(...projection.forward(-75, 40));
+      expect(lon).toBeCloseTo(-75, 9);
+      expect(lat).toBeCloseTo(40, 9);
+    });
+  });
+
+  describe('parsers', () => {
+    it('should parse EPSG codes', () => {
+      expect(parseCRS('EPSG:4326').type).toBe('longlat');
+      expect(parseCRS('epsg:26910')).toMatchObject({ type: 'tmerc', lon0: -123, k0: 0.9996 });
+      expect(() => parseCRS('EPSG:27700')).toThrow('Unsupported CRS');
+    });
+
+    it('should parse PROJ strings', () => {
+      expect(crsFromProjString('+proj=utm +zone=33 +south +datum=WGS84 +units=m'))
+        .toMatchObject({ type: 'tmerc', lon0: 15, y0: 10000000 });
+      expect(crsFromProjString('+proj=merc +a=6378137 +b=6378137 +lon_0=0').type).toBe('webmerc');
+      expect(crsFromProjString('+proj=lcc +lat_1=33 +lat_2=45 +lat_0=39 +lon_0=-96 +units=us-ft +datum=NAD83'))
+        .toMatchObject({ type: 'lcc', lat1: 33, lat2: 45, toMeters: 1200 / 3937 });
+      expect(() => crsFromProjString('+proj=utm +zone=10 +datum=NAD27')).toThrow('Unsupported datum');
+    });
+
+    it('should parse WKT projection parameters', () => {
+      expect(crsFromWKT(UTM_33N_WKT)).toMatchObject({ type: 'tmerc', lon0: 15, k0: 0.9996, x0: 500000, toMeters: 1 });
+    });
+
+    it('should prefer the WKT authority code', () => {
+      const wkt = UTM_33N_WKT.replace(/\]$/, ',AUTHORITY["EPSG","32633"]]');
+      expect(crsFromWKT(wkt)).toEqual(crsFromEPSG(32633));
+    });
+
+    it('should parse WKT parameters and units', () => {
+      const definition = crsFromWKT(STATE_PLANE_WKT);
+      expect(definition).toMatchObject({ type: 'lcc', lon0: -116.25, lat2: 32.78333333333333 });
+      expect(definition.toMeters).toBeCloseTo(0.3048006096, 9);
+      expect(definition.x0).toBeCloseTo(2000000, 2);
+    });
+
+    it('should read EPSG and user-defined GeoKeys', () => {
+      expect(crsFromGeoKeys({ GTModelTypeGeoKey: 1, ProjectedCSTypeGeoKey: 32611 }))
+        .toMatchObject({ type: 'tmerc', lon0: -117 });
+      expect(crsFromGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4269 }).type).toBe('longlat');
+      expect(crsFromGeoKeys({
+        GTModelTypeGeoKey: 1,
+        ProjectedCSTypeGeoKey: 32767,
+        ProjectionGeoKey: 16133,
+      })).toMatchObject({ type: 'tmerc', lon0: 15, y0: 10000000 });
+      expect(crsFromGeoKeys({
+        GTModelTypeGeoKey: 1,
+        ProjectedCSTypeGeoKey: 32767,
+        ProjCoordTransGeoKey: 8,
+        ProjLinearUnitsGeoKey: 9002,
+        ProjStdParallel1GeoKey: 40,
+        ProjStdParallel2GeoKey: 44,
+        ProjFalseOriginLatGeoKey: 38,
+        ProjFalseOriginLongGeoKey: -100,
+        ProjFalseOriginEastingGeoKey: 1000,
+      })).toMatchObject({ type: 'lcc', lat1: 40, lat2: 44, lat0: 38, lon0: -100, x0: 304.8, toMeters: 0.3048 });
+    });
+
+    it('should reject geographic CRSs on other datums', () => {
+      expect(() => crsFromGeoKeys({ GTModelTypeGeoKey: 2, GeographicTypeGeoKey: 4267 })).toThrow('EPSG:4267');
+    });
+  });
+
+  describe('transformBounds', () => {
+    it('should return lon/lat bounds covering the projected box', () => {
+      const utm = createProjection(crsFromEPSG(32633));
+      const bounds = transformBounds([400000, 5000000, 600000, 5200000], utm);
+      expect(bounds[0]).toBeLessThan(13.8);
+      expect(bounds[2]).toBeGreaterThan(16.2);
+      expect(bounds[1]).toBeCloseTo(45.1, 0);
+      expect(bounds[3]).toBeCloseTo(47.0, 0);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { REDUCERS, getChildQuadrant, reduceChildGrids } = require('../src/pyramid');
+
+describe('REDUCERS', () => {
+  const weights = new Float64Array([1, 1, 2, 1]);
+
+  it('should ignore no-data values', () => {
+    const values = new Float64Array([1, NaN, 4, 9]);
+    expect(REDUCERS.mean(values, weights, 4)).toBeCloseTo(18 / 4, 10);
+    expect(REDUCERS.max(values, weights, 4)).toBe(9);
+    expect(REDUCERS.min(values, weights, 4)).toBe(1);
+  });
+
+  it('should return NaN without valid values', () => {
+    const values = new Float64Array([NaN, NaN, NaN, NaN]);
+    Object.values(REDUCERS).forEach(reduce => expect(reduce(values, weights, 4)).toBeNaN());
+  });
+});
+
+describe('getChildQuadrant', () => {
+  it('should place children by row origin', () => {
+    const parent = { x: 1, y: 1, z: 1 };
+    expect(getChildQuadrant(parent, { x: 2, y: 2, z: 2 }, 'xyz')).toBe(0);
+    expect(getChildQuadrant(parent, { x: 3, y: 3, z: 2 }, 'xyz')).toBe(3);
+    expect(getChildQuadrant(parent, { x: 2, y: 2, z: 2 }, 'tms')).toBe(2);
+    expect(getChildQuadrant(parent, { x: 3, y: 3, z: 2 }, 'tms')).toBe(1);
+  });
+});
+
+describe('reduceChildGrids', () => {
+  it('should reduce 2x2 pixel blocks', () => {
+    const children = [
+      new Float32Array([1, 2, 3, 4]),
+      new Float32Array([5, 6, 7, 8]),
+      null,
+      new Float32Array([NaN, NaN, NaN, 10]),
+    ];
+    // Each 2x2 child becomes one parent pixel
+    expect(Array.from(reduceChildGrids(children, 2, 'pixels', 'max'))).toEqual([4, 8, NaN, 10]);
+    expect(Array.from(reduceChildGrids(children, 2, 'pixels', 'mean'))).toEqual([2.5, 6.5, NaN, 10]);
+  });
+
+  it('should keep vertex grid corners and tent-filter the interior', () => {
+    // Heights increase by 1 per child sample eastward, over a combined 5x5 grid
+    const size = 3;
+    const children = [0, 1, 2, 3].map((quadrant) => {
+      const grid = new Float32Array(size * size);
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          grid[row * size + col] = (quadrant % 2) * (size - 1) + col;
+        }
+      }
+      return grid;
+    });
+
+    const parent = reduceChildGrids(children, size, 'vertices', 'mean');
+    expect(Array.from(parent)).toEqual([0, 2, 4, 0, 2, 4, 0, 2, 4]);
+    expect(Array.from(reduceChildGrids(children, size, 'vertices', 'max'))).toEqual([0, 3, 4, 0, 3, 4, 0, 3, 4]);
+  });
+
+  it('should reduce shared edges the same way in neighbouring parents', () => {
+    // The east edge of the western parent is the west edge of the eastern parent
+    const size = 3;
+    let seed = 0;
+    const heights = () => Float32Array.from({ length: size * size }, () => (seed++ * 37) % 101);
+    const west = [heights(), heights(), heights(), heights()];
+    const east = [heights(), heights(), heights(), heights()];
+    for (const quadrant of [0, 2]) {
+      for (let row = 0; row < size; row++) {
+        east[quadrant][row * size] = west[quadrant + 1][row * size + size - 1];
+      }
+    }
+
+    const westParent = reduceChildGrids(west, size, 'vertices', 'mean');
+    const eastParent = reduceChildGrids(east, size, 'vertices', 'mean');
+    for (let row = 0; row < size; row++) {
+      expect(eastParent[row * size]).toBe(westParent[row * size + size - 1]);
+    }
+  });
+
+  it('should reject unknown reducers', () => {
+    expect(() => reduceChildGrids([null, null, null, null], 2, 'pixels', 'median')).toThrow('Unsupported reducer: median');
+  });
+});
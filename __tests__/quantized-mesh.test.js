@@ -0,0 +1,179 @@
+const {
+  geodeticToEcef,
+  createGridMesh,
+  encodeQuantizedMeshTile,
+  decodeQuantizedMesh,
+  computeWaterMask,
+  octEncodeNormal,
+  octDecodeNormal,
+  QUANTIZED_MAX,
+} = require('../src/quantized-mesh');
+const { encodeQuantizedMesh } = require('../src/terrain-encoder');
+
+describe('Quantized-mesh encoder', () => {
+  const bounds = { minX: 10, minY: 45, maxX: 11, maxY: 46 };
+
+  describe('geodeticToEcef', () => {
+    it('should place lon/lat 0,0 on the equatorial radius', () => {
+      const [x, y, z] = geodeticToEcef(0, 0, 0);
+      expect(x).toBeCloseTo(6378137, 3);
+      expect(y).toBeCloseTo(0, 3);
+      expect(z).toBeCloseTo(0, 3);
+    });
+
+    it('should place the north pole on the polar radius', () => {
+      const [x, , z] = geodeticToEcef(0, 90, 0);
+      expect(x).toBeCloseTo(0, 3);
+      expect(z).toBeCloseTo(6356752.3142, 3);
+    });
+  });
+
+  describe('createGridMesh', () => {
+    it('should create two triangles per grid cell', () => {
+      const mesh = createGridMesh(new Float32Array(9), 3, 3);
+      expect(mesh.indices.length).toBe(4 * 2 * 3);
+      expect(mesh.u[0]).toBe(0);
+      expect(mesh.u[2]).toBe(QUANTIZED_MAX);
+      expect(mesh.v[0]).toBe(QUANTIZED_MAX); // Row 0 is the northern edge
+      expect(mesh.v[8]).toBe(0);
+    });
+
+    it('should reject grids smaller than 2x2', () => {
+      expect(() => createGridMesh(new Float32Array(1), 1, 1)).toThrow();
+    });
+  });
+
+  describe('encodeQuantizedMeshTile', () => {
+    it('should round-trip vertices and triangles', () => {
+      const elevation = new Float32Array([
+        100, 110, 120,
+        130, 140, 150,
+        160, 170, 200,
+      ]);
+      const mesh = createGridMesh(elevation, 3, 3);
+      const decoded = decodeQuantizedMesh(encodeQuantizedMeshTile(mesh, bounds));
+
+      expect(decoded.header.minimumHeight).toBeCloseTo(100, 3);
+      expect(decoded.header.maximumHeight).toBeCloseTo(200, 3);
+      expect(decoded.u.length).toBe(9);
+      expect(decoded.indices.length).toBe(mesh.indices.length);
+
+      // Every decoded triangle must reference the same positions as the source mesh
+      for (let i = 0; i < mesh.indices.length; i++) {
+        const source = mesh.indices[i];
+        const target = decoded.indices[i];
+        expect(decoded.u[target]).toBe(mesh.u[source]);
+        expect(decoded.v[target]).toBe(mesh.v[source]);
+        const height = 100 + decoded.heights[target] / QUANTIZED_MAX * 100;
+        expect(height).toBeCloseTo(elevation[source], 1);
+      }
+    });
+
+    it('should list edge vertices', () => {
+      const mesh = createGridMesh(new Float32Array(16), 4, 4);
+      const decoded = decodeQuantizedMesh(encodeQuantizedMeshTile(mesh, bounds));
+
+      for (const edge of ['westIndices', 'southIndices', 'eastIndices', 'northIndices']) {
+        expect(decoded[edge].length).toBe(4);
+      }
+      decoded.westIndices.forEach(i => expect(decoded.u[i]).toBe(0));
+      decoded.northIndices.forEach(i => expect(decoded.v[i]).toBe(QUANTIZED_MAX));
+    });
+
+    it('should produce a bounding sphere containing the tile', () => {
+      const mesh = createGridMesh(new Float32Array([0, 0, 500, 500]), 2, 2);
+      const { header } = decodeQuantizedMesh(encodeQuantizedMeshTile(mesh, bounds));
+      const corner = geodeticToEcef(bounds.minX, bounds.minY, 500);
+      const distance = Math.hypot(
+        corner[0] - header.boundingSphereCenter[0],
+        corner[1] - header.boundingSphereCenter[1],
+        corner[2] - header.boundingSphereCenter[2],
+      );
+
+      expect(header.boundingSphereRadius).toBeGreaterThan(0);
+      expect(distance).toBeLessThanOrEqual(header.boundingSphereRadius + 1e-6);
+      // Horizon occlusion point lies above the ellipsoid surface in scaled space
+      expect(Math.hypot(...header.horizonOcclusionPoint)).toBeGreaterThan(1);
+    });
+
+    it('should switch to 32-bit indices above 65536 vertices', () => {
+      const size = 257;
+      const buffer = encodeQuantizedMesh(new Float32Array(size * size), size, size, bounds);
+      const decoded = decodeQuantizedMesh(buffer);
+
+      expect(decoded.u.length).toBe(size * size);
+      expect(decoded.indices.length).toBe((size - 1) * (size - 1) * 6);
+      expect(Math.max(...decoded.southIndices)).toBeGreaterThan(65535);
+    });
+  });
+
+  describe('extensions', () => {
+    const elevation = new Float32Array([
+      -5, 10, 20,
+      0, 15, 25,
+      5, 20, 30,
+    ]);
+
+    it('should round-trip oct-encoded normals', () => {
+      for (const normal of [[0, 0, 1], [0, 0, -1], [1, 0, 0], [0.6, -0.48, 0.64]]) {
+        const [x, y] = octEncodeNormal(normal);
+        const decoded = octDecodeNormal(x, y);
+        for (let k = 0; k < 3; k++) {
+          expect(decoded[k]).toBeCloseTo(normal[k], 1);
+        }
+      }
+    });
+
+    it('should append normals, water mask and metadata', () => {
+      const mesh = createGridMesh(elevation, 3, 3);
+      const metadata = { available: [[{ startX: 0, startY: 0, endX: 1, endY: 1 }]] };
+      const decoded = decodeQuantizedMesh(encodeQuantizedMeshTile(mesh, bounds, {
+        vertexNormals: true,
+        waterMask: 255,
+        metadata,
+      }));
+
+      expect(decoded.extensions.vertexNormals.length).toBe(9 * 2);
+      expect(decoded.extensions.waterMask).toBe(255);
+      expect(decoded.extensions.metadata).toEqual(metadata);
+    });
+
+    it('should point normals away from the ellipsoid on flat terrain', () => {
+      const mesh = createGridMesh(new Float32Array(9), 3, 3);
+      const decoded = decodeQuantizedMesh(encodeQuantizedMeshTile(mesh, bounds, { vertexNormals: true }));
+      const normals = decoded.extensions.vertexNormals;
+      const up = geodeticToEcef(10.5, 45.5, 0);
+      const upLength = Math.hypot(...up);
+
+      for (let i = 0; i < normals.length; i += 2) {
+        const normal = octDecodeNormal(normals[i], normals[i + 1]);
+        const cosAngle = (normal[0] * up[0] + normal[1] * up[1] + normal[2] * up[2]) / upLength;
+        expect(cosAngle).toBeGreaterThan(0.99);
+      }
+    });
+
+    it('should not write extensions unless requested', () => {
+      const mesh = createGridMesh(elevation, 3, 3);
+      const decoded = decodeQuantizedMesh(encodeQuantizedMeshTile(mesh, bounds));
+      expect(decoded.extensions).toEqual({});
+    });
+  });
+
+  describe('computeWaterMask', () => {
+    it('should return 0 for all-land tiles', () => {
+      expect(computeWaterMask(new Float32Array([1, 2, 3, 4]), 2, 2)).toBe(0);
+    });
+
+    it('should return 255 for all-water tiles', () => {
+      expect(computeWaterMask(new Float32Array([0, -2, -3, -4]), 2, 2)).toBe(255);
+    });
+
+    it('should return a 256x256 mask for mixed tiles', () => {
+      const mask = computeWaterMask(new Float32Array([-1, 10, -1, 10]), 2, 2);
+      expect(mask).toBeInstanceOf(Uint8Array);
+      expect(mask.length).toBe(256 * 256);
+      expect(mask[0]).toBe(255); // North-west sample is water
+      expect(mask[255]).toBe(0); // North-east sample is land
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { BlockCache, RasterSource } = require('../src/raster-source');
+
+const WIDTH = 50;
+const HEIGHT = 40;
+
+/**
+ * Minimal stand-in for a geotiff.js image whose pixel value is its index,
+ * so reads can be checked against coordinates.
+ */
+function createImage() {
+  const image = {
+    isTiled: false,
+    reads: 0,
+    getWidth: () => WIDTH,
+    getHeight: () => HEIGHT,
+    getTileWidth: () => WIDTH,
+    getTileHeight: () => HEIGHT,
+    getSampleByteSize: () => 4,
+    readRasters: async ({ window: [x0, y0, x1, y1] }) => {
+      image.reads++;
+      const data = new Float32Array((x1 - x0) * (y1 - y0));
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          data[(y - y0) * (x1 - x0) + (x - x0)] = y * WIDTH + x;
+        }
+      }
+      return [data];
+    },
+  };
+  return image;
+}
+
+describe('RasterSource', () => {
+  it('should group strips into blocks', () => {
+    const source = new RasterSource(createImage());
+    expect(source.blockWidth).toBe(WIDTH);
+    expect(source.blockHeight).toBe(HEIGHT);
+  });
+
+  it('should split the raster into blocks', async () => {
+    const source = new RasterSource(createImage(), { blockSize: 16 });
+    expect(source.blocksX).toBe(4);
+    expect(source.blocksY).toBe(3);
+    expect(source.getBlockWindow(3, 2)).toEqual([48, 32, 50, 40]);
+  });
+
+  it('should read windows spanning several blocks', async () => {
+    const source = new RasterSource(createImage(), { blockSize: 16 });
+    const data = await source.readWindow([14, 15, 19, 18]);
+    expect(data.length).toBe(15);
+    expect(data[0]).toBe(15 * WIDTH + 14);
+    expect(data[14]).toBe(17 * WIDTH + 18);
+  });
+
+  it('should read scattered pixels', async () => {
+    const image = createImage();
+    const source = new RasterSource(image, { blockSize: 16 });
+    const values = await source.readPixels([0, 49, 20, 0, 1], [0, 39, 20, 39, 1]);
+    expect(Array.from(values)).toEqual([0, 39 * WIDTH + 49, 20 * WIDTH + 20, 39 * WIDTH, WIDTH + 1]);
+    expect(image.reads).toBe(4);
+  });
+
+  it('should keep the block cache within its size limit', async () => {
+    const cacheBytes = 16 * 16 * 4 * 2;
+    const source = new RasterSource(createImage(), { blockSize: 16, cacheBytes });
+    await source.readWindow([0, 0, WIDTH, HEIGHT]);
+    expect(source.cache.size).toBeLessThan(source.blocksX * source.blocksY);
+    expect(source.cache.bytes).toBeLessThanOrEqual(cacheBytes);
+  });
+
+  it('should share one cache between sources', async () => {
+    const cache = new BlockCache(16 * 16 * 4 * 4);
+    const full = new RasterSource(createImage(), { blockSize: 16, cache });
+    const overview = new RasterSource(createImage(), { blockSize: 16, cache });
+    await full.readWindow([0, 0, 32, 32]);
+    await overview.readWindow([0, 0, 16, 16]);
+    expect(cache.size).toBe(4);
+    expect(cache.bytes).toBe(16 * 16 * 4 * 4);
+  });
+});
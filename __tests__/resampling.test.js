@@ -0,0 +1,228 @@
+const {
+  RESAMPLING_METHODS,
+  parseResampling,
+  clampFootprint,
+  getReductionFactors,
+  reduceBlocks,
+  resampleRaster,
+} = require('../src/resampling');
+
+const SIZE = 32;
+
+/**
+ * Raster of an analytic surface f(x, y), evaluated at pixel centers.
+ */
+function createRaster(f, width = SIZE, height = SIZE) {
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = f(x, y);
+    }
+  }
+  return data;
+}
+
+/**
+ * Interleaved [column, row] sample positions.
+ */
+function samplesAt(...points) {
+  return Float64Array.from(points.flat());
+}
+
+// Positions away from the raster edges, between pixel centers
+const INNER = samplesAt([10.25, 12.5], [15.6, 9.3], [20, 20.75], [7.5, 18.125]);
+
+describe('parseResampling', () => {
+  it('should accept every method and default to bilinear', () => {
+    RESAMPLING_METHODS.forEach(method => expect(parseResampling(method)).toBe(method));
+    expect(parseResampling(undefined)).toBe('bilinear');
+  });
+
+  it('should reject unknown methods', () => {
+    expect(() => parseResampling('cubicspline')).toThrow(
+      'Unsupported resampling: cubicspline (expected nearest, bilinear, bicubic, lanczos, average, min or max)'
+    );
+  });
+});
+
+describe('clampFootprint', () => {
+  it('should keep footprints of at least one pixel', () => {
+    expect(clampFootprint(0.25)).toBe(1);
+    expect(clampFootprint(2.5)).toBe(2.5);
+    expect(clampFootprint(100)).toBe(100);
+    expect(clampFootprint(NaN)).toBe(1);
+  });
+});
+
+describe('getReductionFactors', () => {
+  it('should reduce footprints wider than the kernel limit by whole factors', () => {
+    expect(getReductionFactors('bilinear', [1, 4])).toEqual([1, 1]);
+    expect(getReductionFactors('average', [32, 9])).toEqual([8, 3]);
+    expect(getReductionFactors('nearest', [32, 32])).toEqual([1, 1]);
+  });
+});
+
+describe('reduceBlocks', () => {
+  it('should summarize blocks, partial ones along the edges, without no-data', () => {
+    // 5 x 3 raster in 2 x 2 blocks
+    const data = Float32Array.from([
+      1, 2, 3, 4, 5,
+      6, 7, 8, -9999, 10,
+      11, 12, 13, 14, -9999,
+    ]);
+    expect(Array.from(reduceBlocks(data, 5, 3, 2, 2, 'average', -9999))).toEqual([4, 5, 7.5, 11.5, 13.5, -9999]);
+    expect(Array.from(reduceBlocks(data, 5, 3, 2, 2, 'min', -9999))).toEqual([1, 3, 5, 11, 13, -9999]);
+    expect(Array.from(reduceBlocks(data, 5, 3, 2, 2, 'max', -9999))).toEqual([7, 8, 10, 12, 14, -9999]);
+  });
+});
+
+describe('resampleRaster', () => {
+  const plane = (x, y) => 3 + 2 * x - 0.5 * y;
+
+  it('should pick the nearest pixel', () => {
+    const data = createRaster(plane);
+    const values = resampleRaster(data, SIZE, SIZE, samplesAt([10.4, 12.6], [3.2, 7.9]), 'nearest');
+    expect(Array.from(values)).toEqual([plane(10, 13), plane(3, 8)]);
+  });
+
+  it.each(['bilinear', 'bicubic', 'average'])('should reproduce planes with %s', method => {
+    const data = createRaster(plane);
+    const values = resampleRaster(data, SIZE, SIZE, INNER, method);
+    for (let i = 0; i < values.length; i++) {
+      expect(values[i]).toBeCloseTo(plane(INNER[i * 2], INNER[i * 2 + 1]), 4);
+    }
+  });
+
+  it('should reproduce planes closely with lanczos', () => {
+    const data = createRaster(plane);
+    const values = resampleRaster(data, SIZE, SIZE, INNER, 'lanczos');
+    for (let i = 0; i < values.length; i++) {
+      expect(Math.abs(values[i] - plane(INNER[i * 2], INNER[i * 2 + 1]))).toBeLessThan(0.05);
+    }
+  });
+
+  it.each(RESAMPLING_METHODS)('should reproduce constant surfaces with %s', method => {
+    const data = createRaster(() => 42);
+    const footprint = [3, 3];
+    resampleRaster(data, SIZE, SIZE, INNER, method).forEach(v => expect(v).toBeCloseTo(42, 4));
+    resampleRaster(data, SIZE, SIZE, INNER, method, footprint).forEach(v => expect(v).toBeCloseTo(42, 4));
+  });
+
+  it('should interpolate smooth surfaces more closely with bicubic and lanczos than bilinear', () => {
+    const wave = (x, y) => 100 * Math.sin(x / 3) * Math.cos(y / 4);
+    const data = createRaster(wave);
+    const error = method => {
+      const values = resampleRaster(data, SIZE, SIZE, INNER, method);
+      return Math.max(...Array.from(values, (v, i) => Math.abs(v - wave(INNER[i * 2], INNER[i * 2 + 1]))));
+    };
+    expect(error('bicubic')).toBeLessThan(error('bilinear') / 4);
+    expect(error('lanczos')).toBeLessThan(error('bilinear') / 2);
+  });
+
+  it('should average the source pixels of downsampled footprints', () => {
+    // Alternating columns: any point sample sees 0 or 100, the true mean is 50
+    const stripes = createRaster(x => (x % 2) * 100);
+    const pixels = samplesAt([10.5, 10.5], [13.5, 20.5]);
+    const footprint = [4, 4];
+
+    expect(Array.from(resampleRaster(stripes, SIZE, SIZE, samplesAt([10, 10.5]), 'bilinear'))).toEqual([0]);
+    expect(Array.from(resampleRaster(stripes, SIZE, SIZE, pixels, 'average', footprint))).toEqual([50, 50]);
+    for (const method of ['bilinear', 'bicubic', 'lanczos']) {
+      resampleRaster(stripes, SIZE, SIZE, pixels, method, footprint)
+        .forEach(v => expect(Math.abs(v - 50)).toBeLessThan(5));
+    }
+  });
+
+  it('should integrate the exact area average of a footprint box', () => {
+    // The mean of f(x) = x^2 over the pixels of [9.5, 13.5] is (10^2 + 11^2 + 12^2 + 13^2) / 4
+    const parabola = createRaster(x => x * x);
+    const values = resampleRaster(parabola, SIZE, SIZE, samplesAt([11.5, 5]), 'average', [4, 1]);
+    expect(values[0]).toBeCloseTo(133.5, 4);
+  });
+
+  describe('with footprints much wider than the kernel limit', () => {
+    const WIDE = 256;
+    // Bands 8 pixels wide under a ripple of about 2.5 pixels: any point or narrow sample
+    // sees 0 or 100 plus the ripple, 32-pixel footprints average about 50
+    const surface = (x, y) => 100 * (Math.floor(x / 8) % 2) + 30 * Math.sin(2.7 * x + 1.9 * y);
+    const data = createRaster(surface, WIDE, WIDE);
+    const footprint = [32, 32];
+
+    // Mean of the pixels of the footprint box at a pixel corner
+    const boxMean = (cx, cy) => {
+      let sum = 0;
+      for (let y = cy - 16; y < cy + 16; y++) {
+        for (let x = cx - 16; x < cx + 16; x++) {
+          sum += data[y * WIDE + x];
+        }
+      }
+      return sum / 1024;
+    };
+
+    it('should average every source pixel of the footprint', () => {
+      // Footprint box [112, 144] x [96, 128], on the boundaries of the 8-pixel reduction blocks
+      const values = resampleRaster(data, WIDE, WIDE, samplesAt([127.5, 111.5]), 'average', footprint);
+      expect(values[0]).toBeCloseTo(boxMean(128, 112), 3);
+
+      // Elsewhere the footprint ends within blocks and is integrated within a block
+      for (const [cx, cy] of [[100, 70], [133, 149], [171, 90]]) {
+        const value = resampleRaster(data, WIDE, WIDE, samplesAt([cx - 0.5, cy - 0.5]), 'average', footprint)[0];
+        expect(Math.abs(value - boxMean(cx, cy))).toBeLessThan(4);
+      }
+    });
+
+    it.each(['bilinear', 'bicubic', 'lanczos'])('should low-pass the footprint with %s', method => {
+      const pixels = samplesAt([99.5, 69.5], [132.5, 148.5], [170.5, 89.5]);
+      resampleRaster(data, WIDE, WIDE, pixels, method, footprint)
+        .forEach(v => expect(Math.abs(v - 50)).toBeLessThan(8));
+    });
+
+    it('should keep single-pixel extremes anywhere in the footprint with min and max', () => {
+      const peaks = createRaster(() => 0, WIDE, WIDE);
+      peaks[100 * WIDE + 113] = 500;
+      peaks[126 * WIDE + 141] = -500;
+      const pixels = samplesAt([127.5, 111.5]);
+      expect(resampleRaster(peaks, WIDE, WIDE, pixels, 'max', footprint)[0]).toBe(500);
+      expect(resampleRaster(peaks, WIDE, WIDE, pixels, 'min', footprint)[0]).toBe(-500);
+      // A footprint elsewhere does not reach them
+      expect(resampleRaster(peaks, WIDE, WIDE, samplesAt([60, 200]), 'max', footprint)[0]).toBe(0);
+    });
+  });
+
+  it('should keep the extremes of a footprint with min and max', () => {
+    const slope = createRaster((x, y) => x + 10 * y);
+    const footprint = [4, 2];
+    // Footprint box [8, 12] x [4, 6]: pixels 8..12 and 4..6 overlap it
+    expect(resampleRaster(slope, SIZE, SIZE, samplesAt([10, 5]), 'min', footprint)[0]).toBe(8 + 40);
+    expect(resampleRaster(slope, SIZE, SIZE, samplesAt([10, 5]), 'max', footprint)[0]).toBe(12 + 60);
+
+    // A single-pixel peak survives downsampling with max only
+    const peak = createRaster((x, y) => (x === 11 && y === 5 ? 500 : 0));
+    expect(resampleRaster(peak, SIZE, SIZE, samplesAt([10, 5]), 'max', footprint)[0]).toBe(500);
+    expect(resampleRaster(peak, SIZE, SIZE, samplesAt([10, 5]), 'bilinear')[0]).toBe(0);
+  });
+
+  it('should clamp kernel taps to the raster edges', () => {
+    const data = createRaster(plane);
+    const values = resampleRaster(data, SIZE, SIZE, samplesAt([-5, 0], [1.5, SIZE + 3]), 'bicubic');
+    expect(values[0]).toBeCloseTo(plane(0, 0), 4);
+    expect(values[1]).toBeCloseTo(plane(1.5, SIZE - 1), 4);
+  });
+
+  it('should leave no-data out and fall back to bilinear next to it', () => {
+    const data = createRaster(plane);
+    data[12 * SIZE + 11] = -9999;
+    const pixels = samplesAt([10.5, 12], [10.5, 10.5], [11, 12]);
+
+    for (const method of ['bilinear', 'bicubic', 'lanczos', 'average']) {
+      const values = resampleRaster(data, SIZE, SIZE, pixels, method, undefined, -9999);
+      expect(values[0]).toBeCloseTo(plane(10, 12), 4);
+      expect(values[2]).toBe(-9999);
+    }
+    // Bicubic taps reach the no-data pixel; renormalizing without it would not reproduce the plane
+    expect(resampleRaster(data, SIZE, SIZE, pixels, 'bicubic', undefined, -9999)[1]).toBeCloseTo(plane(10.5, 10.5), 4);
+    // Footprint box [9.5, 11.5] x [11, 13] around the no-data pixel
+    expect(resampleRaster(data, SIZE, SIZE, pixels, 'max', [2, 2], -9999)[0])
+      .toBe(plane(11, 11));
+  });
+});
@@ -0,0 +1,96 @@
+const sharp = require('sharp');
+const {
+  computeGradients,
+  computeSlope,
+  computeAspect,
+  computeHillshade,
+  encodeTerrainImagery,
+} = require('../src/terrain-analysis');
+const { computeSamplePositions } = require('../src/tile-sampler');
+const { EARTH_RADIUS } = require('../src/tiling');
+const { GeographicTilingScheme, WebMercatorTilingScheme } = require('../src/tiling-scheme');
+
+const SIZE = 8;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Small tile at the equator, where a degree spans the same distance east and north
+const BOUNDS = { minX: 0, minY: 0, maxX: 0.01, maxY: 0.01 };
+const POSITIONS = computeSamplePositions(BOUNDS, SIZE, new GeographicTilingScheme(), 'pixels', 1);
+
+/**
+ * Buffered height grid from a height function of longitude/latitude.
+ */
+function createGrid(heightAt, positions = POSITIONS) {
+  return Float32Array.from({ length: positions.length / 2 }, (_, i) => heightAt(positions[i * 2], positions[i * 2 + 1]));
+}
+
+// Meters east of the prime meridian and north of the equator
+const east = lon => EARTH_RADIUS * lon * DEG_TO_RAD;
+const north = (lon, lat) => EARTH_RADIUS * lat * DEG_TO_RAD;
+
+const analyse = heightAt => computeGradients(createGrid(heightAt), SIZE, SIZE, POSITIONS);
+
+describe('computeGradients', () => {
+  it('should measure slope and aspect of planes', () => {
+    const risingEast = analyse(lon => east(lon));
+    computeSlope(risingEast).forEach(v => expect(v).toBeCloseTo(45, 4));
+    // Terrain rising eastward faces west
+    computeAspect(risingEast).forEach(v => expect(v).toBeCloseTo(270, 4));
+
+    const risingNorth = analyse((lon, lat) => 0.5 * north(lon, lat));
+    computeSlope(risingNorth).forEach(v => expect(v).toBeCloseTo(Math.atan(0.5) / DEG_TO_RAD, 4));
+    computeAspect(risingNorth).forEach(v => expect(v).toBeCloseTo(180, 4));
+  });
+
+  it('should leave the aspect of flat terrain undefined', () => {
+    const flat = analyse(() => 100);
+    expect(Array.from(computeSlope(flat))).toEqual(new Array(SIZE * SIZE).fill(0));
+    computeAspect(flat).forEach(v => expect(v).toBeNaN());
+  });
+
+  it('should measure cells in meters in any tiling scheme', () => {
+    const scheme = new WebMercatorTilingScheme();
+    const positions = computeSamplePositions(scheme.tileToBounds(8800, 5300, 14), SIZE, scheme, 'pixels', 1);
+    const latitude = positions[1];
+    // One meter up per meter east at the tile's latitude
+    const grid = createGrid(lon => east(lon) * Math.cos(latitude * DEG_TO_RAD), positions);
+    computeSlope(computeGradients(grid, SIZE, SIZE, positions)).forEach(v => expect(v).toBeCloseTo(45, 1));
+  });
+});
+
+describe('computeHillshade', () => {
+  it('should light flat terrain from the light altitude', () => {
+    computeHillshade(analyse(() => 0)).forEach(v => expect(v).toBeCloseTo(Math.SQRT1_2, 5));
+  });
+
+  it('should light slopes facing the north-western lights more', () => {
+    const westFacing = computeHillshade(analyse(lon => east(lon)));
+    const eastFacing = computeHillshade(analyse(lon => -east(lon)));
+    expect(westFacing[0]).toBeCloseTo(0.677, 3);
+    expect(eastFacing[0]).toBeCloseTo(0.323, 3);
+  });
+});
+
+describe('encodeTerrainImagery', () => {
+  it('should render grayscale tiles without the buffer', async () => {
+    const grid = createGrid(lon => east(lon));
+    for (const product of ['hillshade', 'slope']) {
+      const buffer = await encodeTerrainImagery(product, grid, SIZE, POSITIONS, 'png');
+      const { width, height, channels } = await sharp(buffer).metadata();
+      expect([width, height, channels]).toEqual([SIZE, SIZE, 1]);
+      const data = await sharp(buffer).extractChannel(0).raw().toBuffer();
+      expect(data[0]).toBe(product === 'slope' ? Math.round(45 * 255 / 90) : Math.round(0.677 * 255));
+    }
+  });
+
+  it('should leave flat terrain transparent in aspect tiles', async () => {
+    // Flat western half, rising eastward past the middle of the tile
+    const grid = createGrid(lon => Math.max(0, east(lon - 0.005)));
+    const buffer = await encodeTerrainImagery('aspect', grid, SIZE, POSITIONS, 'png');
+    expect((await sharp(buffer).metadata()).channels).toBe(2);
+    // Decoded as RGBA
+    const data = await sharp(buffer).raw().toBuffer();
+    expect([data[0], data[3]]).toEqual([0, 0]);
+    expect([data[(SIZE - 1) * 4], data[(SIZE - 1) * 4 + 3]]).toEqual([Math.round(270 * 255 / 360), 255]);
+  });
+});
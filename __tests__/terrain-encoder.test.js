@@ -1,7 +1,14 @@
+const sharp = require('sharp');
 const {
   resampleElevationData,
   extractRegion,
+  encodeHeightmapPNG,
+  encodeHeightmapR16,
   encodeRawHeightmap,
+  encodeTerrainRGB,
+  encodeTerrarium,
+  encodeCesiumHeightmap,
+  HEIGHTMAP_SIZE,
 } = require('../src/terrain-encoder');
 
 describe('Terrain encoder utilities', () => {
@@ -44,6 +51,15 @@ describe('Terrain encoder utilities', () => {
       expect(result[0]).toBeCloseTo(1, 5);
       expect(result[3]).toBeCloseTo(4, 5);
     });
+
+    it('should leave no-data samples out of the interpolation', () => {
+      const source = new Float32Array([100, NaN, 100, 100]);
+      const result = resampleElevationData(source, 2, 2, 4, 4);
+
+      // Only the targets falling on the no-data pixel stay no-data
+      expect(Array.from(result.slice(0, 4))).toEqual([100, 100, 100, NaN]);
+      expect(Array.from(result.slice(4)).every(v => v === 100)).toBe(true);
+    });
   });
 
   describe('extractRegion', () => {
@@ -130,4 +146,122 @@ describe('Terrain encoder utilities', () => {
       expect(buffer.readFloatLE(8)).toBeCloseTo(100, 2);
     });
   });
+
+  describe('encodeHeightmapPNG', () => {
+    it('should scale heights to 16-bit grayscale levels', async () => {
+      const buffer = await encodeHeightmapPNG(new Float32Array([100, 150, 200, 250]), 2, 2, 100, 250);
+      const { data, info } = await sharp(buffer).toColourspace('grey16').raw({ depth: 'ushort' })
+        .toBuffer({ resolveWithObject: true });
+
+      expect(info.channels).toBe(1);
+      expect((await sharp(buffer).metadata()).depth).toBe('ushort');
+      expect(Array.from(new Uint16Array(data.buffer, data.byteOffset, 4))).toEqual([0, 21845, 43690, 65535]);
+    });
+  });
+
+  describe('encodeHeightmapR16', () => {
+    it('should write 16-bit little-endian levels scaled like heightmap PNGs', () => {
+      const buffer = encodeHeightmapR16(new Float32Array([100, 150, 200, 250]), 100, 250);
+
+      expect(buffer.length).toBe(8);
+      expect([0, 2, 4, 6].map(offset => buffer.readUInt16LE(offset))).toEqual([0, 21845, 43690, 65535]);
+    });
+  });
+
+  describe('encodeTerrainRGB', () => {
+    async function decodeTerrainRGB(buffer) {
+      const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+      const heights = [];
+      for (let i = 0; i < info.width * info.height; i++) {
+        const p = i * info.channels;
+        heights.push(-10000 + (data[p] * 256 * 256 + data[p + 1] * 256 + data[p + 2]) * 0.1);
+      }
+      return { heights, info };
+    }
+
+    it('should round-trip heights through PNG', async () => {
+      const data = new Float32Array([-412.3, 0, 1234.56, 8848.86]);
+      const { heights, info } = await decodeTerrainRGB(await encodeTerrainRGB(data, 2, 2));
+
+      expect(info.channels).toBe(3);
+      heights.forEach((h, i) => expect(Math.abs(h - data[i])).toBeLessThanOrEqual(0.05 + 1e-6));
+    });
+
+    it('should encode lossless WebP', async () => {
+      const data = new Float32Array([10.1, 20.2, 30.3, 40.4]);
+      const buffer = await encodeTerrainRGB(data, 2, 2, 'webp');
+      const { heights } = await decodeTerrainRGB(buffer);
+
+      expect((await sharp(buffer).metadata()).format).toBe('webp');
+      heights.forEach((h, i) => expect(Math.abs(h - data[i])).toBeLessThanOrEqual(0.05 + 1e-6));
+    });
+
+    it('should reject unknown image formats', async () => {
+      await expect(encodeTerrainRGB(new Float32Array(1), 1, 1, 'gif')).rejects.toThrow();
+    });
+  });
+
+  describe('encodeTerrarium', () => {
+    async function decodeTerrarium(buffer) {
+      const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+      const heights = [];
+      for (let i = 0; i < info.width * info.height; i++) {
+        const p = i * info.channels;
+        heights.push((data[p] * 256 + data[p + 1] + data[p + 2] / 256) - 32768);
+      }
+      return heights;
+    }
+
+    it('should round-trip heights with sub-decimeter precision', async () => {
+      const data = new Float32Array(64);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = -11000 + i * 317.123;
+      }
+      const heights = await decodeTerrarium(await encodeTerrarium(data, 8, 8));
+
+      heights.forEach((h, i) => expect(Math.abs(h - data[i])).toBeLessThan(0.1));
+      // Blue channel carries 1/256 m steps
+      heights.forEach((h, i) => expect(Math.abs(h - data[i])).toBeLessThanOrEqual(1 / 512 + 1e-6));
+    });
+
+    it('should round-trip fractional heights through lossless WebP', async () => {
+      const data = new Float32Array([0.05, -0.05, 123.456, -32767.9]);
+      const heights = await decodeTerrarium(await encodeTerrarium(data, 2, 2, 'webp'));
+
+      heights.forEach((h, i) => expect(Math.abs(h - data[i])).toBeLessThan(0.1));
+    });
+
+    it('should encode sea level as R=128, G=0, B=0', async () => {
+      const buffer = await encodeTerrarium(new Float32Array([0]), 1, 1);
+      const { data } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+      expect(Array.from(data.subarray(0, 3))).toEqual([128, 0, 0]);
+    });
+  });
+
+  describe('encodeCesiumHeightmap', () => {
+    const sampleCount = HEIGHTMAP_SIZE * HEIGHTMAP_SIZE;
+
+    it('should write 65x65 heights followed by child and water mask bytes', () => {
+      const data = new Float32Array(sampleCount).fill(100);
+      data[0] = -1000;
+      data[1] = 12107;
+      const buffer = encodeCesiumHeightmap(data, 0b1011, 255);
+
+      expect(buffer.length).toBe(sampleCount * 2 + 2);
+      expect(buffer.readUInt16LE(0)).toBe(0);
+      expect(buffer.readUInt16LE(2)).toBe(65535);
+      expect(buffer.readUInt16LE(4) / 5 - 1000).toBeCloseTo(100, 5);
+      expect(buffer[sampleCount * 2]).toBe(0b1011);
+      expect(buffer[sampleCount * 2 + 1]).toBe(255);
+    });
+
+    it('should append a full 256x256 water mask', () => {
+      const buffer = encodeCesiumHeightmap(new Float32Array(sampleCount), 0, new Uint8Array(256 * 256));
+      expect(buffer.length).toBe(sampleCount * 2 + 1 + 256 * 256);
+    });
+
+    it('should reject grids that are not 65x65', () => {
+      expect(() => encodeCesiumHeightmap(new Float32Array(256 * 256), 0, 0)).toThrow();
+    });
+  });
 });
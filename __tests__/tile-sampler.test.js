@@ -0,0 +1,220 @@
+const { RasterSource } = require('../src/raster-source');
+const {
+  computeSamplePositions,
+  toSourcePixels,
+  sampleSource,
+  selectSourceLevel,
+  getSourceFootprint,
+} = require('../src/tile-sampler');
+const { resampleRaster } = require('../src/resampling');
+const { EARTH_RADIUS } = require('../src/tiling');
+const { createProjection } = require('../src/projection');
+const { GeographicTilingScheme, WebMercatorTilingScheme } = require('../src/tiling-scheme');
+
+const WIDTH = 50;
+const HEIGHT = 40;
+
+/**
+ * Minimal stand-in for a geotiff.js image whose pixel value is its index,
+ * so reads can be checked against coordinates.
+ */
+function createImage() {
+  const image = {
+    isTiled: false,
+    reads: 0,
+    getWidth: () => WIDTH,
+    getHeight: () => HEIGHT,
+    getTileWidth: () => WIDTH,
+    getTileHeight: () => HEIGHT,
+    getSampleByteSize: () => 4,
+    readRasters: async ({ window: [x0, y0, x1, y1] }) => {
+      image.reads++;
+      const data = new Float32Array((x1 - x0) * (y1 - y0));
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          data[(y - y0) * (x1 - x0) + (x - x0)] = y * WIDTH + x;
+        }
+      }
+      return [data];
+    },
+  };
+  return image;
+}
+
+
+describe('computeSamplePositions', () => {
+  const bounds = { minX: 10, minY: 40, maxX: 12, maxY: 42 };
+
+  it('should place vertex samples on the tile edges', () => {
+    const positions = computeSamplePositions(bounds, 3, new GeographicTilingScheme(), 'vertices');
+    expect(Array.from(positions.slice(0, 2))).toEqual([10, 42]);
+    expect(Array.from(positions.slice(-2))).toEqual([12, 40]);
+  });
+
+  it('should place pixel samples at pixel centers in scheme space', () => {
+    const positions = computeSamplePositions(bounds, 2, new WebMercatorTilingScheme());
+    expect(positions[0]).toBeCloseTo(10.5, 9);
+    expect(positions[2]).toBeCloseTo(11.5, 9);
+    // Mercator rows are evenly spaced in projected Y, so the upper row is nearer the north edge
+    expect(positions[1] - 41).toBeGreaterThan(0.5);
+    expect(positions[1] - 41).toBeLessThan(0.51);
+  });
+
+  it('should sample shared edges of neighbouring tiles at identical positions', () => {
+    const scheme = new WebMercatorTilingScheme();
+    const size = 5;
+    const west = computeSamplePositions(scheme.tileToBounds(1234, 1500, 12), size, scheme, 'edges');
+    const east = computeSamplePositions(scheme.tileToBounds(1235, 1500, 12), size, scheme, 'edges');
+    const south = computeSamplePositions(scheme.tileToBounds(1234, 1501, 12), size, scheme, 'edges');
+
+    for (let i = 0; i < size; i++) {
+      const eastEdge = (i * size + size - 1) * 2;
+      expect(east[i * size * 2]).toBe(west[eastEdge]);
+      expect(east[i * size * 2 + 1]).toBe(west[eastEdge + 1]);
+      const southEdge = ((size - 1) * size + i) * 2;
+      expect(south[i * 2]).toBe(west[southEdge]);
+      expect(south[i * 2 + 1]).toBe(west[southEdge + 1]);
+    }
+  });
+
+  it('should extend buffered grids to where the neighbouring tiles sample', () => {
+    const scheme = new WebMercatorTilingScheme();
+    const size = 4;
+    const tile = computeSamplePositions(scheme.tileToBounds(1234, 1500, 12), size, scheme, 'pixels', 1);
+    const east = computeSamplePositions(scheme.tileToBounds(1235, 1500, 12), size, scheme);
+    const north = computeSamplePositions(scheme.tileToBounds(1234, 1499, 12), size, scheme);
+
+    expect(tile).toHaveLength((size + 2) * (size + 2) * 2);
+    for (let i = 0; i < size; i++) {
+      // Buffer column past the eastern edge, and buffer row past the northern edge
+      const eastBuffer = ((i + 1) * (size + 2) + size + 1) * 2;
+      expect(tile[eastBuffer]).toBeCloseTo(east[i * size * 2], 9);
+      expect(tile[eastBuffer + 1]).toBeCloseTo(east[i * size * 2 + 1], 9);
+      const northBuffer = (i + 1) * 2;
+      expect(tile[northBuffer]).toBeCloseTo(north[((size - 1) * size + i) * 2], 9);
+      expect(tile[northBuffer + 1]).toBeCloseTo(north[((size - 1) * size + i) * 2 + 1], 9);
+    }
+  });
+});
+
+describe('toSourcePixels', () => {
+  it('should scale coordinates to the raster size', () => {
+    const projection = createProjection({ type: 'longlat', name: 'EPSG:4326' });
+    const positions = new Float64Array([0.5, 39.5, 49.5, 0.5]);
+    expect(Array.from(toSourcePixels(positions, [0, 0, WIDTH, HEIGHT], WIDTH, HEIGHT, projection)))
+      .toEqual([0, 0, 49, 39]);
+    // Half-size overview of the same extent
+    expect(Array.from(toSourcePixels(positions, [0, 0, WIDTH, HEIGHT], WIDTH / 2, HEIGHT / 2, projection)))
+      .toEqual([-0.25, -0.25, 24.25, 19.25]);
+  });
+});
+
+describe('sampleSource', () => {
+  // Pixel values are linear in x and y, so bilinear sampling is exact
+  const expected = (x, y) => y * WIDTH + x;
+
+  it('should sample compact footprints through a window', async () => {
+    const image = createImage();
+    const source = new RasterSource(image, { blockSize: 16 });
+    const values = await sampleSource(source, new Float64Array([2.5, 3.25, 3, 4]));
+    expect(values[0]).toBeCloseTo(expected(2.5, 3.25), 3);
+    expect(values[1]).toBeCloseTo(expected(3, 4), 3);
+    expect(image.reads).toBe(1);
+  });
+
+  it('should sample spread-out footprints pixel by pixel', async () => {
+    const source = new RasterSource(createImage(), { blockSize: 16 });
+    const values = await sampleSource(source, new Float64Array([0.5, 0.5, 48.25, 38.5]));
+    expect(values[0]).toBeCloseTo(expected(0.5, 0.5), 3);
+    expect(values[1]).toBeCloseTo(expected(48.25, 38.5), 3);
+  });
+
+  it('should clamp samples to the raster edges', async () => {
+    const source = new RasterSource(createImage(), { blockSize: 16 });
+    const values = await sampleSource(source, new Float64Array([-3, 45, 60, -1]));
+    expect(values[0]).toBe(expected(0, HEIGHT - 1));
+    expect(values[1]).toBe(expected(WIDTH - 1, 0));
+  });
+
+  it('should leave no-data pixels out of the interpolation', async () => {
+    const source = new RasterSource(createImage(), { blockSize: 16 });
+    const noData = expected(3, 4);
+    const values = await sampleSource(source, new Float64Array([2.5, 4, 3, 4]), noData);
+    expect(values[0]).toBe(expected(2, 4));
+    expect(values[1]).toBe(noData);
+  });
+
+  it('should integrate footprints through windows and pixel reads as in memory', async () => {
+    const full = new Float32Array(WIDTH * HEIGHT).map((_, i) => i);
+    // 4x4 grids, 1.5 pixels apart (one window) and 12 pixels apart (pixel reads)
+    for (const spacing of [1.5, 12]) {
+      const pixels = new Float64Array(32);
+      for (let i = 0; i < 16; i++) {
+        pixels[i * 2] = 3.5 + (i % 4) * spacing;
+        pixels[i * 2 + 1] = 2.5 + Math.floor(i / 4) * spacing;
+      }
+      // Footprints up to the kernel limit, and wider ones read from reduced sources
+      for (const footprint of [[3, 2.5], [12, 9]]) {
+        for (const resampling of ['bicubic', 'average', 'max']) {
+          const source = new RasterSource(createImage(), { blockSize: 16 });
+          const values = await sampleSource(source, pixels, undefined, { resampling, footprint });
+          expect(Array.from(values)).toEqual(Array.from(resampleRaster(full, WIDTH, HEIGHT, pixels, resampling, footprint)));
+        }
+      }
+    }
+
+    // Footprint box [1.5, 5.5] x [0.5, 4.5]
+    const source = new RasterSource(createImage(), { blockSize: 16 });
+    const max = await sampleSource(source, new Float64Array([3.5, 2.5]), undefined, { resampling: 'max', footprint: [4, 4] });
+    expect(max[0]).toBe(expected(5, 4));
+  });
+});
+
+describe('selectSourceLevel', () => {
+  // 1 arc-second DEM with 2x and 4x overviews
+  const metadata = {
+    bbox: [0, 0, 1, 1],
+    crs: { type: 'longlat', name: 'EPSG:4326' },
+    overviews: [{ width: 1800 }, { width: 900 }],
+  };
+
+  it('should use full resolution when the tile needs full detail', () => {
+    expect(selectSourceLevel(metadata, 30, 0)).toBe(0);
+  });
+
+  it('should pick the coarsest overview still finer than the tile', () => {
+    expect(selectSourceLevel(metadata, 70, 0)).toBe(1);
+    expect(selectSourceLevel(metadata, 1000, 0)).toBe(2);
+  });
+
+  it('should account for meridian convergence in geographic DEMs', () => {
+    expect(selectSourceLevel(metadata, 70, 60)).toBe(2);
+  });
+
+  it('should use full resolution without overviews', () => {
+    expect(selectSourceLevel({ ...metadata, overviews: [] }, 1000, 0)).toBe(0);
+  });
+});
+
+describe('getSourceFootprint', () => {
+  // 1 arc-second DEM: about 30.9 m per pixel at the equator
+  const metadata = { bbox: [0, 0, 1, 1], crs: { type: 'longlat', name: 'EPSG:4326' } };
+  const pixelSize = Math.PI / 180 / 3600 * EARTH_RADIUS;
+
+  it('should measure the tile resolution in source pixels', () => {
+    const [scaleX, scaleY] = getSourceFootprint(metadata, 3600, 3600, pixelSize * 3, 0);
+    expect(scaleX).toBeCloseTo(3, 6);
+    expect(scaleY).toBeCloseTo(3, 6);
+  });
+
+  it('should cover more geographic columns than rows away from the equator', () => {
+    const [scaleX, scaleY] = getSourceFootprint(metadata, 3600, 3600, pixelSize * 1.5, 60);
+    expect(scaleX).toBeCloseTo(3, 6);
+    expect(scaleY).toBeCloseTo(1.5, 6);
+  });
+
+  it('should not shrink below a pixel, nor be capped for wide footprints', () => {
+    expect(getSourceFootprint(metadata, 3600, 3600, pixelSize / 2, 0)).toEqual([1, 1]);
+    expect(getSourceFootprint(metadata, 3600, 3600, pixelSize * 100, 0)).toEqual([100, 100]);
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { openTileStore, createTileServer } = require('../src/tile-server');
+const { MBTilesSink, PMTilesSink } = require('../src/tile-sink');
+const { WebMercatorTilingScheme } = require('../src/tiling-scheme');
+
+const LAYER_JSON = {
+  tilejson: '2.1.0',
+  name: 'DEM Terrain Tiles',
+  format: 'png',
+  bounds: [10, 40, 12, 42],
+  minzoom: 0,
+  maxzoom: 2,
+  scheme: 'xyz',
+  tiles: ['{z}/{x}/{y}.png'],
+};
+
+describe('tile server', () => {
+  let tmpDir;
+  let server;
+  let store;
+  let baseUrl;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tile-server-test-'));
+  });
+
+  afterEach(async () => {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+    if (store) {
+      await store.close();
+      store = null;
+    }
+    await fs.remove(tmpDir);
+  });
+
+  async function serve(target) {
+    store = await openTileStore(target);
+    server = createTileServer(store);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  async function writeDirectory(layerJson, tiles) {
+    await fs.writeJson(path.join(tmpDir, 'layer.json'), layerJson);
+    for (const [tilePath, data] of Object.entries(tiles)) {
+      await fs.outputFile(path.join(tmpDir, tilePath), data);
+    }
+  }
+
+  it('should serve layer.json with absolute tile URLs', async () => {
+    await writeDirectory(LAYER_JSON, {});
+    await serve(tmpDir);
+
+    const response = await fetch(`${baseUrl}/layer.json`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/json');
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    const layerJson = await response.json();
+    expect(layerJson.tiles).toEqual([`${baseUrl}/{z}/{x}/{y}.png`]);
+    expect(layerJson.bounds).toEqual(LAYER_JSON.bounds);
+  });
+
+  it('should serve directory tiles with ETags', async () => {
+    await writeDirectory(LAYER_JSON, { '1/0/1.png': 'tile' });
+    await serve(tmpDir);
+
+    const response = await fetch(`${baseUrl}/1/0/1.png`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('image/png');
+    expect(await response.text()).toBe('tile');
+
+    const etag = response.headers.get('etag');
+    const revalidated = await fetch(`${baseUrl}/1/0/1.png`, { headers: { 'If-None-Match': etag } });
+    expect(revalidated.status).toBe(304);
+  });
+
+  it('should answer 204 for missing tiles and 404 outside the tileset', async () => {
+    await writeDirectory(LAYER_JSON, {});
+    await serve(tmpDir);
+
+    expect((await fetch(`${baseUrl}/1/1/1.png`)).status).toBe(204);
+    expect((await fetch(`${baseUrl}/3/0/0.png`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/tiles/unknown`)).status).toBe(404);
+  });
+
+  it('should mark gzipped terrain tiles', async () => {
+    const mesh = Buffer.from('quantized mesh');
+    await writeDirectory(
+      { ...LAYER_JSON, format: 'quantized-mesh-1.0', scheme: 'tms', tiles: ['{z}/{x}/{y}.terrain?v={version}'] },
+      { '0/0/0.terrain': zlib.gzipSync(mesh) }
+    );
+    await serve(tmpDir);
+
+    const response = await fetch(`${baseUrl}/0/0/0.terrain?v=1.0.0`);
+    expect(response.headers.get('content-type')).toBe('application/vnd.quantized-mesh');
+    expect(response.headers.get('content-encoding')).toBe('gzip');
+    expect(Buffer.from(await response.arrayBuffer())).toEqual(mesh);
+  });
+
+  it('should answer CORS preflight requests', async () => {
+    await writeDirectory(LAYER_JSON, {});
+    await serve(tmpDir);
+
+    const response = await fetch(`${baseUrl}/layer.json`, { method: 'OPTIONS' });
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-methods')).toContain('GET');
+  });
+
+  it.each([
+    ['mbtiles', MBTilesSink],
+    ['pmtiles', PMTilesSink],
+  ])('should serve %s files in the tileset rows', async (type, Sink) => {
+    const filePath = path.join(tmpDir, `out.${type}`);
+    const sink = new Sink(filePath, new WebMercatorTilingScheme(), { extension: '.png' });
+    await sink.open();
+    await sink.writeTiles([{ tile: { x: 1, y: 0, z: 1 }, data: Buffer.from('north-east') }]);
+    await sink.writeMetadata(LAYER_JSON);
+    await sink.close();
+    await serve(filePath);
+
+    const response = await fetch(`${baseUrl}/1/1/0.png`);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('north-east');
+    expect((await fetch(`${baseUrl}/1/1/1.png`)).status).toBe(204);
+    expect((await (await fetch(`${baseUrl}/layer.json`)).json()).name).toBe(LAYER_JSON.name);
+  });
+
+  it('should reject paths it cannot serve', async () => {
+    await expect(openTileStore(path.join(tmpDir, 'tiles.zip'))).rejects.toThrow('Cannot serve');
+    await expect(openTileStore(tmpDir)).rejects.toThrow('No layer.json');
+  });
+});
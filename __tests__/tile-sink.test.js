@@ -0,0 +1,223 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DirectorySink, MBTilesSink, PMTilesSink, createTileSink } = require('../src/tile-sink');
+const { decodeHeader, readTile, readMetadata, TILE_TYPES } = require('../src/pmtiles');
+const { GeographicTilingScheme, WebMercatorTilingScheme } = require('../src/tiling-scheme');
+
+const LAYER_JSON = {
+  name: 'DEM Terrain Tiles',
+  description: 'Generated from dem.tif',
+  version: '1.0.0',
+  format: 'png',
+  encoding: 'mapbox',
+  bounds: [10, 40, 12, 42],
+  minzoom: 0,
+  maxzoom: 5,
+};
+
+describe('createTileSink', () => {
+  const scheme = new WebMercatorTilingScheme();
+
+  it('should pick the sink from the output path', () => {
+    expect(createTileSink('tiles', { scheme, extension: '.png' })).toBeInstanceOf(DirectorySink);
+    expect(createTileSink('terrain.MBTiles', { scheme, extension: '.png' })).toBeInstanceOf(MBTilesSink);
+    expect(createTileSink('tiles', { type: 'mbtiles', scheme })).toBeInstanceOf(MBTilesSink);
+    expect(createTileSink('terrain.pmtiles', { scheme, extension: '.png' })).toBeInstanceOf(PMTilesSink);
+  });
+
+  it('should reject unknown sinks', () => {
+    expect(() => createTileSink('tiles', { type: 'zip', scheme })).toThrow('Unsupported sink: zip');
+  });
+});
+
+describe('MBTilesSink', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tile-sink-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  async function writeTiles(scheme, entries) {
+    const filePath = path.join(tmpDir, 'out.mbtiles');
+    const sink = new MBTilesSink(filePath, scheme);
+    await sink.open();
+    await sink.writeTiles(entries);
+    await sink.writeMetadata(LAYER_JSON);
+    await sink.close();
+    return new Database(filePath, { readonly: true });
+  }
+
+  it('should flip XYZ rows to TMS', async () => {
+    const db = await writeTiles(new WebMercatorTilingScheme(), [
+      { tile: { x: 1, y: 0, z: 2 }, data: Buffer.from('north') },
+    ]);
+    const row = db.prepare('SELECT * FROM tiles').get();
+    db.close();
+    expect(row).toMatchObject({ zoom_level: 2, tile_column: 1, tile_row: 3 });
+    expect(row.tile_data.toString()).toBe('north');
+  });
+
+  it('should keep TMS rows', async () => {
+    const db = await writeTiles(new GeographicTilingScheme(), [
+      { tile: { x: 3, y: 0, z: 1 }, data: Buffer.from('south') },
+    ]);
+    const row = db.prepare('SELECT * FROM tiles').get();
+    db.close();
+    expect(row).toMatchObject({ zoom_level: 1, tile_column: 3, tile_row: 0 });
+  });
+
+  it('should write the metadata table', async () => {
+    const db = await writeTiles(new WebMercatorTilingScheme(), []);
+    const metadata = Object.fromEntries(db.prepare('SELECT name, value FROM metadata').all()
+      .map(({ name, value }) => [name, value]));
+    db.close();
+    expect(metadata).toMatchObject({
+      format: 'png',
+      encoding: 'mapbox',
+      bounds: '10,40,12,42',
+      center: '11,41,0',
+      minzoom: '0',
+      maxzoom: '5',
+    });
+    expect(JSON.parse(metadata.json)).toEqual(LAYER_JSON);
+  });
+
+  it('should replace tiles when written again', async () => {
+    const filePath = path.join(tmpDir, 'out.mbtiles');
+    const scheme = new WebMercatorTilingScheme();
+    for (const data of ['first', 'second']) {
+      const sink = new MBTilesSink(filePath, scheme);
+      await sink.open();
+      await sink.writeTiles([{ tile: { x: 0, y: 0, z: 0 }, data: Buffer.from(data) }]);
+      await sink.close();
+    }
+    const db = new Database(filePath, { readonly: true });
+    const rows = db.prepare('SELECT tile_data FROM tiles').all();
+    db.close();
+    expect(rows.map(row => row.tile_data.toString())).toEqual(['second']);
+  });
+});
+
+describe('PMTilesSink', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tile-sink-test-'));
+    filePath = path.join(tmpDir, 'out.pmtiles');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  async function openSink(options = {}) {
+    const sink = new PMTilesSink(filePath, options.scheme || new WebMercatorTilingScheme(), {
+      extension: '.png',
+      dedup: options.dedup,
+    });
+    await sink.open();
+    return sink;
+  }
+
+  it('should write a readable archive', async () => {
+    const sink = await openSink();
+    await sink.writeTiles([
+      { tile: { x: 1, y: 0, z: 1 }, data: Buffer.from('north-east') },
+      { tile: { x: 0, y: 0, z: 0 }, data: Buffer.from('root') },
+    ]);
+    await sink.writeMetadata(LAYER_JSON);
+    await sink.close();
+
+    const archive = await fs.readFile(filePath);
+    const header = decodeHeader(archive);
+    expect(header).toMatchObject({
+      clustered: true,
+      tileType: TILE_TYPES.png,
+      addressedTiles: 2,
+      minZoom: 0,
+      maxZoom: 5,
+      bounds: [10, 40, 12, 42],
+    });
+    expect(readTile(archive, 0, 0, 0).toString()).toBe('root');
+    expect(readTile(archive, 1, 1, 0).toString()).toBe('north-east');
+    expect(readTile(archive, 1, 0, 0)).toBeNull();
+    expect(readMetadata(archive)).toEqual(LAYER_JSON);
+  });
+
+  it('should store identical tiles once', async () => {
+    const ocean = Buffer.from('ocean');
+    const tiles = [0, 1].flatMap(x => [0, 1].map(y => ({ tile: { x, y, z: 1 }, data: ocean })));
+
+    for (const dedup of [true, false]) {
+      const sink = await openSink({ dedup });
+      await sink.writeTiles(tiles);
+      await sink.writeMetadata(LAYER_JSON);
+      const header = decodeHeader(await fs.readFile(filePath));
+      expect(header.addressedTiles).toBe(4);
+      expect(header.tileContents).toBe(dedup ? 1 : 4);
+      expect(header.tileEntries).toBe(dedup ? 1 : 4);
+    }
+  });
+
+  it('should rebuild the archive from tiles staged by earlier runs', async () => {
+    const first = await openSink();
+    await first.writeTiles([
+      { tile: { x: 0, y: 0, z: 1 }, data: Buffer.from('old') },
+      { tile: { x: 1, y: 1, z: 1 }, data: Buffer.from('kept') },
+    ]);
+    await first.close();
+    // A record cut off by an interrupted run
+    await fs.appendFile(first.indexPath, '99 0 1');
+
+    const second = await openSink();
+    await second.writeTiles([{ tile: { x: 0, y: 0, z: 1 }, data: Buffer.from('new') }]);
+    await second.writeMetadata(LAYER_JSON);
+
+    const archive = await fs.readFile(filePath);
+    expect(decodeHeader(archive).addressedTiles).toBe(2);
+    expect(readTile(archive, 1, 0, 0).toString()).toBe('new');
+    expect(readTile(archive, 1, 1, 1).toString()).toBe('kept');
+  });
+
+  it('should remove the staging files and restage the archive in later runs', async () => {
+    const first = await openSink();
+    await first.writeTiles([
+      { tile: { x: 0, y: 0, z: 1 }, data: Buffer.from('old') },
+      { tile: { x: 1, y: 1, z: 1 }, data: Buffer.from('sea') },
+      { tile: { x: 1, y: 0, z: 1 }, data: Buffer.from('sea') },
+    ]);
+    await first.writeMetadata(LAYER_JSON);
+    expect(await fs.pathExists(first.dataPath)).toBe(false);
+    expect(await fs.pathExists(first.indexPath)).toBe(false);
+
+    const second = await openSink();
+    await second.writeTiles([{ tile: { x: 0, y: 0, z: 1 }, data: Buffer.from('new') }]);
+    await second.writeMetadata(LAYER_JSON);
+
+    const archive = await fs.readFile(filePath);
+    expect(decodeHeader(archive)).toMatchObject({ addressedTiles: 3, tileContents: 2 });
+    expect(readTile(archive, 1, 0, 0).toString()).toBe('new');
+    expect(readTile(archive, 1, 1, 1).toString()).toBe('sea');
+    expect(readTile(archive, 1, 1, 0).toString()).toBe('sea');
+    expect(await fs.pathExists(second.dataPath)).toBe(false);
+  });
+
+  it('should flip TMS rows to XYZ', async () => {
+    const scheme = new WebMercatorTilingScheme({ yOrigin: 'tms' });
+    const sink = await openSink({ scheme });
+    await sink.writeTiles([{ tile: { x: 0, y: 0, z: 1 }, data: Buffer.from('south-west') }]);
+    await sink.writeMetadata(LAYER_JSON);
+    expect(readTile(await fs.readFile(filePath), 1, 0, 1).toString()).toBe('south-west');
+  });
+
+  it('should reject tiling schemes PMTiles cannot address', async () => {
+    await expect(openSink({ scheme: new GeographicTilingScheme() })).rejects.toThrow('global Web Mercator');
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  GeographicTilingScheme,
+  WebMercatorTilingScheme,
+  createTilingScheme,
+} = require('../src/tiling-scheme');
+
+describe('Tiling schemes', () => {
+  describe('GeographicTilingScheme', () => {
+    const scheme = new GeographicTilingScheme();
+
+    it('should have two root tiles at level 0', () => {
+      expect(scheme.getNumberOfXTilesAtLevel(0)).toBe(2);
+      expect(scheme.getNumberOfYTilesAtLevel(0)).toBe(1);
+      expect(scheme.getNumberOfXTilesAtLevel(3)).toBe(16);
+      expect(scheme.projection).toBe('EPSG:4326');
+    });
+
+    it('should cover each hemisphere with one root tile', () => {
+      expect(scheme.tileToBounds(0, 0, 0)).toEqual({ minX: -180, minY: -90, maxX: 0, maxY: 90 });
+      expect(scheme.tileToBounds(1, 0, 0)).toEqual({ minX: 0, minY: -90, maxX: 180, maxY: 90 });
+    });
+
+    it('should count TMS rows from the south', () => {
+      expect(scheme.tileToBounds(0, 0, 1).maxY).toBe(0);
+      expect(scheme.lonLatToTile(-170, 80, 1)).toEqual({ x: 0, y: 1, z: 1 });
+    });
+
+    it('should count XYZ rows from the north', () => {
+      const xyz = new GeographicTilingScheme({ yOrigin: 'xyz' });
+      expect(xyz.tileToBounds(0, 0, 1).minY).toBe(0);
+      expect(xyz.lonLatToTile(-170, 80, 1)).toEqual({ x: 0, y: 0, z: 1 });
+    });
+
+    it('should round-trip tile centers', () => {
+      const bounds = scheme.tileToBounds(37, 21, 6);
+      const tile = scheme.lonLatToTile((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2, 6);
+      expect(tile).toEqual({ x: 37, y: 21, z: 6 });
+    });
+
+    it('should support a custom extent', () => {
+      const custom = new GeographicTilingScheme({ extent: [0, 40, 10, 50], rootTilesX: 1 });
+      expect(custom.tileToBounds(1, 1, 1)).toEqual({ minX: 5, minY: 45, maxX: 10, maxY: 50 });
+    });
+
+    it('should report half the Web Mercator resolution at the same level', () => {
+      const mercator = new WebMercatorTilingScheme();
+      expect(scheme.getResolution(3, 0, 256)).toBeCloseTo(mercator.getResolution(3, 0, 256) / 2, 6);
+    });
+  });
+
+  describe('WebMercatorTilingScheme', () => {
+    const scheme = new WebMercatorTilingScheme();
+
+    it('should have a single root tile with XYZ rows', () => {
+      expect(scheme.getNumberOfXTilesAtLevel(0)).toBe(1);
+      expect(scheme.yOrigin).toBe('xyz');
+      const bounds = scheme.tileToBounds(0, 0, 1);
+      expect(bounds.minX).toBe(-180);
+      expect(bounds.minY).toBeCloseTo(0, 9);
+      expect(bounds.maxY).toBeCloseTo(85.0511, 3);
+    });
+
+    it('should flip rows for TMS', () => {
+      const tms = new WebMercatorTilingScheme({ yOrigin: 'tms' });
+      expect(tms.lonLatToTile(10, 50, 4).y).toBe(15 - scheme.lonLatToTile(10, 50, 4).y);
+    });
+
+    it('should clamp positions beyond the Mercator limit', () => {
+      expect(scheme.lonLatToTile(180, -90, 2)).toEqual({ x: 3, y: 3, z: 2 });
+    });
+  });
+
+  describe('createTilingScheme', () => {
+    it('should create schemes by name', () => {
+      expect(createTilingScheme({ scheme: 'geographic' })).toBeInstanceOf(GeographicTilingScheme);
+      expect(createTilingScheme()).toBeInstanceOf(WebMercatorTilingScheme);
+    });
+
+    it('should round-trip through toJSON', () => {
+      const scheme = createTilingScheme({ scheme: 'geographic', yOrigin: 'xyz' });
+      expect(createTilingScheme(scheme.toJSON())).toEqual(scheme);
+    });
+
+    it('should reject unknown schemes and y-origins', () => {
+      expect(() => createTilingScheme({ scheme: 'polar' })).toThrow('Unsupported tiling scheme');
+      expect(() => createTilingScheme({ yOrigin: 'bottom' })).toThrow('Unsupported y-origin');
+    });
+  });
+});
@@ -6,9 +6,14 @@ const {
   getResolution,
   getParentTile,
   getChildTiles,
+  getAvailableChildTiles,
+  getChildTileMask,
+  mergeTileRanges,
+  getDescendantTileRanges,
   formatTilePath,
   bboxIntersects,
 } = require('../src/tiling');
+const { GeographicTilingScheme } = require('../src/tiling-scheme');
 
 describe('Tiling utilities', () => {
   describe('lonLatToTile', () => {
@@ -58,6 +63,11 @@ describe('Tiling utilities', () => {
       expect(tiles.length).toBeGreaterThanOrEqual(4);
     });
 
+    it('should return both root tiles for global bounds in the geographic scheme', () => {
+      const tiles = getTilesInBounds([-180, -90, 180, 90], 0, new GeographicTilingScheme());
+      expect(tiles).toEqual([{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }]);
+    });
+
     it('should return tiles for small region', () => {
       const tiles = getTilesInBounds([0, 0, 10, 10], 2);
       expect(tiles.length).toBeGreaterThan(0);
@@ -80,10 +90,25 @@ describe('Tiling utilities', () => {
       expect(scheme.totalTiles).toBeGreaterThan(0);
     });
 
+    it('should record the scheme used', () => {
+      const geographic = new GeographicTilingScheme();
+      const scheme = generateTilingScheme([-10, -10, 10, 10], 0, 1, geographic);
+      expect(scheme.scheme).toBe(geographic);
+      expect(scheme.levels[0]).toHaveLength(2);
+    });
+
     it('should have increasing tile count at higher zoom', () => {
       const scheme = generateTilingScheme([-10, -10, 10, 10], 0, 3);
       expect(scheme.levels[3].length).toBeGreaterThanOrEqual(scheme.levels[2].length);
     });
+
+    it('should leave out tiles outside the data coverage', () => {
+      const geographic = new GeographicTilingScheme();
+      // Two patches in opposite corners of a 90x90 degree bbox
+      const scheme = generateTilingScheme([0, 0, 90, 90], 2, 2, geographic, [[1, 1, 10, 10], [80, 80, 89, 89]]);
+      expect(scheme.levels[2]).toEqual([{ x: 4, y: 2, z: 2 }, { x: 5, y: 3, z: 2 }]);
+      expect(scheme.totalTiles).toBe(2);
+    });
   });
 
   describe('getResolution', () => {
@@ -129,6 +154,80 @@ describe('Tiling utilities', () => {
     });
   });
 
+  describe('getAvailableChildTiles', () => {
+    it('should only return children listed in the scheme', () => {
+      const scheme = generateTilingScheme([0, 0, 10, 10], 0, 3);
+      const parent = scheme.levels[2][0];
+      const children = getAvailableChildTiles(parent, scheme);
+      expect(children.length).toBeGreaterThan(0);
+      children.forEach(child => {
+        expect(scheme.levels[3]).toContainEqual(child);
+      });
+    });
+
+    it('should return no children at the deepest level', () => {
+      const scheme = generateTilingScheme([0, 0, 10, 10], 0, 2);
+      expect(getAvailableChildTiles(scheme.levels[2][0], scheme)).toEqual([]);
+    });
+  });
+
+  describe('getChildTileMask', () => {
+    it('should set all four bits when every child exists', () => {
+      const scheme = generateTilingScheme([-180, -85, 180, 85], 0, 1);
+      expect(getChildTileMask({ x: 0, y: 0, z: 0 }, scheme)).toBe(15);
+    });
+
+    it('should map XYZ children to Cesium quadrant bits', () => {
+      const scheme = { levels: { 1: [{ x: 0, y: 1, z: 1 }, { x: 1, y: 0, z: 1 }] } };
+      // (0, 1) is the south-west child, (1, 0) the north-east child
+      expect(getChildTileMask({ x: 0, y: 0, z: 0 }, scheme)).toBe(1 | 8);
+    });
+
+    it('should map TMS children to Cesium quadrant bits', () => {
+      const scheme = {
+        scheme: new GeographicTilingScheme(),
+        levels: { 1: [{ x: 0, y: 0, z: 1 }, { x: 1, y: 1, z: 1 }] },
+      };
+      // In TMS (0, 0) is the south-west child and (1, 1) the north-east child
+      expect(getChildTileMask({ x: 0, y: 0, z: 0 }, scheme)).toBe(1 | 8);
+    });
+  });
+
+  describe('mergeTileRanges', () => {
+    it('should merge rows with the same columns into rectangles', () => {
+      const tiles = [];
+      for (let y = 0; y < 3; y++) {
+        for (let x = 2; x < 5; x++) {
+          tiles.push({ x, y, z: 4 });
+        }
+      }
+      tiles.push({ x: 7, y: 1, z: 4 }, { x: 2, y: 3, z: 4 });
+      expect(mergeTileRanges(tiles)).toEqual([
+        { startX: 2, startY: 0, endX: 4, endY: 2 },
+        { startX: 7, startY: 1, endX: 7, endY: 1 },
+        { startX: 2, startY: 3, endX: 2, endY: 3 },
+      ]);
+    });
+
+    it('should not merge rows separated by a gap', () => {
+      const tiles = [{ x: 0, y: 0, z: 2 }, { x: 0, y: 2, z: 2 }];
+      expect(mergeTileRanges(tiles)).toHaveLength(2);
+    });
+  });
+
+  describe('getDescendantTileRanges', () => {
+    it('should clip the level to the subtree of a tile', () => {
+      const scheme = generateTilingScheme([-180, -85, 180, 85], 0, 2);
+      expect(getDescendantTileRanges({ x: 1, y: 0, z: 0 }, 2, scheme)).toEqual([]);
+      expect(getDescendantTileRanges({ x: 0, y: 0, z: 0 }, 2, scheme)).toEqual([
+        { startX: 0, startY: 0, endX: 3, endY: 3 },
+      ]);
+      expect(getDescendantTileRanges({ x: 1, y: 0, z: 1 }, 2, scheme)).toEqual([
+        { startX: 2, startY: 0, endX: 3, endY: 1 },
+      ]);
+    });
+  });
+
   describe('formatTilePath', () => {
     it('should format as z/x/y by default', () => {
       const path = formatTilePath({ x: 5, y: 10, z: 3 });
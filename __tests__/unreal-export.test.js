@@ -0,0 +1,189 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+jest.mock('../src/dem-reader', () => ({ openDEM: jest.fn() }));
+
+const { openDEM } = require('../src/dem-reader');
+const { ArrayRasterSource } = require('../src/raster-source');
+const {
+  LANDSCAPE_PRESETS,
+  getLandscapePreset,
+  chooseLandscapeSize,
+  createLocalProjection,
+  getLocalHalfSide,
+  computeLandscapeTransform,
+  getLandscapeTiles,
+  exportUnrealLandscape,
+} = require('../src/unreal-export');
+
+const SIZE = 64;
+
+// Roughly 1.1 km square near the equator
+const BBOX = [10, 0, 10.01, 0.01];
+
+/**
+ * Mock of an opened geographic DEM rising 100 m from west to east.
+ */
+function createDEM() {
+  const data = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      data[y * SIZE + x] = 500 + 100 * x / (SIZE - 1);
+    }
+  }
+  const source = new ArrayRasterSource(data, SIZE, SIZE);
+  return {
+    source,
+    sources: [source],
+    metadata: {
+      path: 'mock.tif',
+      width: SIZE,
+      height: SIZE,
+      bbox: BBOX,
+      geographicBbox: BBOX,
+      overviews: [],
+      crs: { type: 'longlat', name: 'EPSG:4326' },
+      minElevation: 500,
+      maxElevation: 600,
+    },
+    close: jest.fn(),
+  };
+}
+
+describe('landscape presets', () => {
+  it('should build every size from whole components of sections', () => {
+    for (const { size, sectionSize, sectionsPerComponent, components } of LANDSCAPE_PRESETS) {
+      expect(sectionSize * sectionsPerComponent * components + 1).toBe(size);
+    }
+  });
+
+  it('should look up presets by size', () => {
+    expect(getLandscapePreset(2017)).toEqual({ size: 2017, sectionSize: 63, sectionsPerComponent: 2, components: 16 });
+    expect(() => getLandscapePreset(2048)).toThrow(
+      'Unsupported landscape size: 2048 (expected 127, 253, 505, 1009, 2017, 4033 or 8129)'
+    );
+  });
+
+  it('should choose the smallest size at least as fine as the DEM', () => {
+    expect(chooseLandscapeSize(10000, 10)).toBe(1009);
+    expect(chooseLandscapeSize(10080, 10)).toBe(1009);
+    expect(chooseLandscapeSize(10100, 10)).toBe(2017);
+    expect(chooseLandscapeSize(1000, 30)).toBe(127);
+    expect(chooseLandscapeSize(100000, 1)).toBe(8129);
+  });
+});
+
+describe('local projection', () => {
+  it('should center a metric grid on the extent', () => {
+    const projection = createLocalProjection(BBOX);
+    const [x, y] = projection.forward(10.005, 0.005);
+    expect(Math.abs(x)).toBeLessThan(1e-6);
+    expect(Math.abs(y)).toBeLessThan(1e-6);
+
+    // 0.01 degrees of latitude and longitude at the equator are about 1.1 km
+    const half = getLocalHalfSide(BBOX, projection);
+    expect(half).toBeGreaterThan(550);
+    expect(half).toBeLessThan(560);
+  });
+});
+
+describe('computeLandscapeTransform', () => {
+  it('should map 16-bit levels back to meters', () => {
+    const { location, scale } = computeLandscapeTransform(1009, 2, 100, 1100);
+    expect(scale.x).toBe(200);
+    expect(scale.y).toBe(200);
+    expect(location.x).toBe(-1008 / 2 * 200);
+    expect(location.y).toBe(location.x);
+
+    // Unreal places level h at location.z + (h - 32768) * scale.z / 128 centimeters
+    const worldZ = level => location.z + (level - 32768) * scale.z / 128;
+    expect(worldZ(0)).toBeCloseTo(100 * 100, 6);
+    expect(worldZ(65535)).toBeCloseTo(1100 * 100, 6);
+  });
+});
+
+describe('getLandscapeTiles', () => {
+  it('should split landscapes into tiles sharing border vertices', () => {
+    const tiles = getLandscapeTiles(getLandscapePreset(1009), 2);
+    expect(tiles).toEqual([
+      { column: 0, row: 0, x: 0, y: 0, size: 505 },
+      { column: 1, row: 0, x: 504, y: 0, size: 505 },
+      { column: 0, row: 1, x: 0, y: 504, size: 505 },
+      { column: 1, row: 1, x: 504, y: 504, size: 505 },
+    ]);
+  });
+
+  it('should reject tiles splitting components', () => {
+    expect(() => getLandscapeTiles(getLandscapePreset(1009), 3)).toThrow(
+      'World Partition tiles must split the 8 x 8 components of a 1009 landscape evenly'
+    );
+    expect(() => getLandscapeTiles(getLandscapePreset(127), 2)).toThrow();
+  });
+});
+
+describe('exportUnrealLandscape', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'unreal-export-test-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    openDEM.mockReset();
+    openDEM.mockResolvedValueOnce(createDEM());
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    await fs.remove(tmpDir);
+  });
+
+  it('should write a 16-bit heightmap and its import settings', async () => {
+    const sidecar = await exportUnrealLandscape({ inputPath: 'dem.tif', outputDir: tmpDir, landscapeSize: 127 });
+
+    expect(sidecar.landscape).toEqual({
+      overallResolution: [127, 127],
+      sectionSize: 63,
+      sectionsPerComponent: 2,
+      components: [1, 1],
+    });
+    expect(sidecar.heightmap).toEqual({ format: 'png', files: ['heightmap.png'], tiles: [1, 1], tileResolution: 127 });
+    expect(sidecar.elevation.min).toBeCloseTo(500, 0);
+    expect(sidecar.elevation.max).toBeCloseTo(600, 0);
+    expect(sidecar.scale.x).toBeCloseTo(sidecar.georeference.spacing * 100, 2);
+    expect(sidecar.georeference.origin).toEqual([10.005, 0.005]);
+    expect(await fs.readJson(path.join(tmpDir, 'heightmap.json'))).toEqual(sidecar);
+
+    const { data, info } = await sharp(path.join(tmpDir, 'heightmap.png'))
+      .toColourspace('grey16').raw({ depth: 'ushort' }).toBuffer({ resolveWithObject: true });
+    expect([info.width, info.height, info.channels]).toEqual([127, 127, 1]);
+    const levels = new Uint16Array(data.buffer, data.byteOffset, 127 * 127);
+    // Heights rise eastward, along the heightmap rows
+    expect(levels[63 * 127]).toBeLessThan(levels[63 * 127 + 63]);
+    expect(levels[63 * 127 + 63]).toBeLessThan(levels[63 * 127 + 126]);
+  });
+
+  it('should write World Partition tiles as raw heightmaps', async () => {
+    const sidecar = await exportUnrealLandscape({
+      inputPath: 'dem.tif',
+      outputDir: tmpDir,
+      landscapeSize: 253,
+      heightmapFormat: 'raw',
+      worldPartition: 2,
+    });
+
+    const files = ['heightmap_x0_y0.r16', 'heightmap_x1_y0.r16', 'heightmap_x0_y1.r16', 'heightmap_x1_y1.r16'];
+    expect(sidecar.heightmap).toEqual({ format: 'raw', files, tiles: [2, 2], tileResolution: 127 });
+    const [west, east] = await Promise.all(files.slice(0, 2).map(file => fs.readFile(path.join(tmpDir, file))));
+    expect(west.length).toBe(127 * 127 * 2);
+    // Neighbouring tiles share their border column
+    for (let row = 0; row < 127; row++) {
+      expect(east.readUInt16LE(row * 127 * 2)).toBe(west.readUInt16LE((row * 127 + 126) * 2));
+    }
+  });
+
+  it('should reject unknown heightmap formats', async () => {
+    await expect(exportUnrealLandscape({ inputPath: 'dem.tif', outputDir: tmpDir, heightmapFormat: 'exr' }))
+      .rejects.toThrow('Unsupported heightmap format: exr (expected png or raw)');
+  });
+});
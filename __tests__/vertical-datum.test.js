@@ -0,0 +1,153 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// geotiff cannot be loaded by jest; .gtx grids do not need it
+jest.mock('../src/dem-reader', () => ({ openDEM: jest.fn() }));
+
+const { parseVerticalDatum, parseGtx, GeoidGrid, VerticalTransform } = require('../src/vertical-datum');
+
+/**
+ * Build a .gtx grid; valueAt(lon, lat) gives the geoid height at every node.
+ */
+function createGtx({ south, west, latStep, lonStep, rows, columns }, valueAt) {
+  const buffer = Buffer.alloc(40 + rows * columns * 4);
+  buffer.writeDoubleBE(south, 0);
+  buffer.writeDoubleBE(west, 8);
+  buffer.writeDoubleBE(latStep, 16);
+  buffer.writeDoubleBE(lonStep, 24);
+  buffer.writeInt32BE(rows, 32);
+  buffer.writeInt32BE(columns, 36);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const value = valueAt(west + col * lonStep, south + row * latStep);
+      buffer.writeFloatBE(value, 40 + (row * columns + col) * 4);
+    }
+  }
+  return buffer;
+}
+
+// Global 1-degree grid from 0 to 359 degrees east, geoid height = longitude / 10
+const GLOBAL = { south: -90, west: 0, latStep: 1, lonStep: 1, rows: 181, columns: 360 };
+
+describe('parseVerticalDatum', () => {
+  it('should parse the ellipsoid and geoid grids', () => {
+    expect(parseVerticalDatum(undefined)).toEqual({ type: 'ellipsoid' });
+    expect(parseVerticalDatum('WGS84')).toEqual({ type: 'ellipsoid' });
+    expect(parseVerticalDatum('grids/egm96_15.gtx')).toEqual({
+      type: 'geoid',
+      path: path.resolve('grids/egm96_15.gtx'),
+    });
+  });
+
+  it('should reject other datums', () => {
+    expect(() => parseVerticalDatum('EGM96')).toThrow('Unsupported vertical datum: EGM96');
+  });
+});
+
+describe('parseGtx', () => {
+  it('should flip rows to north-up and mark no-data nodes', async () => {
+    const grid = parseGtx(createGtx(
+      { south: 10, west: 20, latStep: 0.5, lonStep: 0.25, rows: 2, columns: 2 },
+      (lon, lat) => (lat === 10 && lon === 20 ? -88.8888 : lat)
+    ));
+
+    expect(grid.bbox).toEqual([19.875, 9.75, 20.375, 10.75]);
+    expect(Array.from(await grid.source.readWindow([0, 0, 2, 2]))).toEqual([10.5, 10.5, NaN, 10]);
+  });
+
+  it('should reject truncated grids', () => {
+    const buffer = createGtx({ ...GLOBAL, rows: 2, columns: 2 }, () => 0);
+    expect(() => parseGtx(buffer.subarray(0, 50))).toThrow('Truncated .gtx grid');
+  });
+});
+
+describe('vertical datum conversion', () => {
+  let tmpDir;
+  let transform;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vertical-datum-test-'));
+  });
+
+  afterEach(async () => {
+    if (transform) {
+      transform.close();
+      transform = null;
+    }
+    await fs.remove(tmpDir);
+  });
+
+  async function writeGrid(name, spec, valueAt) {
+    const filePath = path.join(tmpDir, name);
+    await fs.writeFile(filePath, createGtx(spec, valueAt));
+    return parseVerticalDatum(filePath);
+  }
+
+  it('should sample grids across the antimeridian', async () => {
+    const datum = await writeGrid('global.gtx', GLOBAL, lon => lon / 10);
+    const grid = await GeoidGrid.open(datum.path);
+
+    const values = await grid.sample(new Float64Array([10.5, 0, -10, 45, 180, -30]));
+    expect(values[0]).toBeCloseTo(1.05, 5);
+    expect(values[1]).toBeCloseTo(35, 5); // 350 degrees east
+    expect(values[2]).toBeCloseTo(18, 5);
+    expect(grid.covers([-10, -20, 10, 20])).toBe(true);
+    grid.close();
+  });
+
+  it('should convert orthometric heights to ellipsoid heights', async () => {
+    const source = await writeGrid('global.gtx', GLOBAL, lon => lon / 10);
+    transform = await VerticalTransform.open(source, parseVerticalDatum('ellipsoid'));
+
+    const heights = new Float32Array([100, 200]);
+    await transform.apply(heights, new Float64Array([10, 0, 20, 0]), 2, 1);
+    expect(heights[0]).toBeCloseTo(101, 5);
+    expect(heights[1]).toBeCloseTo(202, 5);
+  });
+
+  it('should convert between two geoids', async () => {
+    const source = await writeGrid('a.gtx', GLOBAL, () => 30);
+    const target = await writeGrid('b.gtx', GLOBAL, () => 25);
+    transform = await VerticalTransform.open(source, target);
+
+    const heights = await transform.apply(new Float32Array([0]), new Float64Array([5, 5]), 1, 1);
+    expect(heights[0]).toBeCloseTo(5, 5);
+    expect(transform.describe()).toContain('a.gtx');
+  });
+
+  it('should interpolate offsets where the grid has no data', async () => {
+    const source = await writeGrid('holes.gtx', GLOBAL, lon => (lon === 11 ? -88.8888 : 10));
+    transform = await VerticalTransform.open(source, parseVerticalDatum('ellipsoid'));
+
+    const heights = await transform.apply(new Float32Array(3), new Float64Array([10, 0, 11, 0, 12, 0]), 3, 1);
+    expect(Array.from(heights)).toEqual([10, 10, 10]);
+  });
+
+  it('should estimate the offset range over an extent', async () => {
+    const source = await writeGrid('global.gtx', GLOBAL, lon => lon / 10);
+    transform = await VerticalTransform.open(source, parseVerticalDatum('ellipsoid'));
+
+    const range = await transform.getOffsetRange([10, 40, 20, 50]);
+    expect(range.min).toBeCloseTo(1, 5);
+    expect(range.max).toBeCloseTo(2, 5);
+  });
+
+  it('should skip identical datums', async () => {
+    expect(await VerticalTransform.open(parseVerticalDatum('ellipsoid'), parseVerticalDatum('wgs84'))).toBeNull();
+  });
+
+  it('should reject grids that do not cover the DEM', async () => {
+    const regional = await writeGrid(
+      'regional.gtx',
+      { south: 20, west: 230, latStep: 1, lonStep: 1, rows: 31, columns: 71 },
+      () => -30
+    );
+    const ellipsoid = parseVerticalDatum('ellipsoid');
+
+    transform = await VerticalTransform.open(regional, ellipsoid, [-100, 30, -90, 40]);
+    expect(transform).not.toBeNull();
+    await expect(VerticalTransform.open(regional, ellipsoid, [10, 30, 20, 40])).rejects.toThrow('does not cover');
+    await expect(VerticalTransform.open(parseVerticalDatum('missing.gtx'), ellipsoid)).rejects.toThrow('not found');
+  });
+});
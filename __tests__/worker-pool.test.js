@@ -0,0 +1,67 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { WorkerPool } = require('../src/worker-pool');
+
+// Doubles numbers, fails on negative ones
+const WORKER_SCRIPT = `
+const { parentPort, workerData } = require('worker_threads');
+parentPort.on('message', message => {
+  if (message.type === 'close') {
+    parentPort.close();
+    return;
+  }
+  const { id, task } = message;
+  if (task < 0) {
+    parentPort.postMessage({ id, error: { message: 'negative task ' + task } });
+  } else {
+    parentPort.postMessage({ id, result: task * workerData.factor });
+  }
+});
+`;
+
+describe('WorkerPool', () => {
+  let tmpDir;
+  let script;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'worker-pool-test-'));
+    script = path.join(tmpDir, 'worker.js');
+    await fs.writeFile(script, WORKER_SCRIPT);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should run queued tasks across workers', async () => {
+    const pool = new WorkerPool(script, 2, { factor: 2 });
+    try {
+      const results = await Promise.all([1, 2, 3, 4, 5].map(task => pool.run(task)));
+      expect(results).toEqual([2, 4, 6, 8, 10]);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('should reject tasks that fail in a worker', async () => {
+    const pool = new WorkerPool(script, 1, { factor: 2 });
+    try {
+      await expect(pool.run(-1)).rejects.toThrow('negative task -1');
+      // The worker stays usable
+      await expect(pool.run(3)).resolves.toBe(6);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('should reject queued tasks when closed', async () => {
+    const pool = new WorkerPool(script, 1, { factor: 2 });
+    const running = pool.run(1);
+    const queued = pool.run(2);
+    const closed = pool.close();
+    await expect(queued).rejects.toThrow('Worker pool closed');
+    await expect(running).resolves.toBe(2);
+    await closed;
+  });
+});
@@ -71,7 +71,7 @@ ipcMain.handle('read-metadata', async (event, inputPath) => {
 
 ipcMain.handle('run-tiler', async (event, options) => {
   try {
-    const { inputPath, outputDir, tileSize, maxLevel } = options || {};
+    const { inputPath, outputDir, tileSize, maxLevel, format, imageFormat } = options || {};
 
     if (!inputPath || !outputDir) {
       throw new Error('Input DEM and output directory are required');
@@ -82,6 +82,8 @@ ipcMain.handle('run-tiler', async (event, options) => {
       outputDir,
       tileSize: Number(tileSize) || 256,
       maxLevel: Number(maxLevel) || 10,
+      format: format || 'png',
+      imageFormat: imageFormat || 'png',
     });
 
     return { ok: true };
@@ -0,0 +1,172 @@
+/**
+ * Color-relief (hypsometric tint) imagery from a color ramp, as gdaldem color-relief.
+ *
+ * Ramp files list one color stop per line, `<elevation> <R> <G> <B> [<A>]`, components
+ * from 0 to 255 (alpha defaults to 255) separated by spaces, tabs, commas or colons, and
+ * `#` comments. Elevations are meters, or percentages such as `50%` of the DEM elevation
+ * range (minElevation to maxElevation). Colors are interpolated linearly between stops;
+ * elevations beyond the first or last stop take its color. An `nv` line gives the color
+ * of samples without DEM data; without it they are filled (see --nodata-fill) and colored
+ * like any other. Tiles can be multiplied by a multidirectional hillshade to show relief.
+ */
+
+const fs = require('fs-extra');
+const { computeGradients, computeHillshade } = require('./terrain-analysis');
+const { encodeImage } = require('./terrain-encoder');
+
+/**
+ * @typedef {Object} ColorStop
+ * @property {number} [value] - Elevation in meters
+ * @property {number} [percent] - Percentage of the DEM elevation range, for unresolved ramps
+ * @property {Array<number>} color - [R, G, B, A], 0 to 255
+ */
+
+/**
+ * @typedef {Object} ColorRamp
+ * @property {Array<ColorStop>} stops - Color stops in file order
+ * @property {Array<number>|null} noData - [R, G, B, A] of samples without data, or null
+ */
+
+/**
+ * Parse the text of a color ramp file.
+ * @param {string} text - Ramp file content
+ * @param {string} [name] - Ramp file name, for error messages
+ * @returns {ColorRamp} Color ramp, percentage stops unresolved (see resolveColorRamp)
+ */
+function parseColorRamp(text, name = 'color ramp') {
+  const ramp = { stops: [], noData: null };
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const content = line.replace(/#.*/, '').trim();
+    if (!content) {
+      return;
+    }
+    const parts = content.split(/[\s,:]+/);
+    const color = parts.slice(1).map(Number);
+    if (color.length === 3) {
+      color.push(255);
+    }
+    if (color.length !== 4 || color.some(c => !Number.isInteger(c) || c < 0 || c > 255)) {
+      throw new Error(`Invalid color in ${name} line ${index + 1}: ${content} (expected elevation R G B [A], 0-255)`);
+    }
+
+    const key = parts[0];
+    if (key.toLowerCase() === 'nv') {
+      ramp.noData = color;
+      return;
+    }
+    const percent = key.endsWith('%');
+    const value = Number(percent ? key.slice(0, -1) : key);
+    if (key === '%' || !Number.isFinite(value)) {
+      throw new Error(`Invalid elevation in ${name} line ${index + 1}: ${key} (expected meters, a percentage or nv)`);
+    }
+    ramp.stops.push(percent ? { percent: value, color } : { value, color });
+  });
+
+  if (ramp.stops.length === 0) {
+    throw new Error(`No color stops in ${name}`);
+  }
+  return ramp;
+}
+
+/**
+ * @param {string} filePath - Color ramp file
+ * @returns {Promise<ColorRamp>} Parsed color ramp
+ */
+async function readColorRamp(filePath) {
+  return parseColorRamp(await fs.readFile(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Turn percentage stops into elevations and sort the stops.
+ * @param {ColorRamp} ramp - Parsed color ramp
+ * @param {number} minElevation - Elevation of 0%
+ * @param {number} maxElevation - Elevation of 100%
+ * @returns {ColorRamp} Ramp with every stop's value set, by ascending elevation
+ */
+function resolveColorRamp(ramp, minElevation, maxElevation) {
+  const stops = ramp.stops
+    .map(({ value, percent, color }) => ({
+      value: percent === undefined ? value : minElevation + (maxElevation - minElevation) * percent / 100,
+      color,
+    }))
+    .sort((a, b) => a.value - b.value);
+  return { stops, noData: ramp.noData };
+}
+
+/**
+ * Color of an elevation, interpolated between the stops around it.
+ * @param {ColorRamp} ramp - Resolved color ramp
+ * @param {number} elevation - Elevation in meters
+ * @param {Buffer} pixels - RGBA pixels receiving the color
+ * @param {number} offset - Offset of the pixel in `pixels`
+ */
+function writeRampColor(ramp, elevation, pixels, offset) {
+  const { stops } = ramp;
+  let upper = 0;
+  while (upper < stops.length && stops[upper].value < elevation) {
+    upper++;
+  }
+
+  if (upper === 0 || upper === stops.length) {
+    const { color } = stops[upper === 0 ? 0 : stops.length - 1];
+    for (let c = 0; c < 4; c++) {
+      pixels[offset + c] = color[c];
+    }
+    return;
+  }
+
+  const a = stops[upper - 1];
+  const b = stops[upper];
+  const t = (elevation - a.value) / (b.value - a.value);
+  for (let c = 0; c < 4; c++) {
+    pixels[offset + c] = Math.round(a.color[c] + (b.color[c] - a.color[c]) * t);
+  }
+}
+
+/**
+ * Render a buffered tile grid as color-relief imagery.
+ * @param {Float32Array} grid - (tileSize + 2)^2 filled heights with a one-sample buffer
+ * @param {number} tileSize - Output pixels per side
+ * @param {Float64Array} positions - Interleaved [lon, lat] of every grid sample
+ * @param {Object} options - Rendering options
+ * @param {ColorRamp} options.ramp - Resolved color ramp
+ * @param {boolean} [options.hillshade] - Multiply the colors by a multidirectional hillshade
+ * @param {Uint8Array} [options.noDataMask] - 1 for tile pixels without DEM data, which take the
+ *   ramp's nv color when it has one
+ * @param {string} imageFormat - 'png' or 'webp' (lossless)
+ * @returns {Promise<Buffer>} Encoded RGBA image
+ */
+function encodeColorRelief(grid, tileSize, positions, options, imageFormat) {
+  const { ramp, hillshade = false, noDataMask } = options;
+  const stride = tileSize + 2;
+  const pixels = Buffer.alloc(tileSize * tileSize * 4);
+  const shade = hillshade ? computeHillshade(computeGradients(grid, tileSize, tileSize, positions)) : null;
+
+  for (let row = 0; row < tileSize; row++) {
+    for (let col = 0; col < tileSize; col++) {
+      const i = row * tileSize + col;
+      if (ramp.noData && noDataMask && noDataMask[i]) {
+        for (let c = 0; c < 4; c++) {
+          pixels[i * 4 + c] = ramp.noData[c];
+        }
+        continue;
+      }
+      writeRampColor(ramp, grid[(row + 1) * stride + col + 1], pixels, i * 4);
+      if (shade) {
+        for (let c = 0; c < 3; c++) {
+          pixels[i * 4 + c] = Math.round(pixels[i * 4 + c] * shade[i]);
+        }
+      }
+    }
+  }
+
+  return encodeImage(pixels, tileSize, tileSize, 4, imageFormat);
+}
+
+module.exports = {
+  parseColorRamp,
+  readColorRamp,
+  resolveColorRamp,
+  encodeColorRelief,
+};
@@ -1,37 +1,187 @@
 const fs = require('fs-extra');
 const { fromFile } = require('geotiff');
+const { crsFromGeoKeys, parseCRS, createProjection, transformBounds } = require('./projection');
+const { BlockCache, RasterSource } = require('./raster-source');
+
+// Rasters up to this size get an exact elevation range when the file has no statistics
+const EXACT_RANGE_MAX_PIXELS = 4096 * 4096;
+// Otherwise the smallest overview up to that size is scanned, and up to this many blocks
+// per axis of the raster are sampled
+const SAMPLE_BLOCKS_PER_AXIS = 8;
+
+// Names of common vertical CRSs (VerticalCSTypeGeoKey)
+const VERTICAL_CRS_NAMES = {
+  3855: 'EGM2008 height',
+  4979: 'WGS 84 ellipsoidal height',
+  5701: 'ODN height',
+  5703: 'NAVD88 height',
+  5714: 'MSL height',
+  5773: 'EGM96 height',
+  7837: 'DHHN2016 height',
+};
+
+// GeoKey value for user-defined keys
+const USER_DEFINED = 32767;
 
 /**
  * @typedef {Object} DEMMetadata
  * @property {string} path - Path to the DEM file
  * @property {number} width - Width of the raster in pixels
  * @property {number} height - Height of the raster in pixels
- * @property {Array<number>} bbox - Bounding box [minX, minY, maxX, maxY]
+ * @property {Array<number>} bbox - Bounding box [minX, minY, maxX, maxY] in the DEM's CRS
  * @property {Array<number>} resolution - Resolution [xRes, yRes] in units
+ * @property {Array<{width: number, height: number, resolution: Array<number>}>} overviews - Internal
+ *   overviews, largest first (empty when the file has none)
  * @property {number} [noDataValue] - No data value (if specified)
  * @property {string} [projection] - Projection information (if available)
+ * @property {{code: number|null, name: string}|null} verticalDatum - Vertical CRS of the heights from
+ *   the GeoKeys, or null when the file does not declare one
+ * @property {import('./projection').CRSDefinition|null} crs - Source CRS, or null if unsupported
+ * @property {string} [crsError] - Why the CRS could not be determined (when crs is null)
+ * @property {Array<number>|null} geographicBbox - Bounding box [west, south, east, north] in degrees
  * @property {Object} origin - Origin point {x, y}
  * @property {number} minElevation - Minimum elevation value
  * @property {number} maxElevation - Maximum elevation value
+ * @property {string} elevationRangeSource - How the range was obtained: 'statistics' (GDAL tags),
+ *   'exact' (full scan), or estimates: 'overview' (smallest overview and a sample of
+ *   blocks) or 'sampled' (sample of blocks only)
  * @property {string} dataType - Data type of the raster (e.g., 'Float32', 'Int16')
  */
 
 /**
- * Read metadata from a GeoTIFF DEM file.
+ * @typedef {Object} ReadOptions
+ * @property {string} [sourceCrs] - CRS override ('EPSG:xxxx', PROJ string or WKT) used instead of GeoKeys
+ * @property {number} [cacheBytes] - Maximum size of the decoded block cache in bytes
+ * @property {BlockCache} [cache] - Shared block cache, used instead of a private cache of cacheBytes
+ */
+
+/**
+ * Read metadata from a GeoTIFF DEM file. Only headers and, when the file carries no
+ * statistics, a bounded sample of blocks are read, so this is fast on any file size.
  * @param {string} inputPath - Path to the GeoTIFF file
+ * @param {ReadOptions} [options] - Read options
  * @returns {Promise<DEMMetadata>} DEM metadata
  */
-async function readDEMMetadata(inputPath) {
+async function readDEMMetadata(inputPath, options = {}) {
+  const { tiff, image, overviewImages } = await openGeoTIFF(inputPath);
+  try {
+    return await buildMetadata(inputPath, image, overviewImages, new RasterSource(image, options), options);
+  } finally {
+    tiff.close();
+  }
+}
+
+/**
+ * @typedef {Object} OpenedDEM
+ * @property {RasterSource} source - Full-resolution raster
+ * @property {Array<RasterSource>} sources - Full-resolution raster followed by the overviews
+ *   listed in metadata.overviews (index = level from selectSourceLevel)
+ * @property {DEMMetadata} metadata - DEM metadata
+ * @property {Function} close - Releases the file and cached blocks
+ */
+
+/**
+ * Open a DEM for out-of-core reading: pixels are fetched block by block through a
+ * bounded cache (shared with any internal overviews) as tiles are sampled.
+ * @param {string} inputPath - Path to the GeoTIFF file
+ * @param {ReadOptions} [options] - Read options
+ * @returns {Promise<OpenedDEM>} Opened DEM
+ */
+async function openDEM(inputPath, options = {}) {
+  const { tiff, image, overviewImages } = await openGeoTIFF(inputPath);
+  try {
+    const cache = options.cache || new BlockCache(options.cacheBytes);
+    const sources = [image, ...overviewImages].map(level => new RasterSource(level, { cache }));
+    const metadata = await buildMetadata(inputPath, image, overviewImages, sources[0], options);
+    return {
+      source: sources[0],
+      sources,
+      metadata,
+      close: () => {
+        if (!options.cache) {
+          cache.clear();
+        }
+        tiff.close();
+      },
+    };
+  } catch (err) {
+    tiff.close();
+    throw err;
+  }
+}
+
+/**
+ * Read the whole elevation raster of a GeoTIFF DEM file into memory.
+ * Prefer openDEM() for large rasters.
+ * @param {string} inputPath - Path to the GeoTIFF file
+ * @param {ReadOptions} [options] - Read options
+ * @returns {Promise<{data: TypedArray, metadata: DEMMetadata}>} Elevation data and metadata
+ */
+async function readDEMData(inputPath, options = {}) {
+  const { tiff, image, overviewImages } = await openGeoTIFF(inputPath);
+  try {
+    const metadata = await buildMetadata(inputPath, image, overviewImages, new RasterSource(image, options), options);
+    const rasters = await image.readRasters({ samples: [0] });
+    return {
+      data: rasters[0], // First band contains elevation data
+      metadata,
+    };
+  } finally {
+    tiff.close();
+  }
+}
+
+async function openGeoTIFF(inputPath) {
   // Verify file exists
   const exists = await fs.pathExists(inputPath);
   if (!exists) {
     throw new Error(`DEM file not found: ${inputPath}`);
   }
 
-  // Open GeoTIFF
   const tiff = await fromFile(inputPath);
-  const image = await tiff.getImage();
-  
+  try {
+    const image = await tiff.getImage();
+    return { tiff, image, overviewImages: await readOverviewImages(tiff, image) };
+  } catch (err) {
+    tiff.close();
+    throw err;
+  }
+}
+
+/**
+ * Find the reduced-resolution (overview) images stored after the main image, as in
+ * cloud-optimized GeoTIFFs. Transparency masks are ignored.
+ * @param {Object} tiff - geotiff.js GeoTIFF
+ * @param {Object} image - Main image
+ * @returns {Promise<Array<Object>>} Overview images, largest first
+ */
+async function readOverviewImages(tiff, image) {
+  const count = await tiff.getImageCount();
+  const overviews = [];
+
+  for (let i = 1; i < count; i++) {
+    const candidate = await tiff.getImage(i);
+    const { NewSubfileType: newSubfileType = 0, SubfileType: subfileType } = candidate.fileDirectory;
+    const reducedResolution = (newSubfileType & 1) || subfileType === 2;
+    const mask = newSubfileType & 4;
+    if (reducedResolution && !mask && candidate.getWidth() < image.getWidth()) {
+      overviews.push(candidate);
+    }
+  }
+
+  return overviews.sort((a, b) => b.getWidth() - a.getWidth());
+}
+
+/**
+ * Collect DEM metadata from an opened GeoTIFF image.
+ * @param {string} inputPath - Path to the GeoTIFF file
+ * @param {Object} image - geotiff.js GeoTIFFImage
+ * @param {Array<Object>} overviewImages - Overview images, largest first
+ * @param {RasterSource} source - Raster source over the image
+ * @param {ReadOptions} options - Read options
+ * @returns {Promise<DEMMetadata>} DEM metadata
+ */
+async function buildMetadata(inputPath, image, overviewImages, source, options) {
   // Get basic dimensions
   const width = image.getWidth();
   const height = image.getHeight();
@@ -51,27 +201,28 @@ async function readDEMMetadata(inputPath) {
   // Read GeoKeys for projection info
   const geoKeys = image.getGeoKeys();
   const projection = geoKeys ? formatProjectionInfo(geoKeys) : 'Unknown';
-  
+  const verticalDatum = geoKeys ? readVerticalDatum(geoKeys) : null;
+
+  // Resolve the CRS; an unsupported CRS is recorded rather than thrown so metadata
+  // can still be displayed, while an invalid --source-crs override is an error
+  let crs = null;
+  let crsError;
+  if (options.sourceCrs) {
+    crs = parseCRS(options.sourceCrs);
+  } else {
+    try {
+      crs = detectCRS(geoKeys, bbox);
+    } catch (err) {
+      crsError = err.message;
+    }
+  }
+  const geographicBbox = crs ? transformBounds(bbox, createProjection(crs)) : null;
+
   // Get GDAL metadata if available
   const fileDirectory = image.fileDirectory;
   const noDataValue = fileDirectory.GDAL_NODATA ? parseFloat(fileDirectory.GDAL_NODATA) : undefined;
   
-  // Read a sample of the data to determine min/max elevation
-  // For performance, we'll sample the data rather than read everything
-  const rasters = await image.readRasters();
-  const elevationData = rasters[0]; // First band
-  
-  let minElevation = Infinity;
-  let maxElevation = -Infinity;
-  
-  for (let i = 0; i < elevationData.length; i++) {
-    const value = elevationData[i];
-    if (noDataValue !== undefined && value === noDataValue) {
-      continue; // Skip no-data values
-    }
-    if (value < minElevation) minElevation = value;
-    if (value > maxElevation) maxElevation = value;
-  }
+  const range = await computeElevationRange(image, source, noDataValue, overviewImages);
   
   return {
     path: inputPath,
@@ -79,33 +230,103 @@ async function readDEMMetadata(inputPath) {
     height,
     bbox,
     resolution: [Math.abs(resX), Math.abs(resY)],
+    overviews: overviewImages.map(overview => ({
+      width: overview.getWidth(),
+      height: overview.getHeight(),
+      resolution: [
+        (bbox[2] - bbox[0]) / overview.getWidth(),
+        (bbox[3] - bbox[1]) / overview.getHeight(),
+      ],
+    })),
     noDataValue,
     projection,
+    verticalDatum,
+    crs,
+    crsError,
+    geographicBbox,
     origin: { x: originX, y: originY },
-    minElevation: minElevation === Infinity ? 0 : minElevation,
-    maxElevation: maxElevation === -Infinity ? 0 : maxElevation,
+    minElevation: range.min,
+    maxElevation: range.max,
+    elevationRangeSource: range.source,
     dataType,
   };
 }
 
 /**
- * Read elevation data from a GeoTIFF DEM file.
- * @param {string} inputPath - Path to the GeoTIFF file
- * @returns {Promise<{data: TypedArray, metadata: DEMMetadata}>} Elevation data and metadata
+ * Determine the elevation range without reading the whole raster: GDAL statistics
+ * tags when present, an exact scan for small rasters, otherwise an estimate from a
+ * strided sample of blocks spread evenly over the raster, widened by a scan of the
+ * smallest overview when the file has one. Overviews cover the whole raster but
+ * average away narrow peaks and pits, so either estimate can miss some extremes.
+ * @param {Object} image - geotiff.js GeoTIFFImage
+ * @param {RasterSource} source - Raster source over the image
+ * @param {number} [noDataValue] - No data value to skip
+ * @param {Array<Object>} [overviewImages] - Overview images, largest first
+ * @returns {Promise<{min: number, max: number, source: string}>} Range and how it was obtained
  */
-async function readDEMData(inputPath) {
-  const metadata = await readDEMMetadata(inputPath);
-  
-  const tiff = await fromFile(inputPath);
-  const image = await tiff.getImage();
-  const rasters = await image.readRasters();
-  
+async function computeElevationRange(image, source, noDataValue, overviewImages = []) {
+  const statistics = { ...image.getGDALMetadata(), ...image.getGDALMetadata(0) };
+  const statsMin = parseFloat(statistics.STATISTICS_MINIMUM);
+  const statsMax = parseFloat(statistics.STATISTICS_MAXIMUM);
+  if (Number.isFinite(statsMin) && Number.isFinite(statsMax)) {
+    return { min: statsMin, max: statsMax, source: 'statistics' };
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  const scan = (values) => {
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (Number.isNaN(value) || (noDataValue !== undefined && value === noDataValue)) {
+        continue; // Skip no-data values
+      }
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  };
+
+  let rangeSource;
+  if (source.width * source.height <= EXACT_RANGE_MAX_PIXELS) {
+    scan(await source.readWindow([0, 0, source.width, source.height]));
+    rangeSource = 'exact';
+  } else {
+    const stepsX = Math.min(source.blocksX, SAMPLE_BLOCKS_PER_AXIS);
+    const stepsY = Math.min(source.blocksY, SAMPLE_BLOCKS_PER_AXIS);
+    for (let j = 0; j < stepsY; j++) {
+      for (let i = 0; i < stepsX; i++) {
+        const bx = Math.floor((i + 0.5) * source.blocksX / stepsX);
+        const by = Math.floor((j + 0.5) * source.blocksY / stepsY);
+        scan(await source.readBlock(bx, by));
+      }
+    }
+    rangeSource = 'sampled';
+
+    const smallest = overviewImages[overviewImages.length - 1];
+    if (smallest && smallest.getWidth() * smallest.getHeight() <= EXACT_RANGE_MAX_PIXELS) {
+      const overview = new RasterSource(smallest, { cache: source.cache });
+      scan(await overview.readWindow([0, 0, overview.width, overview.height]));
+      rangeSource = 'overview';
+    }
+  }
+
   return {
-    data: rasters[0], // First band contains elevation data
-    metadata,
+    min: min === Infinity ? 0 : min,
+    max: max === -Infinity ? 0 : max,
+    source: rangeSource,
   };
 }
 
+/**
+ * @param {string} rangeSource - How the elevation range was obtained (see DEMMetadata)
+ * @returns {string} Heading of the elevation range in displayed metadata
+ */
+function formatElevationRangeHeading(rangeSource) {
+  if (rangeSource === 'overview') {
+    return 'Elevation Range (estimated from the smallest overview and sampled blocks):';
+  }
+  return rangeSource === 'sampled' ? 'Elevation Range (estimated from sampled blocks):' : 'Elevation Range:';
+}
+
 /**
  * Format projection information from GeoKeys.
  * @param {Object} geoKeys - GeoKeys from GeoTIFF
@@ -128,6 +349,42 @@ function formatProjectionInfo(geoKeys) {
   return parts.length > 0 ? parts.join(' ') : 'Unknown';
 }
 
+/**
+ * Read the vertical CRS of the heights from GeoKeys.
+ * @param {Object} geoKeys - GeoKeys from GeoTIFF
+ * @returns {{code: number|null, name: string}|null} Vertical CRS, or null when not declared
+ */
+function readVerticalDatum(geoKeys) {
+  const { VerticalCSTypeGeoKey: code, VerticalCitationGeoKey: citation } = geoKeys;
+  if (code && code !== USER_DEFINED) {
+    return { code, name: VERTICAL_CRS_NAMES[code] || citation || `EPSG:${code}` };
+  }
+  if (citation) {
+    return { code: null, name: citation };
+  }
+  return null;
+}
+
+/**
+ * Determine the CRS of a DEM from its GeoKeys. Files without GeoKeys whose bounds
+ * look like degrees are assumed to be WGS84 longitude/latitude.
+ * @param {Object|null} geoKeys - GeoKeys from GeoTIFF
+ * @param {Array<number>} bbox - Native bounding box
+ * @returns {import('./projection').CRSDefinition} CRS definition
+ */
+function detectCRS(geoKeys, bbox) {
+  if (geoKeys && (geoKeys.GTModelTypeGeoKey || geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey)) {
+    return crsFromGeoKeys(geoKeys);
+  }
+
+  const [minX, minY, maxX, maxY] = bbox;
+  if (minX >= -180 && maxX <= 360 && minY >= -90 && maxY <= 90) {
+    return { type: 'longlat', name: 'EPSG:4326 (assumed)' };
+  }
+
+  throw new Error('No coordinate reference system in GeoTIFF (pass one with --source-crs)');
+}
+
 /**
  * Get human-readable data type name.
  * @param {number} sampleFormat - Sample format code
@@ -157,7 +414,7 @@ function formatMetadata(metadata) {
     `Dimensions: ${metadata.width} x ${metadata.height} pixels`,
     `Data Type: ${metadata.dataType}`,
     '',
-    'Geographic Extent:',
+    metadata.crs && metadata.crs.type !== 'longlat' ? 'Projected Extent:' : 'Geographic Extent:',
     `  Min X: ${metadata.bbox[0].toFixed(6)}`,
     `  Min Y: ${metadata.bbox[1].toFixed(6)}`,
     `  Max X: ${metadata.bbox[2].toFixed(6)}`,
@@ -167,14 +424,43 @@ function formatMetadata(metadata) {
     `  X: ${metadata.resolution[0].toFixed(6)} units/pixel`,
     `  Y: ${metadata.resolution[1].toFixed(6)} units/pixel`,
     '',
-    'Elevation Range:',
+    metadata.overviews.length > 0 ? 'Overviews:' : 'Overviews: none',
+    ...metadata.overviews.map(overview => (
+      `  ${overview.width} x ${overview.height} pixels (${overview.resolution[0].toFixed(6)} units/pixel)`
+    )),
+    '',
+    formatElevationRangeHeading(metadata.elevationRangeSource),
     `  Minimum: ${metadata.minElevation.toFixed(2)} m`,
     `  Maximum: ${metadata.maxElevation.toFixed(2)} m`,
     `  Range: ${(metadata.maxElevation - metadata.minElevation).toFixed(2)} m`,
     '',
     `Projection: ${metadata.projection}`,
   ];
+
+  if (metadata.crs) {
+    lines.push(`CRS: ${metadata.crs.name} (${metadata.crs.type})`);
+  } else if (metadata.crsError) {
+    lines.push(`CRS: unsupported (${metadata.crsError})`);
+  }
+
+  if (metadata.crs && metadata.crs.type !== 'longlat') {
+    lines.push(
+      '',
+      'WGS84 Extent:',
+      `  West : ${metadata.geographicBbox[0].toFixed(6)}`,
+      `  South: ${metadata.geographicBbox[1].toFixed(6)}`,
+      `  East : ${metadata.geographicBbox[2].toFixed(6)}`,
+      `  North: ${metadata.geographicBbox[3].toFixed(6)}`,
+    );
+  }
   
+  const { verticalDatum } = metadata;
+  if (verticalDatum) {
+    lines.push(`Vertical Datum: ${verticalDatum.name}${verticalDatum.code ? ` (EPSG:${verticalDatum.code})` : ''}`);
+  } else {
+    lines.push('Vertical Datum: unspecified');
+  }
+
   if (metadata.noDataValue !== undefined) {
     lines.push(`No Data Value: ${metadata.noDataValue}`);
   }
@@ -185,5 +471,6 @@ function formatMetadata(metadata) {
 module.exports = {
   readDEMMetadata,
   readDEMData,
+  openDEM,
   formatMetadata,
 };
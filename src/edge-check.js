@@ -0,0 +1,294 @@
+/**
+ * Check that neighbouring tiles agree on their shared edges.
+ * Tiles sampling the tile edges (Cesium terrain, and image tiles generated with shared
+ * borders) repeat their neighbours' edge heights, and any difference shows as a crack in
+ * the rendered terrain. Tiles are decoded back to edge heights and compared with their
+ * east and north neighbours, level by level and two rows of tiles at a time. Positions
+ * along an edge run from 0 to 1, west to east or north to south; edges with different
+ * vertices (adaptive quantized meshes) are compared by interpolating along each other.
+ */
+
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { decodeQuantizedMesh } = require('./quantized-mesh');
+const { HEIGHTMAP_SIZE } = require('./terrain-encoder');
+const { openTileStore } = require('./tile-server');
+
+// Range of quantized-mesh u, v and height values
+const QUANTIZED_MAX = 32767;
+
+// Mismatches listed by checkTilesetEdges(); the rest are only counted
+const MAX_REPORTED_MISMATCHES = 20;
+
+/**
+ * @typedef {Object} TileEdge
+ * @property {Float64Array} positions - Ascending positions along the edge, from 0 to 1
+ * @property {Float64Array} heights - Height at every position
+ * @property {number} precision - Height quantization step of the tile, for formats whose
+ *   step differs between tiles (0 otherwise)
+ */
+
+/**
+ * @typedef {Object} EdgeMismatch
+ * @property {{x: number, y: number, z: number}} tile - Tile, rows as in the tileset's scheme
+ * @property {{x: number, y: number, z: number}} neighbor - Its east or north neighbour
+ * @property {string} side - 'east' or 'north': the tile's edge shared with the neighbour
+ * @property {number} maxDifference - Largest height difference along the edge
+ */
+
+/**
+ * Decode the four edges of a tile.
+ * @param {Buffer} data - Tile data, possibly gzipped
+ * @param {Object} layerJson - Tileset metadata (format and encoding)
+ * @returns {Promise<{west: TileEdge, east: TileEdge, north: TileEdge, south: TileEdge, available: Array}>}
+ *   Tile edges, and for quantized-mesh tiles the availability of deeper levels from their
+ *   metadata extension (empty otherwise)
+ */
+async function decodeTileEdges(data, layerJson) {
+  const buffer = data[0] === 0x1f && data[1] === 0x8b ? zlib.gunzipSync(data) : data;
+
+  switch (layerJson.format) {
+    case 'heightmap-1.0': {
+      if (buffer.length < HEIGHTMAP_SIZE * HEIGHTMAP_SIZE * 2) {
+        throw new Error('Truncated heightmap tile');
+      }
+      const heights = new Float64Array(HEIGHTMAP_SIZE * HEIGHTMAP_SIZE);
+      for (let i = 0; i < heights.length; i++) {
+        heights[i] = buffer.readUInt16LE(i * 2) / 5 - 1000;
+      }
+      return getGridEdges(heights, HEIGHTMAP_SIZE);
+    }
+    case 'quantized-mesh-1.0':
+      return getMeshEdges(decodeQuantizedMesh(buffer));
+    case 'png':
+    case 'webp':
+      return getGridEdges(...await decodeImageHeights(buffer, layerJson.encoding));
+    default:
+      throw new Error(`Unsupported tile format for edge checks: ${layerJson.format}`);
+  }
+}
+
+/**
+ * @param {Buffer} buffer - PNG or WebP image
+ * @param {string} [encoding] - 'mapbox', 'terrarium', or none for 16-bit grayscale heightmaps
+ * @returns {Promise<[Float64Array, number]>} Heights, row by row, and the image size
+ */
+async function decodeImageHeights(buffer, encoding) {
+  if (!encoding) {
+    // Grayscale heightmaps are scaled to the DEM elevation range: compare 16-bit levels
+    const { data, info } = await sharp(buffer).toColourspace('grey16').raw({ depth: 'ushort' })
+      .toBuffer({ resolveWithObject: true });
+    const levels = new Uint16Array(data.buffer, data.byteOffset, info.width * info.height);
+    return [Float64Array.from(levels), info.width];
+  }
+
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const heights = new Float64Array(info.width * info.height);
+  for (let i = 0; i < heights.length; i++) {
+    const p = i * info.channels;
+    heights[i] = encoding === 'mapbox'
+      ? -10000 + (data[p] * 256 * 256 + data[p + 1] * 256 + data[p + 2]) * 0.1
+      : data[p] * 256 + data[p + 1] + data[p + 2] / 256 - 32768;
+  }
+  return [heights, info.width];
+}
+
+/**
+ * @param {Float64Array} heights - Square height grid, row 0 is the northern edge
+ * @param {number} size - Samples per side
+ * @returns {Object} Tile edges (see decodeTileEdges)
+ */
+function getGridEdges(heights, size) {
+  const positions = Float64Array.from({ length: size }, (_, i) => i / (size - 1));
+  const edge = index => ({
+    positions,
+    heights: Float64Array.from({ length: size }, (_, i) => heights[index(i)]),
+    precision: 0,
+  });
+  return {
+    west: edge(i => i * size),
+    east: edge(i => i * size + size - 1),
+    north: edge(i => i),
+    south: edge(i => (size - 1) * size + i),
+    available: [],
+  };
+}
+
+/**
+ * @param {Object} mesh - Decoded quantized-mesh tile (see decodeQuantizedMesh)
+ * @returns {Object} Tile edges (see decodeTileEdges)
+ */
+function getMeshEdges(mesh) {
+  const { header, u, v, heights } = mesh;
+  const range = header.maximumHeight - header.minimumHeight;
+  const edge = (indices, position) => {
+    const sorted = Array.from(indices).sort((a, b) => position(a) - position(b));
+    return {
+      positions: Float64Array.from(sorted, position),
+      heights: Float64Array.from(sorted, i => header.minimumHeight + heights[i] / QUANTIZED_MAX * range),
+      precision: range / QUANTIZED_MAX,
+    };
+  };
+  // v grows northward: edges running north to south start at v = 32767
+  const alongX = i => u[i] / QUANTIZED_MAX;
+  const alongY = i => 1 - v[i] / QUANTIZED_MAX;
+  const { metadata } = mesh.extensions;
+  return {
+    west: edge(mesh.westIndices, alongY),
+    east: edge(mesh.eastIndices, alongY),
+    north: edge(mesh.northIndices, alongX),
+    south: edge(mesh.southIndices, alongX),
+    available: (metadata && metadata.available) || [],
+  };
+}
+
+/**
+ * Largest height difference between two edges covering the same line, each sample
+ * compared with the other edge interpolated at its position.
+ * @param {TileEdge} a - Edge of one tile
+ * @param {TileEdge} b - Same edge of the neighbouring tile
+ * @returns {number} Maximum absolute difference
+ */
+function compareEdges(a, b) {
+  let max = 0;
+  for (const [from, to] of [[a, b], [b, a]]) {
+    for (let i = 0; i < from.positions.length; i++) {
+      max = Math.max(max, Math.abs(from.heights[i] - interpolateEdge(to, from.positions[i])));
+    }
+  }
+  return max;
+}
+
+function interpolateEdge(edge, position) {
+  const { positions, heights } = edge;
+  let i = 1;
+  while (i < positions.length - 1 && positions[i] < position) {
+    i++;
+  }
+  const span = positions[i] - positions[i - 1];
+  if (!(span > 0)) {
+    return heights[i];
+  }
+  const t = Math.min(Math.max((position - positions[i - 1]) / span, 0), 1);
+  return heights[i - 1] + (heights[i] - heights[i - 1]) * t;
+}
+
+/**
+ * Compare the shared edges of every pair of neighbouring tiles in a tileset. Tiles are
+ * enumerated from the layer.json availability, and from the quantized-mesh metadata
+ * extension for deeper levels.
+ * @param {import('./tile-server').TileStore} store - Opened tile store
+ * @param {Object} [options] - Check options
+ * @param {number} [options.tolerance] - Largest accepted difference (default 0), on top of the
+ *   quantization step of quantized-mesh tiles
+ * @param {Function} [options.onLevel] - Called with each level and its number of compared edges
+ * @returns {Promise<{edges: number, maxDifference: number, mismatches: Array<EdgeMismatch>}>} Result
+ */
+async function checkTileEdges(store, options = {}) {
+  const { tolerance = 0, onLevel = () => {} } = options;
+  const { layerJson } = store;
+  if (layerJson.imagery) {
+    throw new Error(`Terrain imagery tiles (${layerJson.imagery}) have no heights to compare`);
+  }
+  if (['png', 'webp'].includes(layerJson.format) && !layerJson.sharedBorders) {
+    throw new Error('Image tiles without shared borders sample pixel centers and have no common edge (see --shared-borders)');
+  }
+
+  const tms = layerJson.scheme === 'tms';
+  const toSchemeTile = (x, y, z) => ({ x, y: tms ? y : 2 ** z - 1 - y, z });
+  const available = (layerJson.available || []).map(ranges => [...ranges]);
+  const result = { edges: 0, maxDifference: 0, mismatches: [] };
+
+  const compare = (tile, neighbor, side, a, b) => {
+    const difference = compareEdges(a, b);
+    result.edges++;
+    result.maxDifference = Math.max(result.maxDifference, difference);
+    if (difference > tolerance + (a.precision + b.precision) / 2) {
+      result.mismatches.push({ tile, neighbor, side, maxDifference: difference });
+    }
+  };
+
+  const { minzoom = 0, maxzoom = available.length - 1 } = layerJson;
+  for (let z = minzoom; z <= maxzoom; z++) {
+    // Columns of every TMS row with available tiles
+    const rows = new Map();
+    for (const { startX, startY, endX, endY } of available[z] || []) {
+      for (let y = startY; y <= endY; y++) {
+        const columns = rows.get(y) || new Set();
+        for (let x = startX; x <= endX; x++) {
+          columns.add(x);
+        }
+        rows.set(y, columns);
+      }
+    }
+
+    const edgesBefore = result.edges;
+    let previous = null;
+    for (const y of [...rows.keys()].sort((a, b) => a - b)) {
+      const current = new Map();
+      for (const x of [...rows.get(y)].sort((a, b) => a - b)) {
+        const tile = toSchemeTile(x, y, z);
+        const data = await store.getTile(z, tile.x, tile.y);
+        if (!data || data.length === 0) {
+          continue;
+        }
+        const edges = await decodeTileEdges(data, layerJson);
+        edges.available.forEach((ranges, i) => {
+          available[z + 1 + i] = (available[z + 1 + i] || []).concat(ranges);
+        });
+        current.set(x, edges);
+      }
+
+      for (const [x, edges] of current) {
+        const east = current.get(x + 1);
+        if (east) {
+          compare(toSchemeTile(x, y, z), toSchemeTile(x + 1, y, z), 'east', edges.east, east.west);
+        }
+        const south = previous && previous.y === y - 1 && previous.tiles.get(x);
+        if (south) {
+          compare(toSchemeTile(x, y - 1, z), toSchemeTile(x, y, z), 'north', south.north, edges.south);
+        }
+      }
+      previous = { y, tiles: current };
+    }
+    onLevel(z, result.edges - edgesBefore);
+  }
+
+  return result;
+}
+
+/**
+ * Check the edges of a tileset and log a report.
+ * @param {string} target - Tile directory, .mbtiles or .pmtiles file
+ * @param {Object} [options] - Check options (see checkTileEdges)
+ * @returns {Promise<Object>} Check result (see checkTileEdges)
+ */
+async function checkTilesetEdges(target, options = {}) {
+  const store = await openTileStore(target);
+  try {
+    const units = store.layerJson.format === 'png' && !store.layerJson.encoding ? ' (16-bit levels)' : ' m';
+    console.log(`[dem-terraindb-tiler] Checking tile edges of ${target} (${store.type})`);
+    const result = await checkTileEdges(store, {
+      ...options,
+      onLevel: (z, edges) => console.log(`  Level ${z}: ${edges} shared edges`),
+    });
+
+    result.mismatches.slice(0, MAX_REPORTED_MISMATCHES).forEach(({ tile, neighbor, side, maxDifference }) => {
+      console.log(`  Mismatch: ${tile.z}/${tile.x}/${tile.y} ${side} edge vs ${neighbor.z}/${neighbor.x}/${neighbor.y}: ${maxDifference.toFixed(3)}${units}`);
+    });
+    if (result.mismatches.length > MAX_REPORTED_MISMATCHES) {
+      console.log(`  ... and ${result.mismatches.length - MAX_REPORTED_MISMATCHES} more`);
+    }
+    console.log(`  ${result.mismatches.length} of ${result.edges} shared edges differ; largest difference ${result.maxDifference.toFixed(3)}${units}`);
+    return result;
+  } finally {
+    await store.close();
+  }
+}
+
+module.exports = {
+  decodeTileEdges,
+  compareEdges,
+  checkTileEdges,
+  checkTilesetEdges,
+};
@@ -2,6 +2,10 @@ const os = require('os');
 const { Command } = require('commander');
 const { generateTerrainTiles } = require('./pipeline');
 const { readDEMMetadata, formatMetadata } = require('./dem-reader');
+const { resolveMosaicSources } = require('./mosaic');
+const { serveTiles } = require('./tile-server');
+const { checkTilesetEdges } = require('./edge-check');
+const { exportUnrealLandscape } = require('./unreal-export');
 
 async function run(argv) {
   const program = new Command();
@@ -9,14 +13,160 @@ async function run(argv) {
   program
     .name('dem-terraindb-tiler')
     .description('Merge elevation data from a DEM and generate terraindb tiles for Cesium / Unreal Engine.')
-    .requiredOption('-i, --input <path>', 'Input DEM file (e.g. GeoTIFF)')
-    .option('-o, --output <dir>', 'Output directory for generated terraindb tiles')
+    .option(
+      '-i, --input <path>',
+      'Input DEM file (e.g. GeoTIFF) or JSON mosaic file; repeat to mosaic several DEMs, later inputs taking priority',
+      (v, previous) => (previous || []).concat(v),
+    )
+    .option('-o, --output <path>', 'Output directory for generated terraindb tiles, or an .mbtiles or .pmtiles file')
+    .option(
+      '--sink <type>',
+      'Output target: directory, mbtiles or pmtiles (default: from the .mbtiles/.pmtiles output extension, else directory)',
+    )
+    .option('--no-dedup', 'PMTiles: store identical tiles (e.g. all-ocean) separately instead of once')
     .option('--metadata', 'Display DEM metadata without generating tiles')
+    .option(
+      '--target <target>',
+      'What to generate: tiles (default) or unreal (an Unreal Engine landscape heightmap with a JSON sidecar of import settings)',
+      'tiles',
+    )
+    .option('--attribution <text>', 'Attribution (data credit) written to layer.json')
     .option('--tile-size <size>', 'Tile size in pixels or meters (implementation-specific)', '256')
+    .option(
+      '--shared-borders',
+      'Image formats: sample one more row/column, on the tile edges, so neighbouring tiles share identical border pixels '
+        + '(e.g. 257 pixels for tile size 256)',
+    )
     .option('--max-level <n>', 'Maximum level of detail', (v) => parseInt(v, 10), 10)
+    .option(
+      '--format <format>',
+      'Output tile format: png (16-bit grayscale), heightmap (Cesium heightmap-1.0 .terrain), '
+        + 'quantized-mesh (Cesium .terrain), terrain-rgb (Mapbox/MapLibre) or terrarium (Tangram/deck.gl); '
+        + 'or terrain imagery to drape over the terrain: hillshade (multidirectional), slope, aspect or color-relief',
+      'png',
+    )
+    .option(
+      '--color-ramp <file>',
+      'Color-relief: GDAL-style color ramp file, one "elevation R G B [A]" stop per line; elevations in meters '
+        + 'or percentages of the DEM elevation range, nv for no data',
+    )
+    .option('--hillshade-blend', 'Color-relief: multiply the colors by a multidirectional hillshade')
+    .option('--image-format <format>', 'Image encoding for terrain-rgb, terrarium and imagery tiles: png or webp (lossless)', 'png')
+    .option(
+      '--extensions <list>',
+      'Comma-separated quantized-mesh extensions: octvertexnormals, watermask, metadata',
+      (v) => v.split(',').map(s => s.trim()).filter(Boolean),
+      [],
+    )
+    .option(
+      '--scheme <scheme>',
+      'Tiling scheme: geographic (EPSG:4326, 2x1 roots) or mercator (EPSG:3857); '
+        + 'defaults to geographic for Cesium terrain formats and mercator otherwise',
+    )
+    .option('--y-origin <origin>', 'Tile row origin: tms (rows from the south) or xyz (rows from the north)')
+    .option(
+      '--scheme-extent <minX,minY,maxX,maxY>',
+      'Custom tiling scheme extent in scheme units (degrees for geographic, meters for mercator)',
+      (v) => {
+        const parts = v.split(',').map(Number);
+        if (parts.length !== 4 || parts.some(Number.isNaN)) {
+          throw new Error('scheme-extent must be four comma-separated numbers');
+        }
+        return parts;
+      },
+    )
+    .option(
+      '--landscape-size <n>',
+      'Unreal: landscape vertices per side: 127, 253, 505, 1009, 2017, 4033 or 8129 (default: matching the DEM resolution)',
+      (v) => parseInt(v, 10),
+    )
+    .option('--heightmap-format <format>', 'Unreal: heightmap encoding: png (16-bit grayscale, default) or raw (.r16)')
+    .option(
+      '--world-partition <tiles>',
+      'Unreal: split the heightmap into this many World Partition landscape tiles per side',
+      (v) => parseInt(v, 10),
+    )
+    .option(
+      '--crop <west,south,east,north>',
+      'Unreal: extent to export in degrees (default: the DEM extent)',
+      (v) => {
+        const parts = v.split(',').map(Number);
+        if (parts.length !== 4 || parts.some(Number.isNaN)) {
+          throw new Error('crop must be four comma-separated numbers');
+        }
+        return parts;
+      },
+    )
+    .option(
+      '--source-crs <crs>',
+      'Override the DEM coordinate reference system: EPSG:<code>, a PROJ string or WKT '
+        + '(for DEMs without GeoKeys or with an unrecognized projected CRS)',
+    )
+    .option(
+      '--source-vdatum <datum>',
+      'Vertical datum of the DEM heights: ellipsoid (default) or a geoid grid file (GeoTIFF or .gtx) '
+        + 'for orthometric heights, e.g. EGM96, EGM2008 or NAVD88',
+    )
+    .option(
+      '--target-vdatum <datum>',
+      'Vertical datum of the tile heights: ellipsoid (default, WGS84 heights as Cesium expects) or a geoid grid file',
+    )
+    .option(
+      '--feather <pixels>',
+      'Blend mosaic inputs into the inputs beneath them over this many source pixels along their edges',
+      (v) => {
+        const parsed = parseFloat(v);
+        if (Number.isNaN(parsed) || parsed < 0) {
+          throw new Error('feather must be a non-negative number');
+        }
+        return parsed;
+      },
+      0,
+    )
+    .option(
+      '--resampling <kernel>',
+      'Resampling kernel reading the DEMs: nearest, bilinear, bicubic, lanczos, average, min or max; '
+        + 'kernels integrate each tile sample\'s footprint when downsampling',
+      'bilinear',
+    )
+    .option(
+      '--nodata-fill <strategy>',
+      'Fill DEM no-data samples: idw (inverse-distance weighted), nearest, or a constant height such as 0 for sea level',
+      'idw',
+    )
+    .option('--skip-nodata-tiles', 'Skip tiles without any DEM data instead of writing filled tiles (not for heightmap, nor quantized-mesh with the metadata extension)')
+    .option('--bottom-up', 'Sample only the max level from the DEMs and build every other level from its four children')
+    .option(
+      '--reducer <reducer>',
+      'Bottom-up: combine children heights by mean (default), max (obstacle-safe, never below the terrain) or min',
+    )
+    .option(
+      '--max-error <pixels>',
+      'Simplify quantized meshes adaptively, keeping vertical error below this many ground pixels per zoom',
+      (v) => {
+        const parsed = parseFloat(v);
+        if (Number.isNaN(parsed) || parsed < 0) {
+          throw new Error('max-error must be a non-negative number');
+        }
+        return parsed;
+      },
+    )
+    .option(
+      '--cache-size <MB>',
+      'Maximum memory for decoded DEM blocks; large DEMs are read block by block',
+      (v) => {
+        const parsed = parseInt(v, 10);
+        if (Number.isNaN(parsed) || parsed <= 0) {
+          throw new Error('cache-size must be a positive integer');
+        }
+        return parsed;
+      },
+      256,
+    )
+    .option('--force', 'Regenerate every tile instead of resuming from the run manifest in the output directory')
     .option(
       '--workers <n>',
-      'Number of worker threads/processes to use for tiling (when implemented)',
+      'Number of worker threads sampling and encoding tiles (1 runs on the main thread)',
       (v) => {
         const parsed = parseInt(v, 10);
         if (Number.isNaN(parsed) || parsed <= 0) {
@@ -26,15 +176,54 @@ async function run(argv) {
       },
       os.cpus().length,
     )
-    .parse(argv);
+    .action(options => generate(options));
+
+  program
+    .command('serve <path>')
+    .description('Serve a tile directory, .mbtiles or .pmtiles file over HTTP for previewing in Cesium or MapLibre')
+    .option('-p, --port <n>', 'Port to listen on', (v) => {
+      const parsed = parseInt(v, 10);
+      if (Number.isNaN(parsed) || parsed < 0 || parsed > 65535) {
+        throw new Error('port must be an integer between 0 and 65535');
+      }
+      return parsed;
+    }, 8080)
+    .option('--host <host>', 'Interface to listen on', 'localhost')
+    .action((target, options) => serveTiles(target, { port: options.port, host: options.host }));
 
-  const options = program.opts();
+  program
+    .command('check-edges <path>')
+    .description('Check that neighbouring tiles of a tile directory, .mbtiles or .pmtiles file share identical edge heights')
+    .option('--tolerance <meters>', 'Largest accepted height difference along shared edges', (v) => {
+      const parsed = parseFloat(v);
+      if (Number.isNaN(parsed) || parsed < 0) {
+        throw new Error('tolerance must be a non-negative number');
+      }
+      return parsed;
+    }, 0)
+    .action(async (target, options) => {
+      const result = await checkTilesetEdges(target, { tolerance: options.tolerance });
+      if (result.mismatches.length > 0) {
+        process.exitCode = 1;
+      }
+    });
+
+  await program.parseAsync(argv);
+}
+
+async function generate(options) {
+  if (!options.input) {
+    throw new Error('Input (-i, --input) is required');
+  }
 
   // If --metadata flag is set, just display metadata and exit
   if (options.metadata) {
     try {
-      const metadata = await readDEMMetadata(options.input);
-      console.log(formatMetadata(metadata));
+      const sources = await resolveMosaicSources(options.input, { sourceCrs: options.sourceCrs });
+      for (const source of sources) {
+        const metadata = await readDEMMetadata(source.path, { sourceCrs: source.sourceCrs });
+        console.log(formatMetadata(metadata));
+      }
       return;
     } catch (err) {
       console.error('Error reading DEM metadata:', err.message);
@@ -44,7 +233,33 @@ async function run(argv) {
 
   // Otherwise, validate output directory is provided and generate tiles
   if (!options.output) {
-    throw new Error('Output directory (-o, --output) is required when generating tiles');
+    throw new Error('Output (-o, --output) is required when generating tiles');
+  }
+
+  if (!['tiles', 'unreal'].includes(options.target)) {
+    throw new Error(`Unsupported target: ${options.target} (expected tiles or unreal)`);
+  }
+  if (options.target === 'unreal') {
+    await exportUnrealLandscape({
+      inputPath: options.input,
+      outputDir: options.output,
+      landscapeSize: options.landscapeSize,
+      heightmapFormat: options.heightmapFormat,
+      worldPartition: options.worldPartition,
+      crop: options.crop,
+      sourceCrs: options.sourceCrs,
+      feather: options.feather,
+      resampling: options.resampling,
+      noDataFill: options.nodataFill,
+      sourceVdatum: options.sourceVdatum,
+      targetVdatum: options.targetVdatum,
+      cacheSize: options.cacheSize,
+    });
+    return;
+  }
+  const unrealOption = ['landscapeSize', 'heightmapFormat', 'worldPartition', 'crop'].find(key => options[key] !== undefined);
+  if (unrealOption) {
+    throw new Error(`--${unrealOption.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} requires --target unreal`);
   }
 
   await generateTerrainTiles({
@@ -52,6 +267,30 @@ async function run(argv) {
     outputDir: options.output,
     tileSize: Number(options.tileSize),
     maxLevel: Number(options.maxLevel),
+    format: options.format,
+    imageFormat: options.imageFormat,
+    extensions: options.extensions,
+    maxError: options.maxError,
+    scheme: options.scheme,
+    yOrigin: options.yOrigin,
+    schemeExtent: options.schemeExtent,
+    sourceCrs: options.sourceCrs,
+    feather: options.feather,
+    resampling: options.resampling,
+    noDataFill: options.nodataFill,
+    skipNoDataTiles: options.skipNodataTiles,
+    colorRamp: options.colorRamp,
+    hillshadeBlend: options.hillshadeBlend,
+    sourceVdatum: options.sourceVdatum,
+    targetVdatum: options.targetVdatum,
+    sharedBorders: options.sharedBorders,
+    bottomUp: options.bottomUp,
+    reducer: options.reducer,
+    attribution: options.attribution,
+    cacheSize: options.cacheSize,
+    sink: options.sink,
+    dedup: options.dedup,
+    force: options.force,
     workers: options.workers,
   });
 }
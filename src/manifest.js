@@ -0,0 +1,304 @@
+/**
+ * Run manifests for resumable and incremental tile generation.
+ * The manifest stored with the output (see the tile sinks' manifestDir) records the job
+ * that produced the tiles (tile parameters, zoom range and source fingerprints)
+ * alongside an append-only list of completed tiles, marking those that had nothing to
+ * write. Re-running the same job skips completed tiles; when the job changes only the
+ * affected tiles are invalidated:
+ * - tile parameters (format, size, scheme, ...): every tile
+ * - a source added, removed or modified: tiles intersecting its extent, and level 0, whose
+ *   Cesium terrain tiles outside every extent take the DEMs' clamped edge values
+ * - the max level, for formats encoding the availability of deeper tiles: the level whose
+ *   tiles cover the shallower of the two max levels; for bottom-up pyramids, whose every
+ *   level derives from the max level: every tile
+ * Bottom-up pyramids also keep the elevation grids of some tiles here (see writeTileGrid),
+ * so parents of tiles completed earlier can be built without regenerating them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { tileToBounds, bboxIntersects } = require('./tiling');
+
+const MANIFEST_FILE = 'manifest.json';
+const COMPLETED_FILE = 'completed.txt';
+// Suffix of completed.txt lines for tiles that had nothing to write
+const EMPTY_MARKER = ' empty';
+// Directory of kept tile elevation grids
+const GRIDS_DIR = 'grids';
+const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} JobSource
+ * @property {string} path - Absolute path to the DEM file
+ * @property {number} priority - Mosaic priority
+ * @property {number} feather - Mosaic feather width
+ * @property {string} [sourceCrs] - CRS override
+ * @property {number} size - File size in bytes
+ * @property {number} mtimeMs - File modification time
+ * @property {Array<number>} geographicBbox - Extent in degrees
+ */
+
+/**
+ * @typedef {Object} JobDescription
+ * @property {Object} tiles - Parameters that affect every tile (format, tile size, scheme, ...);
+ *   `tiles.availabilityLevels` is the number of deeper levels whose availability tiles encode
+ *   (1 for child masks), for formats that do; `tiles.pyramid` is set for bottom-up pyramids
+ * @property {number} maxLevel - Maximum zoom level
+ * @property {Array<JobSource>} sources - Mosaic sources
+ */
+
+/**
+ * Fingerprint a source file by size and modification time (hashing multi-gigabyte
+ * DEMs would cost as much as tiling them).
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{path: string, size: number, mtimeMs: number}>} Fingerprint
+ */
+async function fingerprintFile(filePath) {
+  const stats = await fs.stat(filePath);
+  return { path: path.resolve(filePath), size: stats.size, mtimeMs: stats.mtimeMs };
+}
+
+/**
+ * Work out which completed tiles a job change invalidates.
+ * @param {JobDescription} previous - Job recorded in the manifest
+ * @param {JobDescription} current - Job about to run
+ * @returns {{all: boolean, levels: Array<number>, bboxes: Array<Array<number>>, reasons: Array<string>}}
+ *   Invalidated tiles: all of them, whole levels, or tiles intersecting the given extents
+ */
+function findInvalidatedTiles(previous, current) {
+  const result = { all: false, levels: [], bboxes: [], reasons: [] };
+
+  const changedParameters = Object.keys({ ...previous.tiles, ...current.tiles })
+    .filter(key => JSON.stringify(previous.tiles[key]) !== JSON.stringify(current.tiles[key]));
+  if (changedParameters.length > 0) {
+    result.all = true;
+    result.reasons.push(`changed ${changedParameters.join(', ')}`);
+    return result;
+  }
+
+  if (previous.maxLevel !== current.maxLevel && current.tiles.pyramid) {
+    result.all = true;
+    result.reasons.push(`max level changed from ${previous.maxLevel} to ${current.maxLevel} (bottom-up pyramid)`);
+    return result;
+  }
+
+  const availabilityLevels = current.tiles.availabilityLevels;
+  if (previous.maxLevel !== current.maxLevel && availabilityLevels) {
+    // Tiles at multiples of availabilityLevels describe the levels below them
+    const shallower = Math.min(previous.maxLevel, current.maxLevel);
+    const level = Math.floor(shallower / availabilityLevels) * availabilityLevels;
+    result.levels.push(level);
+    result.reasons.push(`max level changed from ${previous.maxLevel} to ${current.maxLevel} (level ${level} availability)`);
+  }
+
+  const previousSources = new Map(previous.sources.map(source => [source.path, source]));
+  const currentSources = new Map(current.sources.map(source => [source.path, source]));
+  for (const [sourcePath, source] of previousSources) {
+    const next = currentSources.get(sourcePath);
+    if (!next) {
+      result.bboxes.push(source.geographicBbox);
+      result.reasons.push(`removed source ${sourcePath}`);
+    } else if (JSON.stringify(source) !== JSON.stringify(next)) {
+      result.bboxes.push(source.geographicBbox, next.geographicBbox);
+      result.reasons.push(`changed source ${sourcePath}`);
+    }
+  }
+  for (const [sourcePath, source] of currentSources) {
+    if (!previousSources.has(sourcePath)) {
+      result.bboxes.push(source.geographicBbox);
+      result.reasons.push(`added source ${sourcePath}`);
+    }
+  }
+  if (result.bboxes.length > 0 && !result.levels.includes(0)) {
+    result.levels.push(0);
+  }
+
+  return result;
+}
+
+/**
+ * Completed-tile bookkeeping for one run into an output.
+ */
+class RunManifest {
+  /**
+   * @param {string} dir - Manifest directory
+   * @param {Set<string>} completed - Completed tiles as 'z/x/y'
+   * @param {Set<string>} empty - Completed tiles that had nothing to write
+   * @param {Object} state - How the manifest was opened
+   * @param {boolean} state.resumed - Whether a previous run's completed tiles were kept
+   * @param {Array<string>} state.reasons - Why previously completed tiles were invalidated
+   */
+  constructor(dir, completed, empty, { resumed, reasons }) {
+    this.dir = dir;
+    this.completed = completed;
+    this.empty = empty;
+    this.resumed = resumed;
+    this.reasons = reasons;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Open the manifest in a directory for a job, keeping the completed tiles of a
+   * previous run that the job change does not invalidate, and record the new job.
+   * @param {string} dir - Manifest directory (created if missing)
+   * @param {JobDescription} job - Job about to run
+   * @param {Object} options - Open options
+   * @param {import('./tiling-scheme').TilingScheme} options.scheme - Tiling scheme of the job
+   * @param {boolean} [options.force] - Discard every previously completed tile
+   * @returns {Promise<RunManifest>} Manifest
+   */
+  static async open(dir, job, options) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    const completedPath = path.join(dir, COMPLETED_FILE);
+    const completed = new Set();
+    const empty = new Set();
+    const state = { resumed: false, reasons: [] };
+
+    const previous = !options.force && await fs.pathExists(manifestPath)
+      ? await fs.readJson(manifestPath).catch(() => null)
+      : null;
+    if (previous && previous.version === MANIFEST_VERSION) {
+      const invalidated = findInvalidatedTiles(previous.job, job);
+      state.reasons = invalidated.reasons;
+
+      if (!invalidated.all && await fs.pathExists(completedPath)) {
+        state.resumed = true;
+        const lines = (await fs.readFile(completedPath, 'utf8')).split('\n');
+        for (const line of lines) {
+          const key = line.endsWith(EMPTY_MARKER) ? line.slice(0, -EMPTY_MARKER.length) : line;
+          const [z, x, y] = key.split('/').map(Number);
+          if (key && !isInvalidated({ x, y, z }, invalidated, options.scheme)) {
+            completed.add(key);
+            if (key !== line) {
+              empty.add(key);
+            }
+          }
+        }
+      }
+    }
+
+    // Write the kept tiles before the new job, so a crash in between leaves the
+    // previous job with a subset of its own tiles
+    await fs.ensureDir(dir);
+    await writeFileAtomic(completedPath, formatCompletedLines([...completed], empty));
+    await writeFileAtomic(manifestPath, JSON.stringify({ version: MANIFEST_VERSION, job }, null, 2));
+
+    return new RunManifest(dir, completed, empty, state);
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+   * @returns {boolean} Whether the tile was completed by this or a previous run
+   */
+  has(tile) {
+    return this.completed.has(`${tile.z}/${tile.x}/${tile.y}`);
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+   * @returns {boolean} Whether the tile was completed and has data in the output
+   */
+  isWritten(tile) {
+    const key = `${tile.z}/${tile.x}/${tile.y}`;
+    return this.completed.has(key) && !this.empty.has(key);
+  }
+
+  get size() {
+    return this.completed.size;
+  }
+
+  /**
+   * Record tiles as completed. Call only once they are fully written.
+   * @param {Array<{x: number, y: number, z: number}>} tiles - Completed tiles
+   * @param {Array<{x: number, y: number, z: number}>} [emptyTiles] - Completed tiles that had
+   *   nothing to write
+   * @returns {Promise<void>} Resolves once the tiles are recorded on disk
+   */
+  markComplete(tiles, emptyTiles = []) {
+    const keys = tiles.map(tile => `${tile.z}/${tile.x}/${tile.y}`);
+    const emptyKeys = emptyTiles.map(tile => `${tile.z}/${tile.x}/${tile.y}`);
+    keys.forEach(key => this.completed.add(key));
+    emptyKeys.forEach(key => {
+      this.completed.add(key);
+      this.empty.add(key);
+    });
+    const lines = formatCompletedLines(keys, new Set()) + formatCompletedLines(emptyKeys, this.empty);
+    this.writing = this.writing.then(() => fs.appendFile(path.join(this.dir, COMPLETED_FILE), lines));
+    return this.writing;
+  }
+
+  /**
+   * Keep the elevation grid of a tile for later runs. Write it before the tiles it was
+   * derived from are marked complete: a completed tile's grid is then always current.
+   * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+   * @param {Float32Array|null} grid - Elevation grid, or null to drop a kept one
+   * @returns {Promise<void>}
+   */
+  writeTileGrid(tile, grid) {
+    if (!grid) {
+      return fs.remove(this.getTileGridPath(tile));
+    }
+    return fs.outputFile(this.getTileGridPath(tile), Buffer.from(grid.buffer, grid.byteOffset, grid.byteLength));
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+   * @param {number} length - Expected number of samples
+   * @returns {Promise<Float32Array|null>} Kept elevation grid, or null when missing or incomplete
+   */
+  async readTileGrid(tile, length) {
+    const data = await fs.readFile(this.getTileGridPath(tile)).catch(() => null);
+    if (!data || data.length !== length * 4) {
+      return null;
+    }
+    return new Float32Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.length));
+  }
+
+  getTileGridPath(tile) {
+    return path.join(this.dir, GRIDS_DIR, String(tile.z), String(tile.x), `${tile.y}.f32`);
+  }
+}
+
+/**
+ * @param {Array<string>} keys - Completed tiles as 'z/x/y'
+ * @param {Set<string>} empty - Tiles among them that had nothing to write
+ * @returns {string} completed.txt lines
+ */
+function formatCompletedLines(keys, empty) {
+  return keys.map(key => (empty.has(key) ? `${key}${EMPTY_MARKER}\n` : `${key}\n`)).join('');
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+ * @param {Object} invalidated - Result of findInvalidatedTiles()
+ * @param {import('./tiling-scheme').TilingScheme} scheme - Tiling scheme
+ * @returns {boolean} Whether the tile must be regenerated
+ */
+function isInvalidated(tile, invalidated, scheme) {
+  if (invalidated.levels.includes(tile.z)) {
+    return true;
+  }
+  if (invalidated.bboxes.length === 0) {
+    return false;
+  }
+  const bounds = tileToBounds(tile.x, tile.y, tile.z, scheme);
+  const tileBbox = [bounds.minX, bounds.minY, bounds.maxX, bounds.maxY];
+  return invalidated.bboxes.some(bbox => bboxIntersects(bbox, tileBbox));
+}
+
+/**
+ * Replace a file through a temporary file, so readers never see it half-written.
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, content);
+  await fs.rename(tmpPath, filePath);
+}
+
+module.exports = {
+  RunManifest,
+  fingerprintFile,
+  findInvalidatedTiles,
+};
@@ -0,0 +1,241 @@
+/**
+ * Adaptive terrain mesh generation using right-triangulated irregular networks (RTIN).
+ * Follows the approach of Mapbox's Martini: the error of every possible split is
+ * computed bottom-up once per tile, then the mesh is refined top-down until every
+ * triangle approximates the grid within the requested vertical error.
+ */
+
+const { QUANTIZED_MAX } = require('./quantized-mesh');
+const { resampleElevationData } = require('./terrain-encoder');
+
+// Triangle corner coordinates per grid size, shared by every tile of that size
+const triangleCoordsCache = new Map();
+
+/**
+ * Check whether a grid size is valid for RTIN (2^k + 1 samples per side).
+ * @param {number} gridSize - Samples per side
+ * @returns {boolean} True if the grid size can be triangulated directly
+ */
+function isValidGridSize(gridSize) {
+  const segments = gridSize - 1;
+  return segments >= 1 && (segments & (segments - 1)) === 0;
+}
+
+/**
+ * Get the smallest valid RTIN grid size (2^k + 1) that is at least the given size.
+ * @param {number} size - Samples per side
+ * @returns {number} Valid grid size
+ */
+function getGridSizeFor(size) {
+  let segments = 1;
+  while (segments + 1 < size) {
+    segments *= 2;
+  }
+  return segments + 1;
+}
+
+/**
+ * Build an adaptive mesh from a square elevation grid.
+ * Grids whose size is not 2^k + 1 are resampled to the next valid size first.
+ * @param {Float32Array|Float64Array} elevationData - Elevation values (row 0 is the northern edge)
+ * @param {number} size - Samples per side of the elevation grid
+ * @param {number} maxError - Maximum vertical error in meters
+ * @returns {import('./quantized-mesh').TerrainMesh} Mesh in quantized tile coordinates
+ */
+function createAdaptiveMesh(elevationData, size, maxError) {
+  let gridSize = size;
+  let terrain = elevationData;
+
+  if (!isValidGridSize(size)) {
+    gridSize = getGridSizeFor(size);
+    terrain = resampleElevationData(elevationData, size, size, gridSize, gridSize);
+  }
+
+  const errors = computeErrors(terrain, gridSize);
+  const { vertices, triangles } = extractMesh(errors, gridSize, maxError);
+
+  const vertexCount = vertices.length / 2;
+  const max = gridSize - 1;
+  const u = new Uint16Array(vertexCount);
+  const v = new Uint16Array(vertexCount);
+  const heights = new Float64Array(vertexCount);
+
+  for (let i = 0; i < vertexCount; i++) {
+    const x = vertices[i * 2];
+    const y = vertices[i * 2 + 1];
+    u[i] = Math.round(x / max * QUANTIZED_MAX);
+    v[i] = Math.round((max - y) / max * QUANTIZED_MAX);
+    heights[i] = terrain[y * gridSize + x];
+  }
+
+  // Quantized-mesh expects counter-clockwise triangles with v pointing north
+  for (let i = 0; i < triangles.length; i += 3) {
+    const a = triangles[i];
+    const b = triangles[i + 1];
+    const c = triangles[i + 2];
+    const area = (u[b] - u[a]) * (v[c] - v[a]) - (v[b] - v[a]) * (u[c] - u[a]);
+    if (area < 0) {
+      triangles[i + 1] = c;
+      triangles[i + 2] = b;
+    }
+  }
+
+  return { u, v, heights, indices: triangles };
+}
+
+/**
+ * Get the corner coordinates of every triangle in the RTIN hierarchy for a grid size.
+ * @param {number} gridSize - Samples per side (2^k + 1)
+ * @returns {Uint16Array} Four values (ax, ay, bx, by) per triangle
+ */
+function getTriangleCoords(gridSize) {
+  let coords = triangleCoordsCache.get(gridSize);
+  if (coords) {
+    return coords;
+  }
+
+  const tileSize = gridSize - 1;
+  const numTriangles = tileSize * tileSize * 2 - 2;
+  coords = new Uint16Array(numTriangles * 4);
+
+  for (let i = 0; i < numTriangles; i++) {
+    let id = i + 2;
+    let ax = 0, ay = 0, bx = 0, by = 0, cx = 0, cy = 0;
+
+    if (id & 1) {
+      bx = by = cx = tileSize; // Bottom-left root triangle
+    } else {
+      ax = ay = cy = tileSize; // Top-right root triangle
+    }
+
+    while ((id >>= 1) > 1) {
+      const mx = (ax + bx) >> 1;
+      const my = (ay + by) >> 1;
+
+      if (id & 1) {
+        bx = ax; by = ay;
+        ax = cx; ay = cy;
+      } else {
+        ax = bx; ay = by;
+        bx = cx; by = cy;
+      }
+      cx = mx; cy = my;
+    }
+
+    const k = i * 4;
+    coords[k] = ax;
+    coords[k + 1] = ay;
+    coords[k + 2] = bx;
+    coords[k + 3] = by;
+  }
+
+  triangleCoordsCache.set(gridSize, coords);
+  return coords;
+}
+
+/**
+ * Compute the approximation error of every split point, propagating child errors upward.
+ * @param {Float32Array|Float64Array} terrain - Elevation grid
+ * @param {number} gridSize - Samples per side
+ * @returns {Float32Array} Error per grid sample
+ */
+function computeErrors(terrain, gridSize) {
+  const coords = getTriangleCoords(gridSize);
+  const tileSize = gridSize - 1;
+  const numTriangles = coords.length / 4;
+  const numParentTriangles = numTriangles - tileSize * tileSize;
+  const errors = new Float32Array(gridSize * gridSize);
+
+  for (let i = numTriangles - 1; i >= 0; i--) {
+    const k = i * 4;
+    const ax = coords[k];
+    const ay = coords[k + 1];
+    const bx = coords[k + 2];
+    const by = coords[k + 3];
+    const mx = (ax + bx) >> 1;
+    const my = (ay + by) >> 1;
+    const cx = mx + my - ay;
+    const cy = my + ax - mx;
+
+    const interpolated = (terrain[ay * gridSize + ax] + terrain[by * gridSize + bx]) / 2;
+    const middleIndex = my * gridSize + mx;
+    const middleError = Math.abs(interpolated - terrain[middleIndex]);
+    errors[middleIndex] = Math.max(errors[middleIndex], middleError);
+
+    if (i < numParentTriangles) {
+      const leftChildIndex = ((ay + cy) >> 1) * gridSize + ((ax + cx) >> 1);
+      const rightChildIndex = ((by + cy) >> 1) * gridSize + ((bx + cx) >> 1);
+      errors[middleIndex] = Math.max(errors[middleIndex], errors[leftChildIndex], errors[rightChildIndex]);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Refine the RTIN hierarchy top-down until every triangle is within the error budget.
+ * @param {Float32Array} errors - Error per grid sample from computeErrors
+ * @param {number} gridSize - Samples per side
+ * @param {number} maxError - Maximum vertical error in meters
+ * @returns {{vertices: Uint16Array, triangles: Uint32Array}} Grid coordinates (x, y) and triangle indices
+ */
+function extractMesh(errors, gridSize, maxError) {
+  const max = gridSize - 1;
+  const vertexIds = new Uint32Array(gridSize * gridSize);
+  let numVertices = 0;
+  let numTriangles = 0;
+
+  const shouldSplit = (ax, ay, bx, by, cx, cy) => {
+    const mx = (ax + bx) >> 1;
+    const my = (ay + by) >> 1;
+    return Math.abs(ax - cx) + Math.abs(ay - cy) > 1 && errors[my * gridSize + mx] > maxError;
+  };
+
+  const countElements = (ax, ay, bx, by, cx, cy) => {
+    if (shouldSplit(ax, ay, bx, by, cx, cy)) {
+      const mx = (ax + bx) >> 1;
+      const my = (ay + by) >> 1;
+      countElements(cx, cy, ax, ay, mx, my);
+      countElements(bx, by, cx, cy, mx, my);
+      return;
+    }
+    for (const index of [ay * gridSize + ax, by * gridSize + bx, cy * gridSize + cx]) {
+      if (vertexIds[index] === 0) vertexIds[index] = ++numVertices;
+    }
+    numTriangles++;
+  };
+
+  countElements(0, 0, max, max, max, 0);
+  countElements(max, max, 0, 0, 0, max);
+
+  const vertices = new Uint16Array(numVertices * 2);
+  const triangles = new Uint32Array(numTriangles * 3);
+  let triangleIndex = 0;
+
+  const processTriangle = (ax, ay, bx, by, cx, cy) => {
+    if (shouldSplit(ax, ay, bx, by, cx, cy)) {
+      const mx = (ax + bx) >> 1;
+      const my = (ay + by) >> 1;
+      processTriangle(cx, cy, ax, ay, mx, my);
+      processTriangle(bx, by, cx, cy, mx, my);
+      return;
+    }
+    for (const [x, y] of [[ax, ay], [bx, by], [cx, cy]]) {
+      const id = vertexIds[y * gridSize + x] - 1;
+      vertices[id * 2] = x;
+      vertices[id * 2 + 1] = y;
+      triangles[triangleIndex++] = id;
+    }
+  };
+
+  processTriangle(0, 0, max, max, max, 0);
+  processTriangle(max, max, 0, 0, 0, max);
+
+  return { vertices, triangles };
+}
+
+module.exports = {
+  createAdaptiveMesh,
+  isValidGridSize,
+  getGridSizeFor,
+};
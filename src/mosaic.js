@@ -0,0 +1,487 @@
+/**
+ * Mosaics of several DEMs sampled as one elevation surface.
+ * Sources are ordered by priority: every tile sample takes its elevation from the
+ * highest-priority source with data there, falling through no-data pixels to lower
+ * priorities. Sources can be feathered so their edges blend into the sources beneath
+ * instead of leaving cliffs at the seams.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { openDEM } = require('./dem-reader');
+const { BlockCache } = require('./raster-source');
+const { createProjection } = require('./projection');
+const { bboxIntersects } = require('./tiling');
+const {
+  computeSamplePositions,
+  toSourcePixels,
+  sampleSource,
+  selectSourceLevel,
+  getSourceFootprint,
+} = require('./tile-sampler');
+
+// Largest window of source pixels read at once for the no-data distances of feathered sources
+const MAX_FEATHER_WINDOW_PIXELS = 1 << 22;
+// Squared distance of pixels without no-data pixels in reach
+const FAR = 1e20;
+
+/**
+ * @typedef {Object} MosaicSource
+ * @property {string} path - Path to the DEM file
+ * @property {number} priority - Higher priorities are sampled first and win where they have data
+ * @property {number} feather - Width in full-resolution source pixels of the blend ramp along the
+ *   source's edges (0 for hard edges)
+ * @property {string} [sourceCrs] - CRS override for this source
+ */
+
+/**
+ * @typedef {Object} MosaicLayer
+ * @property {MosaicSource} source - Mosaic source definition
+ * @property {Array<import('./raster-source').RasterSource>} sources - Full-resolution raster
+ *   followed by its overviews
+ * @property {import('./dem-reader').DEMMetadata} metadata - Source DEM metadata
+ * @property {import('./projection').Projection} projection - Source CRS projection
+ */
+
+/**
+ * Resolve the mosaic sources from the input paths.
+ *
+ * A single `.json` input is read as a mosaic file:
+ *   {"feather": 8, "sources": ["national.tif", {"path": "lidar.tif", "priority": 10, "feather": 32}]}
+ * Relative paths are resolved against the mosaic file. Otherwise every input is a DEM
+ * and later inputs take priority over earlier ones.
+ *
+ * @param {string|Array<string>} inputs - Input DEM paths, or a single mosaic file
+ * @param {Object} [defaults] - Defaults for settings a source does not specify
+ * @param {number} [defaults.feather] - Feather width in source pixels (default 0)
+ * @param {string} [defaults.sourceCrs] - CRS override
+ * @returns {Promise<Array<MosaicSource>>} Mosaic sources in input order
+ */
+async function resolveMosaicSources(inputs, defaults = {}) {
+  const paths = Array.isArray(inputs) ? inputs : [inputs];
+  if (paths.length === 0) {
+    throw new Error('At least one input DEM is required');
+  }
+
+  const isMosaicFile = inputPath => path.extname(inputPath).toLowerCase() === '.json';
+  if (paths.length === 1 && isMosaicFile(paths[0])) {
+    return readMosaicFile(paths[0], defaults);
+  }
+  if (paths.some(isMosaicFile)) {
+    throw new Error('A mosaic file cannot be combined with other inputs');
+  }
+
+  return paths.map((inputPath, i) => ({
+    path: inputPath,
+    priority: i,
+    feather: defaults.feather || 0,
+    sourceCrs: defaults.sourceCrs,
+  }));
+}
+
+/**
+ * Read a JSON mosaic file (see resolveMosaicSources).
+ * @param {string} mosaicPath - Path to the mosaic file
+ * @param {Object} defaults - Defaults for settings neither the file nor a source specifies
+ * @returns {Promise<Array<MosaicSource>>} Mosaic sources in file order
+ */
+async function readMosaicFile(mosaicPath, defaults) {
+  const exists = await fs.pathExists(mosaicPath);
+  if (!exists) {
+    throw new Error(`Mosaic file not found: ${mosaicPath}`);
+  }
+
+  let mosaic;
+  try {
+    mosaic = await fs.readJson(mosaicPath);
+  } catch (err) {
+    throw new Error(`Invalid mosaic file ${mosaicPath}: ${err.message}`);
+  }
+  if (!mosaic || !Array.isArray(mosaic.sources) || mosaic.sources.length === 0) {
+    throw new Error(`Invalid mosaic file ${mosaicPath}: expected a non-empty "sources" array`);
+  }
+
+  const baseDir = path.dirname(mosaicPath);
+  return mosaic.sources.map((entry, i) => {
+    const source = typeof entry === 'string' ? { path: entry } : entry;
+    if (!source || typeof source.path !== 'string') {
+      throw new Error(`Invalid mosaic file ${mosaicPath}: source ${i} has no path`);
+    }
+
+    const priority = source.priority ?? i;
+    const feather = source.feather ?? mosaic.feather ?? defaults.feather ?? 0;
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      throw new Error(`Invalid mosaic file ${mosaicPath}: priority of ${source.path} must be a number`);
+    }
+    if (typeof feather !== 'number' || !(feather >= 0)) {
+      throw new Error(`Invalid mosaic file ${mosaicPath}: feather of ${source.path} must be a non-negative number`);
+    }
+
+    return {
+      path: path.resolve(baseDir, source.path),
+      priority,
+      feather,
+      sourceCrs: source.sourceCrs ?? mosaic.sourceCrs ?? defaults.sourceCrs,
+    };
+  });
+}
+
+/**
+ * Open every source of a mosaic. All sources read through one shared block cache.
+ * @param {Array<MosaicSource>} mosaicSources - Mosaic sources
+ * @param {Object} [options] - Open options
+ * @param {number} [options.cacheBytes] - Maximum size of the shared block cache in bytes
+ * @param {string} [options.resampling] - Resampling method of every source (default 'bilinear')
+ * @returns {Promise<{layers: Array<MosaicLayer>, metadata: Object, resampling: string, close: Function}>}
+ *   Opened mosaic; layers are sorted by descending priority
+ */
+async function openMosaic(mosaicSources, options = {}) {
+  const cache = new BlockCache(options.cacheBytes);
+  const opened = [];
+
+  try {
+    for (const source of mosaicSources) {
+      const dem = await openDEM(source.path, { sourceCrs: source.sourceCrs, cache });
+      opened.push({ source, dem });
+      if (!dem.metadata.crs) {
+        throw new Error(`Unsupported coordinate reference system in ${source.path}: ${dem.metadata.crsError}`);
+      }
+    }
+  } catch (err) {
+    opened.forEach(({ dem }) => dem.close());
+    throw err;
+  }
+
+  // Stable order: by priority, later sources first among equal priorities
+  const layers = opened
+    .map(({ source, dem }, index) => ({
+      source,
+      sources: dem.sources,
+      metadata: dem.metadata,
+      projection: createProjection(dem.metadata.crs),
+      index,
+    }))
+    .sort((a, b) => b.source.priority - a.source.priority || b.index - a.index)
+    .map(({ index, ...layer }) => layer);
+
+  return {
+    layers,
+    metadata: buildMosaicMetadata(opened.map(({ dem }) => dem.metadata), layers[layers.length - 1].metadata),
+    resampling: options.resampling || 'bilinear',
+    close: () => {
+      opened.forEach(({ dem }) => dem.close());
+      cache.clear();
+    },
+  };
+}
+
+/**
+ * Combine the metadata of the mosaic sources.
+ * @param {Array<import('./dem-reader').DEMMetadata>} sources - Source metadata in input order
+ * @param {import('./dem-reader').DEMMetadata} base - Metadata of the lowest-priority source
+ * @returns {Object} Mosaic metadata: the sources, their combined geographic bounds and
+ *   elevation range, and the no-data value of the base source
+ */
+function buildMosaicMetadata(sources, base) {
+  return {
+    sources,
+    geographicBbox: [
+      Math.min(...sources.map(s => s.geographicBbox[0])),
+      Math.min(...sources.map(s => s.geographicBbox[1])),
+      Math.max(...sources.map(s => s.geographicBbox[2])),
+      Math.max(...sources.map(s => s.geographicBbox[3])),
+    ],
+    minElevation: Math.min(...sources.map(s => s.minElevation)),
+    maxElevation: Math.max(...sources.map(s => s.maxElevation)),
+    noDataValue: base.noDataValue,
+  };
+}
+
+/**
+ * Sample a mosaic into a tile grid (see sampleMosaic).
+ * @param {{layers: Array<MosaicLayer>, metadata: Object, resampling: string}} mosaic - Opened mosaic
+ * @param {import('./tiling').TileBounds} tileBounds - Tile bounds in degrees
+ * @param {number} tileSize - Samples per side
+ * @param {import('./tiling-scheme').TilingScheme} scheme - Tiling scheme of the tile
+ * @param {string} [sampling] - 'pixels' (default), 'vertices' or 'edges'
+ * @param {number} targetResolution - Ground resolution of the tile in meters per pixel, used to
+ *   pick each source's overview level and the footprint resampling kernels integrate
+ * @param {number} [resolutionLatitude] - Latitude where targetResolution applies (default: the
+ *   tile's center latitude)
+ * @param {number} [buffer] - Extra samples past each tile edge (see computeSamplePositions)
+ * @param {Object} [options] - Sampling options (see sampleMosaic)
+ * @returns {Promise<Float32Array>} Tile elevation data, row 0 is the northern edge, NaN for no data
+ */
+async function sampleMosaicTile(mosaic, tileBounds, tileSize, scheme, sampling, targetResolution, resolutionLatitude, buffer = 0, options = {}) {
+  const latitude = resolutionLatitude ?? (tileBounds.minY + tileBounds.maxY) / 2;
+  const positions = computeSamplePositions(tileBounds, tileSize, scheme, sampling, buffer);
+  // Buffer samples reach into the neighbouring tiles, and the sources covering them
+  const bbox = [tileBounds.minX, tileBounds.minY, tileBounds.maxX, tileBounds.maxY];
+  for (let i = 0; buffer > 0 && i < positions.length; i += 2) {
+    bbox[0] = Math.min(bbox[0], positions[i]);
+    bbox[1] = Math.min(bbox[1], positions[i + 1]);
+    bbox[2] = Math.max(bbox[2], positions[i]);
+    bbox[3] = Math.max(bbox[3], positions[i + 1]);
+  }
+  return sampleMosaic(mosaic, positions, bbox, targetResolution, latitude, options);
+}
+
+/**
+ * Sample a mosaic at longitude/latitude positions.
+ *
+ * Sources are composited front to back in priority order. Each source contributes
+ * with a weight of 1 inside its extent, ramping down to 0 over its feather width
+ * towards its outer edges and its no-data pixels (the irregular footprints of lidar
+ * patches with no-data collars blend like their rectangular edges), and 0 outside
+ * its extent or where it has no data; whatever weight is left falls through to the
+ * sources beneath. Samples no source covers take the clamped edge value of the
+ * highest-priority source with data there (unless `clampUncovered` is false), and
+ * samples where no source has data are NaN (see fillNoData in nodata-fill).
+ *
+ * @param {{layers: Array<MosaicLayer>, metadata: Object, resampling: string}} mosaic - Opened mosaic
+ * @param {Float64Array} positions - Interleaved [lon, lat] per sample
+ * @param {Array<number>} bbox - Extent [west, south, east, north] of the positions in degrees;
+ *   sources outside it are skipped
+ * @param {number} targetResolution - Ground resolution of the samples in meters, used to pick
+ *   each source's overview level and the footprint resampling kernels integrate
+ * @param {number} latitude - Latitude where targetResolution applies
+ * @param {Object} [options] - Sampling options
+ * @param {boolean} [options.clampUncovered] - Give samples outside every source's extent the
+ *   clamped edge value of a source (default), or leave them NaN
+ * @returns {Promise<Float32Array>} One height per sample, NaN for no data
+ */
+async function sampleMosaic(mosaic, positions, bbox, targetResolution, latitude, options = {}) {
+  const { clampUncovered = true } = options;
+  const count = positions.length / 2;
+
+  const sum = new Float64Array(count);
+  const remaining = new Float64Array(count).fill(1);
+  const result = new Float32Array(count);
+  const hasFallback = new Uint8Array(count);
+
+  for (const layer of mosaic.layers) {
+    const { metadata } = layer;
+    if (!bboxIntersects(metadata.geographicBbox, bbox) || !remaining.some(r => r > 0)) {
+      continue;
+    }
+
+    const level = selectSourceLevel(metadata, targetResolution, latitude);
+    const source = layer.sources[level];
+    const pixels = toSourcePixels(positions, metadata.bbox, source.width, source.height, layer.projection);
+    const values = await sampleSource(source, pixels, metadata.noDataValue, {
+      resampling: mosaic.resampling,
+      footprint: getSourceFootprint(metadata, source.width, source.height, targetResolution, latitude),
+    });
+    const feather = layer.source.feather * source.width / metadata.width;
+    const noDataDistances = feather > 0
+      ? await computeNoDataDistances(source, pixels, metadata.noDataValue, feather)
+      : null;
+
+    for (let i = 0; i < count; i++) {
+      const value = values[i];
+      if (Number.isNaN(value) || value === metadata.noDataValue) {
+        continue;
+      }
+      const distance = getEdgeDistance(pixels[i * 2], pixels[i * 2 + 1], source.width, source.height);
+      if (!hasFallback[i] && (clampUncovered || distance >= 0)) {
+        result[i] = value;
+        hasFallback[i] = 1;
+      }
+
+      const weight = getEdgeWeight(noDataDistances ? Math.min(distance, noDataDistances[i]) : distance, feather);
+      if (weight > 0 && remaining[i] > 0) {
+        const contribution = remaining[i] * weight;
+        sum[i] += contribution * value;
+        remaining[i] -= contribution;
+      }
+    }
+  }
+
+  for (let i = 0; i < count; i++) {
+    if (remaining[i] < 1) {
+      result[i] = sum[i] / (1 - remaining[i]);
+    } else if (!hasFallback[i]) {
+      result[i] = NaN;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @param {number} px - Fractional pixel column (0 is the center of the first pixel)
+ * @param {number} py - Fractional pixel row
+ * @param {number} width - Raster width in pixels
+ * @param {number} height - Raster height in pixels
+ * @returns {number} Distance in pixels to the raster's outer edge, negative outside
+ */
+function getEdgeDistance(px, py, width, height) {
+  return Math.min(px + 0.5, py + 0.5, width - 0.5 - px, height - 0.5 - py);
+}
+
+/**
+ * Distance from every sample to the nearest no-data pixel of a source, for feathering.
+ *
+ * Pixels are read in windows around runs of consecutive samples, reaching past them by
+ * more than the feather width, so the distances that affect the weights never depend on
+ * the window and neighbouring tiles blend their shared edges alike.
+ * @param {import('./raster-source').RasterSource} source - Source raster (or overview)
+ * @param {Float64Array} pixels - Interleaved fractional [column, row] of every sample
+ * @param {number|null} noDataValue - No-data value of the source
+ * @param {number} feather - Feather width in pixels of the source
+ * @returns {Promise<Float32Array>} Distance in pixels to the edge of the nearest no-data pixel,
+ *   interpolated between pixel centers like getEdgeDistance(); Infinity outside the raster
+ */
+async function computeNoDataDistances(source, pixels, noDataValue, feather) {
+  const { width, height } = source;
+  const count = pixels.length / 2;
+  const distances = new Float32Array(count).fill(Infinity);
+  const margin = Math.ceil(feather) + 3;
+  const isInside = i => getEdgeDistance(pixels[i * 2], pixels[i * 2 + 1], width, height) >= 0;
+
+  let start = 0;
+  while (start < count) {
+    // Grow the run while its window stays within budget
+    let window = null;
+    let end = start;
+    for (; end < count; end++) {
+      if (!isInside(end)) {
+        continue;
+      }
+      const px = pixels[end * 2];
+      const py = pixels[end * 2 + 1];
+      const next = [
+        Math.max(0, Math.min(window ? window[0] : Infinity, Math.floor(px) - margin)),
+        Math.max(0, Math.min(window ? window[1] : Infinity, Math.floor(py) - margin)),
+        Math.min(width, Math.max(window ? window[2] : -Infinity, Math.ceil(px) + margin + 1)),
+        Math.min(height, Math.max(window ? window[3] : -Infinity, Math.ceil(py) + margin + 1)),
+      ];
+      if (window && (next[2] - next[0]) * (next[3] - next[1]) > MAX_FEATHER_WINDOW_PIXELS) {
+        break;
+      }
+      window = next;
+    }
+
+    if (window) {
+      const [x0, y0, x1, y1] = window;
+      const windowWidth = x1 - x0;
+      const field = computeNoDataDistanceField(await source.readWindow(window), windowWidth, y1 - y0, noDataValue);
+      for (let i = start; i < end; i++) {
+        if (isInside(i)) {
+          distances[i] = interpolateField(field, windowWidth, y1 - y0, pixels[i * 2] - x0, pixels[i * 2 + 1] - y0);
+        }
+      }
+    }
+    start = end;
+  }
+
+  return distances;
+}
+
+/**
+ * Euclidean distance transform of the no-data pixels of a window (Felzenszwalb and
+ * Huttenlocher), as distances from pixel centers to the edge of the nearest no-data pixel.
+ * @param {Float32Array} data - Window pixels, row-major
+ * @param {number} width - Window width
+ * @param {number} height - Window height
+ * @param {number|null} noDataValue - No-data value
+ * @returns {Float32Array} Distance per pixel: -0.5 for no-data pixels, half a pixel less than
+ *   the distance between centers otherwise, and huge without no-data pixels in the window
+ */
+function computeNoDataDistanceField(data, width, height, noDataValue) {
+  const squared = new Float64Array(width * height);
+  for (let i = 0; i < squared.length; i++) {
+    squared[i] = Number.isNaN(data[i]) || data[i] === noDataValue ? 0 : FAR;
+  }
+
+  const size = Math.max(width, height);
+  const line = new Float64Array(size);
+  const transformed = new Float64Array(size);
+  const parabolas = new Int32Array(size);
+  const bounds = new Float64Array(size + 1);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      line[y] = squared[y * width + x];
+    }
+    transformLine(line, height, transformed, parabolas, bounds);
+    for (let y = 0; y < height; y++) {
+      squared[y * width + x] = transformed[y];
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    line.set(squared.subarray(y * width, (y + 1) * width));
+    transformLine(line, width, transformed, parabolas, bounds);
+    squared.set(transformed.subarray(0, width), y * width);
+  }
+
+  return Float32Array.from(squared, d => Math.sqrt(d) - 0.5);
+}
+
+/**
+ * One-dimensional squared distance transform: the lower envelope of parabolas rooted at
+ * every sample.
+ */
+function transformLine(f, n, d, v, z) {
+  let k = 0;
+  v[0] = 0;
+  z[0] = -Infinity;
+  z[1] = Infinity;
+  for (let q = 1; q < n; q++) {
+    let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = Infinity;
+  }
+
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) {
+      k++;
+    }
+    d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+  }
+}
+
+/**
+ * Bilinear interpolation of a per-pixel field at a fractional pixel position, clamped to the field.
+ */
+function interpolateField(field, width, height, px, py) {
+  const x = Math.max(0, Math.min(width - 1, px));
+  const y = Math.max(0, Math.min(height - 1, py));
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const top = field[y0 * width + x0] * (1 - fx) + field[y0 * width + x1] * fx;
+  const bottom = field[y1 * width + x0] * (1 - fx) + field[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Weight of a source at a pixel position: 1 inside the raster, ramping linearly to 0
+ * over `feather` pixels towards its outer edge (and no-data pixels), 0 outside.
+ * @param {number} distance - Distance to the raster's edge from getEdgeDistance(), or to the
+ *   nearest no-data pixel when closer
+ * @param {number} feather - Ramp width in pixels
+ * @returns {number} Weight between 0 and 1
+ */
+function getEdgeWeight(distance, feather) {
+  if (distance < 0) {
+    return 0;
+  }
+  return feather > 0 ? Math.min(1, distance / feather) : 1;
+}
+
+module.exports = {
+  resolveMosaicSources,
+  openMosaic,
+  sampleMosaicTile,
+  sampleMosaic,
+};
@@ -0,0 +1,214 @@
+/**
+ * Filling of no-data samples in tile elevation grids.
+ * Sampling leaves NaN wherever no source has data; before encoding, every NaN sample
+ * is replaced according to a fill strategy so tiles never contain no-data pits:
+ * - idw: inverse-distance weighted average of the nearest valid sample in each of
+ *   the 8 grid directions (smooth fill across holes, like GDAL's FillNodata)
+ * - nearest: value of the nearest valid sample
+ * - constant: a fixed height, e.g. 0 for sea level
+ * Grids without any valid sample are filled with the constant, or 0 for the other
+ * strategies.
+ */
+
+// Direction vectors scanned by the inverse-distance fill
+const IDW_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, -1], [1, -1], [-1, 1]];
+
+/**
+ * @typedef {Object} NoDataFill
+ * @property {string} type - 'idw', 'nearest' or 'constant'
+ * @property {number} [value] - Height used by 'constant'
+ */
+
+/**
+ * Parse a fill strategy as given on the command line.
+ * @param {string|number} text - 'idw', 'nearest' or a constant height
+ * @returns {NoDataFill} Fill strategy
+ */
+function parseNoDataFill(text) {
+  if (text === 'idw' || text === 'nearest') {
+    return { type: text };
+  }
+  const value = typeof text === 'number' ? text : Number(text);
+  if (String(text).trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`Unsupported no-data fill: ${text} (expected idw, nearest or a constant height)`);
+  }
+  return { type: 'constant', value };
+}
+
+/**
+ * @param {Float32Array} data - Elevation grid with NaN for no-data samples
+ * @returns {number} Number of valid samples
+ */
+function countValidSamples(data) {
+  let count = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (!Number.isNaN(data[i])) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Replace the no-data samples of a grid in place.
+ * @param {Float32Array} data - Elevation grid with NaN for no-data samples, row by row
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {NoDataFill} fill - Fill strategy
+ * @returns {Float32Array} The filled grid
+ */
+function fillNoData(data, width, height, fill) {
+  const validCount = countValidSamples(data);
+  if (validCount === data.length) {
+    return data;
+  }
+
+  if (fill.type === 'constant' || validCount === 0) {
+    const value = fill.type === 'constant' ? fill.value : 0;
+    for (let i = 0; i < data.length; i++) {
+      if (Number.isNaN(data[i])) {
+        data[i] = value;
+      }
+    }
+    return data;
+  }
+
+  if (fill.type === 'nearest') {
+    return fillNearest(data, width, height);
+  }
+  if (fill.type === 'idw') {
+    return fillInverseDistance(data, width, height);
+  }
+  throw new Error(`Unsupported no-data fill: ${fill.type}`);
+}
+
+/**
+ * Inverse-distance fill: one pass per direction finds, for every sample, the nearest
+ * valid sample along that direction; no-data samples become the average of those
+ * values weighted by 1 / distance^2.
+ */
+function fillInverseDistance(data, width, height) {
+  const count = data.length;
+  const sum = new Float64Array(count);
+  const weight = new Float64Array(count);
+  const foundValue = new Float32Array(count);
+  const foundDistance = new Float32Array(count);
+
+  for (const [dx, dy] of IDW_DIRECTIONS) {
+    const step = Math.hypot(dx, dy);
+    // Visit each sample after the sample preceding it in the scan direction
+    const ys = dy < 0 ? range(height - 1, -1, -1) : range(0, height, 1);
+    const xs = dx < 0 ? range(width - 1, -1, -1) : range(0, width, 1);
+
+    for (const y of ys) {
+      for (const x of xs) {
+        const i = y * width + x;
+        if (!Number.isNaN(data[i])) {
+          foundValue[i] = data[i];
+          foundDistance[i] = 0;
+          continue;
+        }
+
+        const px = x - dx;
+        const py = y - dy;
+        if (px < 0 || py < 0 || px >= width || py >= height || foundDistance[py * width + px] === Infinity) {
+          foundDistance[i] = Infinity;
+          continue;
+        }
+        const previous = py * width + px;
+        foundValue[i] = foundValue[previous];
+        foundDistance[i] = foundDistance[previous] + step;
+
+        const w = 1 / (foundDistance[i] * foundDistance[i]);
+        sum[i] += foundValue[i] * w;
+        weight[i] += w;
+      }
+    }
+  }
+
+  // Samples no direction reaches (possible only with diagonal-only gaps) take the nearest
+  let unreached = false;
+  for (let i = 0; i < count; i++) {
+    if (Number.isNaN(data[i])) {
+      if (weight[i] > 0) {
+        data[i] = sum[i] / weight[i];
+      } else {
+        unreached = true;
+      }
+    }
+  }
+  return unreached ? fillNearest(data, width, height) : data;
+}
+
+/**
+ * Nearest-valid fill: two raster passes propagate the index of the nearest valid sample
+ * found so far between neighbours, comparing true Euclidean distances.
+ */
+function fillNearest(data, width, height) {
+  const nearest = new Int32Array(data.length).fill(-1);
+  for (let i = 0; i < data.length; i++) {
+    if (!Number.isNaN(data[i])) {
+      nearest[i] = i;
+    }
+  }
+
+  const distanceSquared = (i, source) => {
+    const dx = (i % width) - (source % width);
+    const dy = Math.floor(i / width) - Math.floor(source / width);
+    return dx * dx + dy * dy;
+  };
+  const relax = (x, y, nx, ny) => {
+    if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+      return;
+    }
+    const i = y * width + x;
+    const candidate = nearest[ny * width + nx];
+    if (candidate >= 0 && (nearest[i] < 0 || distanceSquared(i, candidate) < distanceSquared(i, nearest[i]))) {
+      nearest[i] = candidate;
+    }
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      relax(x, y, x - 1, y);
+      relax(x, y, x - 1, y - 1);
+      relax(x, y, x, y - 1);
+      relax(x, y, x + 1, y - 1);
+    }
+    for (let x = width - 1; x >= 0; x--) {
+      relax(x, y, x + 1, y);
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      relax(x, y, x + 1, y);
+      relax(x, y, x + 1, y + 1);
+      relax(x, y, x, y + 1);
+      relax(x, y, x - 1, y + 1);
+    }
+    for (let x = 0; x < width; x++) {
+      relax(x, y, x - 1, y);
+    }
+  }
+
+  for (let i = 0; i < data.length; i++) {
+    if (Number.isNaN(data[i])) {
+      data[i] = data[nearest[i]];
+    }
+  }
+  return data;
+}
+
+function range(start, end, step) {
+  const values = [];
+  for (let v = start; v !== end; v += step) {
+    values.push(v);
+  }
+  return values;
+}
+
+module.exports = {
+  parseNoDataFill,
+  countValidSamples,
+  fillNoData,
+};
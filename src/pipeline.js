@@ -1,20 +1,222 @@
 // High-level pipeline for generating terrain database tiles from a DEM.
-const { readDEMData, readDEMMetadata } = require('./dem-reader');
-const { generateTilingScheme, tileToBounds, bboxIntersects } = require('./tiling');
+const os = require('os');
+const path = require('path');
+const { resolveMosaicSources, openMosaic, sampleMosaicTile, sampleMosaic } = require('./mosaic');
+const { computeSamplePositions } = require('./tile-sampler');
+const { parseResampling } = require('./resampling');
+const {
+  generateTilingScheme,
+  tileToBounds,
+  bboxIntersects,
+  getChildTileMask,
+  getParentTile,
+  getAvailableChildTiles,
+  getResolution,
+  mergeTileRanges,
+  getDescendantTileRanges,
+} = require('./tiling');
+const { createTilingScheme } = require('./tiling-scheme');
+const { computeWaterMask, encodeQuantizedMeshTile } = require('./quantized-mesh');
+const { createAdaptiveMesh } = require('./mesh-simplifier');
+const { parseNoDataFill, countValidSamples, fillNoData } = require('./nodata-fill');
+const { parseVerticalDatum, formatVerticalDatum, VerticalTransform } = require('./vertical-datum');
+const { REDUCERS, getChildQuadrant, reduceChildGrids } = require('./pyramid');
 const { 
-  resampleElevationData, 
-  extractRegion, 
   encodeHeightmapPNG,
-  writeTile 
+  encodeTerrainRGB,
+  encodeTerrarium,
+  encodeCesiumHeightmap,
+  encodeQuantizedMesh,
+  extractRegion,
+  HEIGHTMAP_SIZE,
 } = require('./terrain-encoder');
+const { encodeTerrainImagery } = require('./terrain-analysis');
+const { readColorRamp, resolveColorRamp, encodeColorRelief } = require('./color-relief');
+const { WorkerPool } = require('./worker-pool');
+const { RunManifest, fingerprintFile } = require('./manifest');
+const { createTileSink } = require('./tile-sink');
+
+// Default size of the decoded DEM block cache in megabytes
+const DEFAULT_CACHE_SIZE = 256;
+
+// Tiles handed to a worker at a time
+const TILES_PER_TASK = 16;
+
+// Tiles stored per sink write (one MBTiles transaction)
+const TILES_PER_BATCH = 256;
+
+// Elevation range sources of DEMs too large to scan (see computeElevationRange in dem-reader)
+const ESTIMATED_RANGE_SOURCES = ['overview', 'sampled'];
+
+// Levels of a bottom-up pyramid built by one worker task: the max level and the levels above
+// it up to the task's root tile
+const PYRAMID_TASK_LEVELS = 4;
+
+// Levels covered by the availability in quantized-mesh metadata (layer.json metadataAvailability):
+// tiles at multiples of it list the available tiles of the next levels of their subtree
+const METADATA_AVAILABILITY_LEVELS = 10;
+
+/**
+ * Supported output tile formats.
+ * Each entry defines the file extension, the layer.json format name and the tile encoder.
+ * Image formats list their allowed `imageFormats` instead; the chosen image format then
+ * provides both the extension and the layer.json format. Formats with a fixed `tileSize`
+ * override the requested tile size, and `defaultScheme` picks the tiling scheme used
+ * unless one is requested explicitly. `sampling: 'vertices'` marks Cesium terrain grids,
+ * whose outer samples sit on the tile edges (see computeSamplePositions).
+ * `scalesToElevationRange` marks formats whose tiles depend on the DEM elevation range, and
+ * `availabilityLevels(extensions)` the number of deeper levels whose availability tiles
+ * record (1 for child masks); run manifests use both to decide which tiles a changed job
+ * invalidates. `cesiumTerrain` formats get a layer.json following Cesium's conventions
+ * (`slippyMap` for XYZ rows, versioned tile URLs). `imagery` formats render terrain
+ * imagery instead of encoding heights, and `buffer` samples that many extra rows/columns
+ * past each tile edge for them (see terrain-analysis).
+ */
+const TILE_FORMATS = {
+  png: {
+    extension: '.png',
+    layerFormat: 'png',
+    scalesToElevationRange: true,
+    encode: (tileData, { tileSize, metadata }) => encodeHeightmapPNG(
+      tileData,
+      tileSize,
+      tileSize,
+      metadata.minElevation,
+      metadata.maxElevation
+    ),
+  },
+  heightmap: {
+    extension: '.terrain',
+    layerFormat: 'heightmap-1.0',
+    tileSize: HEIGHTMAP_SIZE,
+    defaultScheme: 'geographic',
+    sampling: 'vertices',
+    cesiumTerrain: true,
+    availabilityLevels: () => 1,
+    // Water masks are always embedded; listing the extension tells Cesium to use them
+    extensions: ['watermask'],
+    encode: (tileData, { tile, tileSize, tilingScheme }) => encodeCesiumHeightmap(
+      tileData,
+      getChildTileMask(tile, tilingScheme),
+      computeWaterMask(tileData, tileSize, tileSize)
+    ),
+  },
+  'quantized-mesh': {
+    extension: '.terrain',
+    layerFormat: 'quantized-mesh-1.0',
+    defaultScheme: 'geographic',
+    sampling: 'vertices',
+    cesiumTerrain: true,
+    extensions: ['octvertexnormals', 'watermask', 'metadata'],
+    availabilityLevels: extensions => (extensions.includes('metadata') ? METADATA_AVAILABILITY_LEVELS : 0),
+    encode: (tileData, context) => {
+      const extensions = buildMeshExtensions(tileData, context);
+      if (context.maxError === undefined) {
+        return encodeQuantizedMesh(tileData, context.tileSize, context.tileSize, context.tileBounds, extensions);
+      }
+      const mesh = createAdaptiveMesh(tileData, context.tileSize, getTileMaxError(context));
+      return encodeQuantizedMeshTile(mesh, context.tileBounds, extensions);
+    },
+  },
+  'terrain-rgb': {
+    imageFormats: ['png', 'webp'],
+    encoding: 'mapbox',
+    encode: (tileData, { tileSize, imageFormat }) => encodeTerrainRGB(tileData, tileSize, tileSize, imageFormat),
+  },
+  terrarium: {
+    imageFormats: ['png', 'webp'],
+    encoding: 'terrarium',
+    encode: (tileData, { tileSize, imageFormat }) => encodeTerrarium(tileData, tileSize, tileSize, imageFormat),
+  },
+  hillshade: createImageryFormat('hillshade'),
+  slope: createImageryFormat('slope'),
+  aspect: createImageryFormat('aspect'),
+  'color-relief': {
+    imageFormats: ['png', 'webp'],
+    imagery: 'color-relief',
+    // Percentage stops of the color ramp are relative to the elevation range
+    scalesToElevationRange: true,
+    buffer: 1,
+    encode: (tileData, { tileSize, positions, colorRelief, noDataMask, imageFormat }) => encodeColorRelief(
+      tileData,
+      tileSize,
+      positions,
+      { ...colorRelief, noDataMask },
+      imageFormat
+    ),
+  },
+};
+
+/**
+ * @param {string} product - Terrain imagery product (see TERRAIN_PRODUCTS in terrain-analysis)
+ * @returns {Object} Tile format rendering the product from tile grids with a one-sample buffer
+ */
+function createImageryFormat(product) {
+  return {
+    imageFormats: ['png', 'webp'],
+    imagery: product,
+    buffer: 1,
+    encode: (tileData, { tileSize, positions, imageFormat }) => encodeTerrainImagery(
+      product,
+      tileData,
+      tileSize,
+      positions,
+      imageFormat
+    ),
+  };
+}
 
 /**
  * @typedef {Object} GenerateOptions
- * @property {string} inputPath - Path to the input DEM (e.g. GeoTIFF).
- * @property {string} outputDir - Directory where terrain tiles will be written.
+ * @property {string|Array<string>} inputPath - Path to the input DEM (e.g. GeoTIFF), several DEMs to
+ *   mosaic (later ones take priority) or a JSON mosaic file (see resolveMosaicSources).
+ * @property {string} outputDir - Directory where terrain tiles will be written, or an .mbtiles or
+ *   .pmtiles file.
+ * @property {string} [sink] - Output target: 'directory', 'mbtiles' or 'pmtiles'. Defaults to mbtiles
+ *   for `.mbtiles` output paths, pmtiles for `.pmtiles` output paths and directory otherwise.
+ * @property {boolean} [dedup] - PMTiles: store identical tiles once (default true).
  * @property {number} tileSize - Tile size in pixels or meters (implementation-specific).
+ * @property {boolean} [sharedBorders] - Image formats: sample tileSize + 1 pixels per side, with the
+ *   outer rows/columns on the tile edges, so neighbouring tiles share identical border pixels.
  * @property {number} maxLevel - Maximum level-of-detail to generate.
- * @property {number|undefined} [workers] - Number of worker threads/processes to use (optional).
+ * @property {string} [format] - Output tile format: 'png' (default), 'heightmap' (Cesium heightmap-1.0),
+ *   'quantized-mesh', 'terrain-rgb' or 'terrarium', or terrain imagery: 'hillshade', 'slope', 'aspect' or
+ *   'color-relief'.
+ * @property {string} [imageFormat] - Image encoding for image-based formats: 'png' (default) or 'webp'.
+ * @property {string} [scheme] - Tiling scheme: 'geographic' or 'mercator'. Defaults to geographic for
+ *   Cesium terrain formats (heightmap, quantized-mesh) and mercator otherwise.
+ * @property {string} [yOrigin] - Tile row origin: 'tms' (default for geographic) or 'xyz' (default for mercator).
+ * @property {Array<number>} [schemeExtent] - Custom tiling scheme extent [minX, minY, maxX, maxY] in scheme units.
+ * @property {Array<string>} [extensions] - Quantized-mesh extensions to include:
+ *   'octvertexnormals', 'watermask' and/or 'metadata'.
+ * @property {number} [maxError] - Build adaptive quantized meshes whose vertical error stays below
+ *   this many ground pixels (meters per pixel at each zoom); full grid meshes when omitted.
+ * @property {string} [resampling] - Resampling kernel reading the DEMs: 'nearest', 'bilinear' (default),
+ *   'bicubic', 'lanczos', 'average', 'min' or 'max'. Kernels integrate each tile sample's footprint
+ *   when downsampling.
+ * @property {string} [sourceCrs] - Override the DEM's CRS: 'EPSG:xxxx', a PROJ string or WKT.
+ * @property {number} [feather] - Default width in source pixels over which mosaic sources blend into
+ *   the sources beneath them along their edges (default 0).
+ * @property {string|number} [noDataFill] - How samples without DEM data are filled: 'idw' (default,
+ *   inverse-distance weighted), 'nearest' or a constant height in the source vertical datum, such as
+ *   0 for sea level.
+ * @property {boolean} [skipNoDataTiles] - Skip tiles without any DEM data instead of writing filled tiles.
+ * @property {string} [colorRamp] - Color-relief: GDAL-style color ramp file (see color-relief.js).
+ * @property {boolean} [hillshadeBlend] - Color-relief: multiply the colors by a multidirectional hillshade.
+ * @property {string} [sourceVdatum] - Vertical datum of the DEM heights: 'ellipsoid' (default) or a
+ *   geoid grid file (GeoTIFF or .gtx) for orthometric heights.
+ * @property {string} [targetVdatum] - Vertical datum of the tile heights: 'ellipsoid' (default, as
+ *   Cesium expects) or a geoid grid file.
+ * @property {boolean} [bottomUp] - Sample only the max level from the DEMs and build every other
+ *   level from its children's heights.
+ * @property {string} [reducer] - Bottom-up: how children's heights are combined into their parent's,
+ *   'mean' (default), 'max' (never below the terrain, for obstacle clearance) or 'min'.
+ * @property {string} [attribution] - Attribution for layer.json, shown by Cesium as a credit.
+ * @property {number} [cacheSize] - Maximum size of the decoded DEM block cache in megabytes (default 256).
+ * @property {boolean} [force] - Regenerate every tile instead of resuming from the run manifest
+ *   in the output directory.
+ * @property {number} [workers] - Number of worker threads sampling and encoding tiles (default: one per CPU);
+ *   1 processes tiles on the main thread.
  */
 
 /**
@@ -22,164 +224,934 @@ const {
  * @param {GenerateOptions} options
  */
 async function generateTerrainTiles(options) {
-  const { inputPath, outputDir, tileSize, maxLevel, workers } = options;
+  const {
+    inputPath,
+    outputDir,
+    maxLevel,
+    workers,
+    format = 'png',
+    imageFormat = 'png',
+    extensions = [],
+    maxError,
+    sourceCrs,
+    feather,
+    resampling = 'bilinear',
+    cacheSize,
+    attribution = '',
+    noDataFill = 'idw',
+    skipNoDataTiles = false,
+    colorRamp,
+    hillshadeBlend = false,
+    sourceVdatum,
+    targetVdatum,
+    sharedBorders = false,
+    bottomUp = false,
+    reducer,
+    force = false,
+  } = options;
+
+  const tileFormat = resolveTileFormat(format, imageFormat);
+  const workerCount = workers || os.cpus().length;
+  if (sharedBorders && tileFormat.sampling) {
+    throw new Error(`Shared borders only apply to image formats; ${format} tiles always share their edge samples`);
+  }
+  const sampling = sharedBorders ? 'edges' : tileFormat.sampling || 'pixels';
+  const tileSize = tileFormat.tileSize || options.tileSize + (sharedBorders ? 1 : 0);
+  const scheme = createTilingScheme({
+    scheme: options.scheme || tileFormat.defaultScheme || 'mercator',
+    yOrigin: options.yOrigin,
+    extent: options.schemeExtent,
+  });
+  const sink = createTileSink(outputDir, {
+    type: options.sink,
+    scheme,
+    extension: tileFormat.extension,
+    dedup: options.dedup,
+  });
+
+  const supportedExtensions = tileFormat.extensions || [];
+  const unsupported = extensions.filter(ext => !supportedExtensions.includes(ext));
+  if (unsupported.length > 0) {
+    throw new Error(`Extensions not supported by format ${format}: ${unsupported.join(', ')}`);
+  }
+
+  if (maxError !== undefined && format !== 'quantized-mesh') {
+    throw new Error('Max error only applies to the quantized-mesh format');
+  }
+
+  if (format === 'color-relief' && !colorRamp) {
+    throw new Error('The color-relief format requires a color ramp file');
+  }
+  if (format !== 'color-relief' && (colorRamp || hillshadeBlend)) {
+    throw new Error('Color ramps and hillshade blending only apply to the color-relief format');
+  }
+  const colorRelief = colorRamp ? { ramp: await readColorRamp(colorRamp), hillshade: hillshadeBlend } : null;
+
+  parseResampling(resampling);
+  const fill = parseNoDataFill(noDataFill);
+  const verticalDatums = { source: parseVerticalDatum(sourceVdatum), target: parseVerticalDatum(targetVdatum) };
+  // Parents of skipped tiles would still flag them as available
+  const availabilityLevels = tileFormat.availabilityLevels ? tileFormat.availabilityLevels(extensions) : 0;
+  if (skipNoDataTiles && availabilityLevels > 0) {
+    throw new Error(`Skipping no-data tiles is not supported by format ${format}${extensions.includes('metadata') ? ' with the metadata extension' : ''}`);
+  }
+
+  if (reducer !== undefined && !bottomUp) {
+    throw new Error('A reducer only applies to bottom-up generation');
+  }
+  if (bottomUp && !REDUCERS[reducer || 'mean']) {
+    throw new Error(`Unsupported reducer: ${reducer} (expected mean, max or min)`);
+  }
+  // Children have no buffer samples to reduce into their parent's
+  if (bottomUp && tileFormat.buffer) {
+    throw new Error(`Bottom-up generation is not supported by format ${format}, whose pixels need their neighbours' heights`);
+  }
+  // Vertices evenly spaced in latitude only nest into their parent's in the geographic scheme
+  if (bottomUp && sampling === 'vertices' && scheme.type !== 'geographic') {
+    throw new Error(`Bottom-up generation of format ${format} requires the geographic tiling scheme`);
+  }
+  const pyramid = bottomUp ? { reducer: reducer || 'mean' } : null;
 
   console.log('[dem-terraindb-tiler] Starting generation');
-  console.log('  DEM input     :', inputPath);
-  console.log('  Output dir    :', outputDir);
-  console.log('  Tile size     :', tileSize);
+  console.log('  DEM input     :', Array.isArray(inputPath) ? inputPath.join(', ') : inputPath);
+  console.log('  Output        :', `${outputDir} (${sink.type})`);
+  if (sharedBorders) {
+    console.log('  Tile size     :', `${tileSize} (${options.tileSize} + shared border)`);
+  } else {
+    console.log('  Tile size     :', tileSize !== options.tileSize ? `${tileSize} (fixed by ${format} format)` : tileSize);
+  }
   console.log('  Max LOD level :', maxLevel);
-  console.log('  Workers       :', workers ?? 'auto');
+  console.log('  Tile format   :', tileFormat.imageFormats ? `${format} (${imageFormat})` : format);
+  if (colorRelief) {
+    console.log('  Color ramp    :', `${colorRamp}${hillshadeBlend ? ', hillshade blend' : ''}`);
+  }
+  if (extensions.length > 0) {
+    console.log('  Extensions    :', extensions.join(', '));
+  }
+  if (maxError !== undefined) {
+    console.log('  Max error     :', `${maxError} px`);
+  }
+  console.log('  Resampling    :', resampling);
+  console.log('  Vertical datum:', `${formatVerticalDatum(verticalDatums.source)} -> ${formatVerticalDatum(verticalDatums.target)}`);
+  console.log('  No-data fill  :', `${noDataFill}${skipNoDataTiles ? ', empty tiles skipped' : ''}`);
+  if (pyramid) {
+    console.log('  Pyramid       :', `bottom-up, ${pyramid.reducer} of children`);
+  }
+  console.log('  Tiling scheme :', `${scheme.type} (${scheme.projection}, ${scheme.yOrigin})`);
+  console.log('  Workers       :', workerCount > 1 ? workerCount : '1 (main thread)');
   console.log('');
 
-  // Phase 1: Read DEM data and metadata
-  console.log('[1/4] Reading DEM data...');
-  const { data: elevationData, metadata } = await readDEMData(inputPath);
+  // Phase 1: Open the DEMs; pixels are read block by block while tiles are sampled
+  console.log('[1/4] Reading DEM metadata...');
+  const settings = {
+    mosaicSources: await resolveMosaicSources(inputPath, { sourceCrs, feather }),
+    cacheBytes: (cacheSize || DEFAULT_CACHE_SIZE) * 1024 * 1024,
+    format,
+    imageFormat,
+    scheme: scheme.toJSON(),
+    tileSize,
+    sampling,
+    maxLevel,
+    extensions,
+    maxError,
+    resampling,
+    noDataFill: fill,
+    skipNoDataTiles,
+    colorRelief,
+    verticalDatums,
+    pyramid,
+    attribution,
+  };
+  const context = await openTileContext(settings);
+  try {
+    await sink.open();
+    const manifest = await RunManifest.open(sink.manifestDir, await describeJob(settings, context), {
+      scheme: context.scheme,
+      force,
+    });
+    await generateTiles(context, settings, workerCount, manifest, sink);
+  } finally {
+    await sink.close();
+    closeTileContext(context);
+  }
   
-  console.log(`  Loaded ${metadata.width}x${metadata.height} DEM`);
+  console.log('[dem-terraindb-tiler] Generation complete!');
+}
+
+/**
+ * Open the DEMs and set up everything needed to produce tiles. Called once by the
+ * pipeline and once by every tile worker, from the same plain settings object.
+ * @param {Object} settings - Resolved generation settings (structured-cloneable)
+ * @returns {Promise<Object>} Tile context for processTile()
+ */
+async function openTileContext(settings) {
+  const { mosaicSources, cacheBytes, format, imageFormat, tileSize, maxLevel, extensions, maxError } = settings;
+  const scheme = createTilingScheme(settings.scheme);
+  const tileFormat = resolveTileFormat(format, imageFormat);
+  const mosaic = await openMosaic(mosaicSources, { cacheBytes, resampling: settings.resampling });
+
+  let verticalTransform = null;
+  try {
+    const { source, target } = settings.verticalDatums;
+    verticalTransform = await VerticalTransform.open(source, target, mosaic.metadata.geographicBbox);
+    if (verticalTransform) {
+      // Tiles scaled to the elevation range need it in the target datum
+      const offsets = await verticalTransform.getOffsetRange(mosaic.metadata.geographicBbox);
+      mosaic.metadata = {
+        ...mosaic.metadata,
+        minElevation: mosaic.metadata.minElevation + offsets.min,
+        maxElevation: mosaic.metadata.maxElevation + offsets.max,
+      };
+    }
+  } catch (err) {
+    mosaic.close();
+    throw err;
+  }
+
+  return {
+    mosaic,
+    verticalTransform,
+    tileFormat,
+    scheme,
+    // Only tiles some source covers are generated and listed as available, plus every root
+    // tile of Cesium terrain (see isRequiredRootTile)
+    tilingScheme: generateTilingScheme(
+      mosaic.metadata.geographicBbox,
+      0,
+      maxLevel,
+      scheme,
+      mosaic.layers.map(layer => layer.metadata.geographicBbox),
+      { allRootTiles: Boolean(tileFormat.cesiumTerrain) }
+    ),
+    tileSize,
+    sampling: settings.sampling,
+    buffer: tileFormat.buffer || 0,
+    // Tiles sharing edge samples pick their overviews for the whole level, at the latitude
+    // needing the most detail, so neighbours read their shared edge from the same overviews
+    levelLatitude: settings.sampling === 'pixels' ? null : getLatitudeClosestToEquator(mosaic.metadata.geographicBbox),
+    extensions,
+    maxError,
+    imageFormat,
+    noDataFill: settings.noDataFill,
+    skipNoDataTiles: settings.skipNoDataTiles,
+    // Percentage stops resolved against the elevation range in the target datum
+    colorRelief: settings.colorRelief && {
+      ...settings.colorRelief,
+      ramp: resolveColorRamp(settings.colorRelief.ramp, mosaic.metadata.minElevation, mosaic.metadata.maxElevation),
+    },
+    pyramid: settings.pyramid,
+  };
+}
+
+/**
+ * Release the files opened by openTileContext().
+ * @param {Object} context - Tile context
+ */
+function closeTileContext(context) {
+  context.mosaic.close();
+  if (context.verticalTransform) {
+    context.verticalTransform.close();
+  }
+}
+
+/**
+ * Describe a job for the run manifest: everything that determines the tiles' content.
+ * @param {Object} settings - Resolved generation settings
+ * @param {Object} context - Tile context opened from the settings
+ * @returns {Promise<import('./manifest').JobDescription>} Job description
+ */
+async function describeJob(settings, context) {
+  const { format, imageFormat, scheme, tileSize, maxLevel, extensions, maxError, mosaicSources } = settings;
+  const { noDataFill, skipNoDataTiles, colorRelief, verticalDatums, pyramid, sampling, resampling } = settings;
+  const { tileFormat, mosaic, verticalTransform } = context;
+
+  const tiles = { format, imageFormat, tileSize, scheme, extensions, maxError, noDataFill, skipNoDataTiles };
+  if (tileFormat.scalesToElevationRange) {
+    tiles.elevationRange = [mosaic.metadata.minElevation, mosaic.metadata.maxElevation];
+  }
+  const availabilityLevels = tileFormat.availabilityLevels ? tileFormat.availabilityLevels(extensions) : 0;
+  if (availabilityLevels > 0) {
+    tiles.availabilityLevels = availabilityLevels;
+  }
+  if (verticalTransform) {
+    const describeDatum = async datum => (datum.type === 'geoid' ? fingerprintFile(datum.path) : datum.type);
+    tiles.verticalDatums = {
+      source: await describeDatum(verticalDatums.source),
+      target: await describeDatum(verticalDatums.target),
+    };
+  }
+
+  // Only set when not the default, so outputs of earlier versions resume
+  if (resampling !== 'bilinear') {
+    tiles.resampling = resampling;
+  }
+  if (pyramid) {
+    tiles.pyramid = pyramid;
+  }
+  if (colorRelief) {
+    tiles.colorRelief = colorRelief;
+  }
+  if (sampling === 'edges') {
+    tiles.sharedBorders = true;
+  }
+
+  const sources = await Promise.all(mosaicSources.map(async (source, i) => ({
+    ...await fingerprintFile(source.path),
+    priority: source.priority,
+    feather: source.feather,
+    sourceCrs: source.sourceCrs,
+    geographicBbox: mosaic.metadata.sources[i].geographicBbox,
+  })));
+
+  return {
+    tiles,
+    maxLevel,
+    sources,
+  };
+}
+
+/**
+ * Run the tiling phases over an opened tile context.
+ * @param {Object} context - Tile context from openTileContext()
+ * @param {Object} settings - Settings the context was opened with
+ * @param {number} workerCount - Number of worker threads; 1 processes tiles on the main thread
+ * @param {import('./manifest').RunManifest} manifest - Run manifest of the output
+ * @param {Object} sink - Opened tile sink (see createTileSink)
+ */
+async function generateTiles(context, settings, workerCount, manifest, sink) {
+  const { mosaic, tilingScheme, tileFormat, extensions } = context;
+  const { layers, metadata } = mosaic;
+
+  for (const { source, metadata: sourceMetadata } of layers) {
+    const details = layers.length > 1 ? ` (priority ${source.priority}, feather ${source.feather} px)` : '';
+    console.log(`  Opened ${sourceMetadata.width}x${sourceMetadata.height} DEM ${sourceMetadata.path}${details}`);
+    console.log(`    CRS: ${sourceMetadata.crs.name}`);
+    if (sourceMetadata.verticalDatum) {
+      const { name, code } = sourceMetadata.verticalDatum;
+      console.log(`    Vertical datum: ${name}${code ? ` (EPSG:${code})` : ''}`);
+    }
+    if (sourceMetadata.overviews.length > 0) {
+      console.log(`    Overviews: ${sourceMetadata.overviews.map(o => `${o.width}x${o.height}`).join(', ')}`);
+    }
+  }
   console.log(`  Elevation range: ${metadata.minElevation.toFixed(2)}m to ${metadata.maxElevation.toFixed(2)}m`);
-  console.log(`  Bounds: [${metadata.bbox.map(v => v.toFixed(4)).join(', ')}]`);
+  // Heights outside an estimated range are clamped by range-scaled formats
+  const estimated = layers.filter(layer => ESTIMATED_RANGE_SOURCES.includes(layer.metadata.elevationRangeSource));
+  if (tileFormat.scalesToElevationRange && estimated.length > 0) {
+    console.log(`  Warning: elevation range estimated for ${estimated.map(layer => layer.metadata.path).join(', ')} (no GDAL statistics);`);
+    console.log(`    ${settings.format} tiles clamp heights outside it. Compute statistics (gdalinfo -stats) for an exact range.`);
+  }
+  console.log(`  Bounds: [${metadata.geographicBbox.map(v => v.toFixed(4)).join(', ')}]`);
   console.log('');
 
   // Phase 2: Generate tiling scheme
   console.log('[2/4] Computing tiling scheme...');
-  const tilingScheme = generateTilingScheme(metadata.bbox, 0, maxLevel);
-  
   console.log(`  Total tiles to generate: ${tilingScheme.totalTiles}`);
-  for (let z = 0; z <= maxLevel; z++) {
+  for (let z = tilingScheme.minZoom; z <= tilingScheme.maxZoom; z++) {
     console.log(`    Level ${z}: ${tilingScheme.levels[z].length} tiles`);
   }
   console.log('');
 
-  // Phase 3: Process each tile
+  // Phase 3: Process each tile not completed by a previous run; bottom-up pyramids derive
+  // every level above the max level from the one below it
   console.log('[3/4] Generating tiles...');
+  manifest.reasons.forEach(reason => console.log(`  Invalidated previous tiles: ${reason}`));
+  const tiles = [];
+  for (let z = tilingScheme.minZoom; z <= tilingScheme.maxZoom; z++) {
+    tiles.push(...tilingScheme.levels[z].filter(tile => !manifest.has(tile)));
+  }
+  if (tiles.length < tilingScheme.totalTiles) {
+    console.log(`  Resuming: ${tilingScheme.totalTiles - tiles.length} tiles already complete`);
+  }
+
   let tilesProcessed = 0;
   const startTime = Date.now();
-  
-  for (let zoom = 0; zoom <= maxLevel; zoom++) {
-    const tiles = tilingScheme.levels[zoom];
-    
+  const reportProgress = (written) => {
+    const previous = tilesProcessed;
+    tilesProcessed += written;
+    // Progress update every 10 tiles
+    if (Math.floor(tilesProcessed / 10) > Math.floor(previous / 10)) {
+      const progress = (tilesProcessed / tiles.length * 100).toFixed(1);
+      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(`    Progress: ${tilesProcessed}/${tiles.length} (${progress}%) - ${elapsed}s elapsed`);
+    }
+  };
+
+  const writer = createTileWriter(sink, manifest, reportProgress);
+  if (context.pyramid) {
+    await generatePyramid(tiles, context, settings, workerCount, manifest, entries => writer.add(entries));
+  } else if (workerCount > 1) {
+    await processTilesInWorkers(tiles, workerCount, settings, entries => writer.add(entries));
+  } else {
     for (const tile of tiles) {
-      const tileBounds = tileToBounds(tile.x, tile.y, tile.z);
-      
-      // Check if tile intersects with DEM bounds
-      const tileBbox = [tileBounds.minX, tileBounds.minY, tileBounds.maxX, tileBounds.maxY];
-      if (!bboxIntersects(metadata.bbox, tileBbox)) {
-        continue; // Skip tiles outside DEM coverage
-      }
-      
-      // Calculate which part of the DEM corresponds to this tile
-      const tileElevationData = extractTileData(
-        elevationData,
-        metadata,
-        tileBounds,
-        tileSize
-      );
-      
-      // Encode as heightmap PNG
-      const pngBuffer = await encodeHeightmapPNG(
-        tileElevationData,
-        tileSize,
-        tileSize,
-        metadata.minElevation,
-        metadata.maxElevation
-      );
-      
-      // Write tile to disk
-      await writeTile(outputDir, tile.z, tile.x, tile.y, pngBuffer, '.png');
-      
-      tilesProcessed++;
-      
-      // Progress update every 10 tiles
-      if (tilesProcessed % 10 === 0) {
-        const progress = (tilesProcessed / tilingScheme.totalTiles * 100).toFixed(1);
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-        console.log(`    Progress: ${tilesProcessed}/${tilingScheme.totalTiles} (${progress}%) - ${elapsed}s elapsed`);
-      }
+      await writer.add([{ tile, data: await processTile(tile, context) }]);
     }
   }
+  await writer.flush();
   
   const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log(`  Completed ${tilesProcessed} tiles in ${totalTime}s`);
   console.log('');
 
-  // Phase 4: Write metadata
+  // Phase 4: Write metadata, listing the tiles this and previous runs wrote as available
   console.log('[4/4] Writing metadata...');
-  await writeLayerJson(outputDir, metadata, tilingScheme);
-  console.log('  Metadata written: layer.json');
+  const writtenTiles = {};
+  for (let z = tilingScheme.minZoom; z <= tilingScheme.maxZoom; z++) {
+    writtenTiles[z] = tilingScheme.levels[z].filter(tile => manifest.isWritten(tile));
+  }
+  await sink.writeMetadata(buildLayerJson(metadata, tilingScheme, tileFormat, extensions, {
+    writtenTiles,
+    attribution: settings.attribution,
+    sharedBorders: settings.sampling === 'edges',
+  }));
+  console.log(`  Metadata written: ${sink.metadataTarget}`);
   console.log('');
-  
-  console.log('[dem-terraindb-tiler] Generation complete!');
 }
 
 /**
- * Extract and resample elevation data for a specific tile.
- * @param {TypedArray} elevationData - Full DEM elevation data
- * @param {Object} metadata - DEM metadata
- * @param {Object} tileBounds - Geographic bounds of the tile
- * @param {number} tileSize - Target tile size in pixels
- * @returns {Float32Array} Resampled tile elevation data
+ * Collect processed tiles into batches for the sink. Each batch is written in one sink
+ * call and only then recorded in the manifest, so an interrupted run resumes with the
+ * tiles that were not stored yet.
+ * @param {Object} sink - Opened tile sink
+ * @param {import('./manifest').RunManifest} manifest - Run manifest
+ * @param {Function} onWritten - Called with the number of tiles written by each batch
+ * @returns {{add: Function, flush: Function}} Writer; add() takes {tile, data} entries, with
+ *   null data for tiles outside the DEM coverage
  */
-function extractTileData(elevationData, metadata, tileBounds, tileSize) {
-  const demBbox = metadata.bbox;
-  const demWidth = metadata.width;
-  const demHeight = metadata.height;
-  
-  // Calculate pixel coordinates in the DEM
-  const xScale = demWidth / (demBbox[2] - demBbox[0]);
-  const yScale = demHeight / (demBbox[3] - demBbox[1]);
-  
-  const x0 = Math.max(0, Math.floor((tileBounds.minX - demBbox[0]) * xScale));
-  const y0 = Math.max(0, Math.floor((demBbox[3] - tileBounds.maxY) * yScale));
-  const x1 = Math.min(demWidth - 1, Math.ceil((tileBounds.maxX - demBbox[0]) * xScale));
-  const y1 = Math.min(demHeight - 1, Math.ceil((demBbox[3] - tileBounds.minY) * yScale));
-  
-  const extractWidth = x1 - x0 + 1;
-  const extractHeight = y1 - y0 + 1;
+function createTileWriter(sink, manifest, onWritten) {
+  let batch = [];
+  let writing = Promise.resolve();
+
+  const flush = () => {
+    const entries = batch;
+    batch = [];
+    writing = writing.then(async () => {
+      const written = entries.filter(entry => entry.data);
+      await sink.writeTiles(written);
+      await manifest.markComplete(
+        written.map(entry => entry.tile),
+        entries.filter(entry => !entry.data).map(entry => entry.tile)
+      );
+      onWritten(written.length);
+    });
+    return writing;
+  };
+
+  return {
+    add: (entries) => {
+      batch.push(...entries);
+      return batch.length >= TILES_PER_BATCH ? flush() : writing;
+    },
+    flush,
+  };
+}
+
+/**
+ * Sample and encode one tile.
+ * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+ * @param {Object} context - Tile context from openTileContext()
+ * @returns {Promise<Buffer|null>} Encoded tile, or null outside DEM coverage (and, when skipping
+ *   no-data tiles, where no DEM has data)
+ */
+async function processTile(tile, context) {
+  const grid = await sampleTileGrid(tile, context);
+  return grid ? encodeTileGrid(tile, grid, context) : null;
+}
+
+/**
+ * Sample the DEMs into a tile's elevation grid.
+ * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+ * @param {Object} context - Tile context from openTileContext()
+ * @param {Object} [options] - Sampling options (see sampleMosaic)
+ * @returns {Promise<Float32Array|null>} Elevation grid in the source vertical datum, with the
+ *   format's buffer samples around the tile, NaN where no DEM has data, or null outside DEM coverage
+ *   (except for required root tiles, see sampleUncoveredRootTile)
+ */
+async function sampleTileGrid(tile, context, options = {}) {
+  const { mosaic, scheme, tileSize, sampling, levelLatitude, buffer } = context;
+  const tileBounds = tileToBounds(tile.x, tile.y, tile.z, scheme);
   
-  // Extract the region
-  const regionData = extractRegion(elevationData, demWidth, x0, y0, extractWidth, extractHeight);
+  // Check if tile intersects with any DEM's bounds
+  const tileBbox = [tileBounds.minX, tileBounds.minY, tileBounds.maxX, tileBounds.maxY];
+  if (!mosaic.layers.some(layer => bboxIntersects(layer.metadata.geographicBbox, tileBbox))) {
+    // Skip tiles outside DEM coverage
+    return isRequiredRootTile(tile, context) ? sampleUncoveredRootTile(tile, context) : null;
+  }
   
-  // Resample to target tile size if necessary
-  if (extractWidth !== tileSize || extractHeight !== tileSize) {
-    return resampleElevationData(regionData, extractWidth, extractHeight, tileSize, tileSize);
+  // Sample the DEMs at every tile sample position, reprojecting as needed, from the
+  // coarsest overviews that still match the tile's ground resolution
+  const latitude = levelLatitude ?? (tileBounds.minY + tileBounds.maxY) / 2;
+  return sampleMosaicTile(
+    mosaic,
+    tileBounds,
+    tileSize,
+    scheme,
+    sampling,
+    getResolution(tile.z, latitude, tileSize, scheme),
+    latitude,
+    buffer,
+    options
+  );
+}
+
+/**
+ * Cesium terrain clients wait for every level-0 tile before showing any terrain, so these
+ * are written (and listed as available) even where no DEM covers them or has data.
+ * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+ * @param {Object} context - Tile context from openTileContext()
+ * @returns {boolean} Whether the tile is a root tile of a Cesium terrain format
+ */
+function isRequiredRootTile(tile, context) {
+  return tile.z === 0 && Boolean(context.tileFormat.cesiumTerrain);
+}
+
+/**
+ * Sample a required root tile outside DEM coverage. Its samples take the clamped edge
+ * values of the DEMs, like the uncovered samples of covered tiles, so it matches the
+ * neighbouring root tile along their shared edge.
+ * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+ * @param {Object} context - Tile context from openTileContext()
+ * @returns {Promise<Float32Array>} Elevation grid, NaN where no DEM has data
+ */
+async function sampleUncoveredRootTile(tile, context) {
+  const { mosaic, scheme, tileSize, sampling, levelLatitude, buffer } = context;
+  const tileBounds = tileToBounds(tile.x, tile.y, tile.z, scheme);
+  const positions = computeSamplePositions(tileBounds, tileSize, scheme, sampling, buffer);
+  const latitude = levelLatitude ?? (tileBounds.minY + tileBounds.maxY) / 2;
+  // Sampled against the mosaic's extent, so no source is skipped for missing the tile
+  return sampleMosaic(mosaic, positions, mosaic.metadata.geographicBbox, getResolution(tile.z, latitude, tileSize, scheme), latitude);
+}
+
+/**
+ * Fill, convert and encode a tile's elevation grid.
+ * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+ * @param {Float32Array} tileElevationData - Elevation grid from sampleTileGrid(), modified in place
+ * @param {Object} context - Tile context from openTileContext()
+ * @returns {Promise<Buffer|null>} Encoded tile, or null when skipping a tile without data
+ */
+async function encodeTileGrid(tile, tileElevationData, context) {
+  const { mosaic, tileFormat, scheme, tilingScheme, tileSize, extensions, maxError, imageFormat } = context;
+  const { noDataFill, skipNoDataTiles, verticalTransform, buffer } = context;
+  const tileBounds = tileToBounds(tile.x, tile.y, tile.z, scheme);
+  const gridSize = tileSize + 2 * buffer;
+
+  // Fill samples without data so no-data values never end up encoded as heights
+  const tileSamples = buffer > 0 ? extractRegion(tileElevationData, gridSize, buffer, buffer, tileSize, tileSize) : tileElevationData;
+  if (skipNoDataTiles && !isRequiredRootTile(tile, context) && countValidSamples(tileSamples) === 0) {
+    return null;
+  }
+  // Imagery can tell samples without data apart (e.g. the nv color of color ramps)
+  const noDataMask = tileFormat.imagery ? Uint8Array.from(tileSamples, Number.isNaN) : null;
+  fillNoData(tileElevationData, gridSize, gridSize, noDataFill);
+
+  const positions = verticalTransform || buffer > 0
+    ? computeSamplePositions(tileBounds, tileSize, scheme, context.sampling, buffer)
+    : null;
+  if (verticalTransform) {
+    await verticalTransform.apply(tileElevationData, positions, gridSize, gridSize);
   }
   
-  return regionData;
+  // Encode in the requested tile format
+  return tileFormat.encode(tileElevationData, {
+    tile,
+    tileSize,
+    tileBounds,
+    tilingScheme,
+    metadata: mosaic.metadata,
+    extensions,
+    maxError,
+    imageFormat,
+    positions,
+    noDataMask,
+    colorRelief: context.colorRelief,
+  });
+}
+
+/**
+ * Build a subtree of a bottom-up pyramid: its max-level tiles are sampled from the DEMs
+ * and every other tile is reduced from its children. Pyramid grids leave samples outside
+ * every DEM NaN (see encodePyramidTile).
+ * @param {{x: number, y: number, z: number}} root - Root tile of the subtree
+ * @param {Object} context - Tile context from openTileContext()
+ * @returns {Promise<{entries: Array<{tile: Object, data: Buffer|null}>, grid: Float32Array|null}>}
+ *   Encoded tiles of the subtree (children before parents) and the root's elevation grid
+ */
+async function buildPyramidSubtree(root, context) {
+  const entries = [];
+  const build = async (tile) => {
+    let grid;
+    if (tile.z === context.tilingScheme.maxZoom) {
+      grid = await sampleTileGrid(tile, context, { clampUncovered: false });
+    } else {
+      const children = [];
+      for (const child of getAvailableChildTiles(tile, context.tilingScheme)) {
+        children.push({ tile: child, grid: await build(child) });
+      }
+      grid = reducePyramidTile(tile, children, context);
+    }
+    entries.push({ tile, data: await encodePyramidTile(tile, grid, context) });
+    return grid;
+  };
+
+  const grid = await build(root);
+  return { entries, grid };
+}
+
+/**
+ * Encode a tile of a bottom-up pyramid from a copy of its grid.
+ *
+ * Tiles outside DEM coverage are missing from the tiling scheme, and their samples are NaN
+ * in the grids of their parents. Max-level tiles leave their samples outside every DEM NaN
+ * as well, instead of taking clamped DEM edge values, so parents on both sides of an edge
+ * reduce the same samples along it whichever of their children are missing. Before filling,
+ * those samples are sampled from the DEMs at the tile's own level, clamped like top-down
+ * tiles, and neighbouring tiles get the same edge heights.
+ * @param {{x: number, y: number, z: number}} tile - Tile coordinates
+ * @param {Float32Array|null} grid - Unfilled elevation grid from sampling or reducePyramidTile(),
+ *   or null when none of the tile's children has one
+ * @param {Object} context - Tile context from openTileContext()
+ * @returns {Promise<Buffer|null>} Encoded tile (see encodeTileGrid), or null without a grid
+ *   unless the tile is a required root tile
+ */
+async function encodePyramidTile(tile, grid, context) {
+  const { mosaic, scheme, tileSize, sampling, levelLatitude } = context;
+  if (!grid) {
+    return isRequiredRootTile(tile, context) ? encodeTileGrid(tile, await sampleUncoveredRootTile(tile, context), context) : null;
+  }
+  const tileGrid = grid.slice();
+  const uncovered = [];
+  for (let i = 0; i < tileGrid.length; i++) {
+    if (Number.isNaN(tileGrid[i])) {
+      uncovered.push(i);
+    }
+  }
+
+  if (uncovered.length > 0) {
+    const tileBounds = tileToBounds(tile.x, tile.y, tile.z, scheme);
+    const tilePositions = computeSamplePositions(tileBounds, tileSize, scheme, sampling);
+    const positions = new Float64Array(uncovered.length * 2);
+    uncovered.forEach((index, i) => {
+      positions[i * 2] = tilePositions[index * 2];
+      positions[i * 2 + 1] = tilePositions[index * 2 + 1];
+    });
+    const latitude = levelLatitude ?? (tileBounds.minY + tileBounds.maxY) / 2;
+    const bbox = [tileBounds.minX, tileBounds.minY, tileBounds.maxX, tileBounds.maxY];
+    const values = await sampleMosaic(mosaic, positions, bbox, getResolution(tile.z, latitude, tileSize, scheme), latitude);
+    uncovered.forEach((index, i) => {
+      tileGrid[index] = values[i];
+    });
+  }
+
+  return encodeTileGrid(tile, tileGrid, context);
 }
 
 /**
- * Write layer.json metadata file for Cesium terrain provider.
- * @param {string} outputDir - Output directory
- * @param {Object} metadata - DEM metadata
+ * @param {{x: number, y: number, z: number}} tile - Parent tile
+ * @param {Array<{tile: Object, grid: Float32Array|null}>} children - Available children with their grids
+ * @param {Object} context - Tile context from openTileContext()
+ * @returns {Float32Array|null} Parent elevation grid, or null when no child has one
+ */
+function reducePyramidTile(tile, children, context) {
+  const { scheme, tileSize, sampling, pyramid } = context;
+  if (!children.some(child => child.grid)) {
+    return null;
+  }
+  const quadrants = [null, null, null, null];
+  for (const child of children) {
+    quadrants[getChildQuadrant(tile, child.tile, scheme.yOrigin)] = child.grid;
+  }
+  return reduceChildGrids(quadrants, tileSize, sampling, pyramid.reducer);
+}
+
+/**
+ * Generate tiles bottom-up. Subtrees spanning the deepest PYRAMID_TASK_LEVELS levels are
+ * built by buildPyramidSubtree(), on workers when there are several; the levels above them
+ * are reduced on the main thread from the subtrees' root grids. Root grids are kept in the
+ * run manifest, so parents of subtrees completed by earlier runs are rebuilt without them.
+ * @param {Array<{x: number, y: number, z: number}>} tiles - Tiles not completed yet
+ * @param {Object} context - Tile context from openTileContext()
+ * @param {Object} settings - Settings the context was opened with
+ * @param {number} workerCount - Number of worker threads; 1 builds subtrees on the main thread
+ * @param {import('./manifest').RunManifest} manifest - Run manifest
+ * @param {Function} onEntries - Called with {tile, data} entries to write
+ */
+async function generatePyramid(tiles, context, settings, workerCount, manifest, onEntries) {
+  const { tilingScheme, tileSize } = context;
+  const { minZoom, maxZoom } = tilingScheme;
+  const splitLevel = Math.max(minZoom, maxZoom - PYRAMID_TASK_LEVELS + 1);
+  const key = tile => `${tile.z}/${tile.x}/${tile.y}`;
+
+  // Tiles that are incomplete or have incomplete descendants
+  const pending = new Set();
+  for (const tile of tiles) {
+    for (let t = tile; t && !pending.has(key(t)); t = getParentTile(t)) {
+      pending.add(key(t));
+    }
+  }
+  const roots = tilingScheme.levels[splitLevel].filter(tile => pending.has(key(tile)));
+  if (roots.length === 0) {
+    return;
+  }
+
+  const poolSize = Math.min(workerCount, roots.length);
+  const pool = poolSize > 1 ? openWorkerPool(poolSize, settings) : null;
+  const buildSubtree = pool
+    ? root => pool.run({ subtree: root }).then(({ entries, grid }) => ({ entries: toBufferEntries(entries), grid }))
+    : root => buildPyramidSubtree(root, context);
+  // Sibling subtrees run in parallel on workers; on the main thread one at a time
+  const mapTiles = pool
+    ? (list, fn) => Promise.all(list.map(fn))
+    : async (list, fn) => {
+      const results = [];
+      for (const item of list) {
+        results.push(await fn(item));
+      }
+      return results;
+    };
+
+  const build = async (tile, needGrid) => {
+    if (!pending.has(key(tile)) && !needGrid) {
+      return null;
+    }
+    if (tile.z === splitLevel) {
+      if (!pending.has(key(tile))) {
+        const kept = await manifest.readTileGrid(tile, tileSize * tileSize);
+        if (kept) {
+          return kept;
+        }
+      }
+      const { entries, grid } = await buildSubtree(tile);
+      await manifest.writeTileGrid(tile, grid);
+      // Subtrees are rebuilt whole; tiles completed by a previous run stay as they are
+      await onEntries(entries.filter(entry => !manifest.has(entry.tile)));
+      return grid;
+    }
+
+    const complete = manifest.has(tile);
+    const children = getAvailableChildTiles(tile, tilingScheme);
+    const grids = await mapTiles(children, child => build(child, !complete || needGrid));
+    if (complete && !needGrid) {
+      return null;
+    }
+    const grid = reducePyramidTile(tile, children.map((child, i) => ({ tile: child, grid: grids[i] })), context);
+    if (!complete) {
+      await onEntries([{ tile, data: await encodePyramidTile(tile, grid, context) }]);
+    }
+    return grid;
+  };
+
+  try {
+    await mapTiles(tilingScheme.levels[minZoom], tile => build(tile, false));
+  } finally {
+    if (pool) {
+      await pool.close();
+    }
+  }
+}
+
+/**
+ * Process tiles on a pool of worker threads. Every worker opens the DEMs itself and
+ * reads only the windows its tiles need, with an equal share of the block cache.
+ * Tiles are handed out in runs of neighbouring tiles so each worker's cache stays warm;
+ * every tile is produced exactly as on the main thread, so the output does not depend
+ * on the number of workers.
+ * @param {Array<{x: number, y: number, z: number}>} tiles - Tiles to process
+ * @param {number} workerCount - Maximum number of worker threads
+ * @param {Object} settings - Settings for openTileContext() in each worker
+ * @param {Function} onTaskDone - Called with the {tile, data} entries of each finished task
+ */
+async function processTilesInWorkers(tiles, workerCount, settings, onTaskDone) {
+  const tasks = [];
+  for (let i = 0; i < tiles.length; i += TILES_PER_TASK) {
+    tasks.push({ tiles: tiles.slice(i, i + TILES_PER_TASK).map(({ x, y, z }) => ({ x, y, z })) });
+  }
+  if (tasks.length === 0) {
+    return;
+  }
+
+  const pool = openWorkerPool(Math.min(workerCount, tasks.length), settings);
+  try {
+    await Promise.all(tasks.map(task => pool.run(task).then(entries => onTaskDone(toBufferEntries(entries)))));
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Start tile workers, each with an equal share of the block cache.
+ * @param {number} size - Number of workers
+ * @param {Object} settings - Settings for openTileContext() in each worker
+ * @returns {WorkerPool} Pool running tile-worker.js
+ */
+function openWorkerPool(size, settings) {
+  return new WorkerPool(path.join(__dirname, 'tile-worker.js'), size, {
+    ...settings,
+    cacheBytes: Math.floor(settings.cacheBytes / size),
+  });
+}
+
+/**
+ * @param {Array<{tile: Object, data: Uint8Array|null}>} entries - Entries posted by a worker
+ * @returns {Array<{tile: Object, data: Buffer|null}>} Entries with Buffer data
+ */
+function toBufferEntries(entries) {
+  return entries.map(({ tile, data }) => ({
+    tile,
+    // Buffers arrive as plain Uint8Arrays after structured cloning
+    data: data && Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+  }));
+}
+
+/**
+ * @param {Array<number>} bbox - Extent [west, south, east, north] in degrees
+ * @returns {number} Latitude of the extent closest to the equator
+ */
+function getLatitudeClosestToEquator(bbox) {
+  return Math.min(Math.max(0, bbox[1]), bbox[3]);
+}
+
+/**
+ * Look up an output tile format and resolve its file extension and layer.json format.
+ * @param {string} format - Tile format name (key of TILE_FORMATS)
+ * @param {string} imageFormat - Image encoding used by image-based formats
+ * @returns {Object} Tile format entry with `extension` and `layerFormat` set
+ */
+function resolveTileFormat(format, imageFormat) {
+  const tileFormat = TILE_FORMATS[format];
+  if (!tileFormat) {
+    throw new Error(`Unsupported tile format: ${format} (expected one of: ${Object.keys(TILE_FORMATS).join(', ')})`);
+  }
+
+  if (!tileFormat.imageFormats) {
+    return tileFormat;
+  }
+
+  if (!tileFormat.imageFormats.includes(imageFormat)) {
+    throw new Error(`Unsupported image format for ${format}: ${imageFormat} (expected one of: ${tileFormat.imageFormats.join(', ')})`);
+  }
+
+  return { ...tileFormat, extension: `.${imageFormat}`, layerFormat: imageFormat };
+}
+
+/**
+ * Convert the max error budget (in ground pixels) into meters for a tile's zoom level,
+ * so simplification gets coarser as tiles cover more ground.
+ * @param {Object} context - Tile encoding context
+ * @returns {number} Maximum vertical error in meters
+ */
+function getTileMaxError(context) {
+  const { tile, tileBounds, tileSize, tilingScheme, maxError } = context;
+  const centerLat = (tileBounds.minY + tileBounds.maxY) / 2;
+  return maxError * getResolution(tile.z, centerLat, tileSize, tilingScheme.scheme);
+}
+
+/**
+ * Build the quantized-mesh extension blocks requested for a tile.
+ * @param {Float32Array} tileData - Tile elevation data
+ * @param {Object} context - Tile encoding context
+ * @returns {Object} Extensions for encodeQuantizedMesh
+ */
+function buildMeshExtensions(tileData, context) {
+  const { tile, tileSize, tilingScheme, extensions } = context;
+  const result = {};
+
+  if (extensions.includes('octvertexnormals')) {
+    result.vertexNormals = true;
+  }
+
+  if (extensions.includes('watermask')) {
+    result.waterMask = computeWaterMask(tileData, tileSize, tileSize);
+  }
+
+  // Like Cesium ion tilesets, only tiles at multiples of the metadata availability carry
+  // the availability of their subtree's next levels
+  if (extensions.includes('metadata') && tile.z % METADATA_AVAILABILITY_LEVELS === 0) {
+    const available = [];
+    const lastLevel = Math.min(tile.z + METADATA_AVAILABILITY_LEVELS, tilingScheme.maxZoom);
+    for (let z = tile.z + 1; z <= lastLevel; z++) {
+      available.push(toTmsRanges(getDescendantTileRanges(tile, z, tilingScheme), z, tilingScheme.scheme));
+    }
+    result.metadata = { available };
+  }
+
+  return result;
+}
+
+/**
+ * Convert tile ranges to TMS rows (row 0 at the south), as used by layer.json availability.
+ * @param {Array<Object>} ranges - Tile ranges in the scheme's rows
+ * @param {number} zoom - Zoom level of the ranges
+ * @param {import('./tiling-scheme').TilingScheme} scheme - Tiling scheme
+ * @returns {Array<Object>} Tile ranges in TMS rows
+ */
+function toTmsRanges(ranges, zoom, scheme) {
+  if (scheme.yOrigin === 'tms') {
+    return ranges;
+  }
+  const lastRow = scheme.getNumberOfYTilesAtLevel(zoom) - 1;
+  return ranges
+    .map(range => ({ startX: range.startX, startY: lastRow - range.endY, endX: range.endX, endY: lastRow - range.startY }))
+    .sort((a, b) => a.startY - b.startY || a.startX - b.startX);
+}
+
+/**
+ * Build the layer.json metadata for Cesium terrain providers and other tile clients.
+ * Availability lists the written tiles of each level as rectangles in TMS rows, as Cesium
+ * expects whatever the URL scheme; with the quantized-mesh metadata extension it stops at
+ * the metadata availability level and deeper levels come from the tiles themselves.
+ * @param {Object} metadata - Mosaic metadata
  * @param {Object} tilingScheme - Tiling scheme
+ * @param {Object} tileFormat - Output tile format (entry of TILE_FORMATS)
+ * @param {Array<string>} extensions - Tile extensions included in every tile
+ * @param {Object} [options] - Layer options
+ * @param {Object<number, Array<Object>>} [options.writtenTiles] - Written tiles per level
+ *   (default: every tile of the tiling scheme)
+ * @param {string} [options.attribution] - Attribution shown by clients (default none)
+ * @param {boolean} [options.sharedBorders] - Whether image tiles share their border pixels
+ * @returns {Object} layer.json content
  */
-async function writeLayerJson(outputDir, metadata, tilingScheme) {
-  const fs = require('fs-extra');
-  const path = require('path');
-  
-  const layerJson = {
+function buildLayerJson(metadata, tilingScheme, tileFormat, extensions, options = {}) {
+  const { writtenTiles = tilingScheme.levels, attribution = '', sharedBorders } = options;
+  const { scheme } = tilingScheme;
+  const metadataAvailability = extensions.includes('metadata') ? METADATA_AVAILABILITY_LEVELS : undefined;
+  const lastListedLevel = Math.min(tilingScheme.maxZoom, metadataAvailability ?? Infinity);
+
+  const available = [];
+  for (let z = 0; z <= lastListedLevel; z++) {
+    available.push(z < tilingScheme.minZoom ? [] : toTmsRanges(mergeTileRanges(writtenTiles[z] || []), z, scheme));
+  }
+
+  const xyzScheme = tileFormat.cesiumTerrain ? 'slippyMap' : 'xyz';
+  return {
     tilejson: '2.1.0',
     name: 'DEM Terrain Tiles',
-    description: `Generated from ${path.basename(metadata.path)}`,
+    description: `Generated from ${metadata.sources.map(source => path.basename(source.path)).join(', ')}`,
     version: '1.0.0',
-    format: 'heightmap-1.0',
-    bounds: metadata.bbox,
+    attribution,
+    format: tileFormat.layerFormat,
+    bounds: metadata.geographicBbox,
     minzoom: tilingScheme.minZoom,
     maxzoom: tilingScheme.maxZoom,
-    projection: metadata.projection || 'EPSG:4326',
-    tiles: ['{z}/{x}/{y}.png'],
-    available: Object.keys(tilingScheme.levels).map(z => [
-      {
-        startX: Math.min(...tilingScheme.levels[z].map(t => t.x)),
-        startY: Math.min(...tilingScheme.levels[z].map(t => t.y)),
-        endX: Math.max(...tilingScheme.levels[z].map(t => t.x)),
-        endY: Math.max(...tilingScheme.levels[z].map(t => t.y)),
-      }
-    ]),
+    projection: scheme.projection,
+    scheme: scheme.yOrigin === 'tms' ? 'tms' : xyzScheme,
+    tiles: [`{z}/{x}/{y}${tileFormat.extension}${tileFormat.cesiumTerrain ? '?v={version}' : ''}`],
+    encoding: tileFormat.encoding,
+    extensions,
+    metadataAvailability,
+    available,
+    // Not part of TileJSON: neighbouring tiles repeat each other's edge pixels
+    sharedBorders: sharedBorders || undefined,
+    // Not part of TileJSON: the terrain imagery product of image tiles without heights
+    imagery: tileFormat.imagery,
   };
-  
-  await fs.writeJson(path.join(outputDir, 'layer.json'), layerJson, { spaces: 2 });
 }
 
-module.exports = { generateTerrainTiles };
+module.exports = {
+  generateTerrainTiles,
+  buildLayerJson,
+  // Used by tile workers
+  openTileContext,
+  closeTileContext,
+  processTile,
+  buildPyramidSubtree,
+};
@@ -0,0 +1,525 @@
+/**
+ * PMTiles v3 archive encoding.
+ * An archive is a 127-byte header, a root directory, a JSON metadata block, optional
+ * leaf directories and the tile data. Tiles are addressed by Hilbert-ordered tile IDs;
+ * directory entries map tile ID runs to byte ranges of the tile data section.
+ * See https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+ */
+
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+const HEADER_SIZE = 127;
+
+// The header and root directory are fetched together in the first 16 KiB
+const MAX_ROOT_DIRECTORY_SIZE = 16384 - HEADER_SIZE;
+
+// Leaf directories kept in memory by a PMTilesReader
+const MAX_CACHED_LEAVES = 64;
+
+const COMPRESSION = { unknown: 0, none: 1, gzip: 2, brotli: 3, zstd: 4 };
+const TILE_TYPES = { unknown: 0, mvt: 1, png: 2, jpeg: 3, webp: 4, avif: 5 };
+
+/**
+ * @typedef {Object} DirectoryEntry
+ * @property {number} tileId - First tile ID of the entry
+ * @property {number} offset - Byte offset in the tile data section (or leaf directory section)
+ * @property {number} length - Byte length
+ * @property {number} runLength - Number of consecutive tile IDs sharing the data, or 0 for a
+ *   leaf directory pointer
+ */
+
+/**
+ * Convert tile coordinates to a PMTiles tile ID: tiles of all shallower zoom levels
+ * come first, then the tile's position along the level's Hilbert curve.
+ * @param {number} z - Zoom level (at most 26)
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row from the north (XYZ)
+ * @returns {number} Tile ID
+ */
+function zxyToTileId(z, x, y) {
+  if (z > 26) {
+    throw new Error(`PMTiles zoom levels are limited to 26: ${z}`);
+  }
+  const n = 2 ** z;
+  if (x < 0 || y < 0 || x >= n || y >= n) {
+    throw new Error(`Tile ${z}/${x}/${y} is outside its zoom level`);
+  }
+
+  let id = (4 ** z - 1) / 3;
+  let tx = x;
+  let ty = y;
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = (tx & s) > 0 ? 1 : 0;
+    const ry = (ty & s) > 0 ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+    // Rotate the quadrant so the curve continues in the same orientation
+    if (ry === 0) {
+      if (rx === 1) {
+        tx = n - 1 - tx;
+        ty = n - 1 - ty;
+      }
+      [tx, ty] = [ty, tx];
+    }
+  }
+  return id;
+}
+
+/**
+ * Lay out the tile data of an archive: order tiles by tile ID (a clustered archive),
+ * optionally store identical tiles once, and merge consecutive tile IDs with the same
+ * data into runs.
+ * @param {Array<{tileId: number, length: number, hash: string}>} tiles - Tiles with unique IDs
+ * @param {Object} [options] - Layout options
+ * @param {boolean} [options.dedup] - Store tiles with identical content (same hash) once
+ * @returns {{entries: Array<DirectoryEntry>, contents: Array<Object>, addressedTiles: number}}
+ *   Directory entries, the input tiles whose data is written (in data section order) and
+ *   the number of addressed tiles
+ */
+function layoutTileData(tiles, options = {}) {
+  const sorted = [...tiles].sort((a, b) => a.tileId - b.tileId);
+  const entries = [];
+  const contents = [];
+  const offsetsByHash = new Map();
+  let dataLength = 0;
+
+  for (const tile of sorted) {
+    let offset = options.dedup ? offsetsByHash.get(tile.hash) : undefined;
+    if (offset === undefined) {
+      offset = dataLength;
+      dataLength += tile.length;
+      contents.push(tile);
+      if (options.dedup) {
+        offsetsByHash.set(tile.hash, offset);
+      }
+    }
+
+    const last = entries[entries.length - 1];
+    if (last && last.offset === offset && last.tileId + last.runLength === tile.tileId) {
+      last.runLength++;
+    } else {
+      entries.push({ tileId: tile.tileId, offset, length: tile.length, runLength: 1 });
+    }
+  }
+
+  return { entries, contents, addressedTiles: sorted.length };
+}
+
+/**
+ * Serialize and gzip a directory.
+ * @param {Array<DirectoryEntry>} entries - Entries sorted by tile ID
+ * @returns {Buffer} Compressed directory
+ */
+function serializeDirectory(entries) {
+  const bytes = [];
+  writeVarint(bytes, entries.length);
+
+  let lastId = 0;
+  for (const entry of entries) {
+    writeVarint(bytes, entry.tileId - lastId);
+    lastId = entry.tileId;
+  }
+  entries.forEach(entry => writeVarint(bytes, entry.runLength));
+  entries.forEach(entry => writeVarint(bytes, entry.length));
+  entries.forEach((entry, i) => {
+    const previous = entries[i - 1];
+    // 0 marks data directly following the previous entry's
+    if (previous && entry.offset === previous.offset + previous.length) {
+      writeVarint(bytes, 0);
+    } else {
+      writeVarint(bytes, entry.offset + 1);
+    }
+  });
+
+  return zlib.gzipSync(Buffer.from(bytes));
+}
+
+/**
+ * Decompress and parse a directory.
+ * @param {Buffer} buffer - Compressed directory
+ * @returns {Array<DirectoryEntry>} Entries
+ */
+function deserializeDirectory(buffer) {
+  const bytes = zlib.gunzipSync(buffer);
+  const position = { offset: 0 };
+  const count = readVarint(bytes, position);
+  const entries = [];
+
+  let lastId = 0;
+  for (let i = 0; i < count; i++) {
+    lastId += readVarint(bytes, position);
+    entries.push({ tileId: lastId, offset: 0, length: 0, runLength: 0 });
+  }
+  entries.forEach(entry => { entry.runLength = readVarint(bytes, position); });
+  entries.forEach(entry => { entry.length = readVarint(bytes, position); });
+  entries.forEach((entry, i) => {
+    const value = readVarint(bytes, position);
+    entry.offset = value === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : value - 1;
+  });
+
+  return entries;
+}
+
+/**
+ * Split directory entries into a root directory and leaf directories when they do not
+ * fit the root directory size budget. Leaves grow until the root fits.
+ * @param {Array<DirectoryEntry>} entries - Tile entries sorted by tile ID
+ * @returns {{root: Buffer, leaves: Buffer}} Compressed root directory and leaf directory section
+ */
+function buildDirectories(entries) {
+  const root = serializeDirectory(entries);
+  if (root.length <= MAX_ROOT_DIRECTORY_SIZE) {
+    return { root, leaves: Buffer.alloc(0) };
+  }
+
+  for (let leafSize = 4096; ; leafSize = Math.ceil(leafSize * 1.2)) {
+    const rootEntries = [];
+    const leaves = [];
+    let leavesLength = 0;
+    for (let i = 0; i < entries.length; i += leafSize) {
+      const leaf = serializeDirectory(entries.slice(i, i + leafSize));
+      rootEntries.push({ tileId: entries[i].tileId, offset: leavesLength, length: leaf.length, runLength: 0 });
+      leaves.push(leaf);
+      leavesLength += leaf.length;
+    }
+
+    const leafRoot = serializeDirectory(rootEntries);
+    if (leafRoot.length <= MAX_ROOT_DIRECTORY_SIZE) {
+      return { root: leafRoot, leaves: Buffer.concat(leaves) };
+    }
+  }
+}
+
+/**
+ * @typedef {Object} PMTilesHeader
+ * @property {number} rootDirectoryOffset
+ * @property {number} rootDirectoryLength
+ * @property {number} metadataOffset
+ * @property {number} metadataLength
+ * @property {number} leafDirectoryOffset
+ * @property {number} leafDirectoryLength
+ * @property {number} tileDataOffset
+ * @property {number} tileDataLength
+ * @property {number} addressedTiles - Number of tiles addressed by the directories
+ * @property {number} tileEntries - Number of tile entries (runs)
+ * @property {number} tileContents - Number of distinct tile contents
+ * @property {boolean} clustered - Whether tile data is ordered by tile ID
+ * @property {number} internalCompression - Compression of directories and metadata
+ * @property {number} tileCompression - Compression of the tiles
+ * @property {number} tileType - Tile type (TILE_TYPES)
+ * @property {number} minZoom
+ * @property {number} maxZoom
+ * @property {Array<number>} bounds - [west, south, east, north] in degrees
+ * @property {Array<number>} center - [lon, lat, zoom]
+ */
+
+/**
+ * @param {PMTilesHeader} header - Header fields
+ * @returns {Buffer} 127-byte header
+ */
+function encodeHeader(header) {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  buffer.write('PMTiles', 0, 'ascii');
+  buffer.writeUInt8(3, 7);
+  [
+    header.rootDirectoryOffset,
+    header.rootDirectoryLength,
+    header.metadataOffset,
+    header.metadataLength,
+    header.leafDirectoryOffset,
+    header.leafDirectoryLength,
+    header.tileDataOffset,
+    header.tileDataLength,
+    header.addressedTiles,
+    header.tileEntries,
+    header.tileContents,
+  ].forEach((value, i) => buffer.writeBigUInt64LE(BigInt(value), 8 + i * 8));
+  buffer.writeUInt8(header.clustered ? 1 : 0, 96);
+  buffer.writeUInt8(header.internalCompression, 97);
+  buffer.writeUInt8(header.tileCompression, 98);
+  buffer.writeUInt8(header.tileType, 99);
+  buffer.writeUInt8(header.minZoom, 100);
+  buffer.writeUInt8(header.maxZoom, 101);
+  header.bounds.forEach((value, i) => buffer.writeInt32LE(Math.round(value * 1e7), 102 + i * 4));
+  buffer.writeUInt8(header.center[2], 118);
+  buffer.writeInt32LE(Math.round(header.center[0] * 1e7), 119);
+  buffer.writeInt32LE(Math.round(header.center[1] * 1e7), 123);
+  return buffer;
+}
+
+/**
+ * @param {Buffer} buffer - At least the first 127 bytes of an archive
+ * @returns {PMTilesHeader} Header fields
+ */
+function decodeHeader(buffer) {
+  if (buffer.toString('ascii', 0, 7) !== 'PMTiles' || buffer.readUInt8(7) !== 3) {
+    throw new Error('Not a PMTiles v3 archive');
+  }
+  const [
+    rootDirectoryOffset,
+    rootDirectoryLength,
+    metadataOffset,
+    metadataLength,
+    leafDirectoryOffset,
+    leafDirectoryLength,
+    tileDataOffset,
+    tileDataLength,
+    addressedTiles,
+    tileEntries,
+    tileContents,
+  ] = Array.from({ length: 11 }, (_, i) => Number(buffer.readBigUInt64LE(8 + i * 8)));
+
+  return {
+    rootDirectoryOffset,
+    rootDirectoryLength,
+    metadataOffset,
+    metadataLength,
+    leafDirectoryOffset,
+    leafDirectoryLength,
+    tileDataOffset,
+    tileDataLength,
+    addressedTiles,
+    tileEntries,
+    tileContents,
+    clustered: buffer.readUInt8(96) === 1,
+    internalCompression: buffer.readUInt8(97),
+    tileCompression: buffer.readUInt8(98),
+    tileType: buffer.readUInt8(99),
+    minZoom: buffer.readUInt8(100),
+    maxZoom: buffer.readUInt8(101),
+    bounds: [0, 1, 2, 3].map(i => buffer.readInt32LE(102 + i * 4) / 1e7),
+    center: [buffer.readInt32LE(119) / 1e7, buffer.readInt32LE(123) / 1e7, buffer.readUInt8(118)],
+  };
+}
+
+/**
+ * Find the directory entry covering a tile ID.
+ * @param {Array<DirectoryEntry>} entries - Directory entries sorted by tile ID
+ * @param {number} tileId - Tile ID
+ * @returns {DirectoryEntry|null} Tile entry, leaf directory pointer, or null if absent
+ */
+function findEntry(entries, tileId) {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].tileId < tileId) {
+      low = mid + 1;
+    } else if (entries[mid].tileId > tileId) {
+      high = mid - 1;
+    } else {
+      return entries[mid];
+    }
+  }
+
+  // The closest entry before the tile ID covers it if its run reaches it
+  const entry = entries[high];
+  if (entry && (entry.runLength === 0 || tileId - entry.tileId < entry.runLength)) {
+    return entry;
+  }
+  return null;
+}
+
+/**
+ * Read a tile from an archive in memory (used to verify archives; PMTilesReader reads files).
+ * @param {Buffer} archive - Whole archive
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row from the north (XYZ)
+ * @returns {Buffer|null} Tile data, or null if the archive has no such tile
+ */
+function readTile(archive, z, x, y) {
+  const header = decodeHeader(archive);
+  const tileId = zxyToTileId(z, x, y);
+  let entries = deserializeDirectory(
+    archive.subarray(header.rootDirectoryOffset, header.rootDirectoryOffset + header.rootDirectoryLength)
+  );
+
+  for (;;) {
+    const entry = findEntry(entries, tileId);
+    if (!entry) {
+      return null;
+    }
+    if (entry.runLength > 0) {
+      const start = header.tileDataOffset + entry.offset;
+      return archive.subarray(start, start + entry.length);
+    }
+    const start = header.leafDirectoryOffset + entry.offset;
+    entries = deserializeDirectory(archive.subarray(start, start + entry.length));
+  }
+}
+
+/**
+ * Read the JSON metadata of an archive in memory.
+ * @param {Buffer} archive - Whole archive
+ * @returns {Object} Metadata
+ */
+function readMetadata(archive) {
+  const header = decodeHeader(archive);
+  const metadata = archive.subarray(header.metadataOffset, header.metadataOffset + header.metadataLength);
+  return JSON.parse(zlib.gunzipSync(metadata).toString('utf8'));
+}
+
+/**
+ * Reads tiles from a PMTiles archive file with positional reads, keeping the root
+ * directory and recently used leaf directories in memory.
+ */
+class PMTilesReader {
+  /**
+   * @param {import('fs').promises.FileHandle} handle - Open archive file
+   * @param {PMTilesHeader} header - Archive header
+   * @param {Array<DirectoryEntry>} root - Root directory entries
+   */
+  constructor(handle, header, root) {
+    this.handle = handle;
+    this.header = header;
+    this.root = root;
+    this.leaves = new Map(); // Leaf offset -> entries, least recently used first
+  }
+
+  /**
+   * @param {string} filePath - Path to the archive
+   * @returns {Promise<PMTilesReader>} Reader
+   */
+  static async open(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const header = decodeHeader(await readBytes(handle, 0, HEADER_SIZE));
+      const root = deserializeDirectory(await readBytes(handle, header.rootDirectoryOffset, header.rootDirectoryLength));
+      return new PMTilesReader(handle, header, root);
+    } catch (err) {
+      await handle.close();
+      throw err;
+    }
+  }
+
+  /**
+   * @param {number} z - Zoom level
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row from the north (XYZ)
+   * @returns {Promise<Buffer|null>} Tile data, or null if the archive has no such tile
+   */
+  async getTile(z, x, y) {
+    const tileId = zxyToTileId(z, x, y);
+    let entries = this.root;
+    for (;;) {
+      const entry = findEntry(entries, tileId);
+      if (!entry) {
+        return null;
+      }
+      if (entry.runLength > 0) {
+        return this.readTileData(entry.offset, entry.length);
+      }
+      entries = await this.getLeaf(entry);
+    }
+  }
+
+  /**
+   * List every tile of the archive, reading all leaf directories.
+   * @returns {Promise<Array<DirectoryEntry>>} One entry per tile (runs expanded), by tile ID
+   */
+  async getTileEntries() {
+    const tiles = [];
+    const visit = async (entries) => {
+      for (const entry of entries) {
+        if (entry.runLength === 0) {
+          const leafOffset = this.header.leafDirectoryOffset + entry.offset;
+          await visit(deserializeDirectory(await readBytes(this.handle, leafOffset, entry.length)));
+          continue;
+        }
+        for (let i = 0; i < entry.runLength; i++) {
+          tiles.push({ tileId: entry.tileId + i, offset: entry.offset, length: entry.length, runLength: 1 });
+        }
+      }
+    };
+    await visit(this.root);
+    return tiles;
+  }
+
+  /**
+   * @param {number} offset - Offset of the tile data within the data section
+   * @param {number} length - Length of the tile data
+   * @returns {Promise<Buffer>} Tile data
+   */
+  readTileData(offset, length) {
+    return readBytes(this.handle, this.header.tileDataOffset + offset, length);
+  }
+
+  async getLeaf(entry) {
+    let leaf = this.leaves.get(entry.offset);
+    if (leaf) {
+      this.leaves.delete(entry.offset);
+    } else {
+      leaf = deserializeDirectory(
+        await readBytes(this.handle, this.header.leafDirectoryOffset + entry.offset, entry.length)
+      );
+      if (this.leaves.size >= MAX_CACHED_LEAVES) {
+        this.leaves.delete(this.leaves.keys().next().value);
+      }
+    }
+    this.leaves.set(entry.offset, leaf);
+    return leaf;
+  }
+
+  /**
+   * @returns {Promise<Object>} JSON metadata
+   */
+  async getMetadata() {
+    const metadata = await readBytes(this.handle, this.header.metadataOffset, this.header.metadataLength);
+    return JSON.parse(zlib.gunzipSync(metadata).toString('utf8'));
+  }
+
+  async close() {
+    await this.handle.close();
+  }
+}
+
+async function readBytes(handle, offset, length) {
+  const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, offset);
+  if (bytesRead < length) {
+    throw new Error('Truncated PMTiles archive');
+  }
+  return buffer;
+}
+
+function writeVarint(bytes, value) {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+}
+
+function readVarint(bytes, position) {
+  let value = 0;
+  let factor = 1;
+  for (;;) {
+    const byte = bytes[position.offset++];
+    if (byte === undefined) {
+      throw new Error('Truncated PMTiles directory');
+    }
+    value += (byte & 0x7f) * factor;
+    if (byte < 0x80) {
+      return value;
+    }
+    factor *= 0x80;
+  }
+}
+
+module.exports = {
+  HEADER_SIZE,
+  COMPRESSION,
+  TILE_TYPES,
+  zxyToTileId,
+  layoutTileData,
+  serializeDirectory,
+  deserializeDirectory,
+  buildDirectories,
+  encodeHeader,
+  decodeHeader,
+  findEntry,
+  readTile,
+  readMetadata,
+  PMTilesReader,
+};
@@ -0,0 +1,762 @@
+/**
+ * Coordinate reference system support for reprojecting source DEMs.
+ * A small, self-contained subset of PROJ: geographic (WGS84 and compatible datums),
+ * Web Mercator, Mercator, Transverse Mercator (including UTM) and Lambert Conformal
+ * Conic (e.g. US state plane zones). CRSs can be described by EPSG code, PROJ string,
+ * WKT or GeoTIFF GeoKeys.
+ *
+ * CRS definitions are plain objects so they can be stored in DEM metadata and passed
+ * between processes; createProjection() turns a definition into transform functions.
+ */
+
+const WGS84_A = 6378137.0;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const WGS84_E = Math.sqrt(WGS84_E2);
+const DEG = Math.PI / 180;
+
+const US_SURVEY_FOOT = 1200 / 3937;
+const INTERNATIONAL_FOOT = 0.3048;
+
+// Datums treated as equivalent to WGS84 (differences are within a couple of meters)
+const COMPATIBLE_DATUM = /WGS.?(19)?84|NAD.?(19)?83|North.American.Datum.(of.)?1983|ETRS|ETRF|European.Terrestrial|GRS.?(19)?80|GDA|Geocentric.Datum|ITRF|NZGD.?2000|New.Zealand.Geodetic.Datum.2000|RGF.?93|Reseau.Geodesique.Francais.1993/i;
+
+// GeographicTypeGeoKey / EPSG codes of geographic CRSs on compatible datums
+const COMPATIBLE_GEOGRAPHIC_CODES = new Set([4326, 4979, 4269, 4152, 4617, 4759, 6318, 4258, 4283, 7844, 4167, 4171]);
+
+// GeogGeodeticDatumGeoKey codes of compatible datums
+const COMPATIBLE_DATUM_CODES = new Set([6326, 6269, 6152, 6617, 6759, 1116, 6258, 6283, 1168, 6167, 6171]);
+
+/**
+ * @typedef {Object} CRSDefinition
+ * @property {string} type - 'longlat', 'webmerc', 'merc', 'tmerc' or 'lcc'
+ * @property {string} name - Human-readable name, e.g. 'EPSG:32633'
+ * @property {number} [lon0] - Central meridian / longitude of origin in degrees
+ * @property {number} [lat0] - Latitude of origin in degrees
+ * @property {number} [lat1] - First standard parallel in degrees (lcc)
+ * @property {number} [lat2] - Second standard parallel in degrees (lcc, 2SP only)
+ * @property {number} [k0] - Scale factor at the natural origin
+ * @property {number} [x0] - False easting in meters
+ * @property {number} [y0] - False northing in meters
+ * @property {number} [toMeters] - Size of one native linear unit in meters (default 1)
+ */
+
+/**
+ * @typedef {Object} Projection
+ * @property {CRSDefinition} definition - Definition the projection was built from
+ * @property {boolean} geographic - True if native coordinates are degrees
+ * @property {function(number, number): Array<number>} forward - [lon, lat] in degrees to native [x, y]
+ * @property {function(number, number): Array<number>} inverse - Native [x, y] to [lon, lat] in degrees
+ */
+
+/**
+ * Create transform functions for a CRS definition.
+ * @param {CRSDefinition} definition - CRS definition
+ * @returns {Projection} Projection with forward/inverse transforms
+ */
+function createProjection(definition) {
+  const toMeters = definition.toMeters || 1;
+  let forward;
+  let inverse;
+
+  switch (definition.type) {
+    case 'longlat':
+      forward = (lon, lat) => [lon, lat];
+      inverse = (x, y) => [x, y];
+      break;
+    case 'webmerc':
+      forward = (lon, lat) => {
+        const clamped = Math.max(-85.0511287798066, Math.min(85.0511287798066, lat));
+        return [
+          WGS84_A * lon * DEG,
+          WGS84_A * Math.log(Math.tan(Math.PI / 4 + clamped * DEG / 2)),
+        ];
+      };
+      inverse = (x, y) => [
+        x / WGS84_A / DEG,
+        (2 * Math.atan(Math.exp(y / WGS84_A)) - Math.PI / 2) / DEG,
+      ];
+      break;
+    case 'merc':
+      ({ forward, inverse } = createMercator(definition));
+      break;
+    case 'tmerc':
+      ({ forward, inverse } = createTransverseMercator(definition));
+      break;
+    case 'lcc':
+      ({ forward, inverse } = createLambertConformalConic(definition));
+      break;
+    default:
+      throw new Error(`Unsupported projection type: ${definition.type}`);
+  }
+
+  if (toMeters !== 1 && definition.type !== 'longlat') {
+    const metricForward = forward;
+    const metricInverse = inverse;
+    forward = (lon, lat) => metricForward(lon, lat).map(v => v / toMeters);
+    inverse = (x, y) => metricInverse(x * toMeters, y * toMeters);
+  }
+
+  return {
+    definition,
+    geographic: definition.type === 'longlat',
+    forward,
+    inverse,
+  };
+}
+
+/**
+ * Get the CRS definition for an EPSG code.
+ * @param {number} code - EPSG code
+ * @returns {CRSDefinition|null} Definition, or null if the code is not supported
+ */
+function crsFromEPSG(code) {
+  const name = `EPSG:${code}`;
+
+  if (COMPATIBLE_GEOGRAPHIC_CODES.has(code)) {
+    return { type: 'longlat', name };
+  }
+  if ([3857, 900913, 3785, 102100, 102113].includes(code)) {
+    return { type: 'webmerc', name };
+  }
+  if (code === 3395) {
+    return { type: 'merc', name, lon0: 0, k0: 1, x0: 0, y0: 0 };
+  }
+
+  // WGS84 / UTM north and south
+  if (code >= 32601 && code <= 32660) return utmDefinition(code - 32600, false, name);
+  if (code >= 32701 && code <= 32760) return utmDefinition(code - 32700, true, name);
+  // NAD83 / UTM zones 1N-23N
+  if (code >= 26901 && code <= 26923) return utmDefinition(code - 26900, false, name);
+  // ETRS89 / UTM zones 28N-38N
+  if (code >= 25828 && code <= 25838) return utmDefinition(code - 25800, false, name);
+  // GDA94 / MGA zones 48-58 and GDA2020 / MGA zones 46-59
+  if (code >= 28348 && code <= 28358) return utmDefinition(code - 28300, true, name);
+  if (code >= 7846 && code <= 7859) return utmDefinition(code - 7800, true, name);
+
+  if (code === 2193) {
+    return { type: 'tmerc', name, lon0: 173, lat0: 0, k0: 0.9996, x0: 1600000, y0: 10000000 };
+  }
+  if (code === 2154) {
+    return { type: 'lcc', name, lon0: 3, lat0: 46.5, lat1: 49, lat2: 44, x0: 700000, y0: 6600000 };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a CRS description: 'EPSG:xxxx', a PROJ string or WKT (WKT1 or WKT2).
+ * @param {string} text - CRS description
+ * @returns {CRSDefinition} Definition
+ */
+function parseCRS(text) {
+  const trimmed = String(text).trim();
+  const epsg = /^EPSG:(\d+)$/i.exec(trimmed);
+
+  if (epsg) {
+    const definition = crsFromEPSG(parseInt(epsg[1], 10));
+    if (!definition) {
+      throw new Error(`Unsupported CRS: ${trimmed}`);
+    }
+    return definition;
+  }
+  if (trimmed.includes('+proj=')) {
+    return crsFromProjString(trimmed);
+  }
+  if (/^[A-Z0-9_]+\s*[[(]/i.test(trimmed)) {
+    return crsFromWKT(trimmed);
+  }
+
+  throw new Error(`Unrecognized CRS description: ${trimmed}`);
+}
+
+/**
+ * Parse a PROJ string such as '+proj=utm +zone=33 +datum=WGS84 +units=m'.
+ * @param {string} text - PROJ string
+ * @returns {CRSDefinition} Definition
+ */
+function crsFromProjString(text) {
+  const params = {};
+  for (const token of text.trim().split(/\s+/)) {
+    const match = /^\+?([^=]+)(?:=(.*))?$/.exec(token);
+    if (match) {
+      params[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  }
+
+  const datum = params.datum || params.ellps;
+  if (datum && !COMPATIBLE_DATUM.test(datum)) {
+    throw new Error(`Unsupported datum in PROJ string: ${datum}`);
+  }
+
+  const number = (key, fallback) => (params[key] === undefined ? fallback : parseFloat(params[key]));
+  const toMeters = params.to_meter !== undefined ? parseFloat(params.to_meter) : unitToMeters(params.units || 'm');
+  const name = text.trim();
+
+  switch (params.proj) {
+    case 'longlat':
+    case 'latlong':
+    case 'lonlat':
+    case 'latlon':
+      return { type: 'longlat', name };
+    case 'utm': {
+      const zone = parseInt(params.zone, 10);
+      if (!(zone >= 1 && zone <= 60)) {
+        throw new Error(`Invalid UTM zone in PROJ string: ${params.zone}`);
+      }
+      return { ...utmDefinition(zone, params.south === true, name), toMeters };
+    }
+    case 'merc':
+      // A spherical Mercator on the WGS84 semi-major axis is Web Mercator
+      if (number('a') === WGS84_A && number('b') === WGS84_A) {
+        return { type: 'webmerc', name };
+      }
+      return {
+        type: 'merc', name, lon0: number('lon_0', 0), k0: number('k_0', number('k', 1)),
+        x0: number('x_0', 0), y0: number('y_0', 0), toMeters,
+      };
+    case 'tmerc':
+      return {
+        type: 'tmerc', name, lon0: number('lon_0', 0), lat0: number('lat_0', 0),
+        k0: number('k_0', number('k', 1)), x0: number('x_0', 0), y0: number('y_0', 0), toMeters,
+      };
+    case 'lcc':
+      return {
+        type: 'lcc', name, lon0: number('lon_0', 0), lat0: number('lat_0', 0),
+        lat1: number('lat_1', number('lat_0', 0)), lat2: number('lat_2'),
+        k0: number('k_0', number('k', 1)), x0: number('x_0', 0), y0: number('y_0', 0), toMeters,
+      };
+    default:
+      throw new Error(`Unsupported PROJ projection: ${params.proj}`);
+  }
+}
+
+/**
+ * Parse a WKT (WKT1 or WKT2) CRS description.
+ * @param {string} text - WKT string
+ * @returns {CRSDefinition} Definition
+ */
+function crsFromWKT(text) {
+  const root = parseWKTTree(text);
+  const rootName = root.name.toUpperCase();
+  const name = typeof root.args[0] === 'string' ? root.args[0] : rootName;
+
+  const authority = findWKTNode(root, ['AUTHORITY', 'ID'], false);
+  if (authority && String(authority.args[0]).toUpperCase() === 'EPSG') {
+    const definition = crsFromEPSG(parseInt(authority.args[1], 10));
+    if (definition) {
+      return definition;
+    }
+  }
+
+  const datum = findWKTNode(root, ['DATUM', 'GEODETICDATUM', 'TRF'], true);
+  if (datum && !COMPATIBLE_DATUM.test(String(datum.args[0]))) {
+    throw new Error(`Unsupported datum in WKT: ${datum.args[0]}`);
+  }
+
+  if (['GEOGCS', 'GEOGCRS', 'GEODCRS', 'GEOGRAPHICCRS'].includes(rootName)) {
+    return { type: 'longlat', name };
+  }
+  if (!['PROJCS', 'PROJCRS', 'PROJECTEDCRS'].includes(rootName)) {
+    throw new Error(`Unsupported WKT CRS type: ${root.name}`);
+  }
+
+  const method = findWKTNode(root, ['PROJECTION', 'METHOD'], true);
+  if (!method) {
+    throw new Error('WKT projected CRS has no projection method');
+  }
+  const methodName = normalizeWKTName(method.args[0]);
+
+  // Linear unit of the CRS itself (a direct child, not the one inside GEOGCS)
+  const unitNode = root.args.find(arg => isWKTNode(arg, ['UNIT', 'LENGTHUNIT']));
+  const crsToMeters = unitNode ? parseFloat(unitNode.args[1]) : 1;
+
+  const params = {};
+  for (const node of collectWKTNodes(root, 'PARAMETER')) {
+    const paramUnit = node.args.find(arg => isWKTNode(arg, ['UNIT', 'LENGTHUNIT', 'ANGLEUNIT', 'SCALEUNIT']));
+    params[normalizeWKTName(node.args[0])] = {
+      value: parseFloat(node.args[1]),
+      toMeters: paramUnit && paramUnit.name.toUpperCase() === 'LENGTHUNIT' ? parseFloat(paramUnit.args[1]) : crsToMeters,
+    };
+  }
+
+  const angle = (...keys) => {
+    const key = keys.find(k => params[k] !== undefined);
+    return key === undefined ? undefined : params[key].value;
+  };
+  const length = (...keys) => {
+    const key = keys.find(k => params[k] !== undefined);
+    return key === undefined ? 0 : params[key].value * params[key].toMeters;
+  };
+  const common = {
+    name,
+    lon0: angle('central_meridian', 'longitude_of_natural_origin', 'longitude_of_origin',
+      'longitude_of_false_origin', 'longitude_of_center') || 0,
+    lat0: angle('latitude_of_origin', 'latitude_of_natural_origin', 'latitude_of_false_origin',
+      'latitude_of_center') || 0,
+    k0: angle('scale_factor', 'scale_factor_at_natural_origin') || 1,
+    x0: length('false_easting', 'easting_at_false_origin'),
+    y0: length('false_northing', 'northing_at_false_origin'),
+    toMeters: crsToMeters,
+  };
+
+  if (methodName === 'transverse_mercator') {
+    return { type: 'tmerc', ...common };
+  }
+  if (methodName.startsWith('lambert_conformal_conic') || methodName.startsWith('lambert_conic_conformal')) {
+    const lat1 = angle('standard_parallel_1', 'latitude_of_1st_standard_parallel');
+    const lat2 = angle('standard_parallel_2', 'latitude_of_2nd_standard_parallel');
+    const oneStandardParallel = methodName.includes('1sp') || lat1 === undefined;
+    return {
+      type: 'lcc',
+      ...common,
+      lat1: oneStandardParallel ? common.lat0 : lat1,
+      lat2: oneStandardParallel ? undefined : lat2,
+    };
+  }
+  if (['popular_visualisation_pseudo_mercator', 'mercator_auxiliary_sphere'].includes(methodName)) {
+    return { type: 'webmerc', name };
+  }
+  if (methodName.startsWith('mercator')) {
+    return { type: 'merc', ...common };
+  }
+
+  throw new Error(`Unsupported WKT projection method: ${method.args[0]}`);
+}
+
+/**
+ * Derive a CRS definition from GeoTIFF GeoKeys. EPSG codes are used when known;
+ * user-defined projections are rebuilt from the projection parameter keys, and
+ * citation keys holding WKT or PROJ strings (as written by GDAL/ESRI) are parsed.
+ * @param {Object} geoKeys - GeoKeys from GeoTIFF
+ * @returns {CRSDefinition} Definition
+ */
+function crsFromGeoKeys(geoKeys) {
+  const userDefined = 32767;
+  const {
+    GTModelTypeGeoKey: modelType,
+    ProjectedCSTypeGeoKey: projectedCode,
+    GeographicTypeGeoKey: geographicCode,
+  } = geoKeys;
+
+  if (projectedCode && projectedCode !== userDefined) {
+    const definition = crsFromEPSG(projectedCode);
+    if (definition) {
+      return definition;
+    }
+  }
+
+  for (const citation of [geoKeys.PCSCitationGeoKey, geoKeys.GTCitationGeoKey]) {
+    const definition = crsFromCitation(citation);
+    if (definition) {
+      return definition;
+    }
+  }
+
+  if (modelType === 1 || projectedCode) {
+    if (projectedCode && projectedCode !== userDefined) {
+      throw new Error(`Unsupported projected CRS: EPSG:${projectedCode} (pass a PROJ string or WKT with --source-crs)`);
+    }
+    return crsFromProjectionKeys(geoKeys);
+  }
+
+  if (modelType === 2 || geographicCode) {
+    if (geographicCode && geographicCode !== userDefined) {
+      if (!COMPATIBLE_GEOGRAPHIC_CODES.has(geographicCode)) {
+        throw new Error(`Unsupported geographic CRS: EPSG:${geographicCode}`);
+      }
+      return { type: 'longlat', name: `EPSG:${geographicCode}` };
+    }
+    const datumCode = geoKeys.GeogGeodeticDatumGeoKey;
+    if (datumCode && !COMPATIBLE_DATUM_CODES.has(datumCode)) {
+      throw new Error(`Unsupported geodetic datum: EPSG:${datumCode}`);
+    }
+    return { type: 'longlat', name: 'Geographic (user-defined)' };
+  }
+
+  throw new Error(`Unsupported model type: ${modelType}`);
+}
+
+/**
+ * Try to read a CRS from a GeoTIFF citation string.
+ * @param {string} [citation] - Citation GeoKey value
+ * @returns {CRSDefinition|null} Definition, or null if the citation carries no usable CRS
+ */
+function crsFromCitation(citation) {
+  if (typeof citation !== 'string') {
+    return null;
+  }
+
+  const wktStart = citation.search(/(PROJCS|GEOGCS|PROJCRS|GEOGCRS)\s*\[/);
+  if (wktStart >= 0) {
+    return crsFromWKT(citation.slice(wktStart));
+  }
+  if (citation.includes('+proj=')) {
+    return crsFromProjString(citation.slice(citation.indexOf('+proj=')));
+  }
+
+  const utm = /UTM\s+zone\s+(\d{1,2})\s*([NS])/i.exec(citation);
+  if (utm && COMPATIBLE_DATUM.test(citation)) {
+    return utmDefinition(parseInt(utm[1], 10), utm[2].toUpperCase() === 'S', citation.trim());
+  }
+
+  return null;
+}
+
+/**
+ * Rebuild a user-defined projected CRS from GeoTIFF projection parameter keys.
+ * @param {Object} geoKeys - GeoKeys from GeoTIFF
+ * @returns {CRSDefinition} Definition
+ */
+function crsFromProjectionKeys(geoKeys) {
+  const projectionCode = geoKeys.ProjectionGeoKey;
+  if (projectionCode >= 16001 && projectionCode <= 16060) {
+    return utmDefinition(projectionCode - 16000, false, `UTM zone ${projectionCode - 16000}N`);
+  }
+  if (projectionCode >= 16101 && projectionCode <= 16160) {
+    return utmDefinition(projectionCode - 16100, true, `UTM zone ${projectionCode - 16100}S`);
+  }
+
+  const linearUnits = {
+    9001: 1,
+    9002: INTERNATIONAL_FOOT,
+    9003: US_SURVEY_FOOT,
+  };
+  const toMeters = geoKeys.ProjLinearUnitSizeGeoKey
+    || linearUnits[geoKeys.ProjLinearUnitsGeoKey || 9001];
+  if (!toMeters) {
+    throw new Error(`Unsupported linear unit: ${geoKeys.ProjLinearUnitsGeoKey}`);
+  }
+
+  const value = (...keys) => {
+    const key = keys.find(k => geoKeys[k] !== undefined);
+    return key === undefined ? 0 : geoKeys[key];
+  };
+  const common = {
+    name: geoKeys.PCSCitationGeoKey || geoKeys.GTCitationGeoKey || 'Projected (user-defined)',
+    lon0: value('ProjNatOriginLongGeoKey', 'ProjFalseOriginLongGeoKey', 'ProjCenterLongGeoKey'),
+    lat0: value('ProjNatOriginLatGeoKey', 'ProjFalseOriginLatGeoKey', 'ProjCenterLatGeoKey'),
+    k0: value('ProjScaleAtNatOriginGeoKey', 'ProjScaleAtCenterGeoKey') || 1,
+    x0: value('ProjFalseEastingGeoKey', 'ProjFalseOriginEastingGeoKey') * toMeters,
+    y0: value('ProjFalseNorthingGeoKey', 'ProjFalseOriginNorthingGeoKey') * toMeters,
+    toMeters,
+  };
+
+  switch (geoKeys.ProjCoordTransGeoKey) {
+    case 1: // CT_TransverseMercator
+      return { type: 'tmerc', ...common };
+    case 7: // CT_Mercator
+      return { type: 'merc', ...common };
+    case 8: // CT_LambertConfConic_2SP
+      return {
+        type: 'lcc', ...common,
+        lat1: geoKeys.ProjStdParallel1GeoKey, lat2: geoKeys.ProjStdParallel2GeoKey,
+      };
+    case 9: // CT_LambertConfConic_1SP
+      return { type: 'lcc', ...common, lat1: common.lat0 };
+    default:
+      throw new Error(`Unsupported coordinate transformation: ${geoKeys.ProjCoordTransGeoKey}`);
+  }
+}
+
+/**
+ * Compute the longitude/latitude bounding box of a native-CRS bounding box by
+ * sampling points along its edges.
+ * @param {Array<number>} bbox - Native bounding box [minX, minY, maxX, maxY]
+ * @param {Projection} projection - Projection of the bounding box
+ * @param {number} [steps] - Samples per edge (default 32)
+ * @returns {Array<number>} Bounding box [west, south, east, north] in degrees
+ */
+function transformBounds(bbox, projection, steps = 32) {
+  if (projection.geographic) {
+    return bbox.slice();
+  }
+
+  const [minX, minY, maxX, maxY] = bbox;
+  let west = Infinity;
+  let south = Infinity;
+  let east = -Infinity;
+  let north = -Infinity;
+
+  for (let i = 0; i <= steps; i++) {
+    const fx = minX + (maxX - minX) * i / steps;
+    const fy = minY + (maxY - minY) * i / steps;
+    for (const [x, y] of [[fx, minY], [fx, maxY], [minX, fy], [maxX, fy]]) {
+      const [lon, lat] = projection.inverse(x, y);
+      if (!Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+      west = Math.min(west, lon);
+      south = Math.min(south, lat);
+      east = Math.max(east, lon);
+      north = Math.max(north, lat);
+    }
+  }
+
+  return [west, south, east, north];
+}
+
+function utmDefinition(zone, south, name) {
+  return {
+    type: 'tmerc',
+    name,
+    lon0: zone * 6 - 183,
+    lat0: 0,
+    k0: 0.9996,
+    x0: 500000,
+    y0: south ? 10000000 : 0,
+  };
+}
+
+function unitToMeters(units) {
+  const factors = {
+    m: 1,
+    km: 1000,
+    ft: INTERNATIONAL_FOOT,
+    'us-ft': US_SURVEY_FOOT,
+  };
+  if (factors[units] === undefined) {
+    throw new Error(`Unsupported linear unit: ${units}`);
+  }
+  return factors[units];
+}
+
+/**
+ * Ellipsoidal Mercator (EPSG method 9804, variant A).
+ */
+function createMercator({ lon0 = 0, k0 = 1, x0 = 0, y0 = 0 }) {
+  const forward = (lon, lat) => {
+    const phi = lat * DEG;
+    const esin = WGS84_E * Math.sin(phi);
+    return [
+      x0 + WGS84_A * k0 * (lon - lon0) * DEG,
+      y0 + WGS84_A * k0 * Math.log(Math.tan(Math.PI / 4 + phi / 2) * Math.pow((1 - esin) / (1 + esin), WGS84_E / 2)),
+    ];
+  };
+  const inverse = (x, y) => {
+    const t = Math.exp(-(y - y0) / (WGS84_A * k0));
+    return [(x - x0) / (WGS84_A * k0) / DEG + lon0, latitudeFromIsometric(t) / DEG];
+  };
+  return { forward, inverse };
+}
+
+/**
+ * Ellipsoidal Transverse Mercator using Krüger's series (4th order in n), accurate to
+ * millimeters within several thousand kilometers of the central meridian.
+ */
+function createTransverseMercator({ lon0 = 0, lat0 = 0, k0 = 1, x0 = 0, y0 = 0 }) {
+  const n = WGS84_F / (2 - WGS84_F);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  const A = WGS84_A / (1 + n) * (1 + n2 / 4 + n4 / 64);
+
+  const alpha = [
+    n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180,
+    13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440,
+    61 * n3 / 240 - 103 * n4 / 140,
+    49561 * n4 / 161280,
+  ];
+  const beta = [
+    n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360,
+    n2 / 48 + n3 / 15 - 437 * n4 / 1440,
+    17 * n3 / 480 - 37 * n4 / 840,
+    4397 * n4 / 161280,
+  ];
+  const delta = [
+    2 * n - 2 * n2 / 3 - 2 * n3 + 116 * n4 / 45,
+    7 * n2 / 3 - 8 * n3 / 5 - 227 * n4 / 45,
+    56 * n3 / 15 - 136 * n4 / 35,
+    4279 * n4 / 630,
+  ];
+  const c = 2 * Math.sqrt(n) / (1 + n);
+
+  const project = (lon, lat) => {
+    const phi = lat * DEG;
+    const lambda = (lon - lon0) * DEG;
+    const t = Math.sinh(Math.atanh(Math.sin(phi)) - c * Math.atanh(c * Math.sin(phi)));
+    const xiPrime = Math.atan2(t, Math.cos(lambda));
+    const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+    let xi = xiPrime;
+    let eta = etaPrime;
+    for (let j = 1; j <= 4; j++) {
+      xi += alpha[j - 1] * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+      eta += alpha[j - 1] * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+    }
+    return [k0 * A * eta, k0 * A * xi];
+  };
+
+  const northingOfOrigin = project(lon0, lat0)[1];
+
+  const forward = (lon, lat) => {
+    const [e, nValue] = project(lon, lat);
+    return [x0 + e, y0 + nValue - northingOfOrigin];
+  };
+
+  const inverse = (x, y) => {
+    const xi = (y - y0 + northingOfOrigin) / (k0 * A);
+    const eta = (x - x0) / (k0 * A);
+
+    let xiPrime = xi;
+    let etaPrime = eta;
+    for (let j = 1; j <= 4; j++) {
+      xiPrime -= beta[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+      etaPrime -= beta[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+
+    const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+    let phi = chi;
+    for (let j = 1; j <= 4; j++) {
+      phi += delta[j - 1] * Math.sin(2 * j * chi);
+    }
+
+    const lambda = Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime));
+    return [lon0 + lambda / DEG, phi / DEG];
+  };
+
+  return { forward, inverse };
+}
+
+/**
+ * Ellipsoidal Lambert Conformal Conic, one or two standard parallels
+ * (EPSG methods 9801 and 9802).
+ */
+function createLambertConformalConic({ lon0 = 0, lat0 = 0, lat1, lat2, k0 = 1, x0 = 0, y0 = 0 }) {
+  const m = phi => Math.cos(phi) / Math.sqrt(1 - WGS84_E2 * Math.sin(phi) ** 2);
+  const t = phi => {
+    const esin = WGS84_E * Math.sin(phi);
+    return Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - esin) / (1 + esin), WGS84_E / 2);
+  };
+
+  const phi1 = (lat1 === undefined ? lat0 : lat1) * DEG;
+  const twoParallels = lat2 !== undefined && !Number.isNaN(lat2) && lat2 !== lat1;
+  const phi2 = twoParallels ? lat2 * DEG : phi1;
+
+  const n = twoParallels
+    ? (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)))
+    : Math.sin(phi1);
+  const F = m(phi1) / (n * Math.pow(t(phi1), n));
+  // Two-parallel cones have unit scale on the standard parallels; k0 only applies to 1SP
+  const scale = twoParallels ? 1 : k0;
+  const radius = phi => WGS84_A * F * Math.pow(t(phi), n) * scale;
+  const rOrigin = radius(lat0 * DEG);
+
+  const forward = (lon, lat) => {
+    const r = radius(lat * DEG);
+    const theta = n * (lon - lon0) * DEG;
+    return [x0 + r * Math.sin(theta), y0 + rOrigin - r * Math.cos(theta)];
+  };
+
+  const inverse = (x, y) => {
+    const dx = x - x0;
+    const dy = rOrigin - (y - y0);
+    const r = Math.sign(n) * Math.sqrt(dx * dx + dy * dy);
+    const theta = n > 0 ? Math.atan2(dx, dy) : Math.atan2(-dx, -dy);
+    const tValue = Math.pow(r / (WGS84_A * F * scale), 1 / n);
+    return [theta / n / DEG + lon0, latitudeFromIsometric(tValue) / DEG];
+  };
+
+  return { forward, inverse };
+}
+
+/**
+ * Iteratively solve for geodetic latitude from the isometric parameter t.
+ * @param {number} t - tan(pi/4 - phi/2) / ((1 - e sin phi) / (1 + e sin phi))^(e/2)
+ * @returns {number} Latitude in radians
+ */
+function latitudeFromIsometric(t) {
+  let phi = Math.PI / 2 - 2 * Math.atan(t);
+  for (let i = 0; i < 15; i++) {
+    const esin = WGS84_E * Math.sin(phi);
+    const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - esin) / (1 + esin), WGS84_E / 2));
+    if (Math.abs(next - phi) < 1e-12) {
+      return next;
+    }
+    phi = next;
+  }
+  return phi;
+}
+
+/**
+ * Parse WKT into a tree of { name, args } nodes.
+ * @param {string} text - WKT string
+ * @returns {{name: string, args: Array}} Root node
+ */
+function parseWKTTree(text) {
+  const tokens = text.match(/"(?:[^"]|"")*"|[A-Za-z_][A-Za-z0-9_]*|[-+]?[0-9.]+(?:[eE][-+]?\d+)?|[[\](),]/g) || [];
+  let position = 0;
+
+  const parseNode = () => {
+    const name = tokens[position++];
+    const node = { name, args: [] };
+    if (tokens[position] !== '[' && tokens[position] !== '(') {
+      return node;
+    }
+    position++;
+    while (position < tokens.length && tokens[position] !== ']' && tokens[position] !== ')') {
+      const token = tokens[position];
+      if (token === ',') {
+        position++;
+      } else if (token.startsWith('"')) {
+        node.args.push(token.slice(1, -1).replace(/""/g, '"'));
+        position++;
+      } else if (/^[-+]?[0-9.]/.test(token)) {
+        node.args.push(parseFloat(token));
+        position++;
+      } else {
+        node.args.push(parseNode());
+      }
+    }
+    position++;
+    return node;
+  };
+
+  const root = parseNode();
+  if (!root.name || root.args.length === 0) {
+    throw new Error('Invalid WKT');
+  }
+  return root;
+}
+
+/**
+ * Find the first node with one of the given names.
+ * @param {Object} node - Node to search
+ * @param {Array<string>} names - Upper-case node names
+ * @param {boolean} deep - Search descendants (depth-first) rather than direct children only
+ * @returns {Object|undefined} Matching node
+ */
+function findWKTNode(node, names, deep) {
+  for (const arg of node.args) {
+    if (typeof arg === 'object') {
+      if (isWKTNode(arg, names)) {
+        return arg;
+      }
+      if (deep) {
+        const found = findWKTNode(arg, names, true);
+        if (found) return found;
+      }
+    }
+  }
+  return undefined;
+}
+
+function collectWKTNodes(node, name) {
+  return node.args.filter(arg => isWKTNode(arg, [name]));
+}
+
+function isWKTNode(arg, names) {
+  return typeof arg === 'object' && names.includes(arg.name.toUpperCase());
+}
+
+function normalizeWKTName(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+module.exports = {
+  createProjection,
+  crsFromEPSG,
+  crsFromProjString,
+  crsFromWKT,
+  crsFromGeoKeys,
+  parseCRS,
+  transformBounds,
+};
@@ -0,0 +1,154 @@
+/**
+ * Downsampling of child tile grids into their parent, for bottom-up pyramids where
+ * only the max level is sampled from the DEMs and every other level is derived from
+ * the level below it.
+ *
+ * Image tiles sample pixel centers, so every parent pixel covers exactly 2x2 child
+ * pixels. Cesium terrain grids (and image tiles with shared borders) sample vertices on
+ * the tile edges, with children sharing their edge rows/columns; every parent vertex
+ * coincides with a child vertex and is reduced over its 3x3 neighbourhood (tent-weighted
+ * for the mean). Vertices on the tile edges only use their neighbours along the edge,
+ * which the adjacent parent shares, so neighbouring tiles keep identical edges.
+ *
+ * Reducers ignore NaN (no-data) samples; a sample without any valid input stays NaN.
+ */
+
+/**
+ * Reducers over `count` values with weights (used by the mean only).
+ */
+const REDUCERS = {
+  mean: (values, weights, count) => {
+    let sum = 0;
+    let weight = 0;
+    for (let i = 0; i < count; i++) {
+      if (!Number.isNaN(values[i])) {
+        sum += values[i] * weights[i];
+        weight += weights[i];
+      }
+    }
+    return weight > 0 ? sum / weight : NaN;
+  },
+  // Keeps peaks and obstacles: derived tiles never cut below the terrain
+  max: (values, weights, count) => {
+    let max = -Infinity;
+    for (let i = 0; i < count; i++) {
+      if (values[i] > max) { // False for NaN
+        max = values[i];
+      }
+    }
+    return max === -Infinity ? NaN : max;
+  },
+  min: (values, weights, count) => {
+    let min = Infinity;
+    for (let i = 0; i < count; i++) {
+      if (values[i] < min) {
+        min = values[i];
+      }
+    }
+    return min === Infinity ? NaN : min;
+  },
+};
+
+// Tent filter taps of vertex grids: [offset, weight]
+const EDGE_TAPS = [[0, 1]];
+const INNER_TAPS = [[-1, 0.25], [0, 0.5], [1, 0.25]];
+
+/**
+ * Quadrant of a child within its parent.
+ * @param {{x: number, y: number}} parent - Parent tile
+ * @param {{x: number, y: number}} child - Child tile
+ * @param {string} yOrigin - Row origin of the tiling scheme: 'tms' or 'xyz'
+ * @returns {number} 0 north-west, 1 north-east, 2 south-west, 3 south-east
+ */
+function getChildQuadrant(parent, child, yOrigin) {
+  const east = child.x - parent.x * 2;
+  const upper = child.y - parent.y * 2;
+  // TMS rows grow northward, XYZ rows grow southward
+  const south = yOrigin === 'tms' ? upper === 0 : upper === 1;
+  return (south ? 2 : 0) + east;
+}
+
+/**
+ * Assemble the four child grids into one grid at child resolution. Vertex grids overlap
+ * by one row/column, where the north/west child's samples are used unless they are no-data.
+ * @param {Array<Float32Array|null>} children - Child grids by quadrant (null when missing)
+ * @param {number} size - Samples per side of a tile
+ * @param {boolean} vertices - Whether the grids sample vertices on the tile edges
+ * @returns {{data: Float32Array, width: number}} Combined grid
+ */
+function combineChildGrids(children, size, vertices) {
+  const step = vertices ? size - 1 : size;
+  const width = step + size;
+  const data = new Float32Array(width * width).fill(NaN);
+
+  children.forEach((child, quadrant) => {
+    if (!child) {
+      return;
+    }
+    const offsetX = (quadrant % 2) * step;
+    const offsetY = Math.floor(quadrant / 2) * step;
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const i = (offsetY + row) * width + offsetX + col;
+        if (Number.isNaN(data[i])) {
+          data[i] = child[row * size + col];
+        }
+      }
+    }
+  });
+
+  return { data, width };
+}
+
+/**
+ * Derive a parent grid from its children.
+ * @param {Array<Float32Array|null>} children - Child grids by quadrant (see getChildQuadrant),
+ *   null where a child is missing; NaN marks no-data samples
+ * @param {number} size - Samples per side of a tile
+ * @param {string} sampling - 'pixels', 'vertices' or 'edges' (see computeSamplePositions)
+ * @param {string} reducer - 'mean', 'max' or 'min'
+ * @returns {Float32Array} Parent grid
+ */
+function reduceChildGrids(children, size, sampling, reducer) {
+  const reduce = REDUCERS[reducer];
+  if (!reduce) {
+    throw new Error(`Unsupported reducer: ${reducer}`);
+  }
+  const vertices = sampling !== 'pixels';
+  const { data, width } = combineChildGrids(children, size, vertices);
+  const result = new Float32Array(size * size);
+  const values = new Float64Array(9);
+  const weights = new Float64Array(9);
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      let count = 0;
+      if (vertices) {
+        const rowTaps = row === 0 || row === size - 1 ? EDGE_TAPS : INNER_TAPS;
+        const colTaps = col === 0 || col === size - 1 ? EDGE_TAPS : INNER_TAPS;
+        for (const [dy, wy] of rowTaps) {
+          for (const [dx, wx] of colTaps) {
+            values[count] = data[(row * 2 + dy) * width + col * 2 + dx];
+            weights[count++] = wy * wx;
+          }
+        }
+      } else {
+        for (let dy = 0; dy < 2; dy++) {
+          for (let dx = 0; dx < 2; dx++) {
+            values[count] = data[(row * 2 + dy) * width + col * 2 + dx];
+            weights[count++] = 1;
+          }
+        }
+      }
+      result[row * size + col] = reduce(values, weights, count);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  REDUCERS,
+  getChildQuadrant,
+  reduceChildGrids,
+};
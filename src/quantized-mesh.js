@@ -0,0 +1,675 @@
+/**
+ * Quantized-mesh-1.0 terrain tile encoding.
+ * Implements the binary layout consumed by Cesium's CesiumTerrainProvider:
+ * https://github.com/CesiumGS/quantized-mesh
+ */
+
+const WGS84_A = 6378137.0; // WGS84 semi-major axis in meters
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+const QUANTIZED_MAX = 32767;
+const HEADER_SIZE = 88;
+const WATER_MASK_SIZE = 256;
+
+/** Extension ids defined by the quantized-mesh-1.0 specification. */
+const EXTENSION_IDS = {
+  octvertexnormals: 1,
+  watermask: 2,
+  metadata: 4,
+};
+
+/**
+ * @typedef {Object} TerrainMesh
+ * @property {Uint16Array} u - Vertex horizontal coordinates in [0, 32767] (west to east)
+ * @property {Uint16Array} v - Vertex vertical coordinates in [0, 32767] (south to north)
+ * @property {Float32Array|Float64Array} heights - Vertex heights in meters
+ * @property {Uint32Array} indices - Triangle indices, three per triangle, counter-clockwise
+ */
+
+/**
+ * @typedef {Object} QuantizedMeshHeader
+ * @property {Array<number>} center - Tile center [x, y, z] in ECEF meters
+ * @property {number} minimumHeight - Minimum height in the tile in meters
+ * @property {number} maximumHeight - Maximum height in the tile in meters
+ * @property {Array<number>} boundingSphereCenter - Bounding sphere center [x, y, z] in ECEF meters
+ * @property {number} boundingSphereRadius - Bounding sphere radius in meters
+ * @property {Array<number>} horizonOcclusionPoint - Horizon occlusion point in ellipsoid-scaled ECEF
+ */
+
+/**
+ * @typedef {Object} QuantizedMeshExtensions
+ * @property {boolean} [vertexNormals] - Append oct-encoded per-vertex normals (extension id 1)
+ * @property {number|Uint8Array} [waterMask] - Append a water mask (extension id 2): a single byte
+ *   (0 = all land, 255 = all water) or a 256x256 mask with rows ordered north to south
+ * @property {Object} [metadata] - Append JSON metadata (extension id 4), e.g. `{ available: [...] }`
+ */
+
+/**
+ * Convert geodetic coordinates to Earth-centered, Earth-fixed (ECEF) coordinates on WGS84.
+ * @param {number} lon - Longitude in degrees
+ * @param {number} lat - Latitude in degrees
+ * @param {number} height - Height above the ellipsoid in meters
+ * @returns {Array<number>} ECEF position [x, y, z] in meters
+ */
+function geodeticToEcef(lon, lat, height) {
+  const lonRad = lon * Math.PI / 180;
+  const latRad = lat * Math.PI / 180;
+  const sinLat = Math.sin(latRad);
+  const cosLat = Math.cos(latRad);
+  const n = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+
+  return [
+    (n + height) * cosLat * Math.cos(lonRad),
+    (n + height) * cosLat * Math.sin(lonRad),
+    (n * (1 - WGS84_E2) + height) * sinLat,
+  ];
+}
+
+/**
+ * Build a regular grid mesh from a row-major elevation grid (row 0 is the northern edge).
+ * @param {Float32Array|Float64Array} elevationData - Elevation values
+ * @param {number} width - Grid width in samples (at least 2)
+ * @param {number} height - Grid height in samples (at least 2)
+ * @returns {TerrainMesh} Grid mesh covering the whole tile
+ */
+function createGridMesh(elevationData, width, height) {
+  if (width < 2 || height < 2) {
+    throw new Error(`Grid mesh requires at least 2x2 samples, got ${width}x${height}`);
+  }
+
+  const vertexCount = width * height;
+  const u = new Uint16Array(vertexCount);
+  const v = new Uint16Array(vertexCount);
+  const heights = new Float64Array(vertexCount);
+
+  for (let row = 0; row < height; row++) {
+    const vValue = Math.round((height - 1 - row) / (height - 1) * QUANTIZED_MAX);
+    for (let col = 0; col < width; col++) {
+      const i = row * width + col;
+      u[i] = Math.round(col / (width - 1) * QUANTIZED_MAX);
+      v[i] = vValue;
+      heights[i] = elevationData[i];
+    }
+  }
+
+  const indices = new Uint32Array((width - 1) * (height - 1) * 6);
+  let offset = 0;
+  for (let row = 0; row < height - 1; row++) {
+    for (let col = 0; col < width - 1; col++) {
+      const nw = row * width + col;
+      const ne = nw + 1;
+      const sw = nw + width;
+      const se = sw + 1;
+
+      indices[offset++] = sw;
+      indices[offset++] = se;
+      indices[offset++] = nw;
+
+      indices[offset++] = nw;
+      indices[offset++] = se;
+      indices[offset++] = ne;
+    }
+  }
+
+  return { u, v, heights, indices };
+}
+
+/**
+ * Encode a terrain mesh as a quantized-mesh-1.0 tile.
+ * @param {TerrainMesh} mesh - Mesh to encode
+ * @param {Object} bounds - Geographic bounds of the tile {minX, minY, maxX, maxY} in degrees
+ * @param {QuantizedMeshExtensions} [extensions] - Optional extension blocks to append
+ * @returns {Buffer} Quantized-mesh tile data
+ */
+function encodeQuantizedMeshTile(mesh, bounds, extensions = {}) {
+  const { vertexOrder, indices } = reorderForHighWaterMark(mesh.indices);
+  const vertexCount = vertexOrder.length;
+
+  const u = new Uint16Array(vertexCount);
+  const v = new Uint16Array(vertexCount);
+  const heights = new Float64Array(vertexCount);
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+
+  for (let i = 0; i < vertexCount; i++) {
+    const source = vertexOrder[i];
+    u[i] = mesh.u[source];
+    v[i] = mesh.v[source];
+    heights[i] = mesh.heights[source];
+    if (heights[i] < minHeight) minHeight = heights[i];
+    if (heights[i] > maxHeight) maxHeight = heights[i];
+  }
+
+  if (vertexCount === 0) {
+    minHeight = 0;
+    maxHeight = 0;
+  }
+
+  const positions = computePositions(u, v, heights, bounds);
+  const header = computeHeader(positions, bounds, minHeight, maxHeight);
+  const heightRange = maxHeight - minHeight;
+  const quantizedHeights = new Uint16Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    quantizedHeights[i] = heightRange > 0
+      ? Math.round((heights[i] - minHeight) / heightRange * QUANTIZED_MAX)
+      : 0;
+  }
+
+  const edges = collectEdgeIndices(u, v);
+  const use32 = vertexCount > 65536;
+  const bytesPerIndex = use32 ? 4 : 2;
+
+  let size = HEADER_SIZE + 4 + vertexCount * 6;
+  size = alignTo(size, bytesPerIndex);
+  size += 4 + indices.length * bytesPerIndex;
+  for (const edge of [edges.west, edges.south, edges.east, edges.north]) {
+    size += 4 + edge.length * bytesPerIndex;
+  }
+
+  const extensionBlocks = encodeExtensions(extensions, positions, indices);
+  for (const block of extensionBlocks) {
+    size += 5 + block.data.length;
+  }
+
+  const buffer = Buffer.alloc(size);
+  let offset = writeHeader(buffer, header);
+
+  buffer.writeUInt32LE(vertexCount, offset); offset += 4;
+  offset = writeDeltaEncoded(buffer, offset, u);
+  offset = writeDeltaEncoded(buffer, offset, v);
+  offset = writeDeltaEncoded(buffer, offset, quantizedHeights);
+
+  offset = alignTo(offset, bytesPerIndex);
+  buffer.writeUInt32LE(indices.length / 3, offset); offset += 4;
+
+  let highest = 0;
+  for (let i = 0; i < indices.length; i++) {
+    const code = highest - indices[i];
+    offset = writeIndex(buffer, offset, code, use32);
+    if (code === 0) highest++;
+  }
+
+  for (const edge of [edges.west, edges.south, edges.east, edges.north]) {
+    buffer.writeUInt32LE(edge.length, offset); offset += 4;
+    for (let i = 0; i < edge.length; i++) {
+      offset = writeIndex(buffer, offset, edge[i], use32);
+    }
+  }
+
+  for (const block of extensionBlocks) {
+    buffer.writeUInt8(block.id, offset); offset += 1;
+    buffer.writeUInt32LE(block.data.length, offset); offset += 4;
+    block.data.copy(buffer, offset);
+    offset += block.data.length;
+  }
+
+  return buffer;
+}
+
+/**
+ * Derive a water mask from an elevation grid: samples at or below sea level count as water.
+ * @param {Float32Array|Float64Array} elevationData - Elevation values (row 0 is the northern edge)
+ * @param {number} width - Grid width in samples
+ * @param {number} height - Grid height in samples
+ * @param {number} [seaLevel] - Height in meters at or below which a sample is water (default 0)
+ * @returns {number|Uint8Array} 0 for all land, 255 for all water, otherwise a 256x256 mask
+ */
+function computeWaterMask(elevationData, width, height, seaLevel = 0) {
+  let waterCount = 0;
+  for (let i = 0; i < width * height; i++) {
+    if (elevationData[i] <= seaLevel) waterCount++;
+  }
+
+  if (waterCount === 0) return 0;
+  if (waterCount === width * height) return 255;
+
+  const mask = new Uint8Array(WATER_MASK_SIZE * WATER_MASK_SIZE);
+  for (let row = 0; row < WATER_MASK_SIZE; row++) {
+    const sy = Math.min(height - 1, Math.round(row / (WATER_MASK_SIZE - 1) * (height - 1)));
+    for (let col = 0; col < WATER_MASK_SIZE; col++) {
+      const sx = Math.min(width - 1, Math.round(col / (WATER_MASK_SIZE - 1) * (width - 1)));
+      mask[row * WATER_MASK_SIZE + col] = elevationData[sy * width + sx] <= seaLevel ? 255 : 0;
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Oct-encode a unit vector into two bytes, as done by Cesium's AttributeCompression.octEncode.
+ * @param {Array<number>} normal - Unit vector [x, y, z]
+ * @returns {Array<number>} Encoded [x, y] values in [0, 255]
+ */
+function octEncodeNormal(normal) {
+  const l1 = Math.abs(normal[0]) + Math.abs(normal[1]) + Math.abs(normal[2]);
+  let x = normal[0] / l1;
+  let y = normal[1] / l1;
+
+  if (normal[2] < 0) {
+    const oldX = x;
+    x = (1 - Math.abs(y)) * signNotZero(oldX);
+    y = (1 - Math.abs(oldX)) * signNotZero(y);
+  }
+
+  return [toSNorm(x), toSNorm(y)];
+}
+
+/**
+ * Decode an oct-encoded normal, as done by Cesium's AttributeCompression.octDecode.
+ * @param {number} encodedX - Encoded x value in [0, 255]
+ * @param {number} encodedY - Encoded y value in [0, 255]
+ * @returns {Array<number>} Unit vector [x, y, z]
+ */
+function octDecodeNormal(encodedX, encodedY) {
+  let x = encodedX / 255 * 2 - 1;
+  let y = encodedY / 255 * 2 - 1;
+  const z = 1 - (Math.abs(x) + Math.abs(y));
+
+  if (z < 0) {
+    const oldX = x;
+    x = (1 - Math.abs(y)) * signNotZero(oldX);
+    y = (1 - Math.abs(oldX)) * signNotZero(y);
+  }
+
+  return normalize([x, y, z]);
+}
+
+/**
+ * Decode a quantized-mesh-1.0 tile. Mainly useful for verifying encoder output.
+ * @param {Buffer} buffer - Quantized-mesh tile data
+ * @returns {{header: QuantizedMeshHeader, u: Uint16Array, v: Uint16Array, heights: Uint16Array,
+ *   indices: Uint32Array, westIndices: Uint32Array, southIndices: Uint32Array,
+ *   eastIndices: Uint32Array, northIndices: Uint32Array, extensions: Object}} Decoded tile
+ */
+function decodeQuantizedMesh(buffer) {
+  let offset = 0;
+  const readDouble = () => { const value = buffer.readDoubleLE(offset); offset += 8; return value; };
+
+  const header = {
+    center: [readDouble(), readDouble(), readDouble()],
+    minimumHeight: buffer.readFloatLE(24),
+    maximumHeight: buffer.readFloatLE(28),
+  };
+  offset = 32;
+  header.boundingSphereCenter = [readDouble(), readDouble(), readDouble()];
+  header.boundingSphereRadius = readDouble();
+  header.horizonOcclusionPoint = [readDouble(), readDouble(), readDouble()];
+
+  const vertexCount = buffer.readUInt32LE(offset); offset += 4;
+  const u = new Uint16Array(vertexCount);
+  const v = new Uint16Array(vertexCount);
+  const heights = new Uint16Array(vertexCount);
+  offset = readDeltaEncoded(buffer, offset, u);
+  offset = readDeltaEncoded(buffer, offset, v);
+  offset = readDeltaEncoded(buffer, offset, heights);
+
+  const use32 = vertexCount > 65536;
+  const bytesPerIndex = use32 ? 4 : 2;
+  offset = alignTo(offset, bytesPerIndex);
+
+  const triangleCount = buffer.readUInt32LE(offset); offset += 4;
+  const indices = new Uint32Array(triangleCount * 3);
+  let highest = 0;
+  for (let i = 0; i < indices.length; i++) {
+    const code = use32 ? buffer.readUInt32LE(offset) : buffer.readUInt16LE(offset);
+    offset += bytesPerIndex;
+    indices[i] = highest - code;
+    if (code === 0) highest++;
+  }
+
+  const readEdge = () => {
+    const count = buffer.readUInt32LE(offset); offset += 4;
+    const edge = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+      edge[i] = use32 ? buffer.readUInt32LE(offset) : buffer.readUInt16LE(offset);
+      offset += bytesPerIndex;
+    }
+    return edge;
+  };
+
+  const westIndices = readEdge();
+  const southIndices = readEdge();
+  const eastIndices = readEdge();
+  const northIndices = readEdge();
+
+  const extensions = {};
+  while (offset < buffer.length) {
+    const id = buffer.readUInt8(offset);
+    const extensionLength = buffer.readUInt32LE(offset + 1);
+    const data = buffer.subarray(offset + 5, offset + 5 + extensionLength);
+    offset += 5 + extensionLength;
+
+    if (id === EXTENSION_IDS.octvertexnormals) {
+      extensions.vertexNormals = new Uint8Array(data);
+    } else if (id === EXTENSION_IDS.watermask) {
+      extensions.waterMask = data.length === 1 ? data[0] : new Uint8Array(data);
+    } else if (id === EXTENSION_IDS.metadata) {
+      const jsonLength = data.readUInt32LE(0);
+      extensions.metadata = JSON.parse(data.toString('utf8', 4, 4 + jsonLength));
+    }
+  }
+
+  return {
+    header,
+    u,
+    v,
+    heights,
+    indices,
+    westIndices,
+    southIndices,
+    eastIndices,
+    northIndices,
+    extensions,
+  };
+}
+
+/**
+ * Renumber vertices in order of first use so indices can be high-water-mark encoded.
+ * @param {Uint32Array} sourceIndices - Triangle indices referencing the original vertices
+ * @returns {{vertexOrder: Array<number>, indices: Uint32Array}} Original vertex per new index, remapped indices
+ */
+function reorderForHighWaterMark(sourceIndices) {
+  const remap = new Map();
+  const vertexOrder = [];
+  const indices = new Uint32Array(sourceIndices.length);
+
+  for (let i = 0; i < sourceIndices.length; i++) {
+    const source = sourceIndices[i];
+    let mapped = remap.get(source);
+    if (mapped === undefined) {
+      mapped = vertexOrder.length;
+      remap.set(source, mapped);
+      vertexOrder.push(source);
+    }
+    indices[i] = mapped;
+  }
+
+  return { vertexOrder, indices };
+}
+
+/**
+ * Compute ECEF positions for quantized vertices within the tile bounds.
+ * @returns {Array<Array<number>>} ECEF positions
+ */
+function computePositions(u, v, heights, bounds) {
+  const lonSpan = bounds.maxX - bounds.minX;
+  const latSpan = bounds.maxY - bounds.minY;
+  const positions = [];
+
+  for (let i = 0; i < u.length; i++) {
+    positions.push(geodeticToEcef(
+      bounds.minX + u[i] / QUANTIZED_MAX * lonSpan,
+      bounds.minY + v[i] / QUANTIZED_MAX * latSpan,
+      heights[i],
+    ));
+  }
+
+  return positions;
+}
+
+/**
+ * Compute the quantized-mesh header values for a set of vertices.
+ * @returns {QuantizedMeshHeader} Header values
+ */
+function computeHeader(positions, bounds, minHeight, maxHeight) {
+  const center = geodeticToEcef(
+    (bounds.minX + bounds.maxX) / 2,
+    (bounds.minY + bounds.maxY) / 2,
+    (minHeight + maxHeight) / 2,
+  );
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const p of positions) {
+    for (let k = 0; k < 3; k++) {
+      if (p[k] < min[k]) min[k] = p[k];
+      if (p[k] > max[k]) max[k] = p[k];
+    }
+  }
+
+  const sphereCenter = positions.length > 0
+    ? [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2]
+    : center;
+  let radius = 0;
+  for (const p of positions) {
+    radius = Math.max(radius, Math.hypot(p[0] - sphereCenter[0], p[1] - sphereCenter[1], p[2] - sphereCenter[2]));
+  }
+
+  return {
+    center,
+    minimumHeight: minHeight,
+    maximumHeight: maxHeight,
+    boundingSphereCenter: sphereCenter,
+    boundingSphereRadius: radius,
+    horizonOcclusionPoint: computeHorizonOcclusionPoint(positions, sphereCenter),
+  };
+}
+
+/**
+ * Compute the horizon occlusion point in ellipsoid-scaled space, following
+ * Cesium's EllipsoidalOccluder.computeHorizonCullingPoint.
+ * @param {Array<Array<number>>} positions - ECEF vertex positions
+ * @param {Array<number>} directionPoint - Point defining the direction of the occlusion point
+ * @returns {Array<number>} Horizon occlusion point [x, y, z]
+ */
+function computeHorizonOcclusionPoint(positions, directionPoint) {
+  const scaledDirection = normalize(scaleToEllipsoid(directionPoint));
+  let maxMagnitude = 0;
+
+  for (const position of positions) {
+    const scaled = scaleToEllipsoid(position);
+    let magnitudeSquared = scaled[0] * scaled[0] + scaled[1] * scaled[1] + scaled[2] * scaled[2];
+    let magnitude = Math.sqrt(magnitudeSquared);
+    const direction = [scaled[0] / magnitude, scaled[1] / magnitude, scaled[2] / magnitude];
+
+    magnitudeSquared = Math.max(1.0, magnitudeSquared);
+    magnitude = Math.max(1.0, magnitude);
+
+    const cosAlpha = dot(direction, scaledDirection);
+    const sinAlpha = length(cross(direction, scaledDirection));
+    const cosBeta = 1.0 / magnitude;
+    const sinBeta = Math.sqrt(magnitudeSquared - 1.0) * cosBeta;
+
+    const candidate = 1.0 / (cosAlpha * cosBeta - sinAlpha * sinBeta);
+    if (candidate > maxMagnitude) maxMagnitude = candidate;
+  }
+
+  return scaledDirection.map(c => c * maxMagnitude);
+}
+
+/**
+ * Encode the requested extension blocks in the order Cesium expects them.
+ * @returns {Array<{id: number, data: Buffer}>} Extension blocks
+ */
+function encodeExtensions(extensions, positions, indices) {
+  const blocks = [];
+
+  if (extensions.vertexNormals) {
+    const normals = computeVertexNormals(positions, indices);
+    const data = Buffer.alloc(normals.length * 2);
+    normals.forEach((normal, i) => {
+      const [x, y] = octEncodeNormal(normal);
+      data[i * 2] = x;
+      data[i * 2 + 1] = y;
+    });
+    blocks.push({ id: EXTENSION_IDS.octvertexnormals, data });
+  }
+
+  if (extensions.waterMask !== undefined) {
+    const mask = extensions.waterMask;
+    if (typeof mask !== 'number' && mask.length !== WATER_MASK_SIZE * WATER_MASK_SIZE) {
+      throw new Error(`Water mask must be a single byte or ${WATER_MASK_SIZE}x${WATER_MASK_SIZE} bytes`);
+    }
+    const data = typeof mask === 'number' ? Buffer.from([mask]) : Buffer.from(mask);
+    blocks.push({ id: EXTENSION_IDS.watermask, data });
+  }
+
+  if (extensions.metadata) {
+    const json = Buffer.from(JSON.stringify(extensions.metadata), 'utf8');
+    const data = Buffer.alloc(4 + json.length);
+    data.writeUInt32LE(json.length, 0);
+    json.copy(data, 4);
+    blocks.push({ id: EXTENSION_IDS.metadata, data });
+  }
+
+  return blocks;
+}
+
+/**
+ * Compute per-vertex normals as the area-weighted average of adjacent triangle normals.
+ * Vertices without triangles fall back to the ellipsoid surface normal.
+ * @param {Array<Array<number>>} positions - ECEF vertex positions
+ * @param {Uint32Array} indices - Triangle indices
+ * @returns {Array<Array<number>>} Unit normals in ECEF
+ */
+function computeVertexNormals(positions, indices) {
+  const sums = positions.map(() => [0, 0, 0]);
+
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = positions[indices[i]];
+    const b = positions[indices[i + 1]];
+    const c = positions[indices[i + 2]];
+    // Cross product length is twice the triangle area, which gives the area weighting
+    const faceNormal = cross(
+      [b[0] - a[0], b[1] - a[1], b[2] - a[2]],
+      [c[0] - a[0], c[1] - a[1], c[2] - a[2]],
+    );
+    for (let k = 0; k < 3; k++) {
+      const sum = sums[indices[i + k]];
+      sum[0] += faceNormal[0];
+      sum[1] += faceNormal[1];
+      sum[2] += faceNormal[2];
+    }
+  }
+
+  return sums.map((sum, i) => {
+    if (length(sum) > 0) return normalize(sum);
+    const p = positions[i];
+    return normalize([p[0] / (WGS84_A * WGS84_A), p[1] / (WGS84_A * WGS84_A), p[2] / (WGS84_B * WGS84_B)]);
+  });
+}
+
+/**
+ * Collect the vertex indices lying on each tile edge, sorted along the edge.
+ * @returns {{west: Array<number>, south: Array<number>, east: Array<number>, north: Array<number>}}
+ */
+function collectEdgeIndices(u, v) {
+  const west = [];
+  const south = [];
+  const east = [];
+  const north = [];
+
+  for (let i = 0; i < u.length; i++) {
+    if (u[i] === 0) west.push(i);
+    if (v[i] === 0) south.push(i);
+    if (u[i] === QUANTIZED_MAX) east.push(i);
+    if (v[i] === QUANTIZED_MAX) north.push(i);
+  }
+
+  west.sort((a, b) => v[a] - v[b]);
+  east.sort((a, b) => v[a] - v[b]);
+  south.sort((a, b) => u[a] - u[b]);
+  north.sort((a, b) => u[a] - u[b]);
+
+  return { west, south, east, north };
+}
+
+function writeHeader(buffer, header) {
+  let offset = 0;
+  for (const value of header.center) { buffer.writeDoubleLE(value, offset); offset += 8; }
+  buffer.writeFloatLE(header.minimumHeight, offset); offset += 4;
+  buffer.writeFloatLE(header.maximumHeight, offset); offset += 4;
+  for (const value of header.boundingSphereCenter) { buffer.writeDoubleLE(value, offset); offset += 8; }
+  buffer.writeDoubleLE(header.boundingSphereRadius, offset); offset += 8;
+  for (const value of header.horizonOcclusionPoint) { buffer.writeDoubleLE(value, offset); offset += 8; }
+  return offset;
+}
+
+function writeDeltaEncoded(buffer, offset, values) {
+  let previous = 0;
+  for (let i = 0; i < values.length; i++) {
+    buffer.writeUInt16LE(zigZagEncode(values[i] - previous), offset);
+    previous = values[i];
+    offset += 2;
+  }
+  return offset;
+}
+
+function readDeltaEncoded(buffer, offset, values) {
+  let value = 0;
+  for (let i = 0; i < values.length; i++) {
+    value += zigZagDecode(buffer.readUInt16LE(offset));
+    values[i] = value;
+    offset += 2;
+  }
+  return offset;
+}
+
+function writeIndex(buffer, offset, value, use32) {
+  if (use32) {
+    buffer.writeUInt32LE(value, offset);
+    return offset + 4;
+  }
+  buffer.writeUInt16LE(value, offset);
+  return offset + 2;
+}
+
+function zigZagEncode(value) {
+  return ((value << 1) ^ (value >> 31)) & 0xffff;
+}
+
+function zigZagDecode(value) {
+  return (value >> 1) ^ -(value & 1);
+}
+
+function signNotZero(value) {
+  return value < 0 ? -1 : 1;
+}
+
+function toSNorm(value) {
+  return Math.round((Math.max(-1, Math.min(1, value)) * 0.5 + 0.5) * 255);
+}
+
+function alignTo(offset, alignment) {
+  const remainder = offset % alignment;
+  return remainder === 0 ? offset : offset + alignment - remainder;
+}
+
+function scaleToEllipsoid(p) {
+  return [p[0] / WGS84_A, p[1] / WGS84_A, p[2] / WGS84_B];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+function length(a) {
+  return Math.sqrt(dot(a, a));
+}
+
+function normalize(a) {
+  const len = length(a);
+  return len > 0 ? [a[0] / len, a[1] / len, a[2] / len] : [0, 0, 0];
+}
+
+module.exports = {
+  geodeticToEcef,
+  createGridMesh,
+  encodeQuantizedMeshTile,
+  decodeQuantizedMesh,
+  computeWaterMask,
+  octEncodeNormal,
+  octDecodeNormal,
+  QUANTIZED_MAX,
+  EXTENSION_IDS,
+};
@@ -0,0 +1,371 @@
+/**
+ * Out-of-core access to a GeoTIFF band. Pixels are read in blocks aligned with the
+ * file's internal tiles or strips, and decoded blocks are kept in a size-bounded LRU
+ * cache, so rasters much larger than memory can be sampled tile by tile.
+ */
+
+const { reduceBlocks } = require('./resampling');
+
+const DEFAULT_CACHE_BYTES = 256 * 1024 * 1024;
+
+// Strip-based files are grouped into blocks of at least this many pixels
+const MIN_STRIP_BLOCK_PIXELS = 256 * 256;
+
+// Reduced sources read at most this many source pixels at a time
+const MAX_REDUCE_READ_PIXELS = 1 << 22;
+
+/**
+ * Least-recently-used cache of decoded blocks, bounded by total size in bytes.
+ * One cache can be shared by several sources (e.g. a raster and its overviews).
+ */
+class BlockCache {
+  /**
+   * @param {number} [maxBytes] - Maximum total size of cached blocks (default 256 MB)
+   */
+  constructor(maxBytes = DEFAULT_CACHE_BYTES) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.entries = new Map(); // Key -> {block: Promise<TypedArray>, bytes}, least recently used first
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {string} key - Block key
+   * @returns {Promise<TypedArray>|undefined} Cached block, marked as most recently used
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.block;
+  }
+
+  /**
+   * Add a block, evicting least recently used blocks beyond the size limit.
+   * The newest block is always kept, even if it alone exceeds the limit.
+   * @param {string} key - Block key
+   * @param {Promise<TypedArray>} block - Decoded block
+   * @param {number} bytes - Size of the block in bytes
+   */
+  set(key, block, bytes) {
+    this.delete(key);
+    this.entries.set(key, { block, bytes });
+    this.bytes += bytes;
+    while (this.bytes > this.maxBytes && this.entries.size > 1) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.bytes;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+let nextSourceId = 0;
+
+/**
+ * @typedef {Object} RasterSourceOptions
+ * @property {BlockCache} [cache] - Shared block cache
+ * @property {number} [cacheBytes] - Size of a private block cache when no shared cache is given (default 256 MB)
+ * @property {number} [blockSize] - Override the block size with square blocks of this many pixels
+ */
+
+/**
+ * Block-cached reader for the first band of a GeoTIFF image.
+ */
+class RasterSource {
+  /**
+   * @param {Object} image - geotiff.js GeoTIFFImage
+   * @param {RasterSourceOptions} [options] - Source options
+   */
+  constructor(image, options = {}) {
+    this.image = image;
+    this.width = image.getWidth();
+    this.height = image.getHeight();
+
+    if (options.blockSize) {
+      this.blockWidth = options.blockSize;
+      this.blockHeight = options.blockSize;
+    } else if (image.isTiled) {
+      this.blockWidth = image.getTileWidth();
+      this.blockHeight = image.getTileHeight();
+    } else {
+      const rowsPerStrip = Math.min(image.getTileHeight(), this.height);
+      const stripsPerBlock = Math.max(1, Math.ceil(MIN_STRIP_BLOCK_PIXELS / (this.width * rowsPerStrip)));
+      this.blockWidth = this.width;
+      this.blockHeight = Math.min(this.height, rowsPerStrip * stripsPerBlock);
+    }
+
+    this.blocksX = Math.ceil(this.width / this.blockWidth);
+    this.blocksY = Math.ceil(this.height / this.blockHeight);
+    this.cache = options.cache || new BlockCache(options.cacheBytes);
+    this.cacheId = nextSourceId++;
+  }
+
+  /**
+   * Read a block, decoding it on a cache miss. Concurrent requests for the same block
+   * share one read.
+   * @param {number} bx - Block column
+   * @param {number} by - Block row
+   * @returns {Promise<TypedArray>} Block pixels, row-major with width getBlockWindow()[2] - [0]
+   */
+  readBlock(bx, by) {
+    const key = `${this.cacheId}/${bx}/${by}`;
+    let block = this.cache.get(key);
+    if (block) {
+      return block;
+    }
+
+    const window = this.getBlockWindow(bx, by);
+    block = this.image.readRasters({ window, samples: [0] }).then(rasters => rasters[0]);
+    block.catch(() => this.cache.delete(key));
+    this.cache.set(key, block, (window[2] - window[0]) * (window[3] - window[1]) * this.image.getSampleByteSize(0));
+
+    return block;
+  }
+
+  /**
+   * @param {number} bx - Block column
+   * @param {number} by - Block row
+   * @returns {Array<number>} Pixel window [x0, y0, x1, y1] of the block (end-exclusive)
+   */
+  getBlockWindow(bx, by) {
+    return [
+      bx * this.blockWidth,
+      by * this.blockHeight,
+      Math.min(this.width, (bx + 1) * this.blockWidth),
+      Math.min(this.height, (by + 1) * this.blockHeight),
+    ];
+  }
+
+  /**
+   * Read a rectangular window of pixels.
+   * @param {Array<number>} window - Pixel window [x0, y0, x1, y1] (end-exclusive)
+   * @returns {Promise<Float32Array>} Window pixels, row-major
+   */
+  async readWindow(window) {
+    const [x0, y0, x1, y1] = window;
+    const width = x1 - x0;
+    const result = new Float32Array(width * (y1 - y0));
+
+    for (let by = Math.floor(y0 / this.blockHeight); by * this.blockHeight < y1; by++) {
+      for (let bx = Math.floor(x0 / this.blockWidth); bx * this.blockWidth < x1; bx++) {
+        const block = await this.readBlock(bx, by);
+        const [bx0, by0, bx1, by1] = this.getBlockWindow(bx, by);
+        const blockWidth = bx1 - bx0;
+
+        for (let y = Math.max(y0, by0); y < Math.min(y1, by1); y++) {
+          for (let x = Math.max(x0, bx0); x < Math.min(x1, bx1); x++) {
+            result[(y - y0) * width + (x - x0)] = block[(y - by0) * blockWidth + (x - bx0)];
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read individual pixels. Requests are grouped by block so every block is decoded
+   * at most once per call, keeping memory bounded by the cache even when the pixels
+   * are spread over the whole raster.
+   * @param {Int32Array|Array<number>} columns - Pixel columns
+   * @param {Int32Array|Array<number>} rows - Pixel rows
+   * @returns {Promise<Float32Array>} Pixel values in request order
+   */
+  async readPixels(columns, rows) {
+    const values = new Float32Array(columns.length);
+    const requestsByBlock = new Map();
+
+    for (let i = 0; i < columns.length; i++) {
+      const key = Math.floor(rows[i] / this.blockHeight) * this.blocksX + Math.floor(columns[i] / this.blockWidth);
+      let requests = requestsByBlock.get(key);
+      if (!requests) {
+        requests = [];
+        requestsByBlock.set(key, requests);
+      }
+      requests.push(i);
+    }
+
+    for (const [key, requests] of requestsByBlock) {
+      const bx = key % this.blocksX;
+      const by = Math.floor(key / this.blocksX);
+      const block = await this.readBlock(bx, by);
+      const [bx0, by0, bx1] = this.getBlockWindow(bx, by);
+      const blockWidth = bx1 - bx0;
+
+      for (const i of requests) {
+        values[i] = block[(rows[i] - by0) * blockWidth + (columns[i] - bx0)];
+      }
+    }
+
+    return values;
+  }
+
+}
+
+/**
+ * Raster held in memory with the reading interface of RasterSource, for grids that
+ * are small enough to load whole (e.g. .gtx geoid grids).
+ */
+class ArrayRasterSource {
+  /**
+   * @param {Float32Array} data - Pixels, row-major with row 0 at the top
+   * @param {number} width - Raster width
+   * @param {number} height - Raster height
+   */
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+
+  async readWindow(window) {
+    const [x0, y0, x1, y1] = window;
+    const width = x1 - x0;
+    const result = new Float32Array(width * (y1 - y0));
+    for (let y = y0; y < y1; y++) {
+      result.set(this.data.subarray(y * this.width + x0, y * this.width + x1), (y - y0) * width);
+    }
+    return result;
+  }
+
+  async readPixels(columns, rows) {
+    const values = new Float32Array(columns.length);
+    for (let i = 0; i < columns.length; i++) {
+      values[i] = this.data[rows[i] * this.width + columns[i]];
+    }
+    return values;
+  }
+}
+
+/**
+ * Raster reduced by whole factors (see reduceBlocks in resampling.js), with the reading
+ * interface of RasterSource. Reduced pixels are computed on demand from the underlying
+ * source, a bounded number of source pixels at a time, so footprints spanning huge
+ * numbers of source pixels are integrated without holding them in memory.
+ */
+class ReducedRasterSource {
+  /**
+   * @param {RasterSource|ArrayRasterSource} source - Underlying source
+   * @param {number} factorX - Source pixels per reduced pixel along X
+   * @param {number} factorY - Source pixels per reduced pixel along Y
+   * @param {string} method - Resampling method the reduced raster is read with
+   * @param {number} [noDataValue] - No data value of the source
+   */
+  constructor(source, factorX, factorY, method, noDataValue) {
+    this.source = source;
+    this.factorX = factorX;
+    this.factorY = factorY;
+    this.method = method;
+    this.noDataValue = noDataValue;
+    this.width = Math.ceil(source.width / factorX);
+    this.height = Math.ceil(source.height / factorY);
+  }
+
+  /**
+   * @param {Array<number>} window - Reduced pixel window [x0, y0, x1, y1] (end-exclusive)
+   * @returns {Promise<Float32Array>} Window pixels, row-major
+   */
+  async readWindow(window) {
+    const [x0, y0, x1, y1] = window;
+    const { factorX, factorY } = this;
+    const width = x1 - x0;
+    const result = new Float32Array(width * (y1 - y0));
+    const chunkWidth = Math.min(width, Math.max(1, Math.floor(MAX_REDUCE_READ_PIXELS / (factorX * factorY))));
+    const chunkHeight = Math.max(1, Math.floor(MAX_REDUCE_READ_PIXELS / (chunkWidth * factorX * factorY)));
+
+    for (let cy = y0; cy < y1; cy += chunkHeight) {
+      for (let cx = x0; cx < x1; cx += chunkWidth) {
+        const sourceWindow = [
+          cx * factorX,
+          cy * factorY,
+          Math.min(this.source.width, Math.min(x1, cx + chunkWidth) * factorX),
+          Math.min(this.source.height, Math.min(y1, cy + chunkHeight) * factorY),
+        ];
+        const sourceWidth = sourceWindow[2] - sourceWindow[0];
+        const sourceHeight = sourceWindow[3] - sourceWindow[1];
+        const reduced = reduceBlocks(
+          await this.source.readWindow(sourceWindow),
+          sourceWidth,
+          sourceHeight,
+          factorX,
+          factorY,
+          this.method,
+          this.noDataValue
+        );
+        const reducedWidth = Math.ceil(sourceWidth / factorX);
+        for (let i = 0; i < reduced.length; i++) {
+          const x = cx + i % reducedWidth;
+          const y = cy + Math.floor(i / reducedWidth);
+          result[(y - y0) * width + (x - x0)] = reduced[i];
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {Int32Array|Array<number>} columns - Reduced pixel columns
+   * @param {Int32Array|Array<number>} rows - Reduced pixel rows
+   * @returns {Promise<Float32Array>} Pixel values in request order
+   */
+  async readPixels(columns, rows) {
+    const { factorX, factorY } = this;
+    const values = new Float32Array(columns.length);
+    const pixelsPerRead = Math.max(1, Math.floor(MAX_REDUCE_READ_PIXELS / (factorX * factorY)));
+
+    for (let start = 0; start < columns.length; start += pixelsPerRead) {
+      const end = Math.min(columns.length, start + pixelsPerRead);
+      // Source pixels of every requested block, block after block, row-major within blocks
+      const blocks = [];
+      const sourceColumns = [];
+      const sourceRows = [];
+      for (let i = start; i < end; i++) {
+        const bx0 = columns[i] * factorX;
+        const by0 = rows[i] * factorY;
+        const bx1 = Math.min(this.source.width, bx0 + factorX);
+        const by1 = Math.min(this.source.height, by0 + factorY);
+        blocks.push([sourceColumns.length, bx1 - bx0, by1 - by0]);
+        for (let y = by0; y < by1; y++) {
+          for (let x = bx0; x < bx1; x++) {
+            sourceColumns.push(x);
+            sourceRows.push(y);
+          }
+        }
+      }
+
+      const pixels = await this.source.readPixels(Int32Array.from(sourceColumns), Int32Array.from(sourceRows));
+      blocks.forEach(([offset, blockWidth, blockHeight], i) => {
+        const block = pixels.subarray(offset, offset + blockWidth * blockHeight);
+        values[start + i] = reduceBlocks(block, blockWidth, blockHeight, blockWidth, blockHeight, this.method, this.noDataValue)[0];
+      });
+    }
+
+    return values;
+  }
+}
+
+module.exports = {
+  BlockCache,
+  RasterSource,
+  ArrayRasterSource,
+  ReducedRasterSource,
+  DEFAULT_CACHE_BYTES,
+};
@@ -0,0 +1,314 @@
+/**
+ * Resampling kernels reading rasters at fractional pixel positions.
+ *
+ * Interpolating kernels (nearest, bilinear, bicubic, lanczos) weight the pixels around a
+ * position. When downsampling, every sample stands for a footprint several source pixels
+ * wide: the kernels are stretched by the footprint scale so they integrate the whole
+ * footprint instead of point-sampling it, which aliases. Area kernels (average, min, max)
+ * reduce the pixels overlapped by the footprint box, the average weighting each by its
+ * overlap. Nearest always picks a single pixel. Footprints wider than
+ * MAX_FOOTPRINT_SCALE pixels are integrated from the raster pre-reduced by whole factors
+ * (see reduceBlocks), so every source pixel still counts at a bounded number of taps per
+ * sample.
+ *
+ * Pixel (0, 0) is the center of the top-left pixel. No-data pixels are left out and the
+ * remaining weights renormalized; kernels with negative lobes (bicubic, lanczos) fall back
+ * to bilinear next to no-data, where renormalizing could overshoot. Samples without any
+ * valid pixel are no-data.
+ */
+
+const RESAMPLING_METHODS = ['nearest', 'bilinear', 'bicubic', 'lanczos', 'average', 'min', 'max'];
+
+// Kernels tap footprints up to this many pixels per axis directly; wider footprints
+// (DEMs without overviews at low zoom levels) are tapped in a pre-reduced raster
+const MAX_FOOTPRINT_SCALE = 4;
+
+/**
+ * Separable filters: support radius in pixels at scale 1, and weight at offset t.
+ */
+const FILTERS = {
+  bilinear: { radius: 1, weight: t => 1 - Math.abs(t) },
+  // Keys cubic convolution with a = -0.5 (Catmull-Rom)
+  bicubic: {
+    radius: 2,
+    weight: t => {
+      const x = Math.abs(t);
+      if (x < 1) {
+        return (1.5 * x - 2.5) * x * x + 1;
+      }
+      return ((-0.5 * x + 2.5) * x - 4) * x + 2;
+    },
+  },
+  lanczos: {
+    radius: 3,
+    weight: t => {
+      if (t === 0) {
+        return 1;
+      }
+      const x = Math.PI * t;
+      return 3 * Math.sin(x) * Math.sin(x / 3) / (x * x);
+    },
+  },
+};
+
+// Per-axis tap weights, reused between samples
+let weightsX = new Float64Array(64);
+let weightsY = new Float64Array(64);
+
+/**
+ * Validate a resampling method name.
+ * @param {string} [method] - Method name (default 'bilinear')
+ * @returns {string} The method
+ */
+function parseResampling(method = 'bilinear') {
+  if (!RESAMPLING_METHODS.includes(method)) {
+    throw new Error(`Unsupported resampling: ${method} (expected ${RESAMPLING_METHODS.slice(0, -1).join(', ')} or max)`);
+  }
+  return method;
+}
+
+/**
+ * Clamp a footprint scale to at least one pixel (upsampling interpolates).
+ * @param {number} scale - Source pixels covered by one sample along an axis
+ * @returns {number} Clamped scale (1 for NaN)
+ */
+function clampFootprint(scale) {
+  return scale > 1 ? scale : 1;
+}
+
+/**
+ * Whole factors to pre-reduce a raster by before resampling it, so the kernel taps at
+ * most MAX_FOOTPRINT_SCALE reduced pixels per axis of the footprint.
+ * @param {string} method - Resampling method
+ * @param {Array<number>} footprint - [scaleX, scaleY] in source pixels (see clampFootprint)
+ * @returns {Array<number>} [factorX, factorY]; [1, 1] when the kernel taps the raster itself
+ */
+function getReductionFactors(method, footprint) {
+  if (method === 'nearest') {
+    return [1, 1];
+  }
+  return footprint.map(scale => Math.max(1, Math.ceil(scale / MAX_FOOTPRINT_SCALE)));
+}
+
+/**
+ * Reduce a raster by whole factors. Every reduced pixel summarizes a block of
+ * factorX x factorY pixels (fewer along the right and bottom edges) aligned on the
+ * raster's first pixel: their minimum or maximum for min and max, which keeps every
+ * extreme in reach of the footprint, and their mean for the other kernels, which then
+ * filter the means. No-data pixels are left out; blocks without valid pixels are no-data.
+ * @param {TypedArray} data - Raster values, row-major
+ * @param {number} width - Raster width
+ * @param {number} height - Raster height
+ * @param {number} factorX - Pixels per block along X
+ * @param {number} factorY - Pixels per block along Y
+ * @param {string} method - Resampling method the reduced raster is read with
+ * @param {number} [noDataValue] - No data value
+ * @returns {Float32Array} Reduced raster of ceil(width / factorX) x ceil(height / factorY) pixels
+ */
+function reduceBlocks(data, width, height, factorX, factorY, method, noDataValue) {
+  const reducedWidth = Math.ceil(width / factorX);
+  const reducedHeight = Math.ceil(height / factorY);
+  const result = new Float32Array(reducedWidth * reducedHeight);
+  const extremes = method === 'min' || method === 'max';
+
+  for (let by = 0; by < reducedHeight; by++) {
+    const y1 = Math.min(height, (by + 1) * factorY);
+    for (let bx = 0; bx < reducedWidth; bx++) {
+      const x1 = Math.min(width, (bx + 1) * factorX);
+      let sum = 0;
+      let count = 0;
+      let extreme = NaN;
+      for (let y = by * factorY; y < y1; y++) {
+        for (let x = bx * factorX; x < x1; x++) {
+          const value = data[y * width + x];
+          if (Number.isNaN(value) || value === noDataValue) {
+            continue;
+          }
+          if (!extremes) {
+            sum += value;
+            count++;
+          } else if (Number.isNaN(extreme) || (method === 'max' ? value > extreme : value < extreme)) {
+            extreme = value;
+          }
+        }
+      }
+      const reduced = extremes ? extreme : (count > 0 ? sum / count : NaN);
+      result[by * reducedWidth + bx] = Number.isNaN(reduced) ? (noDataValue ?? NaN) : reduced;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert pixel positions to the pixels of a raster reduced by reduceBlocks().
+ * @param {Float64Array} pixels - Interleaved [column, row] per sample
+ * @param {number} factorX - Reduction factor along X
+ * @param {number} factorY - Reduction factor along Y
+ * @returns {Float64Array} Interleaved [column, row] in the reduced raster
+ */
+function toReducedPixels(pixels, factorX, factorY) {
+  const reduced = new Float64Array(pixels.length);
+  for (let i = 0; i < pixels.length; i += 2) {
+    reduced[i] = (pixels[i] + 0.5) / factorX - 0.5;
+    reduced[i + 1] = (pixels[i + 1] + 0.5) / factorY - 0.5;
+  }
+  return reduced;
+}
+
+/**
+ * Range of pixels along one axis with a non-zero weight for a sample.
+ * @param {string} method - Resampling method
+ * @param {number} p - Sample position along the axis, in pixels
+ * @param {number} scale - Footprint scale along the axis (1 when not downsampling)
+ * @returns {Array<number>} First and last pixel, inclusive; may lie outside the raster
+ */
+function getTapRange(method, p, scale) {
+  if (method === 'nearest') {
+    const index = Math.round(p);
+    return [index, index];
+  }
+  // Area kernels overlap pixels within half a pixel of the footprint box
+  const reach = FILTERS[method] ? FILTERS[method].radius * scale : (scale + 1) / 2;
+  return [Math.floor(p - reach) + 1, Math.ceil(p + reach) - 1];
+}
+
+/**
+ * Weights of `count` pixels from `start` along one axis of a sample.
+ * @returns {Float64Array} Weights (a shared buffer: valid until the next call for the same axis)
+ */
+function computeTapWeights(method, p, scale, start, count, weights) {
+  const filter = FILTERS[method];
+  for (let k = 0; k < count; k++) {
+    const x = start + k;
+    if (filter) {
+      weights[k] = filter.weight((x - p) / scale);
+    } else if (method === 'nearest') {
+      weights[k] = 1;
+    } else {
+      weights[k] = Math.min(x + 0.5, p + scale / 2) - Math.max(x - 0.5, p - scale / 2);
+    }
+  }
+  return weights;
+}
+
+/**
+ * Resample one sample.
+ * @param {string} method - Resampling method (see RESAMPLING_METHODS)
+ * @param {Function} read - Returns the value of pixel (x, y); x and y can lie outside the
+ *   raster, where the reader clamps them to its edges
+ * @param {number} px - Sample column
+ * @param {number} py - Sample row
+ * @param {number} scaleX - Footprint width in pixels (1 when not downsampling)
+ * @param {number} scaleY - Footprint height in pixels
+ * @param {number} [noDataValue] - No data value, left out like NaN
+ * @returns {number} Resampled value, or noDataValue (NaN when undefined)
+ */
+function resamplePixel(method, read, px, py, scaleX, scaleY, noDataValue) {
+  const isValid = v => !Number.isNaN(v) && v !== noDataValue;
+  const [x0, x1] = getTapRange(method, px, scaleX);
+  const [y0, y1] = getTapRange(method, py, scaleY);
+  const countX = x1 - x0 + 1;
+  const countY = y1 - y0 + 1;
+
+  if (method === 'min' || method === 'max') {
+    let result = NaN;
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const value = read(x, y);
+        if (isValid(value) && (Number.isNaN(result) || (method === 'max' ? value > result : value < result))) {
+          result = value;
+        }
+      }
+    }
+    return Number.isNaN(result) && noDataValue !== undefined ? noDataValue : result;
+  }
+
+  if (countX > weightsX.length) {
+    weightsX = new Float64Array(countX * 2);
+  }
+  if (countY > weightsY.length) {
+    weightsY = new Float64Array(countY * 2);
+  }
+  const wx = computeTapWeights(method, px, scaleX, x0, countX, weightsX);
+  const wy = computeTapWeights(method, py, scaleY, y0, countY, weightsY);
+  const hasNegativeLobes = method === 'bicubic' || method === 'lanczos';
+
+  let sum = 0;
+  let weight = 0;
+  for (let j = 0; j < countY; j++) {
+    for (let k = 0; k < countX; k++) {
+      const w = wx[k] * wy[j];
+      const value = read(x0 + k, y0 + j);
+      if (isValid(value)) {
+        sum += value * w;
+        weight += w;
+      } else if (hasNegativeLobes && w !== 0) {
+        return resamplePixel('bilinear', read, px, py, scaleX, scaleY, noDataValue);
+      }
+    }
+  }
+
+  if (weight > 0) {
+    return sum / weight;
+  }
+  return noDataValue === undefined ? NaN : noDataValue;
+}
+
+/**
+ * Resample a raster held in memory. Sample positions and kernel taps outside the raster
+ * are clamped to its edges.
+ * @param {TypedArray} data - Raster values, row-major
+ * @param {number} width - Raster width
+ * @param {number} height - Raster height
+ * @param {Float64Array} pixels - Interleaved [column, row] per sample
+ * @param {string} [method] - Resampling method (default 'bilinear')
+ * @param {Array<number>} [footprint] - [scaleX, scaleY]: source pixels covered by every sample
+ *   (see clampFootprint); [1, 1] when omitted
+ * @param {number} [noDataValue] - No data value, excluded from resampling
+ * @returns {Float32Array} One value per sample
+ */
+function resampleRaster(data, width, height, pixels, method = 'bilinear', footprint = [1, 1], noDataValue) {
+  const [factorX, factorY] = getReductionFactors(method, footprint);
+  if (factorX > 1 || factorY > 1) {
+    return resampleRaster(
+      reduceBlocks(data, width, height, factorX, factorY, method, noDataValue),
+      Math.ceil(width / factorX),
+      Math.ceil(height / factorY),
+      toReducedPixels(pixels, factorX, factorY),
+      method,
+      [footprint[0] / factorX, footprint[1] / factorY],
+      noDataValue
+    );
+  }
+
+  const result = new Float32Array(pixels.length / 2);
+  const read = (x, y) => data[Math.max(0, Math.min(height - 1, y)) * width + Math.max(0, Math.min(width - 1, x))];
+
+  for (let i = 0; i < result.length; i++) {
+    result[i] = resamplePixel(
+      method,
+      read,
+      Math.max(0, Math.min(width - 1, pixels[i * 2])),
+      Math.max(0, Math.min(height - 1, pixels[i * 2 + 1])),
+      footprint[0],
+      footprint[1],
+      noDataValue
+    );
+  }
+
+  return result;
+}
+
+module.exports = {
+  RESAMPLING_METHODS,
+  MAX_FOOTPRINT_SCALE,
+  parseResampling,
+  clampFootprint,
+  getReductionFactors,
+  reduceBlocks,
+  toReducedPixels,
+  getTapRange,
+  resamplePixel,
+  resampleRaster,
+};
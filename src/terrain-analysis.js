@@ -0,0 +1,196 @@
+/**
+ * Terrain imagery derived from tile elevation grids: hillshade, slope and aspect.
+ *
+ * Every output pixel looks at its 3x3 neighbourhood, so tiles are sampled with one
+ * buffer sample past each edge, read from the DEMs at the neighbouring tiles' sample
+ * positions; pixels along tile edges then shade exactly like their neighbours across the
+ * edge and no seams show. Gradients follow Horn's method (as GDAL's gdaldem), with cell
+ * sizes in meters taken from the sample positions, so any tiling scheme and latitude
+ * shades alike.
+ *
+ * Images are 8-bit grayscale:
+ * - hillshade: multidirectional (light from 225, 270, 315 and 360 degrees at 45 degrees
+ *   altitude, each weighted by the slope's orientation, as gdaldem -multidirectional);
+ *   0 is unlit, 255 fully lit
+ * - slope: degrees * 255 / 90
+ * - aspect: compass direction the slope faces, degrees * 255 / 360 clockwise from north,
+ *   transparent where the terrain is flat
+ */
+
+const { EARTH_RADIUS } = require('./tiling');
+const { encodeImage } = require('./terrain-encoder');
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Light directions of the multidirectional hillshade, in degrees clockwise from north
+const HILLSHADE_AZIMUTHS = [225, 270, 315, 360];
+const HILLSHADE_ALTITUDE = 45;
+
+/**
+ * @typedef {Object} Gradients
+ * @property {Float32Array} east - Height change in meters per meter eastward
+ * @property {Float32Array} north - Height change in meters per meter northward
+ * @property {number} width - Pixels per row
+ * @property {number} height - Rows
+ */
+
+/**
+ * Renderers of the derived products: channels of the image and pixel values from gradients.
+ */
+const TERRAIN_PRODUCTS = {
+  hillshade: {
+    channels: 1,
+    render: (gradients, pixels) => {
+      const shade = computeHillshade(gradients);
+      for (let i = 0; i < shade.length; i++) {
+        pixels[i] = Math.round(shade[i] * 255);
+      }
+    },
+  },
+  slope: {
+    channels: 1,
+    render: (gradients, pixels) => {
+      const slope = computeSlope(gradients);
+      for (let i = 0; i < slope.length; i++) {
+        pixels[i] = Math.round(slope[i] * 255 / 90);
+      }
+    },
+  },
+  aspect: {
+    channels: 2,
+    render: (gradients, pixels) => {
+      const aspect = computeAspect(gradients);
+      for (let i = 0; i < aspect.length; i++) {
+        const flat = Number.isNaN(aspect[i]);
+        pixels[i * 2] = flat ? 0 : Math.round(aspect[i] * 255 / 360) % 256;
+        pixels[i * 2 + 1] = flat ? 0 : 255;
+      }
+    },
+  },
+};
+
+/**
+ * Horn gradients of a grid with a one-sample buffer around it.
+ * @param {Float32Array} grid - (width + 2) x (height + 2) heights in meters, row 0 is the
+ *   northern edge
+ * @param {number} width - Output pixels per row
+ * @param {number} height - Output rows
+ * @param {Float64Array} positions - Interleaved [lon, lat] of every grid sample
+ * @returns {Gradients} Gradients of the inner width x height samples
+ */
+function computeGradients(grid, width, height, positions) {
+  const stride = width + 2;
+  const east = new Float32Array(width * height);
+  const north = new Float32Array(width * height);
+  const lon = (row, col) => positions[(row * stride + col) * 2];
+  const lat = (row, col) => positions[(row * stride + col) * 2 + 1];
+  const z = (row, col) => grid[row * stride + col];
+
+  for (let row = 1; row <= height; row++) {
+    for (let col = 1; col <= width; col++) {
+      // Ground distance between the western and eastern, and the northern and southern neighbours
+      let spanLon = lon(row, col + 1) - lon(row, col - 1);
+      if (spanLon > 180) {
+        spanLon -= 360;
+      } else if (spanLon < -180) {
+        spanLon += 360;
+      }
+      const spanX = EARTH_RADIUS * Math.cos(lat(row, col) * DEG_TO_RAD) * spanLon * DEG_TO_RAD;
+      const spanY = EARTH_RADIUS * (lat(row - 1, col) - lat(row + 1, col)) * DEG_TO_RAD;
+
+      const i = (row - 1) * width + col - 1;
+      const westSum = z(row - 1, col - 1) + 2 * z(row, col - 1) + z(row + 1, col - 1);
+      const eastSum = z(row - 1, col + 1) + 2 * z(row, col + 1) + z(row + 1, col + 1);
+      const northSum = z(row - 1, col - 1) + 2 * z(row - 1, col) + z(row - 1, col + 1);
+      const southSum = z(row + 1, col - 1) + 2 * z(row + 1, col) + z(row + 1, col + 1);
+      east[i] = spanX > 0 ? (eastSum - westSum) / (4 * spanX) : 0;
+      north[i] = spanY > 0 ? (northSum - southSum) / (4 * spanY) : 0;
+    }
+  }
+
+  return { east, north, width, height };
+}
+
+/**
+ * @param {Gradients} gradients - Gradients from computeGradients()
+ * @returns {Float32Array} Slope in degrees, 0 (flat) to 90
+ */
+function computeSlope({ east, north }) {
+  const slope = new Float32Array(east.length);
+  for (let i = 0; i < slope.length; i++) {
+    slope[i] = Math.atan(Math.hypot(east[i], north[i])) / DEG_TO_RAD;
+  }
+  return slope;
+}
+
+/**
+ * @param {Gradients} gradients - Gradients from computeGradients()
+ * @returns {Float32Array} Downslope direction in degrees clockwise from north, [0, 360), or
+ *   NaN where the terrain is flat
+ */
+function computeAspect({ east, north }) {
+  const aspect = new Float32Array(east.length);
+  for (let i = 0; i < aspect.length; i++) {
+    if (east[i] === 0 && north[i] === 0) {
+      aspect[i] = NaN;
+    } else {
+      const degrees = Math.atan2(-east[i], -north[i]) / DEG_TO_RAD;
+      aspect[i] = degrees < 0 ? degrees + 360 : degrees;
+    }
+  }
+  return aspect;
+}
+
+/**
+ * Multidirectional hillshade: the illumination from each of HILLSHADE_AZIMUTHS, weighted by
+ * sin^2 of the angle between the light and the slope's orientation, so lights across the
+ * slope count most (Mark, 1992).
+ * @param {Gradients} gradients - Gradients from computeGradients()
+ * @returns {Float32Array} Illumination from 0 (unlit) to 1
+ */
+function computeHillshade({ east, north }) {
+  const shade = new Float32Array(east.length);
+  const sinAltitude = Math.sin(HILLSHADE_ALTITUDE * DEG_TO_RAD);
+  const cosAltitude = Math.cos(HILLSHADE_ALTITUDE * DEG_TO_RAD);
+  const lights = HILLSHADE_AZIMUTHS.map(azimuth => azimuth * DEG_TO_RAD);
+
+  for (let i = 0; i < shade.length; i++) {
+    // Surface normal (-east, -north, 1), normalized
+    const length = Math.sqrt(1 + east[i] * east[i] + north[i] * north[i]);
+    const aspect = Math.atan2(-east[i], -north[i]);
+    let sum = 0;
+    for (const azimuth of lights) {
+      const lit = (-east[i] * Math.sin(azimuth) * cosAltitude - north[i] * Math.cos(azimuth) * cosAltitude + sinAltitude) / length;
+      const weight = Math.sin(aspect - azimuth) ** 2;
+      sum += weight * Math.max(0, lit);
+    }
+    // The weights of four lights 45 degrees apart add up to 2
+    shade[i] = Math.min(1, sum / 2);
+  }
+  return shade;
+}
+
+/**
+ * Render a derived product of a buffered tile grid as an image.
+ * @param {string} product - 'hillshade', 'slope' or 'aspect'
+ * @param {Float32Array} grid - (tileSize + 2)^2 heights with a one-sample buffer
+ * @param {number} tileSize - Output pixels per side
+ * @param {Float64Array} positions - Interleaved [lon, lat] of every grid sample
+ * @param {string} imageFormat - 'png' or 'webp' (lossless)
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function encodeTerrainImagery(product, grid, tileSize, positions, imageFormat) {
+  const { channels, render } = TERRAIN_PRODUCTS[product];
+  const pixels = Buffer.alloc(tileSize * tileSize * channels);
+  render(computeGradients(grid, tileSize, tileSize, positions), pixels);
+  return encodeImage(pixels, tileSize, tileSize, channels, imageFormat);
+}
+
+module.exports = {
+  TERRAIN_PRODUCTS,
+  computeGradients,
+  computeSlope,
+  computeAspect,
+  computeHillshade,
+  encodeTerrainImagery,
+};
@@ -1,6 +1,11 @@
 const sharp = require('sharp');
 const fs = require('fs-extra');
 const path = require('path');
+const { createGridMesh, encodeQuantizedMeshTile } = require('./quantized-mesh');
+const { clampFootprint, resampleRaster } = require('./resampling');
+
+// Samples per side of a Cesium heightmap-1.0 tile
+const HEIGHTMAP_SIZE = 65;
 
 /**
  * @typedef {Object} TerrainTileData
@@ -21,32 +26,158 @@ const path = require('path');
  * @returns {Promise<Buffer>} PNG buffer
  */
 async function encodeHeightmapPNG(elevationData, width, height, minElevation, maxElevation) {
-  // Convert elevation data to 16-bit unsigned integers
-  // Map elevation range to 0-65535
+  const uint16Data = quantizeHeights(elevationData, minElevation, maxElevation);
+
+  // Typed arrays of 16-bit samples are read as 16-bit raw pixels
+  return sharp(uint16Data, {
+    raw: {
+      width,
+      height,
+      channels: 1,
+    },
+  })
+    .toColourspace('grey16')
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+/**
+ * Encode elevation data as a headerless 16-bit little-endian heightmap (.r16, as imported
+ * by Unreal Engine), scaled like encodeHeightmapPNG().
+ * @param {Float32Array|Float64Array} elevationData - Elevation values
+ * @param {number} minElevation - Elevation mapped to 0
+ * @param {number} maxElevation - Elevation mapped to 65535
+ * @returns {Buffer} Raw buffer, 2 bytes per sample
+ */
+function encodeHeightmapR16(elevationData, minElevation, maxElevation) {
+  const levels = quantizeHeights(elevationData, minElevation, maxElevation);
+  const buffer = Buffer.alloc(levels.length * 2);
+  for (let i = 0; i < levels.length; i++) {
+    buffer.writeUInt16LE(levels[i], i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Map elevations linearly from [minElevation, maxElevation] to 16-bit levels 0-65535.
+ */
+function quantizeHeights(elevationData, minElevation, maxElevation) {
   const range = maxElevation - minElevation;
-  const uint16Data = new Uint16Array(width * height);
-  
+  const levels = new Uint16Array(elevationData.length);
   for (let i = 0; i < elevationData.length; i++) {
     const normalized = range > 0 ? (elevationData[i] - minElevation) / range : 0;
-    uint16Data[i] = Math.max(0, Math.min(65535, Math.round(normalized * 65535)));
+    levels[i] = Math.max(0, Math.min(65535, Math.round(normalized * 65535)));
   }
+  return levels;
+}
+
+/**
+ * Encode elevation data as a Mapbox Terrain-RGB image.
+ * Heights are decoded by clients as: height = -10000 + (R * 256 * 256 + G * 256 + B) * 0.1
+ * 
+ * @param {Float32Array|Float64Array} elevationData - Elevation values
+ * @param {number} width - Width of the tile
+ * @param {number} height - Height of the tile
+ * @param {string} imageFormat - Output image format: 'png' (default) or 'webp' (lossless)
+ * @returns {Promise<Buffer>} Encoded image buffer
+ */
+async function encodeTerrainRGB(elevationData, width, height, imageFormat = 'png') {
+  const rgb = Buffer.alloc(width * height * 3);
+  
+  for (let i = 0; i < width * height; i++) {
+    const value = Math.max(0, Math.min(0xffffff, Math.round((elevationData[i] + 10000) * 10)));
+    rgb[i * 3] = (value >> 16) & 0xff;
+    rgb[i * 3 + 1] = (value >> 8) & 0xff;
+    rgb[i * 3 + 2] = value & 0xff;
+  }
+  
+  return encodeImage(rgb, width, height, 3, imageFormat);
+}
+
+/**
+ * Encode elevation data as a Terrarium image (as used by Tangram and deck.gl's TerrainLayer).
+ * Heights are decoded by clients as: height = (R * 256 + G + B / 256) - 32768
+ * 
+ * @param {Float32Array|Float64Array} elevationData - Elevation values
+ * @param {number} width - Width of the tile
+ * @param {number} height - Height of the tile
+ * @param {string} imageFormat - Output image format: 'png' (default) or 'webp' (lossless)
+ * @returns {Promise<Buffer>} Encoded image buffer
+ */
+async function encodeTerrarium(elevationData, width, height, imageFormat = 'png') {
+  const rgb = Buffer.alloc(width * height * 3);
   
-  // Convert to Buffer (big-endian for PNG)
-  const buffer = Buffer.alloc(uint16Data.length * 2);
-  for (let i = 0; i < uint16Data.length; i++) {
-    buffer.writeUInt16BE(uint16Data[i], i * 2);
+  for (let i = 0; i < width * height; i++) {
+    // Quantize to 1/256 m so the blue channel carries the fractional part
+    const value = Math.max(0, Math.min(0xffffff, Math.round((elevationData[i] + 32768) * 256)));
+    rgb[i * 3] = (value >> 16) & 0xff;
+    rgb[i * 3 + 1] = (value >> 8) & 0xff;
+    rgb[i * 3 + 2] = value & 0xff;
   }
   
-  // Encode as PNG using sharp
-  return sharp(buffer, {
+  return encodeImage(rgb, width, height, 3, imageFormat);
+}
+
+/**
+ * Encode raw 8-bit pixels losslessly as PNG or WebP.
+ * @param {Buffer} pixels - Interleaved pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - 1 (grayscale), 2 (grayscale and alpha), 3 (RGB) or 4 (RGBA)
+ * @param {string} imageFormat - 'png' or 'webp'
+ * @returns {Promise<Buffer>} Encoded image buffer
+ */
+function encodeImage(pixels, width, height, channels, imageFormat) {
+  let image = sharp(pixels, {
     raw: {
       width,
       height,
-      channels: 1,
+      channels,
     },
-  })
-    .png({ compressionLevel: 9 })
-    .toBuffer();
+  });
+  if (channels <= 2) {
+    // Keep grayscale images single-channel (plus alpha) instead of expanding them to RGB
+    image = image.toColourspace('b-w');
+  }
+  
+  if (imageFormat === 'webp') {
+    return image.webp({ lossless: true }).toBuffer();
+  }
+  if (imageFormat !== 'png') {
+    throw new Error(`Unsupported image format: ${imageFormat} (expected png or webp)`);
+  }
+  
+  return image.png({ compressionLevel: 9 }).toBuffer();
+}
+
+/**
+ * Encode elevation data as a Cesium heightmap-1.0 terrain tile.
+ * Layout: 65x65 little-endian uint16 heights encoded as (height + 1000) * 5, followed by
+ * a child availability byte and the water mask (one byte or a 256x256 mask).
+ * 
+ * @param {Float32Array|Float64Array} elevationData - 65x65 elevation values (row 0 is the northern edge)
+ * @param {number} childMask - Child availability bits (1 = SW, 2 = SE, 4 = NW, 8 = NE)
+ * @param {number|Uint8Array} waterMask - 0 (all land), 255 (all water) or a 256x256 mask
+ * @returns {Buffer} Heightmap tile data
+ */
+function encodeCesiumHeightmap(elevationData, childMask, waterMask = 0) {
+  const sampleCount = HEIGHTMAP_SIZE * HEIGHTMAP_SIZE;
+  if (elevationData.length !== sampleCount) {
+    throw new Error(`Heightmap tiles require ${HEIGHTMAP_SIZE}x${HEIGHTMAP_SIZE} samples, got ${elevationData.length}`);
+  }
+  
+  const maskBytes = typeof waterMask === 'number' ? Buffer.from([waterMask]) : Buffer.from(waterMask);
+  const buffer = Buffer.alloc(sampleCount * 2 + 1 + maskBytes.length);
+  
+  for (let i = 0; i < sampleCount; i++) {
+    const value = Math.round((elevationData[i] + 1000) * 5);
+    buffer.writeUInt16LE(Math.max(0, Math.min(65535, value)), i * 2);
+  }
+  
+  buffer.writeUInt8(childMask & 0x0f, sampleCount * 2);
+  maskBytes.copy(buffer, sampleCount * 2 + 1);
+  
+  return buffer;
 }
 
 /**
@@ -65,48 +196,34 @@ function encodeRawHeightmap(elevationData) {
 }
 
 /**
- * Resample elevation data to a target tile size using bilinear interpolation.
+ * Resample elevation data to a target grid size. The first and last rows/columns of both
+ * grids coincide, as for tile grids sampling the tile edges. When downsampling, every
+ * target sample integrates its whole footprint (see resampling.js).
+ * NaN (no-data) samples are left out of the resampling; targets surrounded by no-data
+ * only stay NaN.
  * @param {Float32Array|Float64Array} sourceData - Source elevation data
  * @param {number} sourceWidth - Source width
  * @param {number} sourceHeight - Source height
  * @param {number} targetWidth - Target width
  * @param {number} targetHeight - Target height
+ * @param {string} [resampling] - Resampling method (default 'bilinear')
  * @returns {Float32Array} Resampled elevation data
  */
-function resampleElevationData(sourceData, sourceWidth, sourceHeight, targetWidth, targetHeight) {
-  const result = new Float32Array(targetWidth * targetHeight);
-  
-  const xRatio = sourceWidth / targetWidth;
-  const yRatio = sourceHeight / targetHeight;
-  
+function resampleElevationData(sourceData, sourceWidth, sourceHeight, targetWidth, targetHeight, resampling = 'bilinear') {
+  const xRatio = targetWidth > 1 ? (sourceWidth - 1) / (targetWidth - 1) : 0;
+  const yRatio = targetHeight > 1 ? (sourceHeight - 1) / (targetHeight - 1) : 0;
+  const pixels = new Float64Array(targetWidth * targetHeight * 2);
+
   for (let ty = 0; ty < targetHeight; ty++) {
     for (let tx = 0; tx < targetWidth; tx++) {
-      const sx = tx * xRatio;
-      const sy = ty * yRatio;
-      
-      const x0 = Math.floor(sx);
-      const y0 = Math.floor(sy);
-      const x1 = Math.min(x0 + 1, sourceWidth - 1);
-      const y1 = Math.min(y0 + 1, sourceHeight - 1);
-      
-      const xFrac = sx - x0;
-      const yFrac = sy - y0;
-      
-      // Bilinear interpolation
-      const v00 = sourceData[y0 * sourceWidth + x0];
-      const v10 = sourceData[y0 * sourceWidth + x1];
-      const v01 = sourceData[y1 * sourceWidth + x0];
-      const v11 = sourceData[y1 * sourceWidth + x1];
-      
-      const v0 = v00 * (1 - xFrac) + v10 * xFrac;
-      const v1 = v01 * (1 - xFrac) + v11 * xFrac;
-      const value = v0 * (1 - yFrac) + v1 * yFrac;
-      
-      result[ty * targetWidth + tx] = value;
+      const i = (ty * targetWidth + tx) * 2;
+      pixels[i] = tx === targetWidth - 1 ? sourceWidth - 1 : tx * xRatio;
+      pixels[i + 1] = ty === targetHeight - 1 ? sourceHeight - 1 : ty * yRatio;
     }
   }
-  
-  return result;
+
+  const footprint = [clampFootprint(xRatio), clampFootprint(yRatio)];
+  return resampleRaster(sourceData, sourceWidth, sourceHeight, pixels, resampling, footprint);
 }
 
 /**
@@ -154,77 +271,33 @@ async function writeTile(outputDir, z, x, y, data, extension = '.terrain') {
 }
 
 /**
- * Generate a simple quantized-mesh format tile (simplified version).
- * This is a basic implementation - production use would require full quantized-mesh spec.
+ * Encode elevation data as a quantized-mesh-1.0 tile using a regular grid mesh.
+ * The grid spans the full tile: the first/last columns lie on the west/east edges
+ * and the first/last rows on the north/south edges.
  * 
- * @param {Float32Array} elevationData - Elevation values
- * @param {number} width - Tile width
- * @param {number} height - Tile height
- * @param {Object} bounds - Tile geographic bounds
+ * @param {Float32Array} elevationData - Elevation values (row 0 is the northern edge)
+ * @param {number} width - Tile width in samples
+ * @param {number} height - Tile height in samples
+ * @param {Object} bounds - Tile geographic bounds {minX, minY, maxX, maxY} in degrees
+ * @param {Object} [extensions] - Optional extension blocks (vertexNormals, waterMask, metadata)
  * @returns {Buffer} Quantized-mesh formatted data
  */
-function encodeQuantizedMesh(elevationData, width, height, bounds) {
-  // This is a simplified stub for quantized-mesh format
-  // A full implementation would require:
-  // - Vertex quantization
-  // - Triangle indices
-  // - Edge indices
-  // - Vertex normals
-  // - Water mask
-  // - Metadata
-  
-  // For now, return a simple header + height data
-  const headerSize = 88; // Simplified header
-  const vertexCount = width * height;
-  const buffer = Buffer.alloc(headerSize + vertexCount * 2);
-  
-  // Write header (simplified)
-  let offset = 0;
-  
-  // Center coordinates (doubles)
-  buffer.writeDoubleLE((bounds.minX + bounds.maxX) / 2, offset); offset += 8;
-  buffer.writeDoubleLE((bounds.minY + bounds.maxY) / 2, offset); offset += 8;
-  buffer.writeDoubleLE(0, offset); offset += 8; // Elevation (placeholder)
-  
-  // Min/max height
-  let minHeight = Infinity;
-  let maxHeight = -Infinity;
-  for (let i = 0; i < elevationData.length; i++) {
-    minHeight = Math.min(minHeight, elevationData[i]);
-    maxHeight = Math.max(maxHeight, elevationData[i]);
-  }
-  
-  buffer.writeFloatLE(minHeight, offset); offset += 4;
-  buffer.writeFloatLE(maxHeight, offset); offset += 4;
-  
-  // Bounding sphere (simplified)
-  buffer.writeDoubleLE((bounds.minX + bounds.maxX) / 2, offset); offset += 8;
-  buffer.writeDoubleLE((bounds.minY + bounds.maxY) / 2, offset); offset += 8;
-  buffer.writeDoubleLE(0, offset); offset += 8;
-  buffer.writeDoubleLE(1000000, offset); offset += 8; // Radius (placeholder)
-  
-  // Horizon occlusion point (simplified)
-  buffer.writeDoubleLE(0, offset); offset += 8;
-  buffer.writeDoubleLE(0, offset); offset += 8;
-  buffer.writeDoubleLE(0, offset); offset += 8;
-  
-  // Vertex data (quantized heights)
-  const heightRange = maxHeight - minHeight;
-  for (let i = 0; i < vertexCount; i++) {
-    const normalized = heightRange > 0 ? (elevationData[i] - minHeight) / heightRange : 0;
-    const quantized = Math.round(normalized * 32767);
-    buffer.writeInt16LE(quantized, offset);
-    offset += 2;
-  }
-  
-  return buffer;
+function encodeQuantizedMesh(elevationData, width, height, bounds, extensions) {
+  const mesh = createGridMesh(elevationData, width, height);
+  return encodeQuantizedMeshTile(mesh, bounds, extensions);
 }
 
 module.exports = {
   encodeHeightmapPNG,
+  encodeHeightmapR16,
+  encodeTerrainRGB,
+  encodeTerrarium,
+  encodeCesiumHeightmap,
   encodeRawHeightmap,
   encodeQuantizedMesh,
+  encodeImage,
   resampleElevationData,
   extractRegion,
   writeTile,
+  HEIGHTMAP_SIZE,
 };
@@ -0,0 +1,354 @@
+/**
+ * Sampling of source DEM rasters into output tile grids.
+ * Every output sample is located in longitude/latitude, transformed into the source
+ * CRS and resampled from the raster (bilinear by default, see resampling.js), so DEMs in
+ * any supported projection can feed any tiling scheme.
+ */
+
+const { EARTH_RADIUS } = require('./tiling');
+const {
+  clampFootprint,
+  getReductionFactors,
+  toReducedPixels,
+  getTapRange,
+  resamplePixel,
+  resampleRaster,
+} = require('./resampling');
+const { ReducedRasterSource } = require('./raster-source');
+
+// Read a whole window when it holds at most this many source pixels per tile sample
+const MAX_WINDOW_SAMPLE_RATIO = 16;
+
+// Otherwise read the pixels of this many kernel taps at a time, through a window when
+// it holds at most this many pixels per tap
+const MAX_PIXEL_READS = 1 << 20;
+const MAX_WINDOW_TAP_RATIO = 4;
+
+/**
+ * Compute the longitude/latitude of every sample in a tile.
+ *
+ * 'pixels' sampling places samples at pixel centers, evenly spaced in the tiling
+ * scheme's native coordinates (image tiles). 'vertices' sampling places the first and
+ * last rows/columns on the tile edges, evenly spaced in longitude/latitude, matching
+ * how Cesium terrain formats interpolate their height grids. 'edges' sampling also puts
+ * samples on the tile edges, evenly spaced in native coordinates (image tiles with
+ * shared borders). Edge samples are placed exactly on the tile bounds, so neighbouring
+ * tiles sample their shared edge at identical positions. A buffer extends the grid past
+ * every tile edge with samples at the same spacing, where the neighbouring tiles sample.
+ *
+ * @param {import('./tiling').TileBounds} tileBounds - Tile bounds in degrees
+ * @param {number} tileSize - Samples per side
+ * @param {import('./tiling-scheme').TilingScheme} scheme - Tiling scheme of the tile
+ * @param {string} [sampling] - 'pixels' (default), 'vertices' or 'edges'
+ * @param {number} [buffer] - Extra samples past each tile edge (default 0)
+ * @returns {Float64Array} Interleaved [lon, lat] per sample, (tileSize + 2 * buffer)^2 samples
+ *   with row 0 the northern edge; latitudes of buffer samples are clamped to the poles
+ */
+function computeSamplePositions(tileBounds, tileSize, scheme, sampling = 'pixels', buffer = 0) {
+  const gridSize = tileSize + 2 * buffer;
+  const positions = new Float64Array(gridSize * gridSize * 2);
+  const step = tileSize > 1 ? tileSize - 1 : 1;
+  let i = 0;
+
+  if (sampling === 'vertices') {
+    for (let row = -buffer; row < tileSize + buffer; row++) {
+      const lat = Math.max(-90, Math.min(90, interpolateEdges(tileBounds.maxY, tileBounds.minY, row, step)));
+      for (let col = -buffer; col < tileSize + buffer; col++) {
+        positions[i++] = interpolateEdges(tileBounds.minX, tileBounds.maxX, col, step);
+        positions[i++] = lat;
+      }
+    }
+    return positions;
+  }
+
+  const [minX, minY] = scheme.project(tileBounds.minX, tileBounds.minY);
+  const [maxX, maxY] = scheme.project(tileBounds.maxX, tileBounds.maxY);
+  const edges = sampling === 'edges';
+
+  for (let row = -buffer; row < tileSize + buffer; row++) {
+    const y = edges ? interpolateEdges(maxY, minY, row, step) : maxY - (maxY - minY) * (row + 0.5) / tileSize;
+    for (let col = -buffer; col < tileSize + buffer; col++) {
+      const x = edges ? interpolateEdges(minX, maxX, col, step) : minX + (maxX - minX) * (col + 0.5) / tileSize;
+      const [lon, lat] = scheme.unproject(x, y);
+      positions[i++] = lon;
+      positions[i++] = Math.max(-90, Math.min(90, lat));
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Position of sample `index` of `step + 1` samples running from one tile edge to the
+ * other. The last sample is the far edge itself rather than `start + (end - start)`,
+ * which can differ from it in the last bit.
+ */
+function interpolateEdges(start, end, index, step) {
+  return index === step ? end : start + (end - start) * index / step;
+}
+
+/**
+ * Convert longitude/latitude sample positions into fractional pixel coordinates of a
+ * raster covering the DEM bounding box (the full-resolution image or an overview).
+ * Pixel (0, 0) is the center of the top-left raster pixel.
+ * @param {Float64Array} positions - Interleaved [lon, lat] from computeSamplePositions
+ * @param {Array<number>} bbox - DEM bounding box in its CRS
+ * @param {number} width - Raster width in pixels
+ * @param {number} height - Raster height in pixels
+ * @param {import('./projection').Projection} projection - Source CRS projection
+ * @returns {Float64Array} Interleaved [column, row] per sample
+ */
+function toSourcePixels(positions, bbox, width, height, projection) {
+  const [minX, minY, maxX, maxY] = bbox;
+  const resX = (maxX - minX) / width;
+  const resY = (maxY - minY) / height;
+  const pixels = new Float64Array(positions.length);
+
+  for (let i = 0; i < positions.length; i += 2) {
+    const [x, y] = projection.forward(positions[i], positions[i + 1]);
+    pixels[i] = (x - minX) / resX - 0.5;
+    pixels[i + 1] = (maxY - y) / resY - 0.5;
+  }
+
+  return pixels;
+}
+
+/**
+ * Sample a raster source at fractional pixel coordinates. Samples outside the raster take
+ * the value of its nearest edge.
+ * Compact footprints are read as one window; footprints much larger than the tile
+ * (low zoom levels) fetch only the pixels each sample's kernel needs, block by block
+ * and a bounded number of samples at a time, so memory stays bounded by the source's
+ * block cache. Footprints too wide for the kernel to tap are sampled from the source
+ * reduced by whole factors (see ReducedRasterSource), exactly as resampleRaster() does
+ * in memory.
+ * @param {import('./raster-source').RasterSource} source - Raster source
+ * @param {Float64Array} pixels - Interleaved [column, row] from toSourcePixels
+ * @param {number} [noDataValue] - No data value, excluded from resampling
+ * @param {Object} [options] - Sampling options
+ * @param {string} [options.resampling] - Resampling method (default 'bilinear', see resampling.js)
+ * @param {Array<number>} [options.footprint] - [scaleX, scaleY]: source pixels covered by every
+ *   sample, integrated by the kernel (see getSourceFootprint); [1, 1] for point samples
+ * @returns {Promise<Float32Array>} One value per sample
+ */
+async function sampleSource(source, pixels, noDataValue, options = {}) {
+  const { resampling = 'bilinear', footprint = [1, 1] } = options;
+  const [scaleX, scaleY] = footprint;
+  const [factorX, factorY] = getReductionFactors(resampling, footprint);
+  if (factorX > 1 || factorY > 1) {
+    return sampleSource(
+      new ReducedRasterSource(source, factorX, factorY, resampling, noDataValue),
+      toReducedPixels(pixels, factorX, factorY),
+      noDataValue,
+      { resampling, footprint: [scaleX / factorX, scaleY / factorY] }
+    );
+  }
+  const { width, height } = source;
+  const count = pixels.length / 2;
+  const clamped = new Float64Array(pixels.length);
+  // Kernel taps of every sample, clamped to the raster: [x0, y0, x1, y1]
+  const taps = new Int32Array(count * 4);
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (let i = 0; i < count; i++) {
+    const px = Math.max(0, Math.min(width - 1, pixels[i * 2]));
+    const py = Math.max(0, Math.min(height - 1, pixels[i * 2 + 1]));
+    const [x0, x1] = getTapRange(resampling, px, scaleX);
+    const [y0, y1] = getTapRange(resampling, py, scaleY);
+    clamped[i * 2] = px;
+    clamped[i * 2 + 1] = py;
+    taps[i * 4] = Math.max(0, x0);
+    taps[i * 4 + 1] = Math.max(0, y0);
+    taps[i * 4 + 2] = Math.min(width - 1, x1);
+    taps[i * 4 + 3] = Math.min(height - 1, y1);
+    minX = Math.min(minX, taps[i * 4]);
+    minY = Math.min(minY, taps[i * 4 + 1]);
+    maxX = Math.max(maxX, taps[i * 4 + 2]);
+    maxY = Math.max(maxY, taps[i * 4 + 3]);
+  }
+
+  const window = [minX, minY, maxX + 1, maxY + 1];
+  const windowWidth = window[2] - window[0];
+  const windowHeight = window[3] - window[1];
+
+  if (windowWidth * windowHeight <= MAX_WINDOW_SAMPLE_RATIO * count) {
+    const data = await source.readWindow(window);
+    for (let i = 0; i < count; i++) {
+      clamped[i * 2] -= window[0];
+      clamped[i * 2 + 1] -= window[1];
+    }
+    return resampleRaster(data, windowWidth, windowHeight, clamped, resampling, footprint, noDataValue);
+  }
+
+  // Fetch the kernel taps of the samples, a bounded number at a time: the window around
+  // them when the taps cover most of it, else only the tapped pixels
+  const result = new Float32Array(count);
+  let start = 0;
+  while (start < count) {
+    let end = start;
+    let tapCount = 0;
+    const chunk = [Infinity, Infinity, -Infinity, -Infinity];
+    do {
+      tapCount += (taps[end * 4 + 2] - taps[end * 4] + 1) * (taps[end * 4 + 3] - taps[end * 4 + 1] + 1);
+      chunk[0] = Math.min(chunk[0], taps[end * 4]);
+      chunk[1] = Math.min(chunk[1], taps[end * 4 + 1]);
+      chunk[2] = Math.max(chunk[2], taps[end * 4 + 2] + 1);
+      chunk[3] = Math.max(chunk[3], taps[end * 4 + 3] + 1);
+      end++;
+    } while (end < count && tapCount < MAX_PIXEL_READS);
+
+    const chunkWidth = chunk[2] - chunk[0];
+    const windowed = chunkWidth * (chunk[3] - chunk[1]) <= MAX_WINDOW_TAP_RATIO * tapCount;
+    let values;
+    if (windowed) {
+      values = await source.readWindow(chunk);
+    } else {
+      const columns = new Int32Array(tapCount);
+      const rows = new Int32Array(tapCount);
+      let t = 0;
+      for (let i = start; i < end; i++) {
+        for (let y = taps[i * 4 + 1]; y <= taps[i * 4 + 3]; y++) {
+          for (let x = taps[i * 4]; x <= taps[i * 4 + 2]; x++) {
+            columns[t] = x;
+            rows[t++] = y;
+          }
+        }
+      }
+      values = await source.readPixels(columns, rows);
+    }
+
+    // Taps are clamped to the sample's tap range, which is clamped to the raster
+    let offset = 0;
+    let stride = chunkWidth;
+    let originX = chunk[0];
+    let originY = chunk[1];
+    let x0 = 0;
+    let y0 = 0;
+    let x1 = 0;
+    let y1 = 0;
+    const read = (x, y) => values[offset + (Math.max(y0, Math.min(y1, y)) - originY) * stride + Math.max(x0, Math.min(x1, x)) - originX];
+    for (let i = start; i < end; i++) {
+      x0 = taps[i * 4];
+      y0 = taps[i * 4 + 1];
+      x1 = taps[i * 4 + 2];
+      y1 = taps[i * 4 + 3];
+      if (!windowed) {
+        stride = x1 - x0 + 1;
+        originX = x0;
+        originY = y0;
+      }
+      result[i] = resamplePixel(
+        resampling,
+        read,
+        clamped[i * 2],
+        clamped[i * 2 + 1],
+        scaleX,
+        scaleY,
+        noDataValue
+      );
+      if (!windowed) {
+        offset += (x1 - x0 + 1) * (y1 - y0 + 1);
+      }
+    }
+    start = end;
+  }
+
+  return result;
+}
+
+/**
+ * Sample a source DEM into a tile grid.
+ * @param {import('./raster-source').RasterSource} source - Source raster
+ * @param {import('./dem-reader').DEMMetadata} metadata - Source DEM metadata
+ * @param {import('./projection').Projection} projection - Source CRS projection
+ * @param {import('./tiling').TileBounds} tileBounds - Tile bounds in degrees
+ * @param {number} tileSize - Samples per side
+ * @param {import('./tiling-scheme').TilingScheme} scheme - Tiling scheme of the tile
+ * @param {string} [sampling] - 'pixels' (default), 'vertices' or 'edges'
+ * @param {string} [resampling] - Resampling method (default 'bilinear')
+ * @returns {Promise<Float32Array>} Tile elevation data, row 0 is the northern edge
+ */
+async function sampleTile(source, metadata, projection, tileBounds, tileSize, scheme, sampling, resampling) {
+  const positions = computeSamplePositions(tileBounds, tileSize, scheme, sampling);
+  const pixels = toSourcePixels(positions, metadata.bbox, source.width, source.height, projection);
+  return sampleSource(source, pixels, metadata.noDataValue, { resampling });
+}
+
+/**
+ * Pick the raster level to sample for a target ground resolution: the coarsest
+ * overview that is still at least as detailed as the target, or the full-resolution
+ * image (level 0) when no overview is detailed enough.
+ * @param {import('./dem-reader').DEMMetadata} metadata - Source DEM metadata
+ * @param {number} targetResolution - Target ground resolution in meters per pixel
+ * @param {number} latitude - Latitude where the resolution applies, in degrees
+ * @returns {number} 0 for the full-resolution image, i + 1 for metadata.overviews[i]
+ */
+function selectSourceLevel(metadata, targetResolution, latitude) {
+  let level = 0;
+  (metadata.overviews || []).forEach((overview, i) => {
+    if (getGroundResolution(metadata, overview.width, latitude) <= targetResolution) {
+      level = i + 1;
+    }
+  });
+  return level;
+}
+
+/**
+ * Source pixels covered by one tile sample of a given ground resolution, along each raster
+ * axis, for kernels integrating the sample footprint (see resampling.js). Every tile of a
+ * level sampled at the same latitude gets the same footprint, so neighbouring tiles
+ * resample their shared edge identically.
+ * @param {import('./dem-reader').DEMMetadata} metadata - Source DEM metadata
+ * @param {number} width - Raster level width in pixels
+ * @param {number} height - Raster level height in pixels
+ * @param {number} targetResolution - Tile ground resolution in meters per sample
+ * @param {number} latitude - Latitude where the resolution applies, in degrees
+ * @returns {Array<number>} [scaleX, scaleY], at least one pixel (see clampFootprint)
+ */
+function getSourceFootprint(metadata, width, height, targetResolution, latitude) {
+  const { bbox, crs } = metadata;
+  const resolutionX = getGroundResolution(metadata, width, latitude);
+  const aspect = ((bbox[3] - bbox[1]) / height) / ((bbox[2] - bbox[0]) / width);
+  // Meridians converge, parallels do not: geographic pixel rows keep their ground height
+  const convergence = crs.type === 'longlat' ? Math.cos(latitude * Math.PI / 180) : 1;
+  return [
+    clampFootprint(targetResolution / resolutionX),
+    clampFootprint(targetResolution / (resolutionX * aspect / convergence)),
+  ];
+}
+
+/**
+ * Approximate ground size in meters of one pixel of a raster level.
+ * @param {import('./dem-reader').DEMMetadata} metadata - Source DEM metadata
+ * @param {number} width - Raster level width in pixels
+ * @param {number} latitude - Latitude in degrees
+ * @returns {number} Meters per pixel along X
+ */
+function getGroundResolution(metadata, width, latitude) {
+  const { bbox, crs } = metadata;
+  const nativeResolution = (bbox[2] - bbox[0]) / width;
+  const cosLat = Math.cos(latitude * Math.PI / 180);
+
+  switch (crs.type) {
+    case 'longlat':
+      return nativeResolution * Math.PI / 180 * EARTH_RADIUS * cosLat;
+    case 'webmerc':
+    case 'merc':
+      return nativeResolution * (crs.toMeters || 1) * cosLat;
+    default:
+      return nativeResolution * (crs.toMeters || 1);
+  }
+}
+
+module.exports = {
+  computeSamplePositions,
+  toSourcePixels,
+  sampleSource,
+  sampleTile,
+  selectSourceLevel,
+  getSourceFootprint,
+  getGroundResolution,
+};
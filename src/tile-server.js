@@ -0,0 +1,345 @@
+/**
+ * Local HTTP server previewing generated tilesets.
+ * Serves `/layer.json` and `/{z}/{x}/{y}[.ext]` from a tile directory, an MBTiles file or
+ * a PMTiles archive, with CORS headers so Cesium and MapLibre pages on other origins can
+ * load them, ETags for revalidation, and gzipped tiles (e.g. `.terrain` from other tools)
+ * marked with Content-Encoding. Tile URLs use the rows of the tileset's `scheme`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { PMTilesReader } = require('./pmtiles');
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+  'quantized-mesh-1.0': 'application/vnd.quantized-mesh',
+  'heightmap-1.0': 'application/octet-stream',
+};
+
+const TILE_PATH = /^\/(\d+)\/(\d+)\/(\d+)(\.\w+)?$/;
+
+/**
+ * @typedef {Object} TileStore
+ * @property {string} type - Store type ('directory', 'mbtiles' or 'pmtiles')
+ * @property {Object} layerJson - Tileset metadata (layer.json content)
+ * @property {function(number, number, number): Promise<Buffer|null>} getTile - Tile by
+ *   z, x and y (rows as in layerJson.scheme), or null when missing
+ * @property {function(): Promise<void>} close - Release the store
+ */
+
+/**
+ * Serves a directory written by the directory sink.
+ */
+class DirectoryTileStore {
+  /**
+   * @param {string} dir - Tile directory
+   */
+  constructor(dir) {
+    this.type = 'directory';
+    this.path = dir;
+    this.layerJson = null;
+    this.extension = '';
+  }
+
+  async open() {
+    const layerJsonPath = path.join(this.path, 'layer.json');
+    if (!await fs.pathExists(layerJsonPath)) {
+      throw new Error(`No layer.json in ${this.path}`);
+    }
+    this.layerJson = await fs.readJson(layerJsonPath);
+    const template = (this.layerJson.tiles || [])[0] || '';
+    this.extension = path.extname(template.split('?')[0]);
+  }
+
+  async getTile(z, x, y) {
+    try {
+      return await fs.readFile(path.join(this.path, String(z), String(x), `${y}${this.extension}`));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async close() {}
+}
+
+/**
+ * Serves an MBTiles file. Tilesets from other tools without a `json` metadata row get
+ * a minimal XYZ layer.json built from the other metadata rows.
+ */
+class MBTilesTileStore {
+  /**
+   * @param {string} filePath - Path to the .mbtiles file
+   */
+  constructor(filePath) {
+    this.type = 'mbtiles';
+    this.path = filePath;
+    this.layerJson = null;
+    this.db = null;
+  }
+
+  async open() {
+    if (!await fs.pathExists(this.path)) {
+      throw new Error(`No such MBTiles file: ${this.path}`);
+    }
+    this.db = new Database(this.path, { readonly: true });
+    const rows = Object.fromEntries(this.db.prepare('SELECT name, value FROM metadata').all()
+      .map(({ name, value }) => [name, value]));
+
+    this.layerJson = rows.json ? JSON.parse(rows.json) : {
+      tilejson: '2.1.0',
+      name: rows.name,
+      description: rows.description,
+      format: rows.format,
+      bounds: rows.bounds ? rows.bounds.split(',').map(Number) : undefined,
+      minzoom: rows.minzoom !== undefined ? Number(rows.minzoom) : undefined,
+      maxzoom: rows.maxzoom !== undefined ? Number(rows.maxzoom) : undefined,
+      scheme: 'xyz',
+      tiles: [`{z}/{x}/{y}.${rows.format || 'png'}`],
+    };
+    this.selectTile = this.db.prepare(
+      'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+    );
+  }
+
+  async getTile(z, x, y) {
+    // MBTiles rows count from the south; both built-in schemes have one root tile row
+    const row = this.layerJson.scheme === 'tms' ? y : 2 ** z - 1 - y;
+    const result = this.selectTile.get(z, x, row);
+    return result ? result.tile_data : null;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Serves a PMTiles archive, whose JSON metadata is the layer.json content.
+ */
+class PMTilesTileStore {
+  /**
+   * @param {string} filePath - Path to the .pmtiles file
+   */
+  constructor(filePath) {
+    this.type = 'pmtiles';
+    this.path = filePath;
+    this.layerJson = null;
+    this.reader = null;
+  }
+
+  async open() {
+    this.reader = await PMTilesReader.open(this.path);
+    this.layerJson = await this.reader.getMetadata();
+  }
+
+  async getTile(z, x, y) {
+    const n = 2 ** z;
+    if (x >= n || y >= n) {
+      return null;
+    }
+    return this.reader.getTile(z, x, this.layerJson.scheme === 'tms' ? n - 1 - y : y);
+  }
+
+  async close() {
+    if (this.reader) {
+      await this.reader.close();
+      this.reader = null;
+    }
+  }
+}
+
+const STORE_TYPES = {
+  '.mbtiles': filePath => new MBTilesTileStore(filePath),
+  '.pmtiles': filePath => new PMTilesTileStore(filePath),
+};
+
+/**
+ * Open a tileset for serving: a directory, or a file picked by its extension.
+ * @param {string} target - Tile directory, .mbtiles or .pmtiles file
+ * @returns {Promise<TileStore>} Opened store
+ */
+async function openTileStore(target) {
+  const stats = await fs.stat(target).catch(() => null);
+  let store;
+  if (stats && stats.isDirectory()) {
+    store = new DirectoryTileStore(target);
+  } else {
+    const createStore = STORE_TYPES[path.extname(target).toLowerCase()];
+    if (!createStore) {
+      throw new Error(`Cannot serve ${target}: expected a tile directory, an .mbtiles or a .pmtiles file`);
+    }
+    store = createStore(target);
+  }
+  await store.open();
+  return store;
+}
+
+/**
+ * Create an HTTP server for a tile store. Missing tiles within the tileset's zoom range
+ * answer 204 No Content (an empty tile for map clients); other paths answer 404.
+ * @param {TileStore} store - Opened tile store
+ * @returns {http.Server} Server, not yet listening
+ */
+function createTileServer(store) {
+  return http.createServer((req, res) => {
+    handleRequest(store, req, res).catch(err => {
+      console.error(`[serve] ${req.method} ${req.url}: ${err.message}`);
+      if (!res.headersSent) {
+        res.writeHead(500, corsHeaders());
+      }
+      res.end();
+    });
+  });
+}
+
+async function handleRequest(store, req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      ...corsHeaders(),
+      'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+      'Access-Control-Allow-Headers': '*',
+      'Access-Control-Max-Age': '86400',
+    });
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { ...corsHeaders(), Allow: 'GET, HEAD, OPTIONS' });
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/layer.json') {
+    const layerJson = withAbsoluteTileUrls(store.layerJson, req);
+    send(req, res, Buffer.from(JSON.stringify(layerJson)), { 'Content-Type': 'application/json' });
+    return;
+  }
+
+  const match = TILE_PATH.exec(pathname);
+  if (!match) {
+    sendStatus(res, 404);
+    return;
+  }
+  const [z, x, y] = match.slice(1, 4).map(Number);
+  const { minzoom = 0, maxzoom = Infinity } = store.layerJson;
+  if (z < minzoom || z > maxzoom) {
+    sendStatus(res, 404);
+    return;
+  }
+
+  const data = await store.getTile(z, x, y);
+  if (!data || data.length === 0) {
+    sendStatus(res, 204);
+    return;
+  }
+
+  const headers = { 'Content-Type': CONTENT_TYPES[store.layerJson.format] || 'application/octet-stream' };
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    headers['Content-Encoding'] = 'gzip';
+  }
+  send(req, res, data, headers);
+}
+
+/**
+ * Send a body with an ETag, or 304 Not Modified when the client already has it.
+ */
+function send(req, res, body, headers) {
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  const common = {
+    ...corsHeaders(),
+    ETag: etag,
+    // Revalidate on every use: tiles change when the tileset is regenerated
+    'Cache-Control': 'no-cache',
+  };
+
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, common);
+    res.end();
+    return;
+  }
+  res.writeHead(200, { ...common, ...headers, 'Content-Length': body.length });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function sendStatus(res, status) {
+  res.writeHead(status, corsHeaders());
+  res.end();
+}
+
+function corsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag, Content-Length',
+  };
+}
+
+/**
+ * Resolve relative tile URL templates against the server, since some clients (e.g.
+ * MapLibre) do not resolve them against the layer.json URL.
+ */
+function withAbsoluteTileUrls(layerJson, req) {
+  const base = `http://${req.headers.host || 'localhost'}/`;
+  return {
+    ...layerJson,
+    tiles: (layerJson.tiles || []).map(template => (/^https?:/.test(template) ? template : base + template)),
+  };
+}
+
+/**
+ * Serve a tileset until the process is interrupted.
+ * @param {string} target - Tile directory, .mbtiles or .pmtiles file
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port (default 8080; 0 picks a free port)
+ * @param {string} [options.host] - Interface to listen on (default 'localhost')
+ * @returns {Promise<void>} Resolves once the server has shut down (SIGINT/SIGTERM)
+ */
+async function serveTiles(target, options = {}) {
+  const { port = 8080, host = 'localhost' } = options;
+  const store = await openTileStore(target);
+  const server = createTileServer(store);
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (err) {
+    await store.close();
+    throw err;
+  }
+
+  const address = server.address();
+  console.log(`[dem-terraindb-tiler] Serving ${target} (${store.type})`);
+  console.log(`  layer.json : http://${host}:${address.port}/layer.json`);
+  console.log(`  Tiles      : http://${host}:${address.port}/${(store.layerJson.tiles || ['{z}/{x}/{y}'])[0]}`);
+  console.log('  Press Ctrl+C to stop');
+
+  await new Promise(resolve => {
+    const stop = () => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      server.close(resolve);
+      server.closeAllConnections();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+  await store.close();
+}
+
+module.exports = {
+  openTileStore,
+  createTileServer,
+  serveTiles,
+};
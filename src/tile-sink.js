@@ -0,0 +1,433 @@
+/**
+ * Output targets for generated tiles.
+ * A sink stores batches of encoded tiles and the tileset metadata: a directory of
+ * `{z}/{x}/{y}` files with a layer.json, a single MBTiles (SQLite) file or a single
+ * PMTiles v3 archive.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const Database = require('better-sqlite3');
+const { writeTile } = require('./terrain-encoder');
+const { WebMercatorTilingScheme } = require('./tiling-scheme');
+const {
+  HEADER_SIZE,
+  COMPRESSION,
+  TILE_TYPES,
+  zxyToTileId,
+  layoutTileData,
+  buildDirectories,
+  encodeHeader,
+  PMTilesReader,
+} = require('./pmtiles');
+
+// Bytes of staged tile data copied into a PMTiles archive per write
+const ARCHIVE_COPY_SIZE = 4 * 1024 * 1024;
+
+/**
+ * @typedef {Object} TileEntry
+ * @property {{x: number, y: number, z: number}} tile - Tile coordinates in the tiling scheme
+ * @property {Buffer} data - Encoded tile
+ */
+
+/**
+ * Writes tiles as `{z}/{x}/{y}{extension}` files and metadata as layer.json.
+ */
+class DirectorySink {
+  /**
+   * @param {string} dir - Output directory
+   * @param {string} extension - Tile file extension (e.g. '.png')
+   */
+  constructor(dir, extension) {
+    this.type = 'directory';
+    this.path = dir;
+    this.extension = extension;
+    this.manifestDir = path.join(dir, '.tiler');
+    this.metadataTarget = 'layer.json';
+  }
+
+  async open() {
+    await fs.ensureDir(this.path);
+  }
+
+  /**
+   * @param {Array<TileEntry>} entries - Tiles to write
+   */
+  async writeTiles(entries) {
+    for (const { tile, data } of entries) {
+      await writeTile(this.path, tile.z, tile.x, tile.y, data, this.extension);
+    }
+  }
+
+  /**
+   * @param {Object} layerJson - Tileset metadata (layer.json content)
+   */
+  async writeMetadata(layerJson) {
+    await fs.writeJson(path.join(this.path, 'layer.json'), layerJson, { spaces: 2 });
+  }
+
+  async close() {}
+}
+
+/**
+ * Writes tiles into an MBTiles 1.3 file. Rows follow the MBTiles TMS convention
+ * (row 0 at the south), whatever the tiling scheme's y-origin. Every batch of tiles is
+ * stored in one transaction.
+ */
+class MBTilesSink {
+  /**
+   * @param {string} filePath - Path to the .mbtiles file (created if missing)
+   * @param {import('./tiling-scheme').TilingScheme} scheme - Tiling scheme of the tiles
+   */
+  constructor(filePath, scheme) {
+    this.type = 'mbtiles';
+    this.path = filePath;
+    this.scheme = scheme;
+    this.manifestDir = `${filePath}.tiler`;
+    this.metadataTarget = 'metadata table';
+    this.db = null;
+  }
+
+  async open() {
+    await fs.ensureDir(path.dirname(this.path));
+    this.db = new Database(this.path);
+    // WAL keeps committed batches safe if the run is interrupted; close() folds it back
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS metadata (name TEXT, value TEXT);
+      CREATE UNIQUE INDEX IF NOT EXISTS metadata_name ON metadata (name);
+      CREATE TABLE IF NOT EXISTS tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+      CREATE UNIQUE INDEX IF NOT EXISTS tile_index ON tiles (zoom_level, tile_column, tile_row);
+    `);
+
+    const insertTile = this.db.prepare(
+      'INSERT OR REPLACE INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)'
+    );
+    this.insertTiles = this.db.transaction(entries => {
+      for (const { tile, data } of entries) {
+        insertTile.run(tile.z, tile.x, this.getTileRow(tile), data);
+      }
+    });
+
+    const insertMetadata = this.db.prepare('INSERT INTO metadata (name, value) VALUES (?, ?)');
+    this.replaceMetadata = this.db.transaction(rows => {
+      this.db.prepare('DELETE FROM metadata').run();
+      for (const [name, value] of Object.entries(rows)) {
+        insertMetadata.run(name, String(value));
+      }
+    });
+  }
+
+  /**
+   * @param {{y: number, z: number}} tile - Tile coordinates in the tiling scheme
+   * @returns {number} MBTiles tile_row
+   */
+  getTileRow(tile) {
+    if (this.scheme.yOrigin === 'tms') {
+      return tile.y;
+    }
+    return this.scheme.getNumberOfYTilesAtLevel(tile.z) - 1 - tile.y;
+  }
+
+  /**
+   * @param {Array<TileEntry>} entries - Tiles to write, stored in one transaction
+   */
+  async writeTiles(entries) {
+    this.insertTiles(entries);
+  }
+
+  /**
+   * Store the tileset metadata as MBTiles metadata rows; the complete layer.json
+   * content is kept in the `json` row for terrain servers.
+   * @param {Object} layerJson - Tileset metadata (layer.json content)
+   */
+  async writeMetadata(layerJson) {
+    const [west, south, east, north] = layerJson.bounds;
+    const rows = {
+      name: layerJson.name,
+      description: layerJson.description,
+      version: layerJson.version,
+      type: 'baselayer',
+      format: layerJson.format,
+      bounds: [west, south, east, north].join(','),
+      center: [(west + east) / 2, (south + north) / 2, layerJson.minzoom].join(','),
+      minzoom: layerJson.minzoom,
+      maxzoom: layerJson.maxzoom,
+      json: JSON.stringify(layerJson),
+    };
+    if (layerJson.encoding) {
+      rows.encoding = layerJson.encoding;
+    }
+    this.replaceMetadata(rows);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.pragma('journal_mode = DELETE');
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Writes tiles into a PMTiles v3 archive. Tile IDs and offsets are only final once every
+ * tile is known, so tiles are staged in the manifest directory (appended to `tiles.dat`
+ * and indexed in `tiles.idx`) and the archive is assembled when the metadata is written:
+ * a clustered archive with gzipped directories, leaf directories when the root directory
+ * would exceed 16 KiB, and optionally identical tiles stored once. The staged tiles are
+ * kept so interrupted and incremental runs can rebuild the archive.
+ */
+class PMTilesSink {
+  /**
+   * @param {string} filePath - Path to the .pmtiles file (replaced when the archive is written)
+   * @param {import('./tiling-scheme').TilingScheme} scheme - Tiling scheme of the tiles
+   * @param {Object} options - Archive options
+   * @param {string} options.extension - Tile file extension, used for the header tile type
+   * @param {boolean} [options.dedup] - Store identical tiles once (default true)
+   */
+  constructor(filePath, scheme, { extension, dedup = true }) {
+    this.type = 'pmtiles';
+    this.path = filePath;
+    this.scheme = scheme;
+    this.extension = extension;
+    this.dedup = dedup;
+    this.manifestDir = `${filePath}.tiler`;
+    this.metadataTarget = 'PMTiles archive';
+    this.dataPath = path.join(this.manifestDir, 'tiles.dat');
+    this.indexPath = path.join(this.manifestDir, 'tiles.idx');
+    this.tiles = new Map(); // Tile ID -> {tileId, offset, length, hash} in tiles.dat
+    this.dataLength = 0;
+  }
+
+  async open() {
+    const world = new WebMercatorTilingScheme();
+    if (this.scheme.type !== 'mercator' || this.scheme.rootTilesX !== 1 || this.scheme.rootTilesY !== 1 ||
+        this.scheme.extent.some((value, i) => value !== world.extent[i])) {
+      throw new Error('PMTiles archives require the global Web Mercator tiling scheme (--scheme mercator)');
+    }
+
+    await fs.ensureDir(this.manifestDir);
+    if (!await fs.pathExists(this.dataPath) && await fs.pathExists(this.path)) {
+      await this.restageArchive();
+    }
+    this.dataLength = await fs.pathExists(this.dataPath) ? (await fs.stat(this.dataPath)).size : 0;
+    if (await fs.pathExists(this.indexPath)) {
+      // Keep only records whose data was fully staged; later records replace earlier ones
+      for (const line of (await fs.readFile(this.indexPath, 'utf8')).split('\n')) {
+        const [tileId, offset, length, hash] = line.split(' ');
+        const record = { tileId: Number(tileId), offset: Number(offset), length: Number(length), hash };
+        if (hash && record.offset + record.length <= this.dataLength) {
+          this.tiles.set(record.tileId, record);
+        }
+      }
+    }
+
+    // Rewrite the index without superseded records or a line cut off by an interruption
+    const tmpPath = `${this.indexPath}.tmp`;
+    await fs.writeFile(tmpPath, [...this.tiles.values()].map(formatIndexRecord).join(''));
+    await fs.rename(tmpPath, this.indexPath);
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} tile - Tile coordinates in the tiling scheme
+   * @returns {number} PMTiles tile ID
+   */
+  getTileId(tile) {
+    const y = this.scheme.yOrigin === 'tms' ? this.scheme.getNumberOfYTilesAtLevel(tile.z) - 1 - tile.y : tile.y;
+    return zxyToTileId(tile.z, tile.x, y);
+  }
+
+  /**
+   * Stage tiles: the data is appended before the index records pointing at it.
+   * @param {Array<TileEntry>} entries - Tiles to write
+   */
+  async writeTiles(entries) {
+    const records = entries.map(({ tile, data }) => {
+      const record = {
+        tileId: this.getTileId(tile),
+        offset: this.dataLength,
+        length: data.length,
+        hash: hashTile(data),
+      };
+      this.dataLength += data.length;
+      return record;
+    });
+
+    await fs.appendFile(this.dataPath, Buffer.concat(entries.map(entry => entry.data)));
+    await fs.appendFile(this.indexPath, records.map(formatIndexRecord).join(''));
+    records.forEach(record => this.tiles.set(record.tileId, record));
+  }
+
+  /**
+   * Stage the tiles of an archive assembled by an earlier run, whose staging files were
+   * removed once it was written, so later runs (resumed, with a new max level or changed
+   * sources) keep its tiles. Both files are written aside and renamed into place, the data
+   * last, so an interruption restages the archive again.
+   */
+  async restageArchive() {
+    const reader = await PMTilesReader.open(this.path);
+    const dataTmpPath = `${this.dataPath}.tmp`;
+    const indexTmpPath = `${this.indexPath}.tmp`;
+    try {
+      await fs.writeFile(dataTmpPath, Buffer.alloc(0));
+      const staged = new Map(); // Archive data offset -> staged data, shared by deduplicated tiles
+      const records = [];
+      let dataLength = 0;
+      let chunk = [];
+      let chunkLength = 0;
+
+      for (const { tileId, offset, length } of await reader.getTileEntries()) {
+        let content = staged.get(offset);
+        if (!content) {
+          const data = await reader.readTileData(offset, length);
+          content = { offset: dataLength, length, hash: hashTile(data) };
+          staged.set(offset, content);
+          dataLength += length;
+          chunk.push(data);
+          chunkLength += length;
+          if (chunkLength >= ARCHIVE_COPY_SIZE) {
+            await fs.appendFile(dataTmpPath, Buffer.concat(chunk));
+            chunk = [];
+            chunkLength = 0;
+          }
+        }
+        records.push({ tileId, ...content });
+      }
+      await fs.appendFile(dataTmpPath, Buffer.concat(chunk));
+      await fs.writeFile(indexTmpPath, records.map(formatIndexRecord).join(''));
+    } finally {
+      await reader.close();
+    }
+    await fs.rename(indexTmpPath, this.indexPath);
+    await fs.rename(dataTmpPath, this.dataPath);
+  }
+
+  /**
+   * Assemble the archive from the staged tiles, with the layer.json content as its
+   * JSON metadata. The archive is written to a temporary file and renamed into place,
+   * then the staging files are removed: the archive holds all their tiles, and is
+   * restaged by the next run of the same output.
+   * @param {Object} layerJson - Tileset metadata (layer.json content)
+   */
+  async writeMetadata(layerJson) {
+    const { entries, contents, addressedTiles } = layoutTileData([...this.tiles.values()], { dedup: this.dedup });
+    const { root, leaves } = buildDirectories(entries);
+    const metadata = zlib.gzipSync(JSON.stringify(layerJson));
+    const tileDataLength = contents.reduce((sum, content) => sum + content.length, 0);
+    const [west, south, east, north] = layerJson.bounds;
+
+    const header = encodeHeader({
+      rootDirectoryOffset: HEADER_SIZE,
+      rootDirectoryLength: root.length,
+      metadataOffset: HEADER_SIZE + root.length,
+      metadataLength: metadata.length,
+      leafDirectoryOffset: HEADER_SIZE + root.length + metadata.length,
+      leafDirectoryLength: leaves.length,
+      tileDataOffset: HEADER_SIZE + root.length + metadata.length + leaves.length,
+      tileDataLength,
+      addressedTiles,
+      tileEntries: entries.length,
+      tileContents: contents.length,
+      clustered: true,
+      internalCompression: COMPRESSION.gzip,
+      tileCompression: COMPRESSION.none,
+      tileType: TILE_TYPES[this.extension.slice(1)] || TILE_TYPES.unknown,
+      minZoom: layerJson.minzoom,
+      maxZoom: layerJson.maxzoom,
+      bounds: [west, south, east, north],
+      center: [(west + east) / 2, (south + north) / 2, layerJson.minzoom],
+    });
+
+    const tmpPath = `${this.path}.tmp`;
+    await fs.ensureDir(path.dirname(this.path));
+    const output = await fs.promises.open(tmpPath, 'w');
+    const staged = await fs.promises.open(this.dataPath, 'r');
+    try {
+      await output.write(Buffer.concat([header, root, metadata, leaves]));
+
+      // Copy the tile data in tile ID order, a few megabytes at a time
+      let chunk = [];
+      let chunkLength = 0;
+      for (const content of contents) {
+        const { buffer } = await staged.read(Buffer.alloc(content.length), 0, content.length, content.offset);
+        chunk.push(buffer);
+        chunkLength += content.length;
+        if (chunkLength >= ARCHIVE_COPY_SIZE) {
+          await output.write(Buffer.concat(chunk));
+          chunk = [];
+          chunkLength = 0;
+        }
+      }
+      await output.write(Buffer.concat(chunk));
+    } finally {
+      await staged.close();
+      await output.close();
+    }
+    await fs.rename(tmpPath, this.path);
+
+    await fs.remove(this.dataPath);
+    await fs.remove(this.indexPath);
+    this.tiles.clear();
+    this.dataLength = 0;
+  }
+
+  async close() {}
+}
+
+/**
+ * @param {Buffer} data - Tile data
+ * @returns {string} Content hash identifying identical tiles
+ */
+function hashTile(data) {
+  return crypto.createHash('sha1').update(data).digest('base64');
+}
+
+/**
+ * @param {{tileId: number, offset: number, length: number, hash: string}} record - Staged tile
+ * @returns {string} tiles.idx line
+ */
+function formatIndexRecord({ tileId, offset, length, hash }) {
+  return `${tileId} ${offset} ${length} ${hash}\n`;
+}
+
+const SINK_TYPES = {
+  directory: (output, { extension }) => new DirectorySink(output, extension),
+  mbtiles: (output, { scheme }) => new MBTilesSink(output, scheme),
+  pmtiles: (output, { scheme, extension, dedup }) => new PMTilesSink(output, scheme, { extension, dedup }),
+};
+
+const SINK_EXTENSIONS = {
+  '.mbtiles': 'mbtiles',
+  '.pmtiles': 'pmtiles',
+};
+
+/**
+ * Create the sink for an output path.
+ * @param {string} output - Output directory or file
+ * @param {Object} options - Sink options
+ * @param {string} [options.type] - Sink type: 'directory', 'mbtiles' or 'pmtiles'; defaults to
+ *   mbtiles for `.mbtiles` paths, pmtiles for `.pmtiles` paths and directory otherwise
+ * @param {import('./tiling-scheme').TilingScheme} options.scheme - Tiling scheme of the tiles
+ * @param {string} options.extension - Tile file extension
+ * @param {boolean} [options.dedup] - PMTiles: store identical tiles once (default true)
+ * @returns {DirectorySink|MBTilesSink|PMTilesSink} Unopened sink
+ */
+function createTileSink(output, options) {
+  const type = options.type || SINK_EXTENSIONS[path.extname(output).toLowerCase()] || 'directory';
+  const createSink = SINK_TYPES[type];
+  if (!createSink) {
+    throw new Error(`Unsupported sink: ${type} (expected one of: ${Object.keys(SINK_TYPES).join(', ')})`);
+  }
+  return createSink(output, options);
+}
+
+module.exports = {
+  DirectorySink,
+  MBTilesSink,
+  PMTilesSink,
+  createTileSink,
+};
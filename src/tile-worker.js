@@ -0,0 +1,49 @@
+/**
+ * Worker thread entry for the tile pool (see processTilesInWorkers in pipeline.js).
+ * Each worker opens the DEMs itself from the pipeline settings in workerData, then
+ * samples and encodes the tiles it is sent, one task at a time, and posts the encoded
+ * tiles back to the main thread for writing. Bottom-up pyramids send whole subtrees
+ * instead (see generatePyramid), whose root elevation grid is posted back as well.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { openTileContext, closeTileContext, processTile, buildPyramidSubtree } = require('./pipeline');
+
+const contextPromise = openTileContext(workerData);
+contextPromise.catch(() => {}); // Reported with the first task
+
+let queue = Promise.resolve();
+parentPort.on('message', message => {
+  queue = queue.then(() => handleMessage(message));
+});
+
+/**
+ * @param {Object} message - `{id, task}` with a list of `tiles` or a `subtree` root tile,
+ *   or `{type: 'close'}`
+ */
+async function handleMessage(message) {
+  if (message.type === 'close') {
+    const context = await contextPromise.catch(() => null);
+    if (context) {
+      closeTileContext(context);
+    }
+    parentPort.close();
+    return;
+  }
+
+  const { id, task } = message;
+  try {
+    const context = await contextPromise;
+    if (task.subtree) {
+      parentPort.postMessage({ id, result: await buildPyramidSubtree(task.subtree, context) });
+      return;
+    }
+    const entries = [];
+    for (const tile of task.tiles) {
+      entries.push({ tile, data: await processTile(tile, context) });
+    }
+    parentPort.postMessage({ id, result: entries });
+  } catch (err) {
+    parentPort.postMessage({ id, error: { message: err.message, stack: err.stack } });
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Tiling schemes describing how the globe (or a custom extent) is split into a quadtree.
+ * Mirrors Cesium's GeographicTilingScheme and WebMercatorTilingScheme, with a selectable
+ * y-axis origin: 'tms' counts rows from the south, 'xyz' counts rows from the north.
+ */
+
+const EARTH_RADIUS = 6378137.0; // WGS84 equatorial radius in meters
+const EARTH_CIRCUMFERENCE = 2 * Math.PI * EARTH_RADIUS;
+const MERCATOR_MAX = Math.PI * EARTH_RADIUS; // Half the Web Mercator world width in meters
+const Y_ORIGINS = ['tms', 'xyz'];
+
+/**
+ * @typedef {Object} TilingSchemeOptions
+ * @property {string} [yOrigin] - Row origin: 'tms' (south) or 'xyz' (north)
+ * @property {Array<number>} [extent] - Scheme extent [minX, minY, maxX, maxY] in native units
+ * @property {number} [rootTilesX] - Number of tiles along X at level 0
+ * @property {number} [rootTilesY] - Number of tiles along Y at level 0
+ */
+
+/**
+ * Base class for tiling schemes. Subclasses provide the projection between
+ * longitude/latitude and the scheme's native coordinates.
+ */
+class TilingScheme {
+  /**
+   * @param {string} type - Scheme type name ('geographic' or 'mercator')
+   * @param {string} projection - Projection code advertised in layer.json (e.g. 'EPSG:4326')
+   * @param {TilingSchemeOptions} options - Scheme options
+   */
+  constructor(type, projection, options) {
+    const { yOrigin, extent, rootTilesX, rootTilesY } = options;
+
+    if (!Y_ORIGINS.includes(yOrigin)) {
+      throw new Error(`Unsupported y-origin: ${yOrigin} (expected one of: ${Y_ORIGINS.join(', ')})`);
+    }
+    if (!Array.isArray(extent) || extent.length !== 4 || !(extent[2] > extent[0]) || !(extent[3] > extent[1])) {
+      throw new Error(`Invalid tiling scheme extent: ${JSON.stringify(extent)}`);
+    }
+
+    this.type = type;
+    this.projection = projection;
+    this.yOrigin = yOrigin;
+    this.extent = extent;
+    this.rootTilesX = rootTilesX;
+    this.rootTilesY = rootTilesY;
+  }
+
+  /**
+   * Project longitude/latitude to native scheme coordinates.
+   * @param {number} lon - Longitude in degrees
+   * @param {number} lat - Latitude in degrees
+   * @returns {Array<number>} Native coordinates [x, y]
+   */
+  project(lon, lat) {
+    throw new Error('project() must be implemented by tiling scheme subclasses');
+  }
+
+  /**
+   * Convert native scheme coordinates back to longitude/latitude.
+   * @param {number} x - Native X coordinate
+   * @param {number} y - Native Y coordinate
+   * @returns {Array<number>} [lon, lat] in degrees
+   */
+  unproject(x, y) {
+    throw new Error('unproject() must be implemented by tiling scheme subclasses');
+  }
+
+  /**
+   * @param {number} zoom - Zoom level
+   * @returns {number} Number of tiles along X at the zoom level
+   */
+  getNumberOfXTilesAtLevel(zoom) {
+    return this.rootTilesX * Math.pow(2, zoom);
+  }
+
+  /**
+   * @param {number} zoom - Zoom level
+   * @returns {number} Number of tiles along Y at the zoom level
+   */
+  getNumberOfYTilesAtLevel(zoom) {
+    return this.rootTilesY * Math.pow(2, zoom);
+  }
+
+  /**
+   * Get the bounds of a tile in native scheme coordinates.
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {number} zoom - Zoom level
+   * @returns {import('./tiling').TileBounds} Native bounds of the tile
+   */
+  tileToNativeBounds(x, y, zoom) {
+    const [minX, minY, maxX, maxY] = this.extent;
+    const tileWidth = (maxX - minX) / this.getNumberOfXTilesAtLevel(zoom);
+    const tileHeight = (maxY - minY) / this.getNumberOfYTilesAtLevel(zoom);
+    const row = this.yOrigin === 'tms' ? y : this.getNumberOfYTilesAtLevel(zoom) - 1 - y;
+
+    return {
+      minX: minX + x * tileWidth,
+      minY: minY + row * tileHeight,
+      maxX: minX + (x + 1) * tileWidth,
+      maxY: minY + (row + 1) * tileHeight,
+    };
+  }
+
+  /**
+   * Get the geographic bounds of a tile.
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {number} zoom - Zoom level
+   * @returns {import('./tiling').TileBounds} Bounds in degrees
+   */
+  tileToBounds(x, y, zoom) {
+    const native = this.tileToNativeBounds(x, y, zoom);
+    const [minLon, minLat] = this.unproject(native.minX, native.minY);
+    const [maxLon, maxLat] = this.unproject(native.maxX, native.maxY);
+
+    return { minX: minLon, minY: minLat, maxX: maxLon, maxY: maxLat };
+  }
+
+  /**
+   * Get the tile containing a geographic position. Positions outside the scheme
+   * extent are clamped to the nearest edge tile.
+   * @param {number} lon - Longitude in degrees
+   * @param {number} lat - Latitude in degrees
+   * @param {number} zoom - Zoom level
+   * @returns {import('./tiling').TileCoordinate} Tile coordinate
+   */
+  lonLatToTile(lon, lat, zoom) {
+    const [minX, minY, maxX, maxY] = this.extent;
+    const [nx, ny] = this.project(lon, lat);
+    const tilesX = this.getNumberOfXTilesAtLevel(zoom);
+    const tilesY = this.getNumberOfYTilesAtLevel(zoom);
+
+    const x = clamp(Math.floor((nx - minX) / (maxX - minX) * tilesX), 0, tilesX - 1);
+    const rowFromSouth = clamp(Math.floor((ny - minY) / (maxY - minY) * tilesY), 0, tilesY - 1);
+    const y = this.yOrigin === 'tms' ? rowFromSouth : tilesY - 1 - rowFromSouth;
+
+    return { x, y, z: zoom };
+  }
+
+  /**
+   * Calculate the ground resolution of a tile pixel at a latitude.
+   * @param {number} zoom - Zoom level
+   * @param {number} lat - Latitude in degrees
+   * @param {number} tileSize - Tile size in pixels
+   * @returns {number} Resolution in meters per pixel
+   */
+  getResolution(zoom, lat, tileSize) {
+    const [westLon] = this.unproject(this.extent[0], 0);
+    const [eastLon] = this.unproject(this.extent[2], 0);
+    const extentWidthMeters = (eastLon - westLon) / 360 * EARTH_CIRCUMFERENCE;
+    const latRad = lat * Math.PI / 180;
+    return extentWidthMeters * Math.cos(latRad) / (tileSize * this.getNumberOfXTilesAtLevel(zoom));
+  }
+
+  /**
+   * Serializable description of the scheme, accepted by createTilingScheme.
+   * @returns {Object} Scheme options
+   */
+  toJSON() {
+    return {
+      scheme: this.type,
+      yOrigin: this.yOrigin,
+      extent: this.extent,
+      rootTilesX: this.rootTilesX,
+      rootTilesY: this.rootTilesY,
+    };
+  }
+}
+
+/**
+ * Geographic (plate carrée, EPSG:4326) tiling scheme. Cesium's default for terrain:
+ * two root tiles at level 0 covering the western and eastern hemispheres.
+ */
+class GeographicTilingScheme extends TilingScheme {
+  /**
+   * @param {TilingSchemeOptions} [options] - Scheme options (defaults: TMS, whole globe, 2x1 roots)
+   */
+  constructor(options = {}) {
+    super('geographic', 'EPSG:4326', {
+      yOrigin: options.yOrigin || 'tms',
+      extent: options.extent || [-180, -90, 180, 90],
+      rootTilesX: options.rootTilesX || 2,
+      rootTilesY: options.rootTilesY || 1,
+    });
+  }
+
+  project(lon, lat) {
+    return [lon, lat];
+  }
+
+  unproject(x, y) {
+    return [x, y];
+  }
+}
+
+/**
+ * Web Mercator (EPSG:3857) tiling scheme, as used by slippy maps and Cesium's
+ * WebMercatorTilingScheme, with a single root tile at level 0.
+ */
+class WebMercatorTilingScheme extends TilingScheme {
+  /**
+   * @param {TilingSchemeOptions} [options] - Scheme options (defaults: XYZ, whole world, 1x1 root)
+   */
+  constructor(options = {}) {
+    super('mercator', 'EPSG:3857', {
+      yOrigin: options.yOrigin || 'xyz',
+      extent: options.extent || [-MERCATOR_MAX, -MERCATOR_MAX, MERCATOR_MAX, MERCATOR_MAX],
+      rootTilesX: options.rootTilesX || 1,
+      rootTilesY: options.rootTilesY || 1,
+    });
+  }
+
+  project(lon, lat) {
+    const maxLat = 85.0511287798066;
+    const latRad = clamp(lat, -maxLat, maxLat) * Math.PI / 180;
+    return [
+      lon / 180 * MERCATOR_MAX,
+      Math.log(Math.tan(Math.PI / 4 + latRad / 2)) * EARTH_RADIUS,
+    ];
+  }
+
+  unproject(x, y) {
+    return [
+      x / MERCATOR_MAX * 180,
+      (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * 180 / Math.PI,
+    ];
+  }
+}
+
+const TILING_SCHEMES = {
+  geographic: GeographicTilingScheme,
+  mercator: WebMercatorTilingScheme,
+};
+
+/**
+ * Create a tiling scheme by name.
+ * @param {Object} [options] - Scheme selection
+ * @param {string} [options.scheme] - 'geographic' or 'mercator' (default 'mercator')
+ * @param {string} [options.yOrigin] - 'tms' or 'xyz' (default depends on the scheme)
+ * @param {Array<number>} [options.extent] - Custom extent in native units
+ * @param {number} [options.rootTilesX] - Custom number of root tiles along X
+ * @param {number} [options.rootTilesY] - Custom number of root tiles along Y
+ * @returns {TilingScheme} Tiling scheme instance
+ */
+function createTilingScheme(options = {}) {
+  const { scheme = 'mercator', ...schemeOptions } = options;
+  const SchemeClass = TILING_SCHEMES[scheme];
+
+  if (!SchemeClass) {
+    throw new Error(`Unsupported tiling scheme: ${scheme} (expected one of: ${Object.keys(TILING_SCHEMES).join(', ')})`);
+  }
+
+  return new SchemeClass(schemeOptions);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+module.exports = {
+  TilingScheme,
+  GeographicTilingScheme,
+  WebMercatorTilingScheme,
+  createTilingScheme,
+};
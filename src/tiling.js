@@ -1,11 +1,21 @@
 /**
  * Tiling and quadtree utilities for terrain tile generation.
- * Implements TMS (Tile Map Service) tiling scheme compatible with Cesium.
+ * Tile math is delegated to a TilingScheme (see tiling-scheme.js); when no scheme is
+ * given, the Web Mercator scheme with XYZ rows is used.
  */
 
+const { WebMercatorTilingScheme } = require('./tiling-scheme');
+
 const EARTH_RADIUS = 6378137.0; // WGS84 equatorial radius in meters
 const EARTH_CIRCUMFERENCE = 2 * Math.PI * EARTH_RADIUS;
 
+const DEFAULT_TILING_SCHEME = new WebMercatorTilingScheme();
+
+// Lookup sets of "x/y" keys per tiling scheme level, built on first use
+const levelKeyCache = new WeakMap();
+// Merged tile ranges per tiling scheme level, built on first use
+const levelRangeCache = new WeakMap();
+
 /**
  * @typedef {Object} TileCoordinate
  * @property {number} x - Tile X coordinate
@@ -13,6 +23,14 @@ const EARTH_CIRCUMFERENCE = 2 * Math.PI * EARTH_RADIUS;
  * @property {number} z - Zoom level
  */
 
+/**
+ * @typedef {Object} TileRange
+ * @property {number} startX - First tile column
+ * @property {number} startY - First tile row
+ * @property {number} endX - Last tile column (inclusive)
+ * @property {number} endY - Last tile row (inclusive)
+ */
+
 /**
  * @typedef {Object} TileBounds
  * @property {number} minX - Minimum longitude
@@ -26,15 +44,11 @@ const EARTH_CIRCUMFERENCE = 2 * Math.PI * EARTH_RADIUS;
  * @param {number} lon - Longitude in degrees
  * @param {number} lat - Latitude in degrees
  * @param {number} zoom - Zoom level
+ * @param {import('./tiling-scheme').TilingScheme} [scheme] - Tiling scheme (default Web Mercator XYZ)
  * @returns {TileCoordinate} Tile coordinate
  */
-function lonLatToTile(lon, lat, zoom) {
-  const n = Math.pow(2, zoom);
-  const x = Math.floor((lon + 180) / 360 * n);
-  const latRad = lat * Math.PI / 180;
-  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
-  
-  return { x, y, z: zoom };
+function lonLatToTile(lon, lat, zoom, scheme = DEFAULT_TILING_SCHEME) {
+  return scheme.lonLatToTile(lon, lat, zoom);
 }
 
 /**
@@ -42,45 +56,32 @@ function lonLatToTile(lon, lat, zoom) {
  * @param {number} x - Tile X coordinate
  * @param {number} y - Tile Y coordinate
  * @param {number} zoom - Zoom level
+ * @param {import('./tiling-scheme').TilingScheme} [scheme] - Tiling scheme (default Web Mercator XYZ)
  * @returns {TileBounds} Geographic bounds of the tile
  */
-function tileToBounds(x, y, zoom) {
-  const n = Math.pow(2, zoom);
-  
-  const minLon = x / n * 360 - 180;
-  const maxLon = (x + 1) / n * 360 - 180;
-  
-  const minLatRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / n)));
-  const maxLatRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n)));
-  
-  const minLat = minLatRad * 180 / Math.PI;
-  const maxLat = maxLatRad * 180 / Math.PI;
-  
-  return {
-    minX: minLon,
-    minY: minLat,
-    maxX: maxLon,
-    maxY: maxLat,
-  };
+function tileToBounds(x, y, zoom, scheme = DEFAULT_TILING_SCHEME) {
+  return scheme.tileToBounds(x, y, zoom);
 }
 
 /**
  * Calculate all tiles that intersect with a bounding box at a given zoom level.
  * @param {Array<number>} bbox - Bounding box [minX, minY, maxX, maxY] in degrees
  * @param {number} zoom - Zoom level
+ * @param {import('./tiling-scheme').TilingScheme} [scheme] - Tiling scheme (default Web Mercator XYZ)
  * @returns {Array<TileCoordinate>} Array of tile coordinates
  */
-function getTilesInBounds(bbox, zoom) {
+function getTilesInBounds(bbox, zoom, scheme = DEFAULT_TILING_SCHEME) {
   const [minLon, minLat, maxLon, maxLat] = bbox;
   
-  // Get tile coordinates for corners
-  const minTile = lonLatToTile(minLon, maxLat, zoom); // Note: maxLat for min tile
-  const maxTile = lonLatToTile(maxLon, minLat, zoom); // Note: minLat for max tile
+  // Get tile coordinates for opposite corners; which one has the smaller row
+  // depends on the scheme's y-axis origin
+  const cornerA = scheme.lonLatToTile(minLon, maxLat, zoom);
+  const cornerB = scheme.lonLatToTile(maxLon, minLat, zoom);
   
   const tiles = [];
   
-  for (let x = minTile.x; x <= maxTile.x; x++) {
-    for (let y = minTile.y; y <= maxTile.y; y++) {
+  for (let x = Math.min(cornerA.x, cornerB.x); x <= Math.max(cornerA.x, cornerB.x); x++) {
+    for (let y = Math.min(cornerA.y, cornerB.y); y <= Math.max(cornerA.y, cornerB.y); y++) {
       tiles.push({ x, y, z: zoom });
     }
   }
@@ -93,24 +94,39 @@ function getTilesInBounds(bbox, zoom) {
  * @param {Array<number>} bbox - Bounding box [minX, minY, maxX, maxY] in degrees
  * @param {number} minZoom - Minimum zoom level
  * @param {number} maxZoom - Maximum zoom level
- * @returns {Object} Tiling scheme with tiles per level
+ * @param {import('./tiling-scheme').TilingScheme} [scheme] - Tiling scheme (default Web Mercator XYZ)
+ * @param {Array<Array<number>>} [coverage] - Extents of the data in degrees; tiles of the bbox
+ *   intersecting none of them are left out
+ * @param {Object} [options] - Tiling options
+ * @param {boolean} [options.allRootTiles] - List every level-0 tile of the scheme, whatever
+ *   the bbox and coverage (Cesium terrain clients wait for all of them)
+ * @returns {Object} Tiling scheme with tiles per level, plus the `scheme` used
  */
-function generateTilingScheme(bbox, minZoom = 0, maxZoom = 10) {
-  const scheme = {
+function generateTilingScheme(bbox, minZoom = 0, maxZoom = 10, scheme = DEFAULT_TILING_SCHEME, coverage = null, options = {}) {
+  const tilingScheme = {
     bbox,
     minZoom,
     maxZoom,
+    scheme,
     levels: {},
     totalTiles: 0,
   };
   
   for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
-    const tiles = getTilesInBounds(bbox, zoom);
-    scheme.levels[zoom] = tiles;
-    scheme.totalTiles += tiles.length;
+    const allTiles = zoom === 0 && options.allRootTiles;
+    let tiles = getTilesInBounds(allTiles ? [-180, -90, 180, 90] : bbox, zoom, scheme);
+    if (coverage && !allTiles) {
+      tiles = tiles.filter(tile => {
+        const bounds = tileToBounds(tile.x, tile.y, tile.z, scheme);
+        const tileBbox = [bounds.minX, bounds.minY, bounds.maxX, bounds.maxY];
+        return coverage.some(extent => bboxIntersects(extent, tileBbox));
+      });
+    }
+    tilingScheme.levels[zoom] = tiles;
+    tilingScheme.totalTiles += tiles.length;
   }
   
-  return scheme;
+  return tilingScheme;
 }
 
 /**
@@ -118,11 +134,11 @@ function generateTilingScheme(bbox, minZoom = 0, maxZoom = 10) {
  * @param {number} zoom - Zoom level
  * @param {number} lat - Latitude in degrees
  * @param {number} tileSize - Tile size in pixels (default 256)
+ * @param {import('./tiling-scheme').TilingScheme} [scheme] - Tiling scheme (default Web Mercator XYZ)
  * @returns {number} Resolution in meters per pixel
  */
-function getResolution(zoom, lat = 0, tileSize = 256) {
-  const latRad = lat * Math.PI / 180;
-  return EARTH_CIRCUMFERENCE * Math.cos(latRad) / (tileSize * Math.pow(2, zoom));
+function getResolution(zoom, lat = 0, tileSize = 256, scheme = DEFAULT_TILING_SCHEME) {
+  return scheme.getResolution(zoom, lat, tileSize);
 }
 
 /**
@@ -160,6 +176,126 @@ function getChildTiles(tile) {
   ];
 }
 
+/**
+ * Get the child tiles of a tile that are present in a tiling scheme.
+ * @param {TileCoordinate} tile - Parent tile coordinate
+ * @param {Object} tilingScheme - Tiling scheme from generateTilingScheme
+ * @returns {Array<TileCoordinate>} Child tiles listed in the scheme's next level
+ */
+function getAvailableChildTiles(tile, tilingScheme) {
+  const level = tilingScheme.levels[tile.z + 1];
+  if (!level) {
+    return [];
+  }
+
+  let keys = levelKeyCache.get(level);
+  if (!keys) {
+    keys = new Set(level.map(t => `${t.x}/${t.y}`));
+    levelKeyCache.set(level, keys);
+  }
+
+  return getChildTiles(tile).filter(child => keys.has(`${child.x}/${child.y}`));
+}
+
+/**
+ * Merge the tiles of one level into rectangles: runs of adjacent columns in each row,
+ * extended over the following rows while they have a run with the same columns.
+ * @param {Array<TileCoordinate>} tiles - Tiles of one zoom level
+ * @returns {Array<TileRange>} Ranges covering exactly the tiles, ordered by first row and column
+ */
+function mergeTileRanges(tiles) {
+  const rows = new Map();
+  for (const { x, y } of tiles) {
+    if (!rows.has(y)) {
+      rows.set(y, []);
+    }
+    rows.get(y).push(x);
+  }
+
+  const ranges = [];
+  let previousRow = new Map(); // "startX/endX" -> range reaching the previous row
+  for (const y of [...rows.keys()].sort((a, b) => a - b)) {
+    const columns = [...new Set(rows.get(y))].sort((a, b) => a - b);
+    const row = new Map();
+    let startX = columns[0];
+    for (let i = 1; i <= columns.length; i++) {
+      if (i < columns.length && columns[i] === columns[i - 1] + 1) {
+        continue;
+      }
+      const endX = columns[i - 1];
+      const key = `${startX}/${endX}`;
+      let range = previousRow.get(key);
+      if (range && range.endY === y - 1) {
+        range.endY = y;
+      } else {
+        range = { startX, startY: y, endX, endY: y };
+        ranges.push(range);
+      }
+      row.set(key, range);
+      startX = columns[i];
+    }
+    previousRow = row;
+  }
+
+  return ranges;
+}
+
+/**
+ * Get the tiles of a deeper level of a tiling scheme that descend from a tile.
+ * @param {TileCoordinate} tile - Ancestor tile
+ * @param {number} zoom - Deeper zoom level
+ * @param {Object} tilingScheme - Tiling scheme from generateTilingScheme
+ * @returns {Array<TileRange>} Ranges of the descendants listed in the scheme's level
+ */
+function getDescendantTileRanges(tile, zoom, tilingScheme) {
+  const level = tilingScheme.levels[zoom];
+  if (!level) {
+    return [];
+  }
+
+  let ranges = levelRangeCache.get(level);
+  if (!ranges) {
+    ranges = mergeTileRanges(level);
+    levelRangeCache.set(level, ranges);
+  }
+
+  const size = Math.pow(2, zoom - tile.z);
+  const minX = tile.x * size;
+  const minY = tile.y * size;
+  const maxX = minX + size - 1;
+  const maxY = minY + size - 1;
+  return ranges
+    .filter(range => range.startX <= maxX && range.endX >= minX && range.startY <= maxY && range.endY >= minY)
+    .map(range => ({
+      startX: Math.max(range.startX, minX),
+      startY: Math.max(range.startY, minY),
+      endX: Math.min(range.endX, maxX),
+      endY: Math.min(range.endY, maxY),
+    }));
+}
+
+/**
+ * Get the child availability bit mask of a tile, as stored in Cesium heightmap-1.0 tiles.
+ * Bits: 1 = south-west, 2 = south-east, 4 = north-west, 8 = north-east child.
+ * @param {TileCoordinate} tile - Parent tile coordinate
+ * @param {Object} tilingScheme - Tiling scheme from generateTilingScheme
+ * @returns {number} Child availability mask
+ */
+function getChildTileMask(tile, tilingScheme) {
+  const tms = (tilingScheme.scheme || DEFAULT_TILING_SCHEME).yOrigin === 'tms';
+  let mask = 0;
+
+  for (const child of getAvailableChildTiles(tile, tilingScheme)) {
+    const east = child.x - tile.x * 2;
+    const upper = child.y - tile.y * 2;
+    // TMS rows grow northward, XYZ rows grow southward
+    const south = tms ? upper === 0 : upper === 1;
+    mask |= 1 << ((south ? 0 : 2) + east);
+  }
+
+  return mask;
+}
+
 /**
  * Format tile coordinate as a path string (e.g., "5/10/12" for z5/x10/y12).
  * @param {TileCoordinate} tile - Tile coordinate
@@ -196,8 +332,13 @@ module.exports = {
   getResolution,
   getParentTile,
   getChildTiles,
+  getAvailableChildTiles,
+  getChildTileMask,
+  mergeTileRanges,
+  getDescendantTileRanges,
   formatTilePath,
   bboxIntersects,
+  DEFAULT_TILING_SCHEME,
   EARTH_RADIUS,
   EARTH_CIRCUMFERENCE,
 };
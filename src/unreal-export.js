@@ -0,0 +1,371 @@
+/**
+ * Export of DEMs as Unreal Engine landscape heightmaps.
+ *
+ * Unreal landscapes are square vertex grids in meters, so the DEM is resampled onto a local
+ * transverse Mercator grid centered on the exported extent (scale 1 at its center, distortion
+ * below 0.1% within ~90 km). The grid has one of the recommended landscape sizes, built from
+ * whole components of sections, and its heights are scaled to the full 16-bit range.
+ * A JSON sidecar lists the location and scale that reproduce real-world meters in the
+ * landscape import dialog: Unreal places 16-bit height h at
+ *   Z = location.z + (h - 32768) * scale.z / 128   (centimeters)
+ *
+ * World Partition landscapes can be imported from tiled heightmaps named
+ * `heightmap_x<column>_y<row>`; tiles cover whole components and share their border
+ * vertices with their neighbours.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { resolveMosaicSources, openMosaic, sampleMosaic } = require('./mosaic');
+const { getGroundResolution } = require('./tile-sampler');
+const { createProjection } = require('./projection');
+const { parseResampling } = require('./resampling');
+const { parseNoDataFill, fillNoData } = require('./nodata-fill');
+const { parseVerticalDatum, formatVerticalDatum, VerticalTransform } = require('./vertical-datum');
+const { encodeHeightmapPNG, encodeHeightmapR16, extractRegion } = require('./terrain-encoder');
+
+const DEFAULT_CACHE_SIZE = 256; // MB
+
+// Recommended landscape sizes: quads per section, sections per component side, components per side
+const LANDSCAPE_PRESETS = [
+  { size: 127, sectionSize: 63, sectionsPerComponent: 2, components: 1 },
+  { size: 253, sectionSize: 63, sectionsPerComponent: 2, components: 2 },
+  { size: 505, sectionSize: 63, sectionsPerComponent: 2, components: 4 },
+  { size: 1009, sectionSize: 63, sectionsPerComponent: 2, components: 8 },
+  { size: 2017, sectionSize: 63, sectionsPerComponent: 2, components: 16 },
+  { size: 4033, sectionSize: 63, sectionsPerComponent: 2, components: 32 },
+  { size: 8129, sectionSize: 127, sectionsPerComponent: 2, components: 32 },
+];
+
+const HEIGHTMAP_FORMATS = {
+  png: { extension: '.png', encode: (data, size, min, max) => encodeHeightmapPNG(data, size, size, min, max) },
+  raw: { extension: '.r16', encode: async (data, size, min, max) => encodeHeightmapR16(data, min, max) },
+};
+
+// Heightmap rows sampled at a time
+const BAND_SAMPLES = 1 << 18;
+
+// Unreal units (centimeters) per meter
+const UNREAL_UNITS = 100;
+
+/**
+ * @typedef {Object} LandscapePreset
+ * @property {number} size - Vertices per side
+ * @property {number} sectionSize - Quads per section side
+ * @property {number} sectionsPerComponent - Sections per component side (1 or 2)
+ * @property {number} components - Components per landscape side
+ */
+
+/**
+ * @param {number} size - Landscape vertices per side
+ * @returns {LandscapePreset} Recommended layout of that size
+ */
+function getLandscapePreset(size) {
+  const preset = LANDSCAPE_PRESETS.find(p => p.size === size);
+  if (!preset) {
+    const sizes = LANDSCAPE_PRESETS.map(p => p.size);
+    throw new Error(`Unsupported landscape size: ${size} (expected ${sizes.slice(0, -1).join(', ')} or ${sizes[sizes.length - 1]})`);
+  }
+  return preset;
+}
+
+/**
+ * Smallest landscape size whose vertex spacing is at least as fine as the DEM, or the
+ * largest size for DEMs finer than that.
+ * @param {number} side - Landscape side in meters
+ * @param {number} resolution - DEM ground resolution in meters per pixel
+ * @returns {number} Landscape vertices per side
+ */
+function chooseLandscapeSize(side, resolution) {
+  const preset = LANDSCAPE_PRESETS.find(p => side / (p.size - 1) <= resolution);
+  return (preset || LANDSCAPE_PRESETS[LANDSCAPE_PRESETS.length - 1]).size;
+}
+
+/**
+ * Local transverse Mercator projection centered on an extent.
+ * @param {Array<number>} bbox - Extent [west, south, east, north] in degrees
+ * @returns {import('./projection').Projection} Projection in meters, origin at the extent center
+ */
+function createLocalProjection(bbox) {
+  const lon0 = (bbox[0] + bbox[2]) / 2;
+  const lat0 = (bbox[1] + bbox[3]) / 2;
+  return createProjection({ type: 'tmerc', name: `Local transverse Mercator at ${lon0}, ${lat0}`, lon0, lat0, k0: 1 });
+}
+
+/**
+ * Half the side of the smallest square around the projection origin covering an extent.
+ * @param {Array<number>} bbox - Extent [west, south, east, north] in degrees
+ * @param {import('./projection').Projection} projection - Local projection (see createLocalProjection)
+ * @param {number} [steps] - Samples per edge of the extent (default 32)
+ * @returns {number} Half side in meters
+ */
+function getLocalHalfSide(bbox, projection, steps = 32) {
+  const [west, south, east, north] = bbox;
+  let half = 0;
+  for (let i = 0; i <= steps; i++) {
+    const lon = west + (east - west) * i / steps;
+    const lat = south + (north - south) * i / steps;
+    for (const [x, y] of [[lon, south], [lon, north], [west, lat], [east, lat]].map(p => projection.forward(...p))) {
+      half = Math.max(half, Math.abs(x), Math.abs(y));
+    }
+  }
+  return half;
+}
+
+/**
+ * Landscape import values reproducing real-world meters.
+ * @param {number} size - Landscape vertices per side
+ * @param {number} spacing - Vertex spacing in meters
+ * @param {number} minElevation - Elevation of 16-bit level 0 in meters
+ * @param {number} maxElevation - Elevation of 16-bit level 65535 in meters
+ * @returns {{location: Object, scale: Object}} Location and scale {x, y, z} in Unreal units
+ *   (centimeters), centering the landscape on the world origin
+ */
+function computeLandscapeTransform(size, spacing, minElevation, maxElevation) {
+  const scaleXY = spacing * UNREAL_UNITS;
+  // 65535 levels span the elevation range; Unreal spans 128 levels per unit of Z scale
+  const scaleZ = (maxElevation - minElevation) * UNREAL_UNITS * 128 / 65535;
+  const offset = -(size - 1) / 2 * scaleXY;
+  return {
+    location: { x: offset, y: offset, z: minElevation * UNREAL_UNITS + 32768 * scaleZ / 128 },
+    scale: { x: scaleXY, y: scaleXY, z: scaleZ },
+  };
+}
+
+/**
+ * Split a landscape into World Partition tiles covering whole components.
+ * @param {LandscapePreset} preset - Landscape layout
+ * @param {number} tiles - Tiles per side
+ * @returns {Array<{column: number, row: number, x: number, y: number, size: number}>} Tiles, row by
+ *   row, with their first vertex and vertices per side; neighbours share their border vertices
+ */
+function getLandscapeTiles(preset, tiles) {
+  if (!Number.isInteger(tiles) || tiles < 1 || preset.components % tiles !== 0) {
+    throw new Error(`World Partition tiles must split the ${preset.components} x ${preset.components} components of a ${preset.size} landscape evenly`);
+  }
+  const quads = (preset.size - 1) / tiles;
+  const result = [];
+  for (let row = 0; row < tiles; row++) {
+    for (let column = 0; column < tiles; column++) {
+      result.push({ column, row, x: column * quads, y: row * quads, size: quads + 1 });
+    }
+  }
+  return result;
+}
+
+/**
+ * @typedef {Object} UnrealExportOptions
+ * @property {string|Array<string>} inputPath - Input DEM path(s) or JSON mosaic file
+ * @property {string} outputDir - Directory receiving the heightmaps and the JSON sidecar
+ * @property {number} [landscapeSize] - Vertices per side: 127, 253, 505, 1009, 2017, 4033 or 8129
+ *   (default: the smallest size matching the finest DEM resolution)
+ * @property {string} [heightmapFormat] - 'png' (16-bit grayscale, default) or 'raw' (.r16)
+ * @property {number} [worldPartition] - Heightmap tiles per side (default 1, a single heightmap)
+ * @property {Array<number>} [crop] - Extent to export [west, south, east, north] in degrees
+ *   (default: the DEM extent)
+ * @property {string} [sourceCrs] - Override the DEM's CRS
+ * @property {number} [feather] - Default mosaic feather width in source pixels
+ * @property {string} [resampling] - Resampling kernel (default 'bilinear')
+ * @property {string|number} [noDataFill] - No-data fill strategy (default 'idw')
+ * @property {string} [sourceVdatum] - Vertical datum of the DEM heights (default 'ellipsoid')
+ * @property {string} [targetVdatum] - Vertical datum of the landscape heights (default 'ellipsoid')
+ * @property {number} [cacheSize] - Block cache size in megabytes (default 256)
+ */
+
+/**
+ * Export a DEM as an Unreal Engine landscape heightmap.
+ * @param {UnrealExportOptions} options
+ * @returns {Promise<Object>} The JSON sidecar content
+ */
+async function exportUnrealLandscape(options) {
+  const {
+    inputPath,
+    outputDir,
+    heightmapFormat = 'png',
+    worldPartition = 1,
+    resampling = 'bilinear',
+    noDataFill = 'idw',
+    cacheSize,
+  } = options;
+
+  const format = HEIGHTMAP_FORMATS[heightmapFormat];
+  if (!format) {
+    throw new Error(`Unsupported heightmap format: ${heightmapFormat} (expected png or raw)`);
+  }
+  if (options.landscapeSize !== undefined) {
+    getLandscapePreset(options.landscapeSize);
+  }
+  parseResampling(resampling);
+  const fill = parseNoDataFill(noDataFill);
+  const verticalDatums = { source: parseVerticalDatum(options.sourceVdatum), target: parseVerticalDatum(options.targetVdatum) };
+
+  const mosaicSources = await resolveMosaicSources(inputPath, { sourceCrs: options.sourceCrs, feather: options.feather });
+  const mosaic = await openMosaic(mosaicSources, {
+    cacheBytes: (cacheSize || DEFAULT_CACHE_SIZE) * 1024 * 1024,
+    resampling,
+  });
+  let verticalTransform = null;
+
+  try {
+    const crop = options.crop || mosaic.metadata.geographicBbox;
+    if (!(crop[0] < crop[2] && crop[1] < crop[3])) {
+      throw new Error(`Invalid crop extent: ${crop.join(', ')}`);
+    }
+    const projection = createLocalProjection(crop);
+    const { lon0, lat0 } = projection.definition;
+    const half = getLocalHalfSide(crop, projection);
+    const demResolution = Math.min(...mosaic.layers.map(({ metadata }) => getGroundResolution(metadata, metadata.width, lat0)));
+    const size = options.landscapeSize || chooseLandscapeSize(half * 2, demResolution);
+    const preset = getLandscapePreset(size);
+    const tiles = getLandscapeTiles(preset, worldPartition);
+    const spacing = half * 2 / (size - 1);
+
+    console.log('[dem-terraindb-tiler] Exporting Unreal Engine landscape');
+    console.log('  DEM input     :', Array.isArray(inputPath) ? inputPath.join(', ') : inputPath);
+    console.log('  Output        :', outputDir);
+    console.log('  Extent        :', `${crop.map(v => v.toFixed(5)).join(', ')} (${(half * 2 / 1000).toFixed(2)} km square)`);
+    console.log('  Landscape     :', `${size} x ${size}, ${preset.sectionSize}x${preset.sectionSize} quad sections, ${preset.sectionsPerComponent}x${preset.sectionsPerComponent} sections per component, ${preset.components} x ${preset.components} components`);
+    console.log('  Resolution    :', `${spacing.toFixed(3)} m (DEM ${demResolution.toFixed(3)} m)`);
+    console.log('  Heightmap     :', `${heightmapFormat}${tiles.length > 1 ? `, ${worldPartition} x ${worldPartition} World Partition tiles` : ''}`);
+    console.log('');
+
+    verticalTransform = await VerticalTransform.open(verticalDatums.source, verticalDatums.target, crop);
+    const heights = await sampleLandscape(mosaic, projection, half, size, spacing);
+    fillNoData(heights, size, size, fill);
+    if (verticalTransform) {
+      await forEachBand(projection, half, size, async (positions, start, rows) => {
+        await verticalTransform.apply(heights.subarray(start * size, (start + rows) * size), positions, size, rows);
+      });
+    }
+
+    let minElevation = Infinity;
+    let maxElevation = -Infinity;
+    for (let i = 0; i < heights.length; i++) {
+      minElevation = Math.min(minElevation, heights[i]);
+      maxElevation = Math.max(maxElevation, heights[i]);
+    }
+    // Flat landscapes still need a non-zero Z scale
+    if (!(maxElevation > minElevation)) {
+      maxElevation = minElevation + 1;
+    }
+
+    await fs.ensureDir(outputDir);
+    const files = [];
+    for (const tile of tiles) {
+      const name = tiles.length > 1 ? `heightmap_x${tile.column}_y${tile.row}` : 'heightmap';
+      const data = tiles.length > 1 ? extractRegion(heights, size, tile.x, tile.y, tile.size, tile.size) : heights;
+      await fs.writeFile(path.join(outputDir, name + format.extension), await format.encode(data, tile.size, minElevation, maxElevation));
+      files.push(name + format.extension);
+    }
+
+    const transform = computeLandscapeTransform(size, spacing, minElevation, maxElevation);
+    const [lon, lat] = [lon0, lat0].map(v => round(v, 9));
+    const sidecar = {
+      landscape: {
+        overallResolution: [size, size],
+        sectionSize: preset.sectionSize,
+        sectionsPerComponent: preset.sectionsPerComponent,
+        components: [preset.components, preset.components],
+      },
+      location: roundVector(transform.location, 3),
+      scale: roundVector(transform.scale, 6),
+      heightmap: {
+        format: heightmapFormat,
+        files,
+        tiles: [worldPartition, worldPartition],
+        tileResolution: tiles[0].size,
+      },
+      elevation: {
+        min: round(minElevation, 3),
+        max: round(maxElevation, 3),
+        verticalDatum: formatVerticalDatum(verticalDatums.target),
+      },
+      georeference: {
+        crs: `+proj=tmerc +lat_0=${lat} +lon_0=${lon} +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs`,
+        origin: [lon, lat],
+        extent: [-half, -half, half, half].map(v => round(v, 3)),
+        crop,
+        spacing: round(spacing, 6),
+      },
+    };
+    await fs.writeJson(path.join(outputDir, 'heightmap.json'), sidecar, { spaces: 2 });
+
+    console.log(`  Wrote ${files.length} heightmap${files.length > 1 ? 's' : ''} and heightmap.json`);
+    console.log(`  Import: location (${formatVector(sidecar.location)}), scale (${formatVector(sidecar.scale)})`);
+    console.log('[dem-terraindb-tiler] Export complete!');
+    return sidecar;
+  } finally {
+    mosaic.close();
+    if (verticalTransform) {
+      verticalTransform.close();
+    }
+  }
+}
+
+/**
+ * Sample the mosaic at every landscape vertex, a band of rows at a time.
+ * @returns {Promise<Float32Array>} Heights row by row, row 0 the northern edge, NaN for no data
+ */
+async function sampleLandscape(mosaic, projection, half, size, spacing) {
+  const heights = new Float32Array(size * size);
+  const latitude = projection.definition.lat0;
+  await forEachBand(projection, half, size, async (positions, start) => {
+    let west = Infinity;
+    let south = Infinity;
+    let east = -Infinity;
+    let north = -Infinity;
+    for (let i = 0; i < positions.length; i += 2) {
+      west = Math.min(west, positions[i]);
+      east = Math.max(east, positions[i]);
+      south = Math.min(south, positions[i + 1]);
+      north = Math.max(north, positions[i + 1]);
+    }
+    heights.set(await sampleMosaic(mosaic, positions, [west, south, east, north], spacing, latitude), start * size);
+  });
+  return heights;
+}
+
+/**
+ * Call `callback(positions, startRow, rows)` for consecutive bands of landscape rows, with the
+ * longitude/latitude of their vertices.
+ */
+async function forEachBand(projection, half, size, callback) {
+  const bandRows = Math.max(1, Math.floor(BAND_SAMPLES / size));
+  for (let start = 0; start < size; start += bandRows) {
+    const rows = Math.min(bandRows, size - start);
+    const positions = new Float64Array(rows * size * 2);
+    for (let row = 0; row < rows; row++) {
+      const y = half - half * 2 * (start + row) / (size - 1);
+      for (let col = 0; col < size; col++) {
+        const [lon, lat] = projection.inverse(-half + half * 2 * col / (size - 1), y);
+        positions[(row * size + col) * 2] = lon;
+        positions[(row * size + col) * 2 + 1] = lat;
+      }
+    }
+    await callback(positions, start, rows);
+  }
+}
+
+// Sidecar values are rounded well below Unreal's precision, for readability
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+function roundVector({ x, y, z }, digits) {
+  return { x: round(x, digits), y: round(y, digits), z: round(z, digits) };
+}
+
+function formatVector({ x, y, z }) {
+  return [x, y, z].join(', ');
+}
+
+module.exports = {
+  LANDSCAPE_PRESETS,
+  getLandscapePreset,
+  chooseLandscapeSize,
+  createLocalProjection,
+  getLocalHalfSide,
+  computeLandscapeTransform,
+  getLandscapeTiles,
+  exportUnrealLandscape,
+};
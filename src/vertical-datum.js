@@ -0,0 +1,327 @@
+/**
+ * Vertical datum conversion of tile heights.
+ * DEM heights are usually orthometric (above a geoid such as EGM96, EGM2008 or the
+ * geoid model of NAVD88), while Cesium expects heights above the WGS84 ellipsoid. A
+ * geoid grid holds the height N of its geoid above the ellipsoid, so
+ *   height above ellipsoid = orthometric height + N
+ * and converting between two geoids adds N(source) - N(target). Datums are given as
+ * 'ellipsoid' or a geoid grid file: a GeoTIFF (read block by block) or a .gtx grid
+ * (loaded whole).
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { openDEM } = require('./dem-reader');
+const { createProjection } = require('./projection');
+const { ArrayRasterSource } = require('./raster-source');
+const { toSourcePixels, sampleSource } = require('./tile-sampler');
+const { fillNoData } = require('./nodata-fill');
+
+const ELLIPSOID = 'ellipsoid';
+const GRID_EXTENSIONS = ['.tif', '.tiff', '.gtx'];
+
+// Block cache of a GeoTIFF geoid grid; geoid grids are smooth, so few blocks are needed per tile
+const GEOID_CACHE_BYTES = 32 * 1024 * 1024;
+
+// .gtx: big-endian header of lower-left node lat/lon, lat/lon spacing (float64) and rows/columns (int32)
+const GTX_HEADER_SIZE = 40;
+const GTX_NODATA = -88.8888;
+
+// Samples per side of the lattice estimating the offset range over an extent
+const OFFSET_RANGE_SAMPLES = 33;
+
+/**
+ * @typedef {Object} VerticalDatum
+ * @property {string} type - 'ellipsoid' or 'geoid'
+ * @property {string} [path] - Absolute path of the geoid grid file
+ */
+
+/**
+ * Parse a vertical datum as given on the command line.
+ * @param {string} [spec] - 'ellipsoid' (also 'wgs84'; the default) or a geoid grid file path
+ * @returns {VerticalDatum} Vertical datum
+ */
+function parseVerticalDatum(spec) {
+  if (!spec || [ELLIPSOID, 'wgs84'].includes(spec.toLowerCase())) {
+    return { type: ELLIPSOID };
+  }
+  if (!GRID_EXTENSIONS.includes(path.extname(spec).toLowerCase())) {
+    throw new Error(`Unsupported vertical datum: ${spec} (expected ellipsoid or a geoid grid file: ${GRID_EXTENSIONS.join(', ')})`);
+  }
+  return { type: 'geoid', path: path.resolve(spec) };
+}
+
+/**
+ * @param {VerticalDatum} datum - Vertical datum
+ * @returns {string} Human-readable datum
+ */
+function formatVerticalDatum(datum) {
+  return datum.type === ELLIPSOID ? 'WGS84 ellipsoid' : `geoid grid ${datum.path}`;
+}
+
+/**
+ * A geoid grid, sampled bilinearly at longitude/latitude positions.
+ */
+class GeoidGrid {
+  /**
+   * @param {Object} grid - Opened grid
+   * @param {string} grid.path - Grid file
+   * @param {Object} grid.source - Raster source (RasterSource or ArrayRasterSource)
+   * @param {Array<number>} grid.bbox - Grid extent in its CRS (outer pixel edges)
+   * @param {Array<number>} grid.geographicBbox - Grid extent in degrees
+   * @param {import('./projection').Projection} grid.projection - Grid CRS projection
+   * @param {number} [grid.noDataValue] - No data value
+   * @param {Function} [grid.close] - Releases the grid file
+   */
+  constructor(grid) {
+    this.path = grid.path;
+    this.source = grid.source;
+    this.bbox = grid.bbox;
+    this.geographicBbox = grid.geographicBbox;
+    this.noDataValue = grid.noDataValue;
+    this.closeSource = grid.close || (() => {});
+
+    // Global grids may run from 0 to 360 degrees: shift longitudes into the grid
+    const { projection } = grid;
+    const west = this.geographicBbox[0];
+    this.projection = projection.geographic
+      ? { forward: (lon, lat) => [wrapLongitude(lon, west), lat] }
+      : projection;
+  }
+
+  /**
+   * Open a GeoTIFF or .gtx geoid grid.
+   * @param {string} filePath - Grid file
+   * @returns {Promise<GeoidGrid>} Opened grid
+   */
+  static async open(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`Geoid grid not found: ${filePath}`);
+    }
+    if (path.extname(filePath).toLowerCase() === '.gtx') {
+      return new GeoidGrid({ path: filePath, ...parseGtx(await fs.readFile(filePath)) });
+    }
+
+    const dem = await openDEM(filePath, { cacheBytes: GEOID_CACHE_BYTES });
+    const { metadata } = dem;
+    if (!metadata.crs) {
+      dem.close();
+      throw new Error(`Geoid grid ${filePath} has no supported CRS: ${metadata.crsError}`);
+    }
+    return new GeoidGrid({
+      path: filePath,
+      source: dem.source,
+      bbox: metadata.bbox,
+      geographicBbox: metadata.geographicBbox,
+      projection: createProjection(metadata.crs),
+      noDataValue: metadata.noDataValue,
+      close: dem.close,
+    });
+  }
+
+  /**
+   * @param {Array<number>} bbox - Extent [west, south, east, north] in degrees
+   * @returns {boolean} Whether the grid covers the extent
+   */
+  covers(bbox) {
+    const [west, south, east, north] = this.geographicBbox;
+    if (bbox[1] < south || bbox[3] > north) {
+      return false;
+    }
+    if (east - west >= 360) {
+      return true;
+    }
+    const start = wrapLongitude(bbox[0], west);
+    return start + (bbox[2] - bbox[0]) <= east;
+  }
+
+  /**
+   * @param {Float64Array} positions - Interleaved [lon, lat]
+   * @returns {Promise<Float32Array>} Geoid height above the ellipsoid at every position,
+   *   NaN where the grid has no data
+   */
+  async sample(positions) {
+    const { source } = this;
+    const pixels = toSourcePixels(positions, this.bbox, source.width, source.height, this.projection);
+    return sampleSource(source, pixels, this.noDataValue);
+  }
+
+  close() {
+    this.closeSource();
+  }
+}
+
+/**
+ * Parse a .gtx grid (NOAA VDatum / PROJ format): rows run from south to north.
+ * @param {Buffer} buffer - File content
+ * @returns {Object} Grid fields for the GeoidGrid constructor
+ */
+function parseGtx(buffer) {
+  if (buffer.length < GTX_HEADER_SIZE) {
+    throw new Error('Truncated .gtx grid');
+  }
+  const south = buffer.readDoubleBE(0);
+  const west = buffer.readDoubleBE(8);
+  const latStep = buffer.readDoubleBE(16);
+  const lonStep = buffer.readDoubleBE(24);
+  const rows = buffer.readInt32BE(32);
+  const columns = buffer.readInt32BE(36);
+  if (rows <= 0 || columns <= 0 || buffer.length < GTX_HEADER_SIZE + rows * columns * 4) {
+    throw new Error('Truncated .gtx grid');
+  }
+
+  const data = new Float32Array(rows * columns);
+  for (let row = 0; row < rows; row++) {
+    // Row 0 of the raster is the northern edge
+    const offset = GTX_HEADER_SIZE + (rows - 1 - row) * columns * 4;
+    for (let col = 0; col < columns; col++) {
+      const value = buffer.readFloatBE(offset + col * 4);
+      data[row * columns + col] = Math.abs(value - GTX_NODATA) < 1e-3 ? NaN : value;
+    }
+  }
+
+  // Header positions are grid nodes, i.e. pixel centers
+  const bbox = [
+    west - lonStep / 2,
+    south - latStep / 2,
+    west + (columns - 0.5) * lonStep,
+    south + (rows - 0.5) * latStep,
+  ];
+  return {
+    source: new ArrayRasterSource(data, columns, rows),
+    bbox,
+    geographicBbox: bbox,
+    projection: createProjection({ type: 'longlat', name: 'EPSG:4326' }),
+  };
+}
+
+function wrapLongitude(lon, west) {
+  return west + ((((lon - west) % 360) + 360) % 360);
+}
+
+/**
+ * Converts heights from a source to a target vertical datum.
+ */
+class VerticalTransform {
+  /**
+   * @param {VerticalDatum} source - Datum of the DEM heights
+   * @param {VerticalDatum} target - Datum of the tile heights
+   * @param {{source: GeoidGrid|null, target: GeoidGrid|null}} grids - Opened geoid grids
+   */
+  constructor(source, target, grids) {
+    this.source = source;
+    this.target = target;
+    this.grids = grids;
+  }
+
+  /**
+   * Open the geoid grids converting between two datums.
+   * @param {VerticalDatum} source - Datum of the DEM heights
+   * @param {VerticalDatum} target - Datum of the tile heights
+   * @param {Array<number>} [coverage] - Extent in degrees the grids must cover
+   * @returns {Promise<VerticalTransform|null>} Transform, or null when the datums are the same
+   */
+  static async open(source, target, coverage) {
+    if (source.type === target.type && source.path === target.path) {
+      return null;
+    }
+
+    const grids = { source: null, target: null };
+    try {
+      for (const key of ['source', 'target']) {
+        const datum = key === 'source' ? source : target;
+        if (datum.type === 'geoid') {
+          grids[key] = await GeoidGrid.open(datum.path);
+          if (coverage && !grids[key].covers(coverage)) {
+            throw new Error(`Geoid grid ${datum.path} does not cover the DEM extent`);
+          }
+        }
+      }
+    } catch (err) {
+      Object.values(grids).forEach(grid => grid && grid.close());
+      throw err;
+    }
+    return new VerticalTransform(source, target, grids);
+  }
+
+  /**
+   * Height offsets from the source to the target datum on a grid of positions. Where a
+   * geoid grid has no data, offsets are interpolated from the surrounding ones.
+   * @param {Float64Array} positions - Interleaved [lon, lat], row by row
+   * @param {number} width - Positions per row
+   * @param {number} height - Rows
+   * @returns {Promise<Float32Array>} Offset to add to every source height
+   */
+  async getOffsets(positions, width, height) {
+    const offsets = new Float32Array(positions.length / 2);
+    if (this.grids.source) {
+      const separation = await this.grids.source.sample(positions);
+      for (let i = 0; i < offsets.length; i++) {
+        offsets[i] += separation[i];
+      }
+    }
+    if (this.grids.target) {
+      const separation = await this.grids.target.sample(positions);
+      for (let i = 0; i < offsets.length; i++) {
+        offsets[i] -= separation[i];
+      }
+    }
+    return fillNoData(offsets, width, height, { type: 'idw' });
+  }
+
+  /**
+   * Convert a tile height grid in place.
+   * @param {Float32Array} heights - Heights in the source datum
+   * @param {Float64Array} positions - Interleaved [lon, lat] of every height
+   * @param {number} width - Heights per row
+   * @param {number} height - Rows
+   * @returns {Promise<Float32Array>} The heights, in the target datum
+   */
+  async apply(heights, positions, width, height) {
+    const offsets = await this.getOffsets(positions, width, height);
+    for (let i = 0; i < heights.length; i++) {
+      heights[i] += offsets[i];
+    }
+    return heights;
+  }
+
+  /**
+   * Estimate the range of height offsets over an extent from a lattice of samples.
+   * @param {Array<number>} bbox - Extent [west, south, east, north] in degrees
+   * @returns {Promise<{min: number, max: number}>} Offset range
+   */
+  async getOffsetRange(bbox) {
+    const n = OFFSET_RANGE_SAMPLES;
+    const positions = new Float64Array(n * n * 2);
+    for (let row = 0; row < n; row++) {
+      for (let col = 0; col < n; col++) {
+        positions[(row * n + col) * 2] = bbox[0] + (bbox[2] - bbox[0]) * col / (n - 1);
+        positions[(row * n + col) * 2 + 1] = bbox[3] - (bbox[3] - bbox[1]) * row / (n - 1);
+      }
+    }
+    const offsets = await this.getOffsets(positions, n, n);
+    let min = Infinity;
+    let max = -Infinity;
+    for (const offset of offsets) {
+      min = Math.min(min, offset);
+      max = Math.max(max, offset);
+    }
+    return { min, max };
+  }
+
+  describe() {
+    return `${formatVerticalDatum(this.source)} -> ${formatVerticalDatum(this.target)}`;
+  }
+
+  close() {
+    Object.values(this.grids).forEach(grid => grid && grid.close());
+  }
+}
+
+module.exports = {
+  parseVerticalDatum,
+  formatVerticalDatum,
+  parseGtx,
+  GeoidGrid,
+  VerticalTransform,
+};
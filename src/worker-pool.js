@@ -0,0 +1,122 @@
+/**
+ * Fixed-size pool of worker_threads running one worker script.
+ * Tasks are queued and handed to the next idle worker; each worker handles one task
+ * at a time. The worker script answers every `{id, task}` message with `{id, result}`
+ * or `{id, error}`, and exits on `{type: 'close'}` once it has released its resources.
+ */
+
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+  /**
+   * @param {string} script - Path to the worker script
+   * @param {number} size - Number of workers
+   * @param {*} [workerData] - Data passed to every worker (structured-cloned)
+   */
+  constructor(script, size, workerData) {
+    this.queue = [];
+    this.pending = new Map(); // Task id -> {resolve, reject}
+    this.idle = [];
+    this.workers = [];
+    this.nextTaskId = 0;
+    this.error = null;
+    this.closing = false;
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(script, { workerData });
+      worker.on('message', message => this.handleMessage(worker, message));
+      worker.on('error', err => this.fail(err));
+      worker.on('exit', code => {
+        if (code !== 0 && !this.closing) {
+          this.fail(new Error(`Worker exited with code ${code}`));
+        }
+      });
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Queue a task.
+   * @param {*} task - Task message (structured-cloned)
+   * @returns {Promise<*>} Result posted back by the worker
+   */
+  run(task) {
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => {
+      const id = this.nextTaskId++;
+      this.pending.set(id, { resolve, reject });
+      this.queue.push({ id, task });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      const message = this.queue.shift();
+      worker.postMessage(message);
+    }
+  }
+
+  handleMessage(worker, { id, result, error }) {
+    const callbacks = this.pending.get(id);
+    this.pending.delete(id);
+    this.idle.push(worker);
+    if (!callbacks) {
+      return; // Task already rejected by fail()
+    }
+
+    if (error) {
+      const err = new Error(error.message);
+      err.stack = error.stack;
+      callbacks.reject(err);
+    } else {
+      callbacks.resolve(result);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Reject every queued and running task after a worker crashed.
+   * @param {Error} err - Worker error
+   */
+  fail(err) {
+    if (this.error) {
+      return;
+    }
+    this.error = err;
+    this.queue = [];
+    for (const { reject } of this.pending.values()) {
+      reject(err);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Reject the tasks still queued, ask every worker to release its resources and exit
+   * once its current task is done, and wait until they have. Workers that crashed are
+   * already gone.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closing = true;
+    for (const { id } of this.queue) {
+      this.pending.get(id).reject(new Error('Worker pool closed'));
+      this.pending.delete(id);
+    }
+    this.queue = [];
+    await Promise.all(this.workers.map(worker => new Promise(resolve => {
+      if (worker.threadId === -1) {
+        resolve();
+        return;
+      }
+      worker.once('exit', resolve);
+      worker.postMessage({ type: 'close' });
+    })));
+  }
+}
+
+module.exports = { WorkerPool };
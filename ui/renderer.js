@@ -3,6 +3,8 @@ window.addEventListener('DOMContentLoaded', () => {
   const outputDirEl = document.getElementById('outputDir');
   const tileSizeEl = document.getElementById('tileSize');
   const maxLevelEl = document.getElementById('maxLevel');
+  const formatEl = document.getElementById('format');
+  const imageFormatEl = document.getElementById('imageFormat');
   const browseInputBtn = document.getElementById('browseInput');
   const browseOutputBtn = document.getElementById('browseOutput');
   const viewMetadataBtn = document.getElementById('viewMetadata');
@@ -14,6 +16,14 @@ window.addEventListener('DOMContentLoaded', () => {
     statusEl.classList.toggle('error', !!isError);
   }
 
+  function updateImageFormatState() {
+    // Image encoding only applies to the RGB-encoded and imagery formats
+    imageFormatEl.disabled = !['terrain-rgb', 'terrarium', 'hillshade', 'slope', 'aspect'].includes(formatEl.value);
+  }
+
+  formatEl.addEventListener('change', updateImageFormatState);
+  updateImageFormatState();
+
   browseInputBtn.addEventListener('click', async () => {
     const selected = await window.demTiler.selectInputDem();
     if (selected) {
@@ -52,6 +62,8 @@ window.addEventListener('DOMContentLoaded', () => {
     const outputDir = outputDirEl.value.trim();
     const tileSize = tileSizeEl.value;
     const maxLevel = maxLevelEl.value;
+    const format = formatEl.value;
+    const imageFormat = imageFormatEl.value;
 
     if (!inputPath || !outputDir) {
       setStatus('Please provide both an input DEM and an output directory.', true);
@@ -65,6 +77,8 @@ window.addEventListener('DOMContentLoaded', () => {
       outputDir,
       tileSize,
       maxLevel,
+      format,
+      imageFormat,
     });
 
     if (result && result.ok) {